@@ -0,0 +1,53 @@
+/*
+ * ============================================================================
+ * PENDING ACTION: deleteActivity
+ * ============================================================================
+ *
+ * Created by the deleteActivity tool. Removes an activity session (workout,
+ * run, game, ...) once the user confirms.
+ *
+ * SOFT DELETE:
+ * Same as deleteMeal - the session gets `deleted: true` and `deletedAt`
+ * (helpers/softDelete.js) instead of being removed, so it can be restored
+ * (POST /api/activities/:id/restore - routes/activities.js).
+ *
+ * PAYLOAD:
+ * { sessionId }
+ *
+ * ============================================================================
+ */
+
+const { z } = require("zod");
+const { isDeleted, softDeleteDocument } = require("../helpers/softDelete");
+
+module.exports = {
+  type: "deleteActivity",
+
+  payloadSchema: z.object({
+    sessionId: z.string().min(1),
+  }),
+
+  execute: async (payload, { admin, db, context }) => {
+    const sessionRef = db
+      .collection("activities")
+      .doc(context.userId)
+      .collection("sessions")
+      .doc(payload.sessionId);
+
+    const sessionDoc = await sessionRef.get();
+    if (!sessionDoc.exists || isDeleted(sessionDoc.data())) {
+      return {
+        success: false,
+        message: "I couldn't find that activity - it may already be deleted.",
+      };
+    }
+
+    await softDeleteDocument(admin, sessionRef);
+
+    const session = sessionDoc.data();
+    return {
+      success: true,
+      message: `🗑️ Deleted your ${session.name || "activity"}.`,
+    };
+  },
+};
@@ -0,0 +1,59 @@
+/*
+ * ============================================================================
+ * PENDING ACTION: deleteMeal
+ * ============================================================================
+ *
+ * Created by the deleteMeal tool. Removes a meal from the user's food diary
+ * once they confirm.
+ *
+ * SOFT DELETE:
+ * The document is NOT removed from Firestore. We set `deleted: true` and
+ * `deletedAt` (helpers/softDelete.js), so the meal can be restored later
+ * and nothing is lost if the AI picked the wrong meal.
+ *
+ * PHOTOS:
+ * The meal's photos stay in Firebase Storage, so a restored meal comes back
+ * with them. They're only removed when the meal is purged for good
+ * (DELETE /api/meals/:id - see routes/meals.js).
+ *
+ * PAYLOAD:
+ * { mealId }
+ *
+ * ============================================================================
+ */
+
+const { z } = require("zod");
+const { isDeleted, softDeleteDocument } = require("../helpers/softDelete");
+
+module.exports = {
+  type: "deleteMeal",
+
+  payloadSchema: z.object({
+    mealId: z.string().min(1),
+  }),
+
+  execute: async (payload, { admin, db, context }) => {
+    const mealRef = db
+      .collection("nutrition")
+      .doc(context.userId)
+      .collection("meals")
+      .doc(payload.mealId);
+
+    const mealDoc = await mealRef.get();
+    if (!mealDoc.exists || isDeleted(mealDoc.data())) {
+      return {
+        success: false,
+        message: "I couldn't find that meal - it may already be deleted.",
+      };
+    }
+
+    await softDeleteDocument(admin, mealRef);
+
+    const meal = mealDoc.data();
+
+    return {
+      success: true,
+      message: `🗑️ Deleted your ${meal.mealType} (${meal.totalCalories || 0} cal).`,
+    };
+  },
+};
@@ -0,0 +1,84 @@
+/*
+ * ============================================================================
+ * PENDING ACTION REGISTRY
+ * ============================================================================
+ *
+ * PURPOSE:
+ * Every kind of action that can wait for the user's confirmation is
+ * registered here. Each action type lives in its own file and exports:
+ *
+ * - type: The name stored in Firestore (e.g., "updateMeal")
+ * - payloadSchema: Zod schema for the stored payload
+ * - execute(payload, deps): Runs the action and returns { success, message }
+ *   deps = { tools, admin, db, context } for the current request
+ * - amend(payload, amendment): OPTIONAL - returns a new payload with the
+ *   user's change applied ("yes but make it a large glass")
+ *
+ * ADDING A NEW ACTION TYPE:
+ * 1. Create actions/<type>.js with the three exports above
+ * 2. Add it to ACTIONS below
+ *
+ * ============================================================================
+ */
+
+const ACTIONS = [
+  require("./updateMeal"),
+  require("./deleteMeal"),
+  require("./updateActivity"),
+  require("./deleteActivity"),
+  require("./logMeal"),
+];
+
+const registry = Object.fromEntries(
+  ACTIONS.map((action) => [action.type, action])
+);
+
+function isRegisteredActionType(type) {
+  return Boolean(registry[type]);
+}
+
+/*
+ * Apply a user's amendment to a pending action.
+ * Returns the amended action, or null if this action type can't be amended
+ * (the chat endpoint then lets the AI handle the message normally).
+ */
+function amendPendingAction(action, amendment) {
+  const definition = registry[action.type];
+  if (!definition?.amend) {
+    return null;
+  }
+
+  console.log(`✏️ Amending pending action ${action.type}: "${amendment}"`);
+  return { ...action, payload: definition.amend(action.payload, amendment) };
+}
+
+/*
+ * Validate a stored action's payload and run its executor.
+ * Never throws for a bad/unknown action - returns { success: false } instead,
+ * so the chat endpoint can fall back to the normal AI flow.
+ */
+async function executePendingAction(action, deps) {
+  const definition = registry[action.type];
+  if (!definition) {
+    console.error("❌ Unknown pending action type:", action.type);
+    return { success: false, message: "Unknown action type" };
+  }
+
+  const parsed = definition.payloadSchema.safeParse(action.payload);
+  if (!parsed.success) {
+    console.error(
+      `❌ Invalid payload for pending action ${action.type}:`,
+      parsed.error.message
+    );
+    return { success: false, message: "Invalid pending action" };
+  }
+
+  console.log(`⚡ Executing pending action ${action.type} (${action.id})`);
+  return definition.execute(parsed.data, deps);
+}
+
+module.exports = {
+  isRegisteredActionType,
+  amendPendingAction,
+  executePendingAction,
+};
@@ -0,0 +1,51 @@
+/*
+ * ============================================================================
+ * PENDING ACTION: logMeal
+ * ============================================================================
+ *
+ * Logs a meal that Ava already broke down and showed to the user, once they
+ * confirm - so the exact foods and macros they saw are what gets saved.
+ *
+ * Created by helpers/buildChatResponse.js when the logMeal tool held a meal
+ * back because the macro check flagged it (needsReview): "yes" logs it as is.
+ *
+ * PAYLOAD:
+ * Same shape as the logMeal tool input:
+ * { mealType?, foods, timestamp?, notes?, photoUrls? }
+ *
+ * ============================================================================
+ */
+
+const { z } = require("zod");
+const { mealTypeSchema, foodsSchema } = require("../schemas/food");
+
+module.exports = {
+  type: "logMeal",
+
+  payloadSchema: z.object({
+    mealType: mealTypeSchema.optional(),
+    foods: foodsSchema,
+    timestamp: z.string().optional(),
+    notes: z.string().optional(),
+    // The photos sent with the meal - the "yes" message has none
+    photoUrls: z.array(z.string()).optional(),
+  }),
+
+  execute: async (payload, { tools }) => {
+    // The user confirmed these exact numbers - only hard errors (negative
+    // values) can still stop it (see helpers/macroValidation.js)
+    const result = await tools.logMeal.execute(
+      { ...payload, acceptWarnings: true },
+      {}
+    );
+
+    return {
+      success: result.success !== false,
+      message:
+        result.success === false
+          ? `❌ Failed to log meal: ${result.message}`
+          : "✅ Your meal has been logged!",
+      result,
+    };
+  },
+};
@@ -0,0 +1,232 @@
+/*
+ * ============================================================================
+ * PENDING ACTION: updateActivity
+ * ============================================================================
+ *
+ * Created by the updateActivity tool. Adds exercises to an existing strength
+ * session once the user confirms (e.g., "Add bicep curls to your current
+ * Chest Workout?" → "yes").
+ *
+ * HOW IT WORKS:
+ * 1. Checks the new exercises for PRs against the last 50 strength sessions
+ * 2. Appends them to the session and recalculates totalVolume
+ * 3. Renames the session / appends notes if the payload has them
+ *
+ * PAYLOAD:
+ * { sessionId, exercises: [...], name?, notes? }
+ *
+ * ============================================================================
+ */
+
+const { z } = require("zod");
+const { isDeleted } = require("../helpers/softDelete");
+
+module.exports = {
+  type: "updateActivity",
+
+  payloadSchema: z.object({
+    sessionId: z.string().min(1),
+    exercises: z
+      .array(
+        z.object({
+          name: z.string(),
+          sets: z.number(),
+          reps: z.number(),
+          weight: z.number(),
+          unit: z.enum(["lbs", "kg"]),
+        })
+      )
+      .min(1),
+    name: z.string().optional(),
+    notes: z.string().optional(),
+  }),
+
+  execute: async (payload, { admin, db, context }) => {
+    const { sessionId, exercises, name, notes } = payload;
+    const { userId } = context;
+
+    const sessionRef = db
+      .collection("activities")
+      .doc(userId)
+      .collection("sessions")
+      .doc(sessionId);
+
+    const sessionDoc = await sessionRef.get();
+    if (!sessionDoc.exists || isDeleted(sessionDoc.data())) {
+      return {
+        success: false,
+        message: "I couldn't find that workout - it may have been deleted.",
+      };
+    }
+
+    const existingSession = sessionDoc.data();
+
+    /*
+     * STEP 1: Add PR detection for new exercises
+     */
+    console.log("🔍 Checking for PRs on new exercises...");
+
+    const exercisesWithPRs = await Promise.all(
+      exercises.map(async (exercise) => {
+        try {
+          // Query past activities for this exercise (same logic as logActivity.js)
+          const activitiesRef = db
+            .collection("activities")
+            .doc(userId)
+            .collection("sessions");
+
+          const snapshot = await activitiesRef
+            .where("type", "==", "strength_training")
+            .orderBy("timestamp", "desc")
+            .limit(50) // Check last 50 workouts
+            .get();
+
+          let previousBest = null;
+          let previousBestWeight = 0;
+
+          // Loop through past sessions to find this exercise
+          snapshot.forEach((doc) => {
+            const session = doc.data();
+            if (session.exercises && !isDeleted(session)) {
+              // Look for same exercise in this session
+              const pastExercise = session.exercises.find(
+                (e) =>
+                  e.name.toLowerCase() === exercise.name.toLowerCase()
+              );
+
+              if (pastExercise && pastExercise.weight) {
+                // Convert to same unit for comparison
+                let pastWeight = pastExercise.weight;
+                if (pastExercise.unit !== exercise.unit) {
+                  // Convert if units differ (lbs <-> kg)
+                  if (
+                    pastExercise.unit === "kg" &&
+                    exercise.unit === "lbs"
+                  ) {
+                    pastWeight = pastWeight * 2.20462; // kg to lbs
+                  } else if (
+                    pastExercise.unit === "lbs" &&
+                    exercise.unit === "kg"
+                  ) {
+                    pastWeight = pastWeight / 2.20462; // lbs to kg
+                  }
+                }
+
+                // Track the highest weight found
+                if (pastWeight > previousBestWeight) {
+                  previousBestWeight = pastWeight;
+                  previousBest = {
+                    weight: pastExercise.weight,
+                    unit: pastExercise.unit,
+                    date: session.timestamp.toDate().toISOString(),
+                  };
+                }
+              }
+            }
+          });
+
+          // Check if current weight is a PR
+          const isPR =
+            previousBestWeight > 0 && exercise.weight > previousBestWeight;
+
+          console.log(
+            `   ${exercise.name}: ${exercise.weight} ${exercise.unit}${isPR ? " 🎉 NEW PR!" : ""}`
+          );
+
+          return {
+            ...exercise,
+            isPR: isPR || false,
+            previousBest: isPR ? previousBest : null,
+          };
+        } catch (error) {
+          console.error(
+            `❌ Error checking PR for ${exercise.name}:`,
+            error
+          );
+          // If PR check fails, still add the exercise without PR marker
+          return { ...exercise, isPR: false };
+        }
+      })
+    );
+
+    /*
+     * STEP 2: Merge new exercises with existing exercises
+     */
+    const allExercises = [
+      ...(existingSession.exercises || []),
+      ...exercisesWithPRs,
+    ];
+
+    /*
+     * STEP 3: Recalculate totalVolume (sum of all sets × reps × weight)
+     */
+    const totalVolume = allExercises.reduce((sum, exercise) => {
+      return sum + exercise.sets * exercise.reps * exercise.weight;
+    }, 0);
+
+    console.log("📊 Recalculated totalVolume:", totalVolume);
+
+    /*
+     * STEP 4: Build update object
+     */
+    const updateData = {
+      exercises: allExercises,
+      totalVolume: totalVolume,
+      // Update timestamp to reflect the latest exercise time
+      timestamp: admin.firestore.FieldValue.serverTimestamp(),
+    };
+
+    // Update session name if provided
+    if (name !== undefined) {
+      updateData.name = name;
+    }
+
+    // Update or append notes if provided
+    if (notes !== undefined) {
+      if (existingSession.notes) {
+        updateData.notes = existingSession.notes + "\n" + notes;
+      } else {
+        updateData.notes = notes;
+      }
+    }
+
+    /*
+     * STEP 5: Save to Firestore
+     */
+    await sessionRef.update(updateData);
+
+    console.log("✅ Activity updated in Firestore:", sessionId);
+
+    /*
+     * STEP 6: Build response with PR information
+     */
+    const response = {
+      success: true,
+      sessionId: sessionId,
+      message: `✅ Added ${exercises.length} exercise(s) to your ${name || existingSession.name || "workout"}.`,
+      updatedSession: {
+        id: sessionId,
+        name: name || existingSession.name,
+        type: "strength_training",
+        exerciseCount: allExercises.length,
+        totalVolume: totalVolume,
+      },
+    };
+
+    // Add PR information if any new PRs were achieved
+    const prs = exercisesWithPRs.filter((e) => e.isPR);
+    if (prs.length > 0) {
+      response.prsAchieved = prs.map((e) => ({
+        exercise: e.name,
+        weight: e.weight,
+        unit: e.unit,
+        previousBest: e.previousBest,
+      }));
+      response.message += ` 🎉 New PR: ${prs
+        .map((e) => `${e.name} ${e.weight} ${e.unit}`)
+        .join(", ")}!`;
+    }
+
+    return response;
+  },
+};
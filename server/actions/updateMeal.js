@@ -0,0 +1,73 @@
+/*
+ * ============================================================================
+ * PENDING ACTION: updateMeal
+ * ============================================================================
+ *
+ * Created when findRecentMeals + identifyMealFromContext have picked a meal
+ * and Ava asked "Should I make this change?". When the user confirms, we run
+ * analyzeAndUpdateMeal with the STORED mealId and updateRequest.
+ *
+ * Also created when analyzeAndUpdateMeal held an edit back for macro
+ * warnings (buildChatResponse.js) - then acceptWarnings is set, so "yes"
+ * saves the edit anyway.
+ *
+ * PAYLOAD:
+ * { mealId, updateRequest, mealType?, confidence?, acceptWarnings? }
+ *
+ * AMEND:
+ * "yes but make it a large glass" → the amendment is added to updateRequest,
+ * so analyzeAndUpdateMeal sees both the original change and the correction.
+ * The amended edit hasn't been checked yet, so acceptWarnings is dropped.
+ *
+ * ============================================================================
+ */
+
+const { z } = require("zod");
+
+module.exports = {
+  type: "updateMeal",
+
+  payloadSchema: z.object({
+    mealId: z.string().min(1),
+    updateRequest: z.string().min(1),
+    mealType: z.string().optional(),
+    confidence: z.string().optional(),
+    acceptWarnings: z.boolean().optional(),
+  }),
+
+  amend: ({ acceptWarnings, ...payload }, amendment) => ({
+    ...payload,
+    updateRequest: `${payload.updateRequest}. Also: ${amendment}`,
+  }),
+
+  execute: async (payload, { tools }) => {
+    const result = await tools.analyzeAndUpdateMeal.execute(
+      {
+        mealId: payload.mealId,
+        updateRequest: payload.updateRequest,
+        acceptWarnings: payload.acceptWarnings,
+      },
+      {}
+    );
+
+    // The macro check flagged the new foods - nothing was changed
+    if (result.needsReview) {
+      return {
+        success: false,
+        message: `⚠️ I didn't change the meal - the new numbers look off:\n${result.warnings
+          .map((warning) => `- ${warning}`)
+          .join("\n")}\n\nTell me the right amounts and I'll update it.`,
+        result,
+      };
+    }
+
+    return {
+      success: result.success !== false,
+      message:
+        result.success === false
+          ? `❌ Failed to update meal: ${result.message}`
+          : result.changesSummary || "✅ Your meal has been updated!",
+      result,
+    };
+  },
+};
@@ -0,0 +1,609 @@
+/*
+ * ============================================================================
+ * HELPER: buildChatResponse
+ * ============================================================================
+ *
+ * PURPOSE:
+ * Turn the raw output of an AI call into the message we send to the user,
+ * plus any action that should wait for the user's confirmation.
+ *
+ * Used by BOTH the regular JSON response and the streaming (SSE) response of
+ * /api/chat, so both modes behave identically when the AI produces no text.
+ *
+ * PARAMETERS:
+ * - text: The AI's final text (result.text)
+ * - responseMessages: All messages generated by the AI (result.response.messages)
+ * - steps: All steps with tool calls and results (result.steps)
+ * - messages: The conversation history sent by the app
+ * - timezone: The user's timezone (for meal times in messages)
+ * - imageUrls: Photos attached to the latest user message (context.imageUrls)
+ *
+ * RETURNS:
+ * { message: string, proposedAction: { type, payload } | null }
+ *
+ * proposedAction is NOT sent to the app - routes/chat.js saves it in the pending
+ * action store (helpers/pendingActionStore.js) and only returns its ID.
+ *
+ * ============================================================================
+ */
+
+const identifyMealFromContext = require("./identifyMealFromContext");
+const { DEFAULT_TIMEZONE, formatLocalTime } = require("./timezone");
+const { formatEnergyBalance } = require("./energyBalance");
+
+/*
+ * Add the day's deficit/surplus (from logMeal/logActivity) to a confirmation
+ */
+function withEnergyBalance(message, output) {
+  return output?.energyBalance
+    ? `${message}\n⚖️ ${output.energyBalance.summary}`
+    : message;
+}
+
+/*
+ * Render a getDailySummary result as the full breakdown, e.g.:
+ *
+ * 📊 Summary for 2025-11-05:
+ * • Calories: 1500 eaten - 300 burned = 1200 / 2200 (55%)
+ * • Remaining: 1000 cal
+ * • Protein: 80 / 165g (85g left)
+ * ...
+ * • Water: 40 / 85 oz
+ * • Meals logged: 2 | Activities: 1
+ */
+function formatDailySummary(summary) {
+  const targets = summary.targets || { calories: summary.calorieTarget };
+  const remaining = summary.remaining || {};
+  const burned = summary.activityCalories || 0;
+  const net = summary.netCalories ?? summary.totalCalories ?? 0;
+  const percent = Math.round((net / targets.calories) * 100);
+
+  const leftOrOver = (value, unit) =>
+    value >= 0
+      ? `${value}${unit} left`
+      : `${Math.abs(Math.round(value * 10) / 10)}${unit} over`;
+
+  const macroLine = (label, eaten, key) =>
+    targets[key] !== undefined
+      ? `• ${label}: ${eaten || 0} / ${targets[key]}g (${leftOrOver(
+          remaining[key],
+          "g"
+        )})`
+      : `• ${label}: ${eaten || 0}g`;
+
+  const lines = [
+    `📊 Summary for ${summary.date}:`,
+    burned > 0
+      ? `• Calories: ${summary.totalCalories} eaten - ${burned} burned = ${net} / ${targets.calories} (${percent}%)`
+      : `• Calories: ${net} / ${targets.calories} (${percent}%)`,
+  ];
+  if (remaining.calories !== undefined) {
+    lines.push(
+      remaining.calories >= 0
+        ? `• Remaining: ${remaining.calories} cal`
+        : `• Over target by ${Math.abs(remaining.calories)} cal`
+    );
+  }
+  lines.push(
+    macroLine("Protein", summary.totalProtein, "protein"),
+    macroLine("Carbs", summary.totalCarbs, "carbs"),
+    macroLine("Fats", summary.totalFats, "fats"),
+    macroLine("Fiber", summary.totalFiber, "fiber"),
+    ...(summary.water ? [`• Water: ${summary.water.summary}`] : []),
+    `• Meals logged: ${summary.mealsCount || 0}${
+      summary.activitiesCount ? ` | Activities: ${summary.activitiesCount}` : ""
+    }`
+  );
+
+  return lines.join("\n");
+}
+
+async function buildChatResponse({
+  text,
+  responseMessages = [],
+  steps = [],
+  messages,
+  timezone = DEFAULT_TIMEZONE,
+  imageUrls = [],
+}) {
+  let proposedAction = null;
+
+  /*
+   * ============================================================================
+   * EXTRACT THE AI's RESPONSE TEXT
+   * ============================================================================
+   *
+   * The AI SDK returns results in a complex structure. We need to extract
+   * the actual text response that we'll send to the user.
+   *
+   * STRATEGY:
+   * 1. Try the final text from the AI first
+   * 2. If that's empty, look through all assistant messages
+   * 3. If that's still empty, use context-aware fallback logic
+   *
+   * ⚠️ THIS IS WHERE THE BUG MANIFESTS:
+   * The final text is empty after findRecentMeals is called.
+   *
+   * ============================================================================
+   */
+
+  // Try to get the text from the simplest location first
+  let message = text || "";
+
+  /*
+   * FALLBACK 1: Extract from all assistant messages
+   *
+   * Sometimes the AI generates multiple messages with tool calls mixed in.
+   * We need to extract just the text parts.
+   *
+   * Example structure:
+   * responseMessages = [
+   *   {role: "assistant", content: [{type: "tool-call", ...}]},
+   *   {role: "tool", content: [{type: "tool-result", result: {...}}]},
+   *   {role: "assistant", content: [{type: "text", text: "I found..."}]}
+   * ]
+   */
+  if (!message || !message.trim()) {
+    message = responseMessages
+      .filter((msg) => msg.role === "assistant")
+      .map((msg) => {
+        // Handle string content (simple case)
+        if (typeof msg.content === "string") {
+          return msg.content;
+        }
+        // Handle array content (mixed text and tool calls)
+        if (Array.isArray(msg.content)) {
+          return msg.content
+            .filter((part) => part.type === "text")
+            .map((part) => part.text)
+            .join(" ");
+        }
+        return "";
+      })
+      .filter((text) => text.trim())
+      .join("\n");
+  }
+
+  /*
+   * ============================================================================
+   * FALLBACK 2: Context-Aware Fallback Based on Tool Calls
+   * ============================================================================
+   *
+   * If we reach here, both text and the assistant messages were empty.
+   * This means the AI called tools but didn't generate any text response.
+   *
+   * ⚠️ THIS IS WHERE THE BUG IS MOST VISIBLE ⚠️
+   *
+   * WHAT'S HAPPENING:
+   * 1. User says: "Actually that was lunch not breakfast"
+   * 2. AI calls findRecentMeals and gets back 2 meals
+   * 3. AI generates NO TEXT (this is the bug)
+   * 4. We fall through to here and try to create a response manually
+   *
+   * THE PROBLEM WITH THIS FALLBACK:
+   * We're trying to be "smart" with code logic, but we don't have enough
+   * context to properly identify which meal the user is referring to.
+   * The AI SHOULD be the one doing this analysis!
+   *
+   * EVIDENCE OF THE BUG:
+   * From production logs:
+   *   🔧 Executing findRecentMeals tool
+   *   ✅ Found 2 recent meals from Firestore
+   *   ⚠️ AI called tools but generated no text. Providing fallback based on tool type.
+   *   🤖 Generated response: I couldn't find any recent meals...
+   *
+   * The tool found 2 meals, but the fallback logic says it didn't find any!
+   *
+   * WHY THE FALLBACK FAILS:
+   * The structure check `findResult?.result?.meals` might not match the actual
+   * structure of toolResults. We need to investigate the actual structure.
+   *
+   * ============================================================================
+   */
+  if (!message || !message.trim()) {
+    // Extract tool calls and results from the steps
+    const toolCalls =
+      steps?.flatMap((step) => step.toolCalls || []) || [];
+    const toolResults =
+      steps?.flatMap((step) => step.toolResults || []) || [];
+
+    // Log that we're in fallback mode (this shouldn't happen in ideal case)
+    console.log(
+      "⚠️ AI called tools but generated no text. Providing fallback based on tool type."
+    );
+
+    // Check which tool was called and provide appropriate fallback message
+    if (toolCalls.some((tc) => tc.toolName === "logMeal")) {
+      // AI called logMeal - provide simple confirmation
+      const logResult = toolResults.find(
+        (tr) => tr.toolName === "logMeal"
+      );
+      if (logResult?.output?.needsReview) {
+        // The macro check flagged the foods - nothing was saved yet
+        message = `⚠️ Before I log this, some numbers look off:\n${logResult.output.warnings
+          .map((warning) => `- ${warning}`)
+          .join("\n")}\n\nShould I log it as is, or tell me what to fix?`;
+
+        // "Yes" logs exactly these foods (see actions/logMeal.js)
+        const { acceptWarnings, photoUrls, ...mealInput } = logResult.input;
+        proposedAction = {
+          type: "logMeal",
+          payload: {
+            ...mealInput,
+            photoUrls: photoUrls?.length ? photoUrls : [...imageUrls],
+          },
+        };
+        console.log("🔄 Proposed logMeal action (macro warnings)");
+      } else if (logResult?.output?.success === false) {
+        message = `❌Failed to log meal: ${logResult.output.message}`;
+      } else {
+        message = withEnergyBalance(
+          "✅ Your meal has been logged!",
+          logResult?.output
+        );
+      }
+    } else if (toolCalls.some((tc) => tc.toolName === "logSavedMeal")) {
+      // AI logged a favorite - name it and give the totals
+      const logResult = toolResults.find(
+        (tr) => tr.toolName === "logSavedMeal"
+      );
+      const output = logResult?.output;
+      if (output?.success === false) {
+        message = `❌ Failed to log saved meal: ${output.message}`;
+      } else {
+        const totals = output?.loggedTotals;
+        message = withEnergyBalance(
+          totals
+            ? `✅ ${output.message} - ${totals.totalCalories} cal (${totals.totalProtein}g protein, ${totals.totalCarbs}g carbs, ${totals.totalFats}g fat)`
+            : "✅ Your saved meal has been logged!",
+          output
+        );
+      }
+    } else if (toolCalls.some((tc) => tc.toolName === "logRecipe")) {
+      // AI logged servings of a recipe - say how much and the macros
+      const logResult = toolResults.find(
+        (tr) => tr.toolName === "logRecipe"
+      );
+      const output = logResult?.output;
+      if (output?.success === false) {
+        message = `❌ Failed to log recipe: ${output.message}`;
+      } else {
+        const food = output?.logged;
+        message = withEnergyBalance(
+          food
+            ? `✅ ${output.message} - ${food.calories} cal (${food.protein}g protein, ${food.carbs}g carbs, ${food.fats}g fat)`
+            : "✅ Your recipe has been logged!",
+          output
+        );
+      }
+    } else if (toolCalls.some((tc) => tc.toolName === "createRecipe")) {
+      // AI saved a recipe - show the per-serving numbers
+      const createResult = toolResults.find(
+        (tr) => tr.toolName === "createRecipe"
+      );
+      const output = createResult?.output;
+      if (output?.success === false) {
+        message = `❌ Failed to save recipe: ${output.message}`;
+      } else if (output?.recipe) {
+        const { recipe } = output;
+        message = `✅ ${output.message} - ${recipe.servings} servings, each ${recipe.perServing.calories} cal (${recipe.perServing.protein}g protein, ${recipe.perServing.carbs}g carbs, ${recipe.perServing.fats}g fat)`;
+      } else {
+        message = "✅ Your recipe has been saved!";
+      }
+    } else if (toolCalls.some((tc) => tc.toolName === "logWater")) {
+      // AI logged water - confirm with the day's total vs. target
+      const logResult = toolResults.find((tr) => tr.toolName === "logWater");
+      const output = logResult?.output;
+      if (output?.success === false) {
+        message = `❌ Failed to log water: ${output.message}`;
+      } else {
+        message = output?.hydration
+          ? `💧 ${output.message}! Today: ${output.hydration.summary}`
+          : "💧 Your water has been logged!";
+      }
+    } else if (toolCalls.some((tc) => tc.toolName === "logWeight")) {
+      // AI logged a weigh-in - confirm with the smoothed trend
+      const logResult = toolResults.find((tr) => tr.toolName === "logWeight");
+      const output = logResult?.output;
+      if (output?.success === false) {
+        message = `❌ Failed to log your weight: ${output.message}`;
+      } else if (output?.trend?.current) {
+        const { trend } = output;
+        const change =
+          trend.change !== null
+            ? ` (${trend.change > 0 ? "+" : ""}${trend.change} ${trend.unit} over ${trend.days} days)`
+            : "";
+        message = `⚖️ ${output.message}! Your trend weight is ${trend.current} ${trend.unit}${change}`;
+      } else {
+        message = "⚖️ Your weight has been logged!";
+      }
+    } else if (toolCalls.some((tc) => tc.toolName === "logMeasurement")) {
+      // AI logged measurements - confirm with each site's weekly change
+      const logResult = toolResults.find(
+        (tr) => tr.toolName === "logMeasurement"
+      );
+      const output = logResult?.output;
+      if (output?.success === false) {
+        message = `❌ Failed to log your measurements: ${output.message}`;
+      } else if (output?.changes?.length) {
+        const lines = output.changes.map(({ site, value, change, weeksApart }) => {
+          const since =
+            change !== null
+              ? ` (${change > 0 ? "+" : ""}${change} ${output.unit} vs. ${weeksApart === 1 ? "last week" : `${weeksApart} weeks ago`})`
+              : "";
+          return `• ${site}: ${value} ${output.unit}${since}`;
+        });
+        message = `📏 Measurements logged!\n${lines.join("\n")}`;
+      } else {
+        message = "📏 Your measurements have been logged!";
+      }
+    } else if (
+      toolCalls.some((tc) => tc.toolName === "getProgressPhotoStatus")
+    ) {
+      // AI checked progress photos - say when the last ones were
+      const statusResult = toolResults.find(
+        (tr) => tr.toolName === "getProgressPhotoStatus"
+      );
+      const output = statusResult?.output;
+      if (output?.success === false) {
+        message = `❌ Couldn't check your progress photos: ${output.message}`;
+      } else if (output?.hasPhotos) {
+        message = `📷 ${output.message}.${output.due ? " Time for a new set - take front, side and back photos in Progress → Photos!" : ""}`;
+      } else {
+        message =
+          "📷 You haven't taken any progress photos yet. Take front, side and back photos in Progress → Photos - they'll be your day 1!";
+      }
+    } else if (toolCalls.some((tc) => tc.toolName === "logActivity")) {
+      // AI called logActivity - confirm, with the updated balance
+      const logResult = toolResults.find(
+        (tr) => tr.toolName === "logActivity"
+      );
+      if (logResult?.output?.success === false) {
+        message = `❌ Failed to log activity: ${logResult.output.message}`;
+      } else {
+        message = withEnergyBalance(
+          "✅ Your activity has been logged!",
+          logResult?.output
+        );
+      }
+    } else if (
+      toolCalls.some((tc) => tc.toolName === "analyzeAndUpdateMeal")
+    ) {
+      // AI called analyzeAndUpdateMeal - provide confirmation with summary
+      const updateResult = toolResults.find(
+        (tr) => tr.toolName === "analyzeAndUpdateMeal"
+      );
+      if (updateResult?.output?.needsReview) {
+        // The macro check flagged the new foods - the meal wasn't changed
+        message = `⚠️ Before I change this meal, some numbers look off:\n${updateResult.output.warnings
+          .map((warning) => `- ${warning}`)
+          .join("\n")}\n\nShould I update it anyway, or tell me what to fix?`;
+
+        // "Yes" runs the same update with the warnings accepted
+        // (see actions/updateMeal.js)
+        const { mealId, updateRequest } = updateResult.input;
+        proposedAction = {
+          type: "updateMeal",
+          payload: { mealId, updateRequest, acceptWarnings: true },
+        };
+        console.log("🔄 Proposed updateMeal action (macro warnings)");
+      } else if (updateResult?.output?.success === false) {
+        message = `❌Failed to update meal: ${updateResult.output.message}`;
+      } else {
+        // Include the AI-generated changesSummary if available
+        const summary = updateResult?.output?.changesSummary;
+        message = summary
+          ? `✅ ${summary}`
+          : "✅ Your meal has been updated!";
+      }
+    } else if (
+      toolCalls.some((tc) => tc.toolName === "findRecentMeals")
+    ) {
+      console.log("findRecentMeals was executed");
+      /*
+       * ✅ PHASE 5 FIX: Second AI Analysis Step
+       *
+       * AI called findRecentMeals but didn't generate text. This is expected!
+       * Tool calling and analysis need to be SEPARATE steps.
+       *
+       * NEW WORKFLOW:
+       * 1. findRecentMeals returns meals (already happened) ✅
+       * 2. Call identifyMealFromContext() to analyze which meal ✅ NEW
+       * 3. Generate response describing the meal ✅ NEW
+       * 4. User confirms
+       * 5. AI calls analyzeAndUpdateMeal (happens in next turn)
+       */
+      // Use the LAST search - if the AI narrowed its filters, that's the
+      // list the user is actually talking about
+      const findResult = toolResults
+        .filter((tr) => tr.toolName === "findRecentMeals")
+        .pop();
+
+      console.log("=== FINDRESULT DEBUG ===");
+      console.log("findResult", JSON.stringify(findResult));
+      console.log("findResult exists:", !!findResult);
+      console.log("findResult.toolName:", findResult?.toolName);
+      console.log(
+        "findResult.output exists:",
+        !!findResult?.output
+      );
+      console.log(
+        "findResult.output type:",
+        typeof findResult?.output
+      );
+      console.log(
+        "findResult.output.meals exists:",
+        !!findResult?.output?.meals
+      );
+      console.log(
+        "findResult.output.meals is array:",
+        Array.isArray(findResult?.output?.meals)
+      );
+      console.log(
+        "findResult.output.meals length:",
+        findResult?.output?.meals?.length
+      );
+      console.log("=== END DEBUG ===");
+
+      // Check if meals were found
+      if (findResult?.output?.meals?.length > 0) {
+        console.log(
+          `\n✅ findRecentMeals returned ${findResult.output.meals.length} meals`
+        );
+        console.log(
+          "🔄 Starting second AI analysis to identify which meal..."
+        );
+
+        // Get the user's current message (what they just said)
+        const userIntent =
+          messages[messages.length - 1]?.content || "";
+
+        // Call the helper to identify which meal
+        const identification = await identifyMealFromContext(
+          findResult.output.meals,
+          messages.slice(-5), // Last 5 messages for context
+          userIntent,
+          findResult.output.filters, // How the list was narrowed (date, food, ...)
+          timezone
+        );
+
+        if (identification) {
+          // Success! Use the AI-generated response
+          message = identification.suggestedResponse;
+
+          // Propose an updateMeal action to store the mealId for the next turn
+          // When user confirms, we can execute the update without re-analysis
+          proposedAction = {
+            type: "updateMeal",
+            payload: {
+              mealId: identification.mealId,
+              mealType: identification.mealType,
+              updateRequest: userIntent, // "I also had coca-cola"
+              confidence: identification.confidence,
+            },
+          };
+
+          console.log(
+            `✅ Meal identified: ${identification.mealId} (${identification.confidence} confidence)`
+          );
+          console.log(`📝 Reasoning: ${identification.reasoning}`);
+          console.log(`🔄 Proposed updateMeal action`);
+        } else {
+          // Identification failed - ask for clarification
+          console.log(
+            "⚠️ Could not identify meal - asking user for clarification"
+          );
+          const mealsList = findResult.output.meals
+            .map((meal, idx) => {
+              const foodNames = meal.foods
+                .map((f) => f.name)
+                .join(", ");
+              const timeStr = formatLocalTime(
+                new Date(meal.timestamp),
+                timezone
+              );
+              return `${idx + 1}. ${
+                meal.mealType
+              } at ${timeStr}: ${foodNames}`;
+            })
+            .join("\n");
+
+          message = `I found ${findResult.output.meals.length} recent meals:\n\n${mealsList}\n\nWhich one would you like to update?`;
+        }
+      } else {
+        // No meals found
+        console.log("⚠️ findRecentMeals returned no meals");
+        message =
+          "I couldn't find any recent meals. Could you tell me more about when you ate or what foods you had?";
+      }
+    } else if (
+      toolCalls.some((tc) => tc.toolName === "undoLastChange")
+    ) {
+      // AI called undoLastChange - confirm what the meal is back to
+      const undoResult = toolResults.find(
+        (tr) => tr.toolName === "undoLastChange"
+      );
+      if (undoResult?.output?.success === false) {
+        message = `❌ Couldn't undo that: ${undoResult.output.message}`;
+      } else if (undoResult?.output?.restoredMeal) {
+        const meal = undoResult.output.restoredMeal;
+        message = `⏪ Undone! Your ${meal.mealType} is back to ${meal.foods} (${meal.totalCalories} cal).`;
+      } else {
+        message = "⏪ Undone! Your meal is back to its previous version.";
+      }
+    } else if (toolCalls.some((tc) => tc.toolName === "updateActivity")) {
+      // AI called updateActivity - ask for confirmation ourselves
+      const updateResult = toolResults.find(
+        (tr) => tr.toolName === "updateActivity"
+      );
+      const output = updateResult?.output;
+      if (!output || output.success === false) {
+        message = `❌ Couldn't update that workout: ${
+          output?.message || "please try again"
+        }`;
+      } else {
+        message = `Should I add ${output.exercises.join(", ")} to your ${
+          output.activity?.name || "workout"
+        }?`;
+      }
+    } else if (
+      toolCalls.some(
+        (tc) =>
+          tc.toolName === "deleteMeal" || tc.toolName === "deleteActivity"
+      )
+    ) {
+      // AI called deleteMeal/deleteActivity - ask for confirmation ourselves
+      const deleteResult = toolResults.find(
+        (tr) =>
+          tr.toolName === "deleteMeal" || tr.toolName === "deleteActivity"
+      );
+      const output = deleteResult?.output;
+      if (!output || output.success === false) {
+        message = `❌ Couldn't find that to delete: ${
+          output?.message || "please try again"
+        }`;
+      } else if (output.meal) {
+        message = `Should I delete your ${output.meal.mealType} with ${output.meal.foods} (${output.meal.totalCalories} cal)?`;
+      } else {
+        message = `Should I delete your ${
+          output.activity?.name || "activity"
+        }?`;
+      }
+    } else if (
+      toolCalls.some((tc) => tc.toolName === "getEnergyBalance")
+    ) {
+      // AI called getEnergyBalance - show in / out / net
+      const balanceResult = toolResults.find(
+        (tr) => tr.toolName === "getEnergyBalance"
+      );
+      if (balanceResult?.output?.success === false) {
+        message = `❌ Failed to get your energy balance: ${balanceResult.output.message}`;
+      } else if (balanceResult?.output) {
+        message = `⚖️ ${formatEnergyBalance(balanceResult.output)}`;
+      } else {
+        message = "Here's your energy balance.";
+      }
+    } else if (
+      toolCalls.some((tc) => tc.toolName === "getDailySummary")
+    ) {
+      // AI called getDailySummary - provide summary
+      const summaryResult = toolResults.find(
+        (tr) => tr.toolName === "getDailySummary"
+      );
+      if (summaryResult?.output?.success === false) {
+        message = `❌ Failed to get summary: ${summaryResult.output.message}`;
+      } else if (summaryResult?.output) {
+        message = formatDailySummary(summaryResult.output);
+      } else {
+        message = "Here's your daily summary.";
+      }
+    } else {
+      // Unknown tool or no tools called
+      message = "✅ Done!";
+    }
+  }
+
+  return { message, proposedAction };
+}
+
+module.exports = buildChatResponse;
@@ -0,0 +1,46 @@
+/*
+ * ============================================================================
+ * HELPER: calculateMealTotals
+ * ============================================================================
+ *
+ * PURPOSE:
+ * Sum up the macros of every food in a meal.
+ * Example: [eggs: 180cal, toast: 160cal] → total: 340cal
+ *
+ * Used whenever a meal is saved (logMeal, analyzeAndUpdateMeal) so the
+ * totals stored in Firestore ALWAYS match the foods array, no matter what
+ * an AI model claimed the totals were.
+ *
+ * RETURNS:
+ * { totalCalories, totalProtein, totalCarbs, totalFats, totalFiber }
+ * - field names match the meal document in Firestore, so it can be spread
+ *   straight into it: { ...calculateMealTotals(foods) }
+ *
+ * ============================================================================
+ */
+
+// Round to 1 decimal place so float sums don't show up as 12.300000000001g
+const round = (value) => Math.round(value * 10) / 10;
+
+function calculateMealTotals(foods = []) {
+  const totals = foods.reduce(
+    (acc, food) => ({
+      calories: acc.calories + (Number(food.calories) || 0),
+      protein: acc.protein + (Number(food.protein) || 0),
+      carbs: acc.carbs + (Number(food.carbs) || 0),
+      fats: acc.fats + (Number(food.fats) || 0),
+      fiber: acc.fiber + (Number(food.fiber) || 0),
+    }),
+    { calories: 0, protein: 0, carbs: 0, fats: 0, fiber: 0 }
+  );
+
+  return {
+    totalCalories: Math.round(totals.calories),
+    totalProtein: round(totals.protein),
+    totalCarbs: round(totals.carbs),
+    totalFats: round(totals.fats),
+    totalFiber: round(totals.fiber),
+  };
+}
+
+module.exports = calculateMealTotals;
@@ -0,0 +1,122 @@
+/*
+ * ============================================================================
+ * HELPER: Chat Images
+ * ============================================================================
+ *
+ * PURPOSE:
+ * Turn photos attached to chat messages into image parts the model can see.
+ *
+ * HOW IT WORKS:
+ * 1. The app uploads the photo to Firebase Storage under users/{uid}/...
+ * 2. It sends the download URL with the message:
+ *      { role: "user", content: "Here's my lunch", imageUrls: ["https://..."] }
+ * 3. toModelMessages() turns that into a multimodal message:
+ *      { role: "user", content: [
+ *          { type: "text", text: "Here's my lunch\n[Attached photo: https://...]" },
+ *          { type: "image", image: URL }
+ *      ] }
+ *    The URL is repeated in the text so the AI can pass it to logMeal
+ *    (photoUrls) when the meal is logged a few turns later.
+ *
+ * SECURITY:
+ * Only Firebase Storage URLs inside the signed-in user's own folder are
+ * accepted - anything else is dropped, so the model never fetches arbitrary
+ * URLs and a user can't attach someone else's photo to their meal.
+ *
+ * ============================================================================
+ */
+
+const MAX_IMAGES_PER_MESSAGE = 4;
+const STORAGE_HOST = "firebasestorage.googleapis.com";
+
+/*
+ * The file's path in the bucket for a Firebase Storage download URL, or
+ * null if it isn't one
+ * e.g. https://firebasestorage.googleapis.com/v0/b/<bucket>/o/users%2F<uid>%2Fchat%2F1.jpg?alt=media&token=...
+ *   → "users/<uid>/chat/1.jpg"
+ */
+function getStoragePath(url) {
+  if (typeof url !== "string") {
+    return null;
+  }
+
+  try {
+    const parsed = new URL(url);
+    const match = /^\/v0\/b\/[^/]+\/o\/(.+)$/.exec(parsed.pathname);
+    if (parsed.protocol !== "https:" || parsed.hostname !== STORAGE_HOST || !match) {
+      return null;
+    }
+    return decodeURIComponent(match[1]);
+  } catch (error) {
+    return null;
+  }
+}
+
+// true if the URL is a Firebase Storage download URL for a file under users/{userId}/
+function isAllowedImageUrl(url, userId) {
+  return Boolean(userId) && Boolean(getStoragePath(url)?.startsWith(`users/${userId}/`));
+}
+
+// The message's allowed image URLs (max MAX_IMAGES_PER_MESSAGE)
+function getMessageImageUrls(message, userId) {
+  if (!Array.isArray(message?.imageUrls)) {
+    return [];
+  }
+
+  const allowed = message.imageUrls.filter((url) =>
+    isAllowedImageUrl(url, userId)
+  );
+  if (allowed.length < message.imageUrls.length) {
+    console.warn(
+      "⚠️ Dropped image URL(s) outside the user's storage folder:",
+      message.imageUrls.length - allowed.length
+    );
+  }
+  return allowed.slice(0, MAX_IMAGES_PER_MESSAGE);
+}
+
+/*
+ * Convert the app's messages to AI SDK messages.
+ * Messages without images stay plain { role, content } strings.
+ */
+function toModelMessages(messages, userId) {
+  return messages.map((msg) => {
+    const imageUrls =
+      msg.role === "user" ? getMessageImageUrls(msg, userId) : [];
+
+    if (imageUrls.length === 0) {
+      return { role: msg.role, content: msg.content };
+    }
+
+    const photoLines = imageUrls
+      .map((url) => `[Attached photo: ${url}]`)
+      .join("\n");
+
+    return {
+      role: msg.role,
+      content: [
+        {
+          type: "text",
+          text: `${msg.content || "(photo)"}\n${photoLines}`,
+        },
+        ...imageUrls.map((url) => ({ type: "image", image: new URL(url) })),
+      ],
+    };
+  });
+}
+
+// Photos attached to the latest user message (what "log this" refers to)
+function getLatestImageUrls(messages, userId) {
+  const latestUserMessage = [...messages]
+    .reverse()
+    .find((msg) => msg.role === "user");
+  return getMessageImageUrls(latestUserMessage, userId);
+}
+
+module.exports = {
+  MAX_IMAGES_PER_MESSAGE,
+  getStoragePath,
+  isAllowedImageUrl,
+  toModelMessages,
+  getLatestImageUrls,
+};
@@ -0,0 +1,298 @@
+/*
+ * ================================================================================
+ * HELPER FUNCTION: resolveConfirmation
+ * ================================================================================
+ *
+ * PURPOSE:
+ * Decide what the user's reply means when an action is waiting for their
+ * confirmation (e.g., Ava asked "Should I add coca-cola to your lunch?").
+ *
+ * WHY THIS IS NEEDED:
+ * /api/chat used to match ^(yes|yeah|...) and ^(no|nope|not|...) against the
+ * start of the message. That misread a lot of real replies:
+ * - "not bad, yes do it"            → matched "not" → treated as a NO
+ * - "yes but make it a large glass" → treated as a plain YES, size ignored
+ * - "sounds good"                   → matched nothing → AI re-asked for
+ *   confirmation, causing the loops in docs/Issues+Improvements.md (Issue 1)
+ *
+ * HOW IT WORKS:
+ * 1. Fast heuristics handle the clear cases (no AI call, no latency). A reply
+ *    only counts as a yes/no when:
+ *    - it is NOTHING but a yes/no ("yes", "perfect, thanks", "that's not right")
+ *    - it STARTS with a yes/no word ("yes but make it a large glass")
+ *    - it is very short and says yes or no ("I'd say go ahead")
+ *    Filler words like "great", "fine" or "right" only count in the first
+ *    case - "great workout today, ran 5k" is NOT a yes.
+ * 2. Everything else that mentions yes/no (or mixes them, or asks a
+ *    question) goes to a small AI classification call (generateStructured)
+ * 3. If that fails too, we return "unrelated" - we NEVER execute an action
+ *    unless we're sure the user said yes
+ *
+ * PARAMETERS:
+ * - message: The user's latest message
+ * - pendingAction: The action waiting for confirmation ({ type, payload })
+ *
+ * RETURNS:
+ * {
+ *   intent: "confirm" | "reject" | "amend" | "unrelated",
+ *   amendment: string | null   // Only for "amend" - the change to apply
+ * }
+ *
+ * EXAMPLES:
+ * "yes"                              → { intent: "confirm" }
+ * "not bad, yes do it"               → { intent: "confirm" }
+ * "yep go ahead 👍"                  → { intent: "confirm" }
+ * "no problem, go for it"            → { intent: "confirm" }
+ * "nope"                             → { intent: "reject" }
+ * "that's not right"                 → { intent: "reject" }
+ * "no, cancel that"                  → { intent: "reject" }
+ * "yes but make it a large glass"    → { intent: "amend", amendment: "make it a large glass" }
+ * "no, it was 2 eggs not 3"          → { intent: "amend", amendment: "it was 2 eggs not 3" }
+ * "ok and add a banana too"          → { intent: "amend", amendment: "add a banana too" }
+ * "I also had a protein bar"         → { intent: "unrelated" }
+ * "great workout today, ran 5k"      → { intent: "unrelated" }
+ * "fine, I will have chicken later"  → { intent: "unrelated" }
+ *
+ * The full set of phrasings is in test/fixtures/confirmationReplies.json.
+ *
+ * ================================================================================
+ */
+
+const { z } = require("zod");
+const generateStructured = require("./generateStructured");
+
+// Phrases that contain "no"/"not" but aren't a rejection - removed before matching
+const NEUTRAL_PHRASES =
+  /\b(not bad|not a problem|no problem|no worries|no doubt|not too bad)\b/g;
+
+// Clear YES signals - count at the start of any reply
+const CONFIRM_PATTERN =
+  /\b(yes|yeah|yea|yep|yup|ya|sure|ok|okay|correct|exactly|affirmative|absolutely|definitely|confirm(ed)?|do it|go ahead|go for it|sounds good|looks good|please do|that's it|thats it)\b|👍|✅/;
+
+// Clear NO signals
+const REJECT_PATTERN =
+  /\b(no|nope|nah|cancel|wrong|incorrect|negative|don'?t do it|do not do it|don'?t|do not|never ?mind|forget it|stop|not (right|correct|it|that|quite|true))\b|👎|❌/;
+
+// A negated yes ("not right", "don't do it") - must not ALSO count as a
+// confirm signal
+const NEGATED_CONFIRM =
+  /\b(not (right|correct|it|that|quite|true)|don'?t do it|do not do it)\b/g;
+
+// Words that mean yes ONLY when they are the whole reply ("perfect!",
+// "that's right") - "great workout today" or "fine, I'll have chicken" are
+// ordinary chat
+const ACKNOWLEDGEMENT_PATTERN =
+  /\b(k|right|great|perfect|cool|fine|good|nice|awesome)\b/;
+
+// Words that don't change the meaning of a yes/no reply
+const FILLER_PATTERN =
+  /\b(thanks|thank you|thx|please|pls|ava|then|that's|thats|that|it|is|sounds|looks|all|me|by|to|so|oh|um|well|just)\b/;
+
+// A short reply ("I'd say go ahead") can put its yes/no anywhere
+const SHORT_REPLY_WORDS = 4;
+
+// Text after a leading yes/no that isn't an amendment ("yes, log it") must be
+// short - "ok so what should I have for dinner tonight" isn't a confirmation
+const MAX_TRAILING_WORDS = 4;
+
+// Where the amendment starts: "yes BUT make it a large glass"
+// The amendment is everything after the connector (connector itself dropped
+// for "but/and/except/though", kept for phrases that are part of the change)
+const AMEND_CONNECTOR =
+  /(?:^|[\s,;.!-])(?:but|and|except|though|although|just|only)\s+(.+)$|(?:^|[\s,;.!-])((?:make it|change it|it was|it's|its|actually|instead|also|add|remove|swap|replace|only)\b.+)$/;
+
+// An amendment needs at least this many words ("but thanks" isn't a change)
+const MIN_AMENDMENT_WORDS = 2;
+
+const matchAll = (pattern) => new RegExp(pattern.source, "g");
+
+function normalize(message) {
+  return (message || "").toLowerCase().replace(/\s+/g, " ").trim();
+}
+
+const countWords = (text) => text.split(" ").filter(Boolean).length;
+
+// Nothing left but punctuation/emoji once these patterns are removed
+function consistsOnlyOf(text, patterns) {
+  const rest = patterns.reduce(
+    (remaining, pattern) => remaining.replace(matchAll(pattern), " "),
+    text
+  );
+  return rest.replace(/[^\p{L}\p{N}]+/gu, "") === "";
+}
+
+// The yes/no signal the reply starts with, or null
+function leadingSignal(text) {
+  const body = text.replace(/^[^\p{L}\p{N}👍✅👎❌]+/u, "");
+  const confirm = body.replace(NEGATED_CONFIRM, "#").match(CONFIRM_PATTERN);
+  if (confirm && confirm.index === 0) {
+    return { intent: "confirm", rest: body.slice(confirm[0].length) };
+  }
+  const reject = body.match(REJECT_PATTERN);
+  if (reject && reject.index === 0) {
+    return { intent: "reject", rest: body.slice(reject[0].length) };
+  }
+  return null;
+}
+
+/*
+ * Look for an amendment in what follows the leading yes/no.
+ * Returns the amendment text, or null.
+ */
+function findAmendment(rest) {
+  const match = rest.match(AMEND_CONNECTOR);
+  if (!match) {
+    return null;
+  }
+
+  const amendment = (match[1] || match[2] || "")
+    .replace(/[.!]+$/, "")
+    .trim();
+
+  // The "amendment" must itself say something beyond another yes/no
+  const remainder = amendment
+    .replace(matchAll(CONFIRM_PATTERN), "")
+    .replace(matchAll(REJECT_PATTERN), "")
+    .trim();
+  if (countWords(remainder) < MIN_AMENDMENT_WORDS) {
+    return null;
+  }
+
+  return amendment;
+}
+
+/*
+ * Fast path - classify without an AI call.
+ * Returns a resolution, or null if the reply needs the AI classifier.
+ */
+function resolveWithHeuristics(message) {
+  const text = normalize(message)
+    .replace(NEUTRAL_PHRASES, " ")
+    .replace(/\s+/g, " ")
+    .trim();
+
+  if (!text) {
+    return { intent: "unrelated", amendment: null };
+  }
+
+  const hasConfirm = CONFIRM_PATTERN.test(text.replace(NEGATED_CONFIRM, " "));
+  const hasReject = REJECT_PATTERN.test(text);
+
+  // Nothing but a no, or nothing but a yes ("that's not right", "perfect, thanks!")
+  if (hasReject && !hasConfirm && consistsOnlyOf(text, [REJECT_PATTERN, FILLER_PATTERN])) {
+    return { intent: "reject", amendment: null };
+  }
+  if (
+    !hasReject &&
+    consistsOnlyOf(text, [CONFIRM_PATTERN, ACKNOWLEDGEMENT_PATTERN, FILLER_PATTERN]) &&
+    (hasConfirm || ACKNOWLEDGEMENT_PATTERN.test(text))
+  ) {
+    return { intent: "confirm", amendment: null };
+  }
+
+  // Neither yes nor no → the user moved on ("I also had a protein bar")
+  if (!hasConfirm && !hasReject) {
+    return { intent: "unrelated", amendment: null };
+  }
+
+  // Questions ("is that the right meal?") need a closer look
+  if (text.includes("?")) {
+    return null;
+  }
+
+  // Starts with yes/no → maybe followed by a change
+  const leading = leadingSignal(text);
+  if (leading) {
+    const amendment = findAmendment(leading.rest);
+    if (amendment) {
+      return { intent: "amend", amendment };
+    }
+
+    const mixed = leading.intent === "confirm" ? hasReject : hasConfirm;
+    if (!mixed && countWords(leading.rest) <= MAX_TRAILING_WORDS) {
+      return { intent: leading.intent, amendment: null };
+    }
+    return null;
+  }
+
+  // A short reply with only one kind of signal ("I'd say go ahead")
+  if (countWords(text) <= SHORT_REPLY_WORDS && hasConfirm !== hasReject) {
+    return { intent: hasConfirm ? "confirm" : "reject", amendment: null };
+  }
+
+  // A yes/no somewhere in a longer message - let the AI decide
+  return null;
+}
+
+// What the classifier must return
+const classificationSchema = z.object({
+  intent: z.enum(["confirm", "reject", "amend", "unrelated"]),
+  amendment: z
+    .string()
+    .nullable()
+    .describe("For amend only: the change the user asked for, in their words - otherwise null"),
+});
+
+/*
+ * Slow path - ask the AI to classify an ambiguous reply.
+ */
+async function resolveWithAI(message, pendingAction) {
+  const prompt = `You are classifying a user's reply in a nutrition tracking chat.
+
+The assistant asked the user to confirm this action:
+Type: ${pendingAction?.type}
+Details: ${JSON.stringify(pendingAction?.payload || {})}
+
+USER'S REPLY:
+"${message}"
+
+Classify the reply as exactly one of:
+- "confirm": the user wants the action done as proposed
+- "reject": the user does not want the action done
+- "amend": the user wants the action done, but with a change (e.g., a different size, an extra item)
+- "unrelated": the reply is not an answer to the confirmation question (e.g., small talk, a new meal)
+
+If you're not sure the user agreed, answer "unrelated".`;
+
+  try {
+    const parsed = await generateStructured({
+      schema: classificationSchema,
+      prompt,
+      temperature: 0, // Classification - we want the same answer every time
+      label: "confirmation intent",
+    });
+
+    // An amend without the actual change is useless - ask again instead
+    if (parsed.intent === "amend" && !parsed.amendment) {
+      return { intent: "unrelated", amendment: null };
+    }
+
+    return {
+      intent: parsed.intent,
+      amendment: parsed.intent === "amend" ? parsed.amendment : null,
+    };
+  } catch (error) {
+    console.error("❌ Error classifying confirmation:", error);
+    return null;
+  }
+}
+
+async function resolveConfirmation(message, pendingAction) {
+  const heuristic = resolveWithHeuristics(message);
+  if (heuristic) {
+    console.log(`🧭 Confirmation intent (heuristic): ${heuristic.intent}`);
+    return heuristic;
+  }
+
+  console.log("🤖 Ambiguous confirmation reply - asking AI to classify");
+  const classified = await resolveWithAI(message, pendingAction);
+  if (classified) {
+    console.log(`🧭 Confirmation intent (AI): ${classified.intent}`);
+    return classified;
+  }
+
+  // Never execute on a guess
+  return { intent: "unrelated", amendment: null };
+}
+
+module.exports = { resolveConfirmation, resolveWithHeuristics };
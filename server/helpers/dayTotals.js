@@ -0,0 +1,137 @@
+/*
+ * ============================================================================
+ * HELPER: Day Totals
+ * ============================================================================
+ *
+ * PURPOSE:
+ * Add up what the user ate (nutrition/{uid}/meals), what they burned
+ * (activities/{uid}/sessions → caloriesBurned) and what they drank
+ * (hydration/{uid}/entries → amountMl) between two instants.
+ *
+ * The caller decides the range - usually one day in the user's timezone
+ * from helpers/timezone.js getDayRange().
+ *
+ * Soft-deleted meals and sessions are skipped (see helpers/softDelete.js).
+ *
+ * ============================================================================
+ */
+
+const { isDeleted } = require("./softDelete");
+
+// Round to 1 decimal place so float sums don't show up as 12.300000000001g
+const round = (value) => Math.round(value * 10) / 10;
+
+// Documents in a user's subcollection with timestamp between start and end
+const queryRange = (admin, collectionRef, start, end) =>
+  collectionRef
+    .where("timestamp", ">=", admin.firestore.Timestamp.fromDate(start))
+    .where("timestamp", "<=", admin.firestore.Timestamp.fromDate(end))
+    .get();
+
+/*
+ * Meals eaten between start and end.
+ * Returns { calories, protein, carbs, fats, fiber, mealsCount }
+ */
+async function sumMealsInRange(admin, db, userId, start, end) {
+  const snapshot = await queryRange(
+    admin,
+    db.collection("nutrition").doc(userId).collection("meals"),
+    start,
+    end
+  );
+
+  const totals = { calories: 0, protein: 0, carbs: 0, fats: 0, fiber: 0 };
+  let mealsCount = 0;
+
+  snapshot.forEach((doc) => {
+    const data = doc.data();
+    if (isDeleted(data)) {
+      return;
+    }
+
+    totals.calories += data.totalCalories || 0;
+    totals.protein += data.totalProtein || 0;
+    totals.carbs += data.totalCarbs || 0;
+    totals.fats += data.totalFats || 0;
+    totals.fiber += data.totalFiber || 0;
+    mealsCount++;
+  });
+
+  return {
+    calories: Math.round(totals.calories),
+    protein: round(totals.protein),
+    carbs: round(totals.carbs),
+    fats: round(totals.fats),
+    fiber: round(totals.fiber),
+    mealsCount,
+  };
+}
+
+/*
+ * Calories burned and minutes spent in activity sessions between start and end.
+ * Sessions without caloriesBurned/duration count as 0.
+ * Returns { caloriesBurned, activityMinutes, activitiesCount }
+ */
+async function sumActivityCaloriesInRange(admin, db, userId, start, end) {
+  const snapshot = await queryRange(
+    admin,
+    db.collection("activities").doc(userId).collection("sessions"),
+    start,
+    end
+  );
+
+  let caloriesBurned = 0;
+  let activityMinutes = 0;
+  let activitiesCount = 0;
+
+  snapshot.forEach((doc) => {
+    const data = doc.data();
+    if (isDeleted(data)) {
+      return;
+    }
+
+    caloriesBurned += Number(data.caloriesBurned) || 0;
+    activityMinutes += Number(data.duration) || 0;
+    activitiesCount++;
+  });
+
+  return {
+    caloriesBurned: Math.round(caloriesBurned),
+    activityMinutes: Math.round(activityMinutes),
+    activitiesCount,
+  };
+}
+
+/*
+ * Water drunk between start and end.
+ * Returns { waterMl, entriesCount }
+ */
+async function sumWaterInRange(admin, db, userId, start, end) {
+  const snapshot = await queryRange(
+    admin,
+    db.collection("hydration").doc(userId).collection("entries"),
+    start,
+    end
+  );
+
+  let waterMl = 0;
+  let entriesCount = 0;
+
+  snapshot.forEach((doc) => {
+    const data = doc.data();
+    if (isDeleted(data)) {
+      return;
+    }
+
+    waterMl += Number(data.amountMl) || 0;
+    entriesCount++;
+  });
+
+  return { waterMl: Math.round(waterMl), entriesCount };
+}
+
+module.exports = {
+  sumMealsInRange,
+  sumActivityCaloriesInRange,
+  sumWaterInRange,
+};
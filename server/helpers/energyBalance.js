@@ -0,0 +1,184 @@
+/*
+ * ============================================================================
+ * HELPER: Energy Balance
+ * ============================================================================
+ *
+ * PURPOSE:
+ * Calories in vs. calories out for a day or a range of days:
+ *
+ *   intake      = meals eaten (nutrition/{uid}/meals)
+ *   expenditure = estimated TDEE (profile) + caloriesBurned in activity
+ *                 sessions (activities/{uid}/sessions)
+ *   balance     = intake - expenditure
+ *                 negative → deficit (losing), positive → surplus (gaining)
+ *
+ * Days are calendar days in the USER's timezone (helpers/timezone.js).
+ * For today the full day's TDEE is counted, so the balance reads as
+ * "where you'll end up if you stop eating now".
+ *
+ * USED BY:
+ * - tools/getEnergyBalance.js
+ * - tools/logMeal.js and tools/activity/logActivity.js (balance after logging)
+ *
+ * ============================================================================
+ */
+
+const { getDayRange, toLocalDateString } = require("./timezone");
+const { estimateTdee } = require("./nutritionTargets");
+const {
+  sumMealsInRange,
+  sumActivityCaloriesInRange,
+} = require("./dayTotals");
+
+// One query pair per day, so keep ranges reasonable
+const MAX_RANGE_DAYS = 31;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Every "YYYY-MM-DD" from startDate to endDate (inclusive)
+function listDates(startDate, endDate) {
+  const dates = [];
+  for (
+    let time = Date.parse(`${startDate}T00:00:00Z`);
+    time <= Date.parse(`${endDate}T00:00:00Z`);
+    time += DAY_MS
+  ) {
+    dates.push(new Date(time).toISOString().split("T")[0]);
+  }
+  return dates;
+}
+
+const describeBalance = (balance) =>
+  balance < 0 ? "deficit" : balance > 0 ? "surplus" : "balanced";
+
+/*
+ * Energy balance for startDate..endDate (YYYY-MM-DD, user's local dates).
+ * Both default to today.
+ *
+ * RETURNS:
+ * {
+ *   success: true, startDate, endDate, days, tdee,
+ *   intake, activityCalories, expenditure, netBalance, status,
+ *   averageDailyBalance,
+ *   daily: [{ date, intake, activityCalories, expenditure, balance, status }]
+ * }
+ * or { success: false, message } for a bad range
+ */
+async function getEnergyBalance(
+  admin,
+  db,
+  { userId, timezone, profile },
+  { startDate, endDate } = {}
+) {
+  const today = toLocalDateString(new Date(), timezone);
+  startDate = startDate || endDate || today;
+  endDate = endDate || startDate;
+
+  if (startDate > endDate) {
+    return {
+      success: false,
+      message: "startDate must be on or before endDate.",
+    };
+  }
+
+  const dates = listDates(startDate, endDate);
+  if (dates.length > MAX_RANGE_DAYS) {
+    return {
+      success: false,
+      message: `Date range too long - pick ${MAX_RANGE_DAYS} days or fewer.`,
+    };
+  }
+
+  const { tdee } = estimateTdee(profile);
+
+  const daily = await Promise.all(
+    dates.map(async (date) => {
+      const { start, end } = getDayRange(date, timezone);
+      const [eaten, burned] = await Promise.all([
+        sumMealsInRange(admin, db, userId, start, end),
+        sumActivityCaloriesInRange(admin, db, userId, start, end),
+      ]);
+
+      const expenditure = tdee + burned.caloriesBurned;
+      const balance = eaten.calories - expenditure;
+
+      return {
+        date,
+        intake: eaten.calories,
+        activityCalories: burned.caloriesBurned,
+        expenditure,
+        balance,
+        status: describeBalance(balance),
+      };
+    })
+  );
+
+  const sum = (field) => daily.reduce((total, day) => total + day[field], 0);
+  const netBalance = sum("balance");
+
+  return {
+    success: true,
+    startDate,
+    endDate,
+    days: dates.length,
+    tdee,
+    intake: sum("intake"),
+    activityCalories: sum("activityCalories"),
+    expenditure: sum("expenditure"),
+    netBalance,
+    status: describeBalance(netBalance),
+    averageDailyBalance: Math.round(netBalance / dates.length),
+    daily,
+  };
+}
+
+/*
+ * Short text for confirmations, e.g.
+ * "2025-11-05: 1,850 in / 2,700 out → 850 cal deficit"
+ */
+function formatEnergyBalance(balance) {
+  const label =
+    balance.days === 1 && balance.startDate === balance.endDate
+      ? balance.startDate
+      : `${balance.startDate} to ${balance.endDate}`;
+  const amount = Math.abs(balance.netBalance).toLocaleString("en-US");
+
+  return `${label}: ${balance.intake.toLocaleString(
+    "en-US"
+  )} in / ${balance.expenditure.toLocaleString("en-US")} out → ${
+    balance.status === "balanced" ? "balanced" : `${amount} cal ${balance.status}`
+  }`;
+}
+
+/*
+ * The day's updated balance, for logMeal/logActivity to return right after
+ * saving. Never throws - the log already succeeded, so a failed balance
+ * lookup just means no balance in the confirmation (returns null).
+ */
+async function getBalanceAfterLog(admin, db, context, loggedAt) {
+  try {
+    const date = toLocalDateString(loggedAt, context.timezone);
+    const balance = await getEnergyBalance(admin, db, context, {
+      startDate: date,
+    });
+
+    return {
+      date,
+      intake: balance.intake,
+      expenditure: balance.expenditure,
+      netBalance: balance.netBalance,
+      status: balance.status,
+      summary: formatEnergyBalance(balance),
+    };
+  } catch (error) {
+    console.warn("⚠️ Could not compute energy balance:", error.message);
+    return null;
+  }
+}
+
+module.exports = {
+  MAX_RANGE_DAYS,
+  getEnergyBalance,
+  formatEnergyBalance,
+  getBalanceAfterLog,
+};
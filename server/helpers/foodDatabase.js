@@ -0,0 +1,212 @@
+/*
+ * ============================================================================
+ * HELPER: Food Database
+ * ============================================================================
+ *
+ * PURPOSE:
+ * Look up foods in the bundled nutrition database (data/foods.json) so the
+ * same "2 eggs" always logs the same numbers, instead of whatever the model
+ * remembers that day.
+ *
+ * DATA FORMAT (data/foods.json):
+ * {
+ *   id: "egg-whole-boiled",          // Stable - saved on logged foods as foodId
+ *   name: "Egg, whole, hard-boiled",
+ *   category: "eggs",
+ *   aliases: ["egg", "eggs", "boiled egg"],
+ *   per100g: { calories, protein, carbs, fats, fiber },
+ *   servings: [{ label: "1 large egg", grams: 50 }]
+ * }
+ *
+ * USED BY:
+ * - tools/lookupFood.js (Ava checks here before logging)
+ * - routes/foods.js (GET /api/foods/search for the app)
+ * - tools/logMeal.js, tools/analyzeAndUpdateMeal.js (tagFoodSources)
+ * - helpers/quantityParser.js (density/piece weights from serving labels)
+ *
+ * Packaged products (barcodes) live in a separate table - see
+ * helpers/productDatabase.js.
+ *
+ * ============================================================================
+ */
+
+const database = require("../data/foods.json");
+const { getProductByBarcode } = require("./productDatabase");
+
+// Round to 1 decimal place so 12.300000000001g shows up as 12.3g
+const round = (value) => Math.round(value * 10) / 10;
+
+// "Scrambled Eggs!" → "scrambled eggs"
+const normalize = (text) =>
+  String(text || "")
+    .toLowerCase()
+    .replace(/[^a-z0-9%\s-]/g, " ")
+    .replace(/\s+/g, " ")
+    .trim();
+
+// "eggs" → "egg", "berries" → "berry" (good enough for matching)
+const singular = (word) =>
+  word.endsWith("ies")
+    ? `${word.slice(0, -3)}y`
+    : word.endsWith("s") && !word.endsWith("ss")
+    ? word.slice(0, -1)
+    : word;
+
+const tokenize = (text) =>
+  normalize(text).split(" ").filter(Boolean).map(singular);
+
+const foodsById = new Map(database.foods.map((food) => [food.id, food]));
+
+function getFoodById(foodId) {
+  return foodsById.get(foodId) || null;
+}
+
+/*
+ * How well a food matches the search text (0 = no match).
+ * - Name or alias is exactly the query → 100
+ * - An alias appears as a whole phrase in the query ("2 scrambled eggs") → 80
+ *   plus 1 per word of that alias, so "scrambled eggs" beats "eggs"
+ * - Otherwise the share of query words found in the name/aliases → up to 50
+ */
+function scoreFood(food, query) {
+  const normalizedQuery = normalize(query);
+  const phrases = [food.name, ...food.aliases].map(normalize);
+
+  if (phrases.includes(normalizedQuery)) {
+    return 100;
+  }
+  const aliasWordsInQuery = food.aliases
+    .map(normalize)
+    .filter((alias) => ` ${normalizedQuery} `.includes(` ${alias} `))
+    .map((alias) => alias.split(" ").length);
+  if (aliasWordsInQuery.length > 0) {
+    return 80 + Math.max(...aliasWordsInQuery);
+  }
+
+  const queryTokens = tokenize(query);
+  if (queryTokens.length === 0) {
+    return 0;
+  }
+  const foodTokens = new Set(phrases.flatMap(tokenize));
+  const matched = queryTokens.filter((token) => foodTokens.has(token));
+  return Math.round((matched.length / queryTokens.length) * 50);
+}
+
+/*
+ * Best matches for a search text, best first.
+ * Returns the raw database entries.
+ */
+function searchFoods(query, limit = 5) {
+  return database.foods
+    .map((food) => ({ food, score: scoreFood(food, query) }))
+    .filter(({ score }) => score > 0)
+    .sort((a, b) => b.score - a.score)
+    .slice(0, limit)
+    .map(({ food }) => food);
+}
+
+/*
+ * The database entry a food name clearly refers to: the name or one of its
+ * aliases appears in it ("grilled chicken breast" → chicken breast).
+ * Returns null for weaker, word-overlap-only matches.
+ */
+function findFoodByName(name) {
+  const best = database.foods
+    .map((food) => ({ food, score: scoreFood(food, name) }))
+    .sort((a, b) => b.score - a.score)[0];
+
+  return best && best.score >= 80 ? best.food : null;
+}
+
+/*
+ * Nutrition for an amount of a food.
+ * - grams: Exact weight, OR
+ * - serving: A serving label ("1 large egg") - defaults to the first serving
+ * - servings: How many of that serving (default 1)
+ *
+ * Returns { grams, quantity, calories, protein, carbs, fats, fiber }
+ * or null if the serving label doesn't exist.
+ */
+function calculateFoodNutrition(food, { grams, serving, servings = 1 } = {}) {
+  let quantity;
+  if (grams === undefined) {
+    const match = serving
+      ? food.servings.find(
+          (option) => normalize(option.label) === normalize(serving)
+        )
+      : food.servings[0];
+    if (!match) {
+      return null;
+    }
+    grams = match.grams * servings;
+    quantity = servings === 1 ? match.label : `${servings} × ${match.label}`;
+  } else {
+    quantity = `${round(grams)}g`;
+  }
+
+  const factor = grams / 100;
+  const { per100g } = food;
+
+  return {
+    grams: round(grams),
+    quantity,
+    calories: Math.round(per100g.calories * factor),
+    protein: round(per100g.protein * factor),
+    carbs: round(per100g.carbs * factor),
+    fats: round(per100g.fats * factor),
+    fiber: round(per100g.fiber * factor),
+  };
+}
+
+/*
+ * A database entry as returned to the AI / app: the per-100g values plus
+ * the nutrition of every serving, so nobody has to do the math.
+ */
+function toFoodResult(food) {
+  return {
+    foodId: food.id,
+    name: food.name,
+    category: food.category,
+    per100g: food.per100g,
+    servings: food.servings.map((option) => ({
+      label: option.label,
+      ...calculateFoodNutrition(food, { serving: option.label }),
+    })),
+  };
+}
+
+/*
+ * Record where every logged food's numbers came from:
+ * - foodId of a database entry → source "database"
+ * - foodId that is a scanned product's barcode → source "barcode"
+ * - recipeId (servings of a user recipe - tools/logRecipe.js) → source "recipe"
+ * - anything else → source "estimate" (and an unknown foodId is dropped)
+ */
+function tagFoodSources(foods) {
+  return foods.map((food) => {
+    if (food.foodId && getFoodById(food.foodId)) {
+      return { ...food, source: "database" };
+    }
+    if (food.foodId && getProductByBarcode(food.foodId)) {
+      return { ...food, source: "barcode" };
+    }
+    // Servings of one of the user's recipes (macros copied from the recipe)
+    if (food.recipeId && !food.foodId) {
+      return { ...food, source: "recipe" };
+    }
+    const { foodId, ...rest } = food;
+    if (foodId) {
+      console.warn(`⚠️ Unknown foodId "${foodId}" - saving as an estimate`);
+    }
+    return { ...rest, source: "estimate" };
+  });
+}
+
+module.exports = {
+  getFoodById,
+  searchFoods,
+  findFoodByName,
+  calculateFoodNutrition,
+  toFoodResult,
+  tagFoodSources,
+};
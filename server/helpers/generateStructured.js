@@ -0,0 +1,75 @@
+/*
+ * ================================================================================
+ * HELPER FUNCTION: generateStructured
+ * ================================================================================
+ *
+ * PURPOSE:
+ * Ask the AI for an object that matches a zod schema - instead of asking for
+ * JSON inside a ```json fence and hoping the text parses.
+ *
+ * WHY THIS IS NEEDED:
+ * identifyMealFromContext and analyzeAndUpdateMeal used to regex the JSON out
+ * of the model's text and JSON.parse it. Any formatting drift (missing fence,
+ * trailing comment, a "Here's the update:" preamble) made the update fail
+ * with "Please try rephrasing". generateObject enforces the schema instead.
+ *
+ * RETRY:
+ * If the object still fails validation, we retry ONCE and tell the model
+ * exactly what was wrong (the validation error message), so it can fix it.
+ *
+ * PARAMETERS:
+ * - schema: zod schema the object must match
+ * - prompt: The user prompt
+ * - temperature: Optional sampling temperature
+ * - label: Name used in logs (e.g., "meal update")
+ *
+ * RETURNS:
+ * The validated object. Throws if both attempts fail.
+ *
+ * ================================================================================
+ */
+
+const { generateObject, NoObjectGeneratedError } = require("ai");
+const { getChatModel } = require("./models");
+
+const MAX_ATTEMPTS = 2;
+
+async function generateStructured({ schema, prompt, temperature, label }) {
+  const messages = [{ role: "user", content: prompt }];
+
+  for (let attempt = 1; attempt <= MAX_ATTEMPTS; attempt++) {
+    try {
+      const result = await generateObject({
+        model: getChatModel(),
+        schema,
+        messages,
+        temperature,
+      });
+
+      console.log(`✅ Structured ${label} generated (attempt ${attempt})`);
+      return result.object;
+    } catch (error) {
+      // Only validation/parse failures are worth retrying - rethrow API errors
+      if (!NoObjectGeneratedError.isInstance(error) || attempt === MAX_ATTEMPTS) {
+        throw error;
+      }
+
+      const reason = error.cause?.message || error.message;
+      console.warn(
+        `⚠️ Structured ${label} failed validation - retrying once:`,
+        reason
+      );
+
+      // Feed the bad output and the validation error back to the model
+      if (error.text) {
+        messages.push({ role: "assistant", content: error.text });
+      }
+      messages.push({
+        role: "user",
+        content: `Your previous response did not match the required schema:\n${reason}\n\nReturn a corrected object that matches the schema exactly.`,
+      });
+    }
+  }
+}
+
+module.exports = generateStructured;
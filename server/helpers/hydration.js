@@ -0,0 +1,176 @@
+/*
+ * ============================================================================
+ * HELPER: Hydration
+ * ============================================================================
+ *
+ * PURPOSE:
+ * Water the user drinks, and how much they should drink today.
+ *
+ * FIRESTORE PATH:
+ * hydration/{userId}/entries/{entryId}
+ * {
+ *   amount: 8,                 ← what the user said
+ *   unit: "oz",                ← "ml" | "l" | "oz" (fluid ounces) | "cup"
+ *   amountMl: 237,             ← normalized, used for every total
+ *   timestamp: Timestamp,      ← when they drank it
+ *   loggedVia: "chat" | "app",
+ *   createdAt
+ * }
+ *
+ * DAILY TARGET (calculateHydrationTarget):
+ * - Base: 35 ml per kg of body weight (profile weight, or the 170 lbs
+ *   default - see helpers/nutritionTargets.js)
+ * - Activity: + 12 ml per minute of logged activity that day
+ *   (~350 ml per 30 minutes)
+ * - Rounded to the nearest 50 ml, kept between 1500 and 6000 ml
+ *
+ * Amounts are shown in oz for users whose profile weight is in lbs,
+ * otherwise in ml (formatWater).
+ *
+ * USED BY:
+ * tools/logWater.js, tools/getDailySummary.js, routes/hydration.js
+ *
+ * ============================================================================
+ */
+
+const { getBodyStats } = require("./nutritionTargets");
+const { getDayRange, toLocalDateString } = require("./timezone");
+const {
+  sumActivityCaloriesInRange,
+  sumWaterInRange,
+} = require("./dayTotals");
+
+const ML_PER_UNIT = {
+  ml: 1,
+  l: 1000,
+  oz: 29.57, // US fluid ounce
+  cup: 236.6,
+};
+const WATER_UNITS = Object.keys(ML_PER_UNIT);
+
+// One entry over this is almost certainly a typo (3 liters at once)
+const MAX_ENTRY_ML = 3000;
+
+const BASE_ML_PER_KG = 35;
+const ACTIVITY_ML_PER_MINUTE = 12;
+const MIN_TARGET_ML = 1500;
+const MAX_TARGET_ML = 6000;
+
+const getHydrationRef = (db, userId) =>
+  db.collection("hydration").doc(userId).collection("entries");
+
+const toMl = (amount, unit) => Math.round(amount * ML_PER_UNIT[unit]);
+
+/*
+ * Daily water target for a profile and the day's activity minutes.
+ * Returns { targetMl, baseMl, activityMl, activityMinutes }
+ */
+function calculateHydrationTarget(profile, activityMinutes = 0) {
+  const { kg } = getBodyStats(profile);
+  const baseMl = kg * BASE_ML_PER_KG;
+  const activityMl = Math.max(activityMinutes, 0) * ACTIVITY_ML_PER_MINUTE;
+
+  const targetMl = Math.min(
+    Math.max(Math.round((baseMl + activityMl) / 50) * 50, MIN_TARGET_ML),
+    MAX_TARGET_ML
+  );
+
+  return {
+    targetMl,
+    baseMl: Math.round(baseMl),
+    activityMl: Math.round(activityMl),
+    activityMinutes,
+  };
+}
+
+// Same default as the profile's weight unit (lbs)
+const usesOunces = (profile) => (profile?.weightUnit || "lbs") === "lbs";
+
+// ml → the number shown to the user (oz or ml), as text
+const toDisplayAmount = (ml, profile) =>
+  Math.round(usesOunces(profile) ? ml / ML_PER_UNIT.oz : ml).toLocaleString(
+    "en-US"
+  );
+
+// "1,250 ml" or "42 oz" depending on the units the user thinks in
+const formatWater = (ml, profile) =>
+  `${toDisplayAmount(ml, profile)} ${usesOunces(profile) ? "oz" : "ml"}`;
+
+/*
+ * A day's water vs. target, from sums the caller already has
+ * (dayTotals.js sumWaterInRange + the day's activity minutes).
+ *
+ * RETURNS:
+ * { date, totalMl, targetMl, remainingMl, progress, entriesCount,
+ *   activityMinutes, summary: "40 / 85 oz" }
+ */
+function describeHydration(date, water, activityMinutes, profile) {
+  const { targetMl } = calculateHydrationTarget(profile, activityMinutes);
+
+  return {
+    date,
+    totalMl: water.waterMl,
+    targetMl,
+    remainingMl: Math.max(targetMl - water.waterMl, 0),
+    progress: Math.min(water.waterMl / targetMl, 1),
+    entriesCount: water.entriesCount,
+    activityMinutes,
+    summary: `${toDisplayAmount(water.waterMl, profile)} / ${formatWater(targetMl, profile)}`,
+  };
+}
+
+/*
+ * Water drunk vs. target for one day (YYYY-MM-DD in the user's timezone,
+ * defaults to today). context = { userId, timezone, profile }
+ */
+async function getHydrationForDay(admin, db, context, date) {
+  const { userId, timezone, profile } = context;
+  date = date || toLocalDateString(new Date(), timezone);
+  const { start, end } = getDayRange(date, timezone);
+
+  const [water, activity] = await Promise.all([
+    sumWaterInRange(admin, db, userId, start, end),
+    sumActivityCaloriesInRange(admin, db, userId, start, end),
+  ]);
+
+  return describeHydration(date, water, activity.activityMinutes, profile);
+}
+
+/*
+ * Save one water entry. Returns { entryId, amountMl }.
+ * Throws on an unknown unit or an amount outside (0, MAX_ENTRY_ML].
+ */
+async function addWaterEntry(admin, db, userId, { amount, unit, date, loggedVia }) {
+  if (!ML_PER_UNIT[unit]) {
+    throw new Error(`Unknown unit "${unit}" - use ${WATER_UNITS.join(", ")}`);
+  }
+  const amountMl = toMl(amount, unit);
+  if (!(amountMl > 0) || amountMl > MAX_ENTRY_ML) {
+    throw new Error(
+      `Amount must be more than 0 and at most ${MAX_ENTRY_ML} ml per entry`
+    );
+  }
+
+  const docRef = await getHydrationRef(db, userId).add({
+    amount,
+    unit,
+    amountMl,
+    timestamp: admin.firestore.Timestamp.fromDate(date || new Date()),
+    loggedVia,
+    createdAt: admin.firestore.FieldValue.serverTimestamp(),
+  });
+
+  return { entryId: docRef.id, amountMl };
+}
+
+module.exports = {
+  WATER_UNITS,
+  MAX_ENTRY_ML,
+  getHydrationRef,
+  toMl,
+  calculateHydrationTarget,
+  formatWater,
+  describeHydration,
+  getHydrationForDay,
+  addWaterEntry,
+};
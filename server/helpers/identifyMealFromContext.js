@@ -0,0 +1,194 @@
+/*
+ * ================================================================================
+ * HELPER FUNCTION: identifyMealFromContext
+ * ================================================================================
+ *
+ * PURPOSE:
+ * After findRecentMeals returns meals, we need a SECOND AI analysis to identify
+ * which specific meal the user is referring to based on conversation context.
+ *
+ * WHY THIS IS NEEDED:
+ * The primary AI call with tool execution generates EMPTY TEXT after calling
+ * findRecentMeals. This is a workflow design issue - we're asking one AI call
+ * to do too much:
+ * 1. Call findRecentMeals
+ * 2. Analyze which meal user means
+ * 3. Generate response describing the meal
+ * 4. Ask for confirmation
+ *
+ * This helper splits that into TWO separate AI calls:
+ * - First call: findRecentMeals (tool calling)
+ * - Second call: identifyMealFromContext (analysis only, no tools)
+ *
+ * PARAMETERS:
+ * - meals: Array of meals from findRecentMeals
+ * - conversationHistory: Recent messages for context
+ * - userIntent: The user's latest message that triggered the update
+ * - filters: Optional filters findRecentMeals applied (startDate, containsFood, ...)
+ *   so the analysis knows the list was already narrowed
+ *
+ * RETURNS:
+ * {
+ *   mealId: string,           // The Firestore document ID
+ *   mealType: string,         // breakfast/lunch/dinner/snack
+ *   confidence: string,       // high/medium/low
+ *   reasoning: string,        // Why AI chose this meal
+ *   suggestedResponse: string // Response to send to user
+ * }
+ *
+ * EXAMPLE:
+ * User: "Actually that was lunch not breakfast"
+ * conversationHistory: [
+ *   {role: "user", content: "I had 2 sunny side eggs"},
+ *   {role: "assistant", content: "Logged breakfast..."},
+ *   {role: "user", content: "Actually that was lunch not breakfast"}
+ * ]
+ * meals: [{id: "abc123", mealType: "breakfast", foods: [{name: "Sunny Side Eggs", ...}], ...}]
+ *
+ * Returns: {
+ *   mealId: "abc123",
+ *   mealType: "breakfast",
+ *   confidence: "high",
+ *   reasoning: "User logged eggs breakfast 2 minutes ago, now saying 'that was lunch'",
+ *   suggestedResponse: "I found your breakfast from 9:00 AM with 2 sunny side eggs..."
+ * }
+ *
+ * ================================================================================
+ */
+
+const { z } = require("zod");
+const { mealTypeSchema } = require("../schemas/food");
+const generateStructured = require("./generateStructured");
+const {
+  DEFAULT_TIMEZONE,
+  formatLocalTime,
+  formatLocalDateTime,
+} = require("./timezone");
+
+/*
+ * What the identification AI call must return.
+ * Built per call so mealId can only be one of the IDs we actually showed it.
+ */
+const buildIdentificationSchema = (mealIds) =>
+  z.object({
+    mealId: z.enum(mealIds).describe("The Firestore document ID of the meal"),
+    mealType: mealTypeSchema,
+    confidence: z.enum(["high", "medium", "low"]),
+    reasoning: z
+      .string()
+      .describe("1-2 sentences explaining why you chose this meal"),
+    suggestedResponse: z
+      .string()
+      .describe(
+        "What to say to user - describe the meal and ask what changes they want"
+      ),
+  });
+
+async function identifyMealFromContext(
+  meals,
+  conversationHistory,
+  userIntent,
+  filters = {},
+  timezone = DEFAULT_TIMEZONE // Meal times are shown in the user's timezone
+) {
+  console.log("🔍 Starting meal identification analysis...");
+  console.log(
+    `📊 Analyzing ${meals.length} meals against user intent: "${userIntent}"`
+  );
+
+  // If no meals found, return null
+  if (!meals || meals.length === 0) {
+    console.log("⚠️ No meals to analyze");
+    return null;
+  }
+
+  // If only one meal, high confidence it's that one
+  if (meals.length === 1) {
+    console.log("✅ Only one meal found - high confidence match");
+    const meal = meals[0];
+    const foodNames = meal.foods.map((f) => f.name).join(", ");
+    const timeStr = formatLocalTime(new Date(meal.timestamp), timezone);
+
+    return {
+      mealId: meal.id,
+      mealType: meal.mealType,
+      confidence: "high",
+      reasoning: "Only one recent meal found",
+      suggestedResponse: `I found your ${meal.mealType} from ${timeStr} with ${foodNames} (${meal.totalCalories} cal, ${meal.totalProtein}g protein, ${meal.totalCarbs}g carbs, ${meal.totalFats}g fat). What changes would you like me to make?`,
+    };
+  }
+
+  // Multiple meals - need AI to analyze context
+  console.log(
+    "🤖 Multiple meals found - using AI to identify which one"
+  );
+
+  // Build the analysis prompt
+  const analysisPrompt = `You are a meal identification assistant. Your job is to identify which specific meal the user is referring to based on conversation context.
+
+CONVERSATION HISTORY:
+${conversationHistory
+  .map((msg) => `${msg.role}: ${msg.content}`)
+  .join("\n")}
+
+USER'S CURRENT REQUEST:
+"${userIntent}"
+
+${
+  Object.keys(filters).length > 0
+    ? `SEARCH FILTERS ALREADY APPLIED (every meal below matches these):
+${JSON.stringify(filters)}
+
+`
+    : ""
+}AVAILABLE MEALS (most recently eaten first):
+${meals
+  .map((meal, idx) => {
+    const foodNames = meal.foods.map((f) => f.name).join(", ");
+    const timeStr = formatLocalDateTime(new Date(meal.timestamp), timezone);
+    return `${idx + 1}. [ID: ${meal.id}]
+   - Type: ${meal.mealType}
+   - Time: ${timeStr}
+   - Foods: ${foodNames}
+   - Calories: ${meal.totalCalories}
+   - Macros: ${meal.totalProtein}g protein, ${
+      meal.totalCarbs
+    }g carbs, ${meal.totalFats}g fat`;
+  })
+  .join("\n\n")}
+
+TASK:
+Analyze the conversation and identify which meal the user is referring to. Consider:
+1. Temporal context ("that", "my breakfast", "what I just logged")
+2. Food mentions in conversation
+3. Meal type mentions
+4. Recency (users usually refer to most recent meal when saying "that")
+
+IMPORTANT:
+- Use ONLY the meal IDs provided above (like "abc123", not placeholders)
+- If confidence is low, suggestedResponse should ask for clarification
+- Include full meal details in suggestedResponse (time, foods, macros)`;
+
+  try {
+    // Make the AI call - the result is validated against the schema
+    // (and retried once with the validation error if it doesn't match)
+    const identification = await generateStructured({
+      schema: buildIdentificationSchema(meals.map((meal) => meal.id)),
+      prompt: analysisPrompt,
+      temperature: 0.2, // Low temperature for more consistent analysis
+      label: "meal identification",
+    });
+
+    console.log("✅ AI meal identification complete");
+    console.log("📊 Identified meal:", identification.mealId);
+    console.log("📊 Confidence:", identification.confidence);
+    console.log("📊 Reasoning:", identification.reasoning);
+
+    return identification;
+  } catch (error) {
+    console.error("❌ Error in meal identification:", error);
+    return null;
+  }
+}
+
+module.exports = identifyMealFromContext;
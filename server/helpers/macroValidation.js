@@ -0,0 +1,146 @@
+/*
+ * ============================================================================
+ * HELPER: Macro Validation
+ * ============================================================================
+ *
+ * PURPOSE:
+ * Catch foods whose numbers can't be right BEFORE they're saved, e.g.
+ * "300 calories, 10g protein, 5g carbs, 2g fat" (those macros add up to
+ * ~78 calories).
+ *
+ * CHECKS (per food):
+ * - ERRORS (never saved):
+ *   - negative or non-numeric calories/protein/carbs/fats/fiber
+ * - WARNINGS (saved only once Ava has checked them):
+ *   - calories differ from 4×protein + 4×carbs + 9×fats by more than
+ *     CALORIE_TOLERANCE (skipped for database/barcode/recipe foods - those
+ *     numbers don't come from the AI)
+ *   - implausible portion: more than MAX_FOOD_CALORIES or MAX_FOOD_MACRO_GRAMS
+ *     of one macro in a single item
+ *   - more fiber than carbs (fiber is part of carbs)
+ *
+ * Alcohol (7 cal/g) is the common legitimate reason calories exceed the
+ * macros - that's why the mismatch is a warning, not an error.
+ *
+ * RETURNS:
+ * { valid, errors: [message], warnings: [message] }
+ * valid = no errors AND no warnings
+ *
+ * USED BY:
+ * tools/logMeal.js, tools/analyzeAndUpdateMeal.js, and the app through
+ * POST /api/foods/validate (routes/foods.js) - the one copy of these rules
+ *
+ * ============================================================================
+ */
+
+const CALORIES_PER_GRAM = { protein: 4, carbs: 4, fats: 9 };
+
+// Allowed difference between stated and computed calories:
+// 20% of the computed value, but at least 25 cal (rounding on small foods)
+const CALORIE_TOLERANCE = 0.2;
+const CALORIE_TOLERANCE_MIN = 25;
+
+// More than this in ONE food item is almost certainly a mistake
+const MAX_FOOD_CALORIES = 2500;
+const MAX_FOOD_MACRO_GRAMS = 250;
+
+const NUTRIENTS = ["calories", "protein", "carbs", "fats", "fiber"];
+const MACROS = ["protein", "carbs", "fats"];
+
+// Numbers that come from the food database, a label or a recipe - not the AI
+const TRUSTED_SOURCES = ["database", "barcode", "recipe"];
+
+const caloriesFromMacros = (food) =>
+  Math.round(
+    MACROS.reduce(
+      (sum, macro) => sum + (Number(food[macro]) || 0) * CALORIES_PER_GRAM[macro],
+      0
+    )
+  );
+
+// Same name and numbers as a food that was already saved on the meal
+const isUnchanged = (food, previousFoods) =>
+  previousFoods.some(
+    (previous) =>
+      previous.name === food.name &&
+      NUTRIENTS.every((key) => previous[key] === food[key])
+  );
+
+function validateFood(food) {
+  const errors = [];
+  const warnings = [];
+  const label = `"${food.name}"`;
+
+  const invalid = NUTRIENTS.filter(
+    (key) => typeof food[key] !== "number" || !Number.isFinite(food[key]) || food[key] < 0
+  );
+  if (invalid.length > 0) {
+    errors.push(`${label}: ${invalid.join(", ")} must be zero or more`);
+    return { errors, warnings };
+  }
+
+  const computed = caloriesFromMacros(food);
+  const tolerance = Math.max(computed * CALORIE_TOLERANCE, CALORIE_TOLERANCE_MIN);
+  if (
+    !TRUSTED_SOURCES.includes(food.source) &&
+    Math.abs(food.calories - computed) > tolerance
+  ) {
+    warnings.push(
+      `${label}: ${food.calories} cal doesn't match its macros (4×${food.protein}g protein + 4×${food.carbs}g carbs + 9×${food.fats}g fat = ${computed} cal)`
+    );
+  }
+
+  if (food.calories > MAX_FOOD_CALORIES) {
+    warnings.push(
+      `${label}: ${food.calories} cal is a lot for one item - check the quantity ("${food.quantity}")`
+    );
+  }
+
+  const hugeMacros = MACROS.filter((macro) => food[macro] > MAX_FOOD_MACRO_GRAMS);
+  if (hugeMacros.length > 0) {
+    warnings.push(
+      `${label}: over ${MAX_FOOD_MACRO_GRAMS}g of ${hugeMacros.join(", ")} - check the quantity ("${food.quantity}")`
+    );
+  }
+
+  if (food.fiber > food.carbs) {
+    warnings.push(
+      `${label}: ${food.fiber}g fiber is more than its ${food.carbs}g carbs (fiber counts as carbs)`
+    );
+  }
+
+  return { errors, warnings };
+}
+
+/*
+ * Validate every food in a meal.
+ * previousFoods: the meal's foods before an edit - foods that didn't change
+ * aren't flagged again (the user already accepted them).
+ */
+function validateFoods(foods, { previousFoods = [] } = {}) {
+  const errors = [];
+  const warnings = [];
+
+  for (const food of foods) {
+    if (isUnchanged(food, previousFoods)) continue;
+
+    const result = validateFood(food);
+    errors.push(...result.errors);
+    warnings.push(...result.warnings);
+  }
+
+  return {
+    valid: errors.length === 0 && warnings.length === 0,
+    errors,
+    warnings,
+  };
+}
+
+module.exports = {
+  NUTRIENTS,
+  CALORIE_TOLERANCE,
+  MAX_FOOD_CALORIES,
+  MAX_FOOD_MACRO_GRAMS,
+  caloriesFromMacros,
+  validateFoods,
+};
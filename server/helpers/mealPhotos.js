@@ -0,0 +1,121 @@
+/*
+ * ============================================================================
+ * HELPER: Meal Photos (Firebase Storage)
+ * ============================================================================
+ *
+ * PURPOSE:
+ * - Find the thumbnails of photos sent in chat, so meals logged from a chat
+ *   photo get a thumbnail like meals with photos added in the Food tab
+ * - Remove a meal's photos from Firebase Storage when the meal is purged
+ *   (DELETE /api/meals/:id). Deleting a meal only soft-deletes it and keeps
+ *   the photos, so a restored meal comes back with them.
+ *
+ * STORAGE LAYOUT (written by the app - src/services/mealPhotoService.js and
+ * src/services/chatService.js):
+ *   users/{uid}/meals/{mealId}/{photoId}.jpg        ← full photo
+ *   users/{uid}/meals/{mealId}/{photoId}_thumb.jpg  ← thumbnail
+ *   users/{uid}/chat/{photoId}.jpg                  ← photo sent in chat
+ *   users/{uid}/chat/{photoId}_thumb.jpg            ← its thumbnail
+ *
+ * Photos sent in chat are NOT deleted with the meal - they still belong to
+ * the chat message they were sent with.
+ *
+ * SETUP:
+ * Needs FIREBASE_STORAGE_BUCKET (e.g., "ninety-ed5a0.firebasestorage.app").
+ * With FIREBASE_STORAGE_EMULATOR_HOST set (e.g., "127.0.0.1:9199"),
+ * firebase-admin talks to the local Storage emulator instead.
+ *
+ * NON-BLOCKING:
+ * Never throws - a failed lookup or cleanup is logged, and the meal is still
+ * logged / purged.
+ *
+ * ============================================================================
+ */
+
+const { getStoragePath } = require("./chatImages");
+
+// users/{uid}/chat/{photoId}.jpg (not a thumbnail itself)
+const CHAT_PHOTO_PATTERN = /^users\/[^/]+\/chat\/(?!.*_thumb\.jpg$)[^/]+\.jpg$/;
+
+const getMealPhotoPrefix = (userId, mealId) =>
+  `users/${userId}/meals/${mealId}/`;
+
+// Returns the number of files deleted (0 if there were none or it failed)
+async function deleteMealPhotos(admin, userId, mealId) {
+  const prefix = getMealPhotoPrefix(userId, mealId);
+
+  try {
+    const bucket = admin.storage().bucket();
+    const [files] = await bucket.getFiles({ prefix });
+
+    await Promise.all(files.map((file) => file.delete()));
+
+    if (files.length > 0) {
+      console.log(`🗑️ Deleted ${files.length} photo file(s) under ${prefix}`);
+    }
+    return files.length;
+  } catch (error) {
+    console.error("⚠️ Could not delete meal photos (non-blocking):", error.message);
+    return 0;
+  }
+}
+
+const getThumbnailPath = (photoPath) => photoPath.replace(/\.jpg$/, "_thumb.jpg");
+
+/*
+ * Download URL of a chat photo's thumbnail, or null if it has none (photos
+ * sent before the app uploaded thumbnails, or not a chat photo at all).
+ * Same URL as the photo's, with the thumbnail's path and download token.
+ */
+async function findChatPhotoThumbnail(bucket, photoUrl) {
+  const photoPath = getStoragePath(photoUrl);
+  if (!photoPath || !CHAT_PHOTO_PATTERN.test(photoPath)) {
+    return null;
+  }
+
+  const thumbnailPath = getThumbnailPath(photoPath);
+  const file = bucket.file(thumbnailPath);
+  const [exists] = await file.exists();
+  if (!exists) {
+    return null;
+  }
+
+  // The token the app's getDownloadURL() would use
+  const [metadata] = await file.getMetadata();
+  const token = metadata.metadata?.firebaseStorageDownloadTokens?.split(",")[0];
+  if (!token) {
+    return null;
+  }
+
+  const url = new URL(photoUrl);
+  url.pathname = url.pathname.replace(
+    encodeURIComponent(photoPath),
+    encodeURIComponent(thumbnailPath)
+  );
+  url.searchParams.set("token", token);
+  return url.toString();
+}
+
+// Thumbnail URLs for the chat photos that have one (in photo order)
+async function findChatPhotoThumbnails(admin, photoUrls) {
+  if (!photoUrls.some((url) => CHAT_PHOTO_PATTERN.test(getStoragePath(url) || ""))) {
+    return [];
+  }
+
+  try {
+    const bucket = admin.storage().bucket();
+    const thumbnails = await Promise.all(
+      photoUrls.map((url) => findChatPhotoThumbnail(bucket, url))
+    );
+    return thumbnails.filter(Boolean);
+  } catch (error) {
+    console.error("⚠️ Could not look up chat photo thumbnails (non-blocking):", error.message);
+    return [];
+  }
+}
+
+module.exports = {
+  getMealPhotoPrefix,
+  deleteMealPhotos,
+  findChatPhotoThumbnails,
+};
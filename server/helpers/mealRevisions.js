@@ -0,0 +1,280 @@
+/*
+ * ============================================================================
+ * HELPER: Meal Revisions (history + undo)
+ * ============================================================================
+ *
+ * PURPOSE:
+ * Keep every previous version of a meal, so a bad AI edit can be undone.
+ *
+ * WHY THIS IS NEEDED:
+ * analyzeAndUpdateMeal overwrites foods, totals, mealType and notes in place
+ * with whatever the nested AI call produced. Without history, one wrong edit
+ * ("only half" applied twice, a food silently dropped) destroys the original.
+ *
+ * FIRESTORE STRUCTURE:
+ * nutrition/{userId}/meals/{mealId}/revisions/{revisionId}
+ * {
+ *   snapshot: { mealType, foods, totalCalories, ..., notes },  // BEFORE the change
+ *   updateRequest: "add a Coke",        // What the user asked for
+ *   diff: { mealType, notes, foodsAdded, foodsRemoved, foodsChanged, totals },
+ *   source: "update" | "revert",        // What made the change
+ *   undone: true,                       // Set once an undo/revert went back past it
+ *   undoes: ["rev1"],                   // Revert revisions: the updates it undid
+ *   createdAt: Timestamp
+ * }
+ *
+ * UNDO:
+ * "Undo" restores the newest "update" revision that isn't undone yet and
+ * marks it undone - so undoing twice goes back two edits instead of
+ * flipping between the last two versions. The revert itself is saved as a
+ * "revert" revision, which undo skips. Reverting to a "revert" revision by
+ * its ID (via the API) redoes the change and makes its updates undoable
+ * again.
+ *
+ * USED BY:
+ * - tools/analyzeAndUpdateMeal.js (writes a revision on every update)
+ * - tools/undoLastChange.js (undoes the newest update that isn't undone yet)
+ * - routes/meals.js (POST /api/meals/:id/revert restores a chosen revision)
+ *
+ * ============================================================================
+ */
+
+// The parts of a meal document that an update can change (and a revert restores)
+const MEAL_CONTENT_FIELDS = [
+  "mealType",
+  "foods",
+  "totalCalories",
+  "totalProtein",
+  "totalCarbs",
+  "totalFats",
+  "totalFiber",
+  "notes",
+];
+
+const TOTAL_FIELDS = MEAL_CONTENT_FIELDS.filter((field) =>
+  field.startsWith("total")
+);
+
+// Reference to one meal's revisions subcollection
+const revisionsRef = (mealRef) => mealRef.collection("revisions");
+
+/*
+ * Copy only the content fields of a meal (no timestamps, photos, etc.)
+ */
+function snapshotMeal(meal) {
+  return Object.fromEntries(
+    MEAL_CONTENT_FIELDS.map((field) => [field, meal[field] ?? null])
+  );
+}
+
+/*
+ * Describe what changed between two versions of a meal.
+ * Only fields that actually changed are included.
+ */
+function diffMeals(before, after) {
+  const diff = {};
+
+  if (before.mealType !== after.mealType) {
+    diff.mealType = { from: before.mealType, to: after.mealType };
+  }
+
+  if ((before.notes || "") !== (after.notes || "")) {
+    diff.notes = { from: before.notes || "", to: after.notes || "" };
+  }
+
+  // Compare foods by name (case-insensitive)
+  const byName = (foods = []) =>
+    new Map(foods.map((food) => [food.name.toLowerCase(), food]));
+  const beforeFoods = byName(before.foods);
+  const afterFoods = byName(after.foods);
+
+  const foodsAdded = [...afterFoods.keys()]
+    .filter((name) => !beforeFoods.has(name))
+    .map((name) => afterFoods.get(name).name);
+  const foodsRemoved = [...beforeFoods.keys()]
+    .filter((name) => !afterFoods.has(name))
+    .map((name) => beforeFoods.get(name).name);
+  const foodsChanged = [...afterFoods.keys()]
+    .filter((name) => beforeFoods.has(name))
+    .filter(
+      (name) =>
+        JSON.stringify(beforeFoods.get(name)) !==
+        JSON.stringify(afterFoods.get(name))
+    )
+    .map((name) => afterFoods.get(name).name);
+
+  if (foodsAdded.length) diff.foodsAdded = foodsAdded;
+  if (foodsRemoved.length) diff.foodsRemoved = foodsRemoved;
+  if (foodsChanged.length) diff.foodsChanged = foodsChanged;
+
+  const totals = {};
+  TOTAL_FIELDS.forEach((field) => {
+    if ((before[field] || 0) !== (after[field] || 0)) {
+      totals[field] = { from: before[field] || 0, to: after[field] || 0 };
+    }
+  });
+  if (Object.keys(totals).length) diff.totals = totals;
+
+  return diff;
+}
+
+/*
+ * Queue a revision write on a Firestore batch/transaction.
+ * Written in the SAME batch as the meal update, so we never end up with an
+ * updated meal and no revision (or the other way round).
+ */
+function addRevision(
+  admin,
+  writer,
+  mealRef,
+  { before, after, updateRequest, source, undoes = [] }
+) {
+  const revisionRef = revisionsRef(mealRef).doc();
+  writer.set(revisionRef, {
+    snapshot: snapshotMeal(before),
+    updateRequest: updateRequest || "",
+    diff: diffMeals(before, after),
+    source,
+    ...(undoes.length > 0 && { undoes }),
+    createdAt: admin.firestore.FieldValue.serverTimestamp(),
+  });
+  return revisionRef.id;
+}
+
+/*
+ * List a meal's revisions, newest first.
+ */
+async function listMealRevisions(mealRef, limit = 20) {
+  const snapshot = await revisionsRef(mealRef)
+    .orderBy("createdAt", "desc")
+    .limit(limit)
+    .get();
+
+  return snapshot.docs.map((doc) => {
+    const data = doc.data();
+    return {
+      id: doc.id,
+      updateRequest: data.updateRequest,
+      diff: data.diff,
+      source: data.source,
+      undone: Boolean(data.undone),
+      snapshot: data.snapshot,
+      createdAt: data.createdAt?.toDate().toISOString() || null,
+    };
+  });
+}
+
+/*
+ * Restore a meal to one of its revisions.
+ *
+ * - revisionId: Which revision to restore. If omitted, the newest update
+ *   that hasn't been undone yet (= undo the last change).
+ *
+ * The restored revision and every newer update are marked undone, and the
+ * current version is saved as a new "revert" revision first, so a revert
+ * can itself be reverted (which clears those undone marks again).
+ *
+ * RETURNS:
+ * { success: true, revisionId, restoredMeal, diff }
+ * { success: false, message }
+ */
+async function revertMealToRevision(admin, db, userId, mealId, revisionId) {
+  const mealRef = db
+    .collection("nutrition")
+    .doc(userId)
+    .collection("meals")
+    .doc(mealId);
+
+  // All revisions, newest first (outside the transaction - queries in
+  // transactions would lock the whole subcollection)
+  const history = await revisionsRef(mealRef).orderBy("createdAt", "desc").get();
+  const isUndoableUpdate = (doc) =>
+    (doc.data().source || "update") === "update" && !doc.data().undone;
+
+  const targetIndex = revisionId
+    ? history.docs.findIndex((doc) => doc.id === revisionId)
+    : history.docs.findIndex(isUndoableUpdate);
+
+  if (targetIndex === -1) {
+    return revisionId
+      ? { success: false, message: "Revision not found." }
+      : {
+          success: false,
+          message: "This meal has no earlier versions to go back to.",
+        };
+  }
+
+  const revisionRef = history.docs[targetIndex].ref;
+  // Going back to this revision also goes back past every newer update
+  const undoneRefs = history.docs
+    .slice(0, targetIndex + 1)
+    .filter(isUndoableUpdate)
+    .map((doc) => doc.ref);
+  const undoneIds = new Set(undoneRefs.map((ref) => ref.id));
+
+  return db.runTransaction(async (transaction) => {
+    const [mealDoc, revisionDoc] = await Promise.all([
+      transaction.get(mealRef),
+      transaction.get(revisionRef),
+    ]);
+
+    if (!mealDoc.exists || mealDoc.data().deleted) {
+      return { success: false, message: "Meal not found." };
+    }
+    if (!revisionDoc.exists) {
+      return { success: false, message: "Revision not found." };
+    }
+
+    const currentMeal = mealDoc.data();
+    const revision = revisionDoc.data();
+    const restoredMeal = snapshotMeal(revision.snapshot);
+
+    // Save what we're about to overwrite, so the revert can be reverted too
+    addRevision(admin, transaction, mealRef, {
+      before: currentMeal,
+      after: restoredMeal,
+      updateRequest: `Revert to version from before "${revision.updateRequest}"`,
+      source: "revert",
+      undoes: undoneRefs.map((ref) => ref.id),
+    });
+
+    undoneRefs.forEach((ref) =>
+      transaction.update(ref, {
+        undone: true,
+        undoneAt: admin.firestore.FieldValue.serverTimestamp(),
+      })
+    );
+
+    // Restoring a revert revision redoes what it undid
+    (revision.undoes || [])
+      .filter((id) => !undoneIds.has(id))
+      .forEach((id) =>
+        transaction.update(revisionsRef(mealRef).doc(id), {
+          undone: admin.firestore.FieldValue.delete(),
+          undoneAt: admin.firestore.FieldValue.delete(),
+        })
+      );
+
+    transaction.update(mealRef, {
+      ...restoredMeal,
+      updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+    });
+
+    console.log(`⏪ Meal ${mealId} reverted to revision ${revisionRef.id}`);
+
+    return {
+      success: true,
+      revisionId: revisionRef.id,
+      restoredMeal,
+      diff: diffMeals(currentMeal, restoredMeal),
+    };
+  });
+}
+
+module.exports = {
+  snapshotMeal,
+  diffMeals,
+  addRevision,
+  listMealRevisions,
+  revertMealToRevision,
+};
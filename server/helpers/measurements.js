@@ -0,0 +1,330 @@
+/*
+ * ============================================================================
+ * HELPER: Body Measurements
+ * ============================================================================
+ *
+ * PURPOSE:
+ * Weekly tape-measure check-ins (arms, chest, waist, hips, thighs). Arm size
+ * is the program's main muscle-growth signal, so every site is compared
+ * week over week.
+ *
+ * FIRESTORE PATH:
+ * progress/{userId}/measurements/{measurementId}
+ * {
+ *   site: "arm",               ← one of MEASUREMENT_SITES
+ *   value: 15.5,               ← what the user said
+ *   unit: "in",                ← "in" | "cm"
+ *   valueCm: 39.37,            ← normalized, used for every comparison
+ *   date: "2025-11-04",        ← the user's local day
+ *   timestamp: Timestamp,      ← when they measured
+ *   loggedVia: "chat",
+ *   createdAt
+ * }
+ *
+ * WEEK OVER WEEK (getMeasurementHistory):
+ * Weeks start on Monday (user's local dates). Each site keeps its latest
+ * measurement per week, and each week is compared with the site's previous
+ * measured week - so a skipped week shows as a 2-week change, not a gap.
+ * The first week shown is compared with the site's last measurement before
+ * the window, if there is one.
+ *
+ * REMINDER (getMeasurementReminder):
+ * Due when the last measurement is MEASUREMENT_INTERVAL_DAYS or more ago
+ * (or there isn't one yet). The chat endpoint adds it to the system prompt
+ * so Ava brings it up.
+ *
+ * Values are shown in cm for users whose profile height is in cm,
+ * otherwise in inches.
+ *
+ * USED BY:
+ * tools/logMeasurement.js, routes/measurements.js, routes/chat.js (reminder)
+ *
+ * ============================================================================
+ */
+
+const { getDayRange, toLocalDateString } = require("./timezone");
+const { isDeleted } = require("./softDelete");
+
+const MEASUREMENT_SITES = ["arm", "chest", "waist", "hips", "thigh"];
+
+const CM_PER_UNIT = {
+  cm: 1,
+  in: 2.54,
+};
+const MEASUREMENT_UNITS = Object.keys(CM_PER_UNIT);
+
+// Anything outside this is a typo (or the wrong unit)
+const MIN_VALUE_CM = 10;
+const MAX_VALUE_CM = 250;
+
+const MEASUREMENT_INTERVAL_DAYS = 7;
+
+const DEFAULT_HISTORY_WEEKS = 12;
+const MAX_HISTORY_WEEKS = 104;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const getMeasurementsRef = (db, userId) =>
+  db.collection("progress").doc(userId).collection("measurements");
+
+const toCm = (value, unit) => value * CM_PER_UNIT[unit];
+
+// Two decimals - tape measures in inches go by quarters (15.25 in)
+const round = (value) => Math.round(value * 100) / 100;
+
+// Same default as the profile's height unit (inches)
+const getMeasurementUnit = (profile) =>
+  profile?.heightUnit === "cm" ? "cm" : "in";
+
+const daysBetween = (fromDate, toDate) =>
+  Math.round(
+    (Date.parse(`${toDate}T00:00:00Z`) - Date.parse(`${fromDate}T00:00:00Z`)) /
+      DAY_MS
+  );
+
+// "YYYY-MM-DD" → the Monday of its week
+function getWeekStart(dateString) {
+  const time = Date.parse(`${dateString}T00:00:00Z`);
+  const daysSinceMonday = (new Date(time).getUTCDay() + 6) % 7;
+  return new Date(time - daysSinceMonday * DAY_MS).toISOString().split("T")[0];
+}
+
+/*
+ * Week-over-week changes for one site.
+ * entries = [{ date, valueCm }] for that site, oldest first.
+ * baseline = { date, valueCm } | null - the site's last measurement before
+ * entries (outside the window), only used to compare the first week with.
+ * Returns [{ weekStart, date, value, change, weeksApart }] in `unit`,
+ * oldest first - change/weeksApart are null for the first week when
+ * there's no baseline.
+ */
+function calculateWeeklyChanges(entries, unit, baseline = null) {
+  const byWeek = new Map();
+  entries.forEach((entry) => {
+    // Later entries in the same week replace earlier ones
+    byWeek.set(getWeekStart(entry.date), entry);
+  });
+
+  let previous = baseline
+    ? {
+        weekStart: getWeekStart(baseline.date),
+        value: baseline.valueCm / CM_PER_UNIT[unit],
+      }
+    : null;
+  return [...byWeek.entries()].map(([weekStart, { date, valueCm }]) => {
+    const value = valueCm / CM_PER_UNIT[unit];
+    const week = {
+      weekStart,
+      date,
+      value: round(value),
+      change: previous ? round(value - previous.value) : null,
+      weeksApart: previous
+        ? Math.round(daysBetween(previous.weekStart, weekStart) / 7)
+        : null,
+    };
+    previous = { weekStart, value };
+    return week;
+  });
+}
+
+/*
+ * Each site's last measurement before `before` (a Timestamp) - the baseline
+ * for the first week of the history. Returns { [site]: { date, valueCm } }.
+ */
+async function getBaselines(db, userId, before) {
+  const baselines = await Promise.all(
+    MEASUREMENT_SITES.map(async (site) => {
+      const snapshot = await getMeasurementsRef(db, userId)
+        .where("site", "==", site)
+        .where("timestamp", "<", before)
+        .orderBy("timestamp", "desc")
+        .limit(5)
+        .get();
+
+      const last = snapshot.docs
+        .map((doc) => doc.data())
+        .find((data) => !isDeleted(data) && data.valueCm > 0);
+      return [site, last || null];
+    })
+  );
+
+  return Object.fromEntries(baselines);
+}
+
+/*
+ * Measurements for the last `weeks` weeks (ending this week), per site,
+ * in the user's unit. context = { userId, timezone, profile }
+ *
+ * RETURNS:
+ * {
+ *   unit: "in", weeks,
+ *   sites: [{ site, latest: { date, value }, change, weeksApart,
+ *             weekly: [{ weekStart, date, value, change, weeksApart }] }],
+ *   entries: [{ id, date, site, value }],   ← newest first, for the table
+ *   reminder: { due, lastMeasuredDate, daysSince }
+ * }
+ * Sites without measurements are left out.
+ */
+async function getMeasurementHistory(
+  admin,
+  db,
+  context,
+  weeks = DEFAULT_HISTORY_WEEKS
+) {
+  const { userId, timezone, profile } = context;
+  const unit = getMeasurementUnit(profile);
+
+  const today = toLocalDateString(new Date(), timezone);
+  const firstWeek = new Date(
+    Date.parse(`${getWeekStart(today)}T00:00:00Z`) - (weeks - 1) * 7 * DAY_MS
+  )
+    .toISOString()
+    .split("T")[0];
+  const { start } = getDayRange(firstWeek, timezone);
+  const startTimestamp = admin.firestore.Timestamp.fromDate(start);
+
+  const [snapshot, baselines] = await Promise.all([
+    getMeasurementsRef(db, userId)
+      .where("timestamp", ">=", startTimestamp)
+      .get(),
+    getBaselines(db, userId, startTimestamp),
+  ]);
+
+  const entries = snapshot.docs
+    .map((doc) => ({ id: doc.id, ...doc.data() }))
+    .filter((entry) => !isDeleted(entry) && entry.valueCm > 0)
+    .sort((a, b) => a.timestamp.toDate() - b.timestamp.toDate());
+
+  const sites = MEASUREMENT_SITES.map((site) => {
+    const weekly = calculateWeeklyChanges(
+      entries.filter((entry) => entry.site === site),
+      unit,
+      baselines[site]
+    );
+    if (weekly.length === 0) {
+      return null;
+    }
+
+    const last = weekly[weekly.length - 1];
+    return {
+      site,
+      latest: { date: last.date, value: last.value },
+      change: last.change,
+      weeksApart: last.weeksApart,
+      weekly,
+    };
+  }).filter(Boolean);
+
+  return {
+    unit,
+    weeks,
+    sites,
+    entries: entries
+      .map(({ id, date, site, valueCm }) => ({
+        id,
+        date,
+        site,
+        value: round(valueCm / CM_PER_UNIT[unit]),
+      }))
+      .reverse(),
+    reminder: await getMeasurementReminder(admin, db, context),
+  };
+}
+
+/*
+ * Is a weekly measurement check-in due?
+ * Returns { due, lastMeasuredDate, daysSince } (lastMeasuredDate/daysSince
+ * are null if the user has never measured).
+ */
+async function getMeasurementReminder(admin, db, { userId, timezone }) {
+  const snapshot = await getMeasurementsRef(db, userId)
+    .orderBy("timestamp", "desc")
+    .limit(5)
+    .get();
+
+  const last = snapshot.docs
+    .map((doc) => doc.data())
+    .find((data) => !isDeleted(data));
+  if (!last) {
+    return { due: true, lastMeasuredDate: null, daysSince: null };
+  }
+
+  const today = toLocalDateString(new Date(), timezone);
+  const lastMeasuredDate = toLocalDateString(last.timestamp.toDate(), timezone);
+  const daysSince = daysBetween(lastMeasuredDate, today);
+
+  return {
+    due: daysSince >= MEASUREMENT_INTERVAL_DAYS,
+    lastMeasuredDate,
+    daysSince,
+  };
+}
+
+/*
+ * Save measurements taken together (e.g., arm + waist).
+ * measurements = [{ site, value, unit }]
+ * Returns [{ measurementId, site, valueCm }].
+ * Throws (before saving anything) on an unknown site/unit or an
+ * unbelievable value.
+ */
+async function addMeasurements(
+  admin,
+  db,
+  { userId, timezone },
+  { measurements, date, loggedVia }
+) {
+  measurements.forEach(({ site, value, unit }) => {
+    if (!MEASUREMENT_SITES.includes(site)) {
+      throw new Error(
+        `Unknown site "${site}" - use ${MEASUREMENT_SITES.join(", ")}`
+      );
+    }
+    if (!CM_PER_UNIT[unit]) {
+      throw new Error(
+        `Unknown unit "${unit}" - use ${MEASUREMENT_UNITS.join(" or ")}`
+      );
+    }
+    const valueCm = toCm(value, unit);
+    if (!(valueCm >= MIN_VALUE_CM && valueCm <= MAX_VALUE_CM)) {
+      throw new Error(
+        `${site} ${value} ${unit} doesn't look right - measurements must be between ${MIN_VALUE_CM} and ${MAX_VALUE_CM} cm`
+      );
+    }
+  });
+
+  const measuredAt = date || new Date();
+  const timestamp = admin.firestore.Timestamp.fromDate(measuredAt);
+  const localDate = toLocalDateString(measuredAt, timezone);
+  const measurementsRef = getMeasurementsRef(db, userId);
+
+  return Promise.all(
+    measurements.map(async ({ site, value, unit }) => {
+      const valueCm = Math.round(toCm(value, unit) * 10000) / 10000;
+      const docRef = await measurementsRef.add({
+        site,
+        value,
+        unit,
+        valueCm,
+        date: localDate,
+        timestamp,
+        loggedVia,
+        createdAt: admin.firestore.FieldValue.serverTimestamp(),
+      });
+      return { measurementId: docRef.id, site, valueCm };
+    })
+  );
+}
+
+module.exports = {
+  MEASUREMENT_SITES,
+  MEASUREMENT_UNITS,
+  MEASUREMENT_INTERVAL_DAYS,
+  DEFAULT_HISTORY_WEEKS,
+  MAX_HISTORY_WEEKS,
+  getMeasurementsRef,
+  getMeasurementUnit,
+  calculateWeeklyChanges,
+  getMeasurementHistory,
+  getMeasurementReminder,
+  addMeasurements,
+};
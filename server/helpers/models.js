@@ -0,0 +1,61 @@
+/*
+ * ============================================================================
+ * HELPER: AI Models
+ * ============================================================================
+ *
+ * PURPOSE:
+ * One place that decides which language model each part of the server uses,
+ * instead of `anthropic("claude-sonnet-4-5")` being repeated in every file.
+ *
+ * MODELS:
+ * - chat:   The main /api/chat conversation (tool calling)
+ * - vision: /api/chat turns where the user attached a photo
+ *           (must accept image parts - Claude Sonnet 4.5 does)
+ *
+ * Model IDs can be changed with CHAT_MODEL / VISION_MODEL env variables.
+ *
+ * TESTING:
+ * Swap in a stub (createStubModel from test/support/models.js) without
+ * calling the real API:
+ *   setModelOverrides({ vision: createStubModel(() => textResult("...")) });
+ *   ... run the request ...
+ *   resetModelOverrides();
+ * test/chatImages.test.js sends a photo through /api/chat this way.
+ *
+ * ============================================================================
+ */
+
+const { anthropic } = require("@ai-sdk/anthropic");
+
+const DEFAULT_MODEL_ID = "claude-sonnet-4-5";
+
+// Mock models set by tests - empty in production
+let overrides = {};
+
+function getChatModel() {
+  return overrides.chat || anthropic(process.env.CHAT_MODEL || DEFAULT_MODEL_ID);
+}
+
+function getVisionModel() {
+  return (
+    overrides.vision ||
+    anthropic(process.env.VISION_MODEL || process.env.CHAT_MODEL || DEFAULT_MODEL_ID)
+  );
+}
+
+// { chat?, vision? } - any model object the AI SDK accepts
+function setModelOverrides(models) {
+  overrides = { ...overrides, ...models };
+}
+
+function resetModelOverrides() {
+  overrides = {};
+}
+
+module.exports = {
+  DEFAULT_MODEL_ID,
+  getChatModel,
+  getVisionModel,
+  setModelOverrides,
+  resetModelOverrides,
+};
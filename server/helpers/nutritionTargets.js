@@ -0,0 +1,280 @@
+/*
+ * ============================================================================
+ * HELPER: Nutrition Targets
+ * ============================================================================
+ *
+ * PURPOSE:
+ * Work out the user's daily calorie and macro targets from their profile
+ * (users/{uid}), so nothing has to hardcode "2400 calories" any more, and
+ * estimate how many calories they burn in a day (TDEE).
+ *
+ * PROFILE FIELDS USED (all optional):
+ * - weight + weightUnit ("lbs" | "kg"), height + heightUnit ("inches" | "cm")
+ * - age, gender, activityLevel, goalType ("lose weight", "maintain", ...)
+ * - bodyFatPercentage: If known, BMR uses Katch-McArdle instead
+ * - calorieTarget, proteinTarget, carbsTarget, fatsTarget, fiberTarget:
+ *   Saved targets (written by POST /api/profile/targets - see
+ *   routes/profile.js)
+ *
+ * BMR (calories burned at complete rest):
+ * - Mifflin-St Jeor (default):
+ *     Men:   10 × kg + 6.25 × cm - 5 × age + 5
+ *     Women: 10 × kg + 6.25 × cm - 5 × age - 161
+ * - Katch-McArdle (when body fat % is known):
+ *     370 + 21.6 × lean mass (kg)
+ *
+ * TDEE (Total Daily Energy Expenditure):
+ * BMR × an activity multiplier. activityLevel describes everyday life (job,
+ * steps) - logged workouts are added on top from activity sessions, so they
+ * aren't counted twice.
+ * Missing stats use the same defaults as the chat system prompt
+ * (170 lbs, 70 inches, 28 years, male, moderate).
+ *
+ * TARGETS (calculateNutritionTargets):
+ * - Calories: TDEE - 500 to lose, TDEE to maintain, TDEE + 300 to gain,
+ *   never below 1200 (women) / 1500 (men)
+ * - Protein: 2.0 g/kg to lose, 1.6 g/kg to maintain, 1.8 g/kg to gain
+ * - Fats: 25% of calories
+ * - Carbs: whatever calories are left
+ * - Fiber: 14g per 1000 calories
+ *
+ * getDailyTargets() uses saved targets first, then calculated ones, then
+ * the 2400 calorie default (30% protein / 40% carbs / 30% fat).
+ *
+ * ============================================================================
+ */
+
+const DEFAULT_CALORIE_TARGET = 2400;
+
+// Share of calories from each macro, and calories per gram
+const DEFAULT_MACRO_SPLIT = {
+  protein: { share: 0.3, caloriesPerGram: 4 },
+  carbs: { share: 0.4, caloriesPerGram: 4 },
+  fats: { share: 0.3, caloriesPerGram: 9 },
+};
+const FIBER_PER_1000_CALORIES = 14;
+
+const ACTIVITY_MULTIPLIERS = {
+  sedentary: 1.2, // Desk job, little walking
+  light: 1.375,
+  moderate: 1.55,
+  active: 1.725,
+  very_active: 1.9, // Physical job
+};
+
+const DEFAULT_STATS = {
+  weight: 170,
+  weightUnit: "lbs",
+  height: 70,
+  heightUnit: "inches",
+  age: 28,
+  gender: "male",
+  activityLevel: "moderate",
+};
+
+const LBS_PER_KG = 2.20462;
+const CM_PER_INCH = 2.54;
+
+// Calorie change from TDEE for each goal
+const GOAL_CALORIE_ADJUSTMENTS = {
+  lose: -500, // ~1 lb/week
+  maintain: 0,
+  gain: 300, // Lean bulk
+};
+
+// Protein in grams per kg of body weight, for each goal
+const GOAL_PROTEIN_PER_KG = {
+  lose: 2.0, // Higher to keep muscle in a deficit
+  maintain: 1.6,
+  gain: 1.8,
+};
+
+const FAT_SHARE = 0.25;
+
+// Don't recommend eating less than this, whatever the math says
+const MIN_CALORIE_TARGET = { female: 1200, male: 1500 };
+
+// A usable positive number from a profile field, or null
+const positiveNumber = (value) => {
+  const number = Number(value);
+  return Number.isFinite(number) && number > 0 ? number : null;
+};
+
+/*
+ * Daily targets for a profile (or null profile → defaults).
+ * Saved targets win; otherwise they're calculated from body stats; with no
+ * stats at all, 2400 calories split 30/40/30.
+ * Returns { calories, protein, carbs, fats, fiber } (grams rounded)
+ */
+function getDailyTargets(profile) {
+  const calculated = hasBodyStats(profile)
+    ? calculateNutritionTargets(profile)
+    : null;
+
+  const calories =
+    positiveNumber(profile?.calorieTarget) ||
+    calculated?.calorieTarget ||
+    DEFAULT_CALORIE_TARGET;
+
+  // Only reuse calculated macros if they were calculated for THIS calorie target
+  const sameCalories = calculated?.calorieTarget === calories;
+
+  const macroFromCalories = (macro) => {
+    const { share, caloriesPerGram } = DEFAULT_MACRO_SPLIT[macro];
+    return Math.round((calories * share) / caloriesPerGram);
+  };
+
+  return {
+    calories: Math.round(calories),
+    protein:
+      positiveNumber(profile?.proteinTarget) ||
+      (sameCalories && calculated.proteinTarget) ||
+      macroFromCalories("protein"),
+    carbs:
+      positiveNumber(profile?.carbsTarget) ||
+      (sameCalories && calculated.carbsTarget) ||
+      macroFromCalories("carbs"),
+    fats:
+      positiveNumber(profile?.fatsTarget) ||
+      (sameCalories && calculated.fatsTarget) ||
+      macroFromCalories("fats"),
+    fiber:
+      positiveNumber(profile?.fiberTarget) ||
+      Math.round((calories / 1000) * FIBER_PER_1000_CALORIES),
+  };
+}
+
+// Body stats from the profile, converted to kg/cm, with defaults filled in
+function getBodyStats(profile) {
+  const weight = positiveNumber(profile?.weight) || DEFAULT_STATS.weight;
+  const height = positiveNumber(profile?.height) || DEFAULT_STATS.height;
+  const weightUnit = profile?.weightUnit || DEFAULT_STATS.weightUnit;
+  const heightUnit = profile?.heightUnit || DEFAULT_STATS.heightUnit;
+  const gender =
+    String(profile?.gender || DEFAULT_STATS.gender).toLowerCase() === "female"
+      ? "female"
+      : "male";
+
+  // Body fat % only counts if it's a believable number
+  const bodyFat = positiveNumber(profile?.bodyFatPercentage);
+
+  return {
+    kg: weightUnit === "kg" ? weight : weight / LBS_PER_KG,
+    cm: heightUnit === "cm" ? height : height * CM_PER_INCH,
+    age: positiveNumber(profile?.age) || DEFAULT_STATS.age,
+    gender,
+    bodyFatPercentage: bodyFat && bodyFat >= 3 && bodyFat <= 70 ? bodyFat : null,
+  };
+}
+
+/*
+ * Basal Metabolic Rate, calories/day
+ * Returns { bmr, formula: "katch-mcardle" | "mifflin-st-jeor" }
+ */
+function calculateBmr(profile) {
+  const { kg, cm, age, gender, bodyFatPercentage } = getBodyStats(profile);
+
+  if (bodyFatPercentage) {
+    const leanMassKg = kg * (1 - bodyFatPercentage / 100);
+    return {
+      bmr: Math.round(370 + 21.6 * leanMassKg),
+      formula: "katch-mcardle",
+    };
+  }
+
+  const genderOffset = gender === "female" ? -161 : 5;
+  return {
+    bmr: Math.round(10 * kg + 6.25 * cm - 5 * age + genderOffset),
+    formula: "mifflin-st-jeor",
+  };
+}
+
+/*
+ * Estimated calories burned per day WITHOUT logged workouts.
+ * Returns { bmr, bmrFormula, activityLevel, activityMultiplier, tdee }
+ */
+function estimateTdee(profile) {
+  const { bmr, formula } = calculateBmr(profile);
+  const activityLevel = ACTIVITY_MULTIPLIERS[profile?.activityLevel]
+    ? profile.activityLevel
+    : DEFAULT_STATS.activityLevel;
+  const activityMultiplier = ACTIVITY_MULTIPLIERS[activityLevel];
+
+  return {
+    bmr,
+    bmrFormula: formula,
+    activityLevel,
+    activityMultiplier,
+    tdee: Math.round(bmr * activityMultiplier),
+  };
+}
+
+/*
+ * "lose weight", "Lose fat", "cut" → "lose"; "gain muscle", "bulk" → "gain";
+ * anything else → "maintain"
+ */
+function normalizeGoal(goalType) {
+  const goal = String(goalType || "").toLowerCase();
+  if (/lose|cut|fat loss/.test(goal)) return "lose";
+  if (/gain|bulk|build/.test(goal)) return "gain";
+  return "maintain";
+}
+
+/*
+ * Calculate calorie and macro targets from the profile's body stats and goal.
+ *
+ * RETURNS:
+ * {
+ *   goal, bmr, bmrFormula, tdee,
+ *   calorieTarget, proteinTarget, carbsTarget, fatsTarget, fiberTarget
+ * }
+ * Field names match the profile document, so the result can be saved
+ * straight into users/{uid}.
+ */
+function calculateNutritionTargets(profile) {
+  const { kg, gender } = getBodyStats(profile);
+  const { bmr, bmrFormula, tdee } = estimateTdee(profile);
+  const goal = normalizeGoal(profile?.goalType);
+
+  const calorieTarget = Math.max(
+    Math.round(tdee + GOAL_CALORIE_ADJUSTMENTS[goal]),
+    MIN_CALORIE_TARGET[gender]
+  );
+  const proteinTarget = Math.round(kg * GOAL_PROTEIN_PER_KG[goal]);
+  const fatsTarget = Math.round((calorieTarget * FAT_SHARE) / 9);
+  const carbsTarget = Math.max(
+    Math.round((calorieTarget - proteinTarget * 4 - fatsTarget * 9) / 4),
+    0
+  );
+
+  return {
+    goal,
+    bmr,
+    bmrFormula,
+    tdee,
+    calorieTarget,
+    proteinTarget,
+    carbsTarget,
+    fatsTarget,
+    fiberTarget: Math.round(
+      (calorieTarget / 1000) * FIBER_PER_1000_CALORIES
+    ),
+  };
+}
+
+// Enough stats to calculate something better than the 2400 default?
+const hasBodyStats = (profile) =>
+  Boolean(positiveNumber(profile?.weight) && positiveNumber(profile?.height));
+
+module.exports = {
+  DEFAULT_CALORIE_TARGET,
+  ACTIVITY_MULTIPLIERS,
+  LBS_PER_KG,
+  hasBodyStats,
+  getDailyTargets,
+  getBodyStats,
+  calculateBmr,
+  estimateTdee,
+  normalizeGoal,
+  calculateNutritionTargets,
+};
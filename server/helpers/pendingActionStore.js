@@ -0,0 +1,145 @@
+/*
+ * ============================================================================
+ * HELPER: createPendingActionStore
+ * ============================================================================
+ *
+ * PURPOSE:
+ * Keep actions that are waiting for the user's "yes" (update a meal, delete a
+ * meal, ...) on the SERVER, in Firestore, instead of round-tripping them
+ * through the app.
+ *
+ * WHY THIS IS NEEDED:
+ * The app used to hold the whole pendingAction object ({ mealId,
+ * updateRequest, ... }) and send it back on the next turn. A modified client
+ * could forge the mealId or updateRequest and we would execute it blindly.
+ * Now the app only ever sees an opaque ID. The real action lives here, keyed
+ * by user, so one user can't confirm another user's action either.
+ *
+ * FIRESTORE STRUCTURE:
+ * pendingActions/{userId}/actions/{actionId}
+ * {
+ *   type: "updateMeal",              // Must be registered in actions/index.js
+ *   payload: { mealId, ... },        // Whatever that action type needs
+ *   status: "pending" | "executed" | "discarded",
+ *   createdAt: Timestamp,
+ *   expiresAt: Timestamp             // TTL - see below
+ * }
+ *
+ * TTL:
+ * Actions expire PENDING_ACTION_TTL_MS after they are created. We check
+ * expiresAt ourselves on every read, and a Firestore TTL policy on the
+ * `expiresAt` field of the `actions` collection group cleans up old documents.
+ *
+ * ============================================================================
+ */
+
+// 5 minutes, same as the old client-side pendingAction expiry
+const PENDING_ACTION_TTL_MS = 5 * 60 * 1000;
+
+function createPendingActionStore(admin, db) {
+  // Reference to one user's pending actions collection
+  const actionsRef = (userId) =>
+    db.collection("pendingActions").doc(userId).collection("actions");
+
+  // Turn a Firestore document into the object the rest of the server uses
+  const toAction = (doc) => {
+    const data = doc.data();
+    return {
+      id: doc.id,
+      type: data.type,
+      payload: data.payload || {},
+      status: data.status,
+      expiresAt: data.expiresAt?.toDate(),
+    };
+  };
+
+  const isUsable = (action) =>
+    action.status === "pending" &&
+    action.expiresAt &&
+    action.expiresAt.getTime() > Date.now();
+
+  return {
+    /*
+     * Save a new pending action and return its opaque ID.
+     */
+    async create(userId, { type, payload }) {
+      if (!db) {
+        throw new Error("Database unavailable - cannot store pending action");
+      }
+
+      const expiresAt = new Date(Date.now() + PENDING_ACTION_TTL_MS);
+      const docRef = await actionsRef(userId).add({
+        type,
+        payload,
+        status: "pending",
+        createdAt: admin.firestore.FieldValue.serverTimestamp(),
+        expiresAt: admin.firestore.Timestamp.fromDate(expiresAt),
+      });
+
+      console.log(`🔄 Stored pending action ${type}: ${docRef.id}`);
+      return docRef.id;
+    },
+
+    /*
+     * Look up a pending action for this user.
+     * Returns null if it doesn't exist, belongs to someone else (different
+     * path), has expired, or was already executed/discarded.
+     */
+    async get(userId, actionId) {
+      if (!db || !actionId) return null;
+
+      const doc = await actionsRef(userId).doc(actionId).get();
+      if (!doc.exists) {
+        console.log("⚠️ Pending action not found:", actionId);
+        return null;
+      }
+
+      const action = toAction(doc);
+      if (!isUsable(action)) {
+        console.log(`⏰ Pending action ${actionId} is ${action.status} or expired`);
+        return null;
+      }
+
+      return action;
+    },
+
+    /*
+     * Atomically claim a pending action for execution.
+     * Uses a transaction so a double-tapped "yes" can't run it twice.
+     * Returns the action, or null if it was no longer usable.
+     */
+    async consume(userId, actionId) {
+      if (!db || !actionId) return null;
+
+      const docRef = actionsRef(userId).doc(actionId);
+      return db.runTransaction(async (transaction) => {
+        const doc = await transaction.get(docRef);
+        if (!doc.exists) return null;
+
+        const action = toAction(doc);
+        if (!isUsable(action)) return null;
+
+        transaction.update(docRef, {
+          status: "executed",
+          executedAt: admin.firestore.FieldValue.serverTimestamp(),
+        });
+        return action;
+      });
+    },
+
+    /*
+     * Mark a pending action as discarded (user said no).
+     */
+    async discard(userId, actionId) {
+      if (!db || !actionId) return;
+
+      await actionsRef(userId).doc(actionId).update({
+        status: "discarded",
+        discardedAt: admin.firestore.FieldValue.serverTimestamp(),
+      });
+      console.log("🗑️ Discarded pending action:", actionId);
+    },
+  };
+}
+
+module.exports = { createPendingActionStore, PENDING_ACTION_TTL_MS };
@@ -0,0 +1,91 @@
+/*
+ * ============================================================================
+ * HELPER: Product Database (barcodes)
+ * ============================================================================
+ *
+ * PURPOSE:
+ * Look up packaged foods by barcode in the local product table
+ * (data/products.json), which is imported from an Open Food Facts dump by
+ * scripts/importOpenFoodFacts.js.
+ *
+ * DATA FORMAT (data/products.json → products[]):
+ * {
+ *   barcode: "0049000028911",        // EAN-13 (UPC-A gets a leading 0)
+ *   name: "Coca-Cola Classic",
+ *   brand: "Coca-Cola",
+ *   servingSize: "1 can (355 ml)",   // As printed on the label
+ *   servingGrams: 368,               // null if the label doesn't say
+ *   per100g: { calories, protein, carbs, fats, fiber },
+ *   perServing: { calories, protein, carbs, fats, fiber } | null
+ * }
+ *
+ * NOT IMPORTED YET:
+ * The repo ships products.json with an empty products[] (the dump is
+ * several GB). Until the import script has been run, every lookup misses -
+ * isProductDatabaseImported() lets callers say so instead of "not found".
+ *
+ * BARCODES:
+ * Scanners return UPC-A (12 digits) for most US products and EAN-13 for the
+ * rest of the world. A UPC-A is an EAN-13 with a leading 0, so everything is
+ * stored and looked up as 13 digits (EAN-8 and GTIN-14 stay as they are).
+ *
+ * ============================================================================
+ */
+
+const database = require("../data/products.json");
+
+/*
+ * Digits-only barcode in the form the table uses, or null if it can't be a
+ * product barcode (wrong length).
+ */
+function normalizeBarcode(value) {
+  const digits = String(value || "").replace(/\D/g, "");
+  if (digits.length === 12) {
+    return `0${digits}`;
+  }
+  if ([8, 13, 14].includes(digits.length)) {
+    return digits;
+  }
+  return null;
+}
+
+const productsByBarcode = new Map(
+  database.products.map((product) => [product.barcode, product])
+);
+
+if (productsByBarcode.size === 0) {
+  console.warn(
+    "⚠️  data/products.json has no products - barcode lookups will fail until you run scripts/importOpenFoodFacts.js"
+  );
+}
+
+// False until scripts/importOpenFoodFacts.js has filled data/products.json
+const isProductDatabaseImported = () => productsByBarcode.size > 0;
+
+function getProductByBarcode(value) {
+  const barcode = normalizeBarcode(value);
+  return (barcode && productsByBarcode.get(barcode)) || null;
+}
+
+/*
+ * A product as returned to the AI / app. foodId is the barcode, so a logged
+ * food can point back at the product (source "barcode").
+ */
+function toProductResult(product) {
+  return {
+    foodId: product.barcode,
+    barcode: product.barcode,
+    name: product.brand ? `${product.brand} ${product.name}` : product.name,
+    servingSize: product.servingSize,
+    servingGrams: product.servingGrams,
+    per100g: product.per100g,
+    perServing: product.perServing,
+  };
+}
+
+module.exports = {
+  normalizeBarcode,
+  isProductDatabaseImported,
+  getProductByBarcode,
+  toProductResult,
+};
@@ -0,0 +1,118 @@
+/*
+ * ============================================================================
+ * HELPER: Progress Photos
+ * ============================================================================
+ *
+ * PURPOSE:
+ * Tell Ava when the user last took progress photos, and which poses.
+ * The photos themselves are taken and uploaded by the app
+ * (src/services/progressPhotoService.js) - the server only reads them.
+ *
+ * FIRESTORE PATH:
+ * progress/{userId}/photos/{photoId}
+ * {
+ *   pose: "front",             ← "front" | "side" | "back"
+ *   date: "2025-11-04",        ← the user's local day (photos taken
+ *                                together share a date)
+ *   timestamp: Timestamp,
+ *   storagePath, thumbnailPath ← users/{uid}/progressPhotos/{photoId}.jpg
+ *                                and {photoId}_thumb.jpg - private to the
+ *                                user, no public URLs are stored
+ *   createdAt
+ * }
+ *
+ * Photos are monthly: a new set is due PHOTO_INTERVAL_DAYS after the last.
+ *
+ * USED BY:
+ * tools/getProgressPhotoStatus.js
+ *
+ * ============================================================================
+ */
+
+const { toLocalDateString } = require("./timezone");
+const { isDeleted } = require("./softDelete");
+
+const PHOTO_POSES = ["front", "side", "back"];
+
+const PHOTO_INTERVAL_DAYS = 30;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const getProgressPhotosRef = (db, userId) =>
+  db.collection("progress").doc(userId).collection("photos");
+
+const daysBetween = (fromDate, toDate) =>
+  Math.round(
+    (Date.parse(`${toDate}T00:00:00Z`) - Date.parse(`${fromDate}T00:00:00Z`)) /
+      DAY_MS
+  );
+
+/*
+ * When were progress photos last taken? context = { userId, timezone }
+ *
+ * RETURNS:
+ * {
+ *   hasPhotos,
+ *   lastPhotoDate: "2025-11-04" | null, daysSinceLastPhoto: 12 | null,
+ *   lastPoses: ["front", "side"],   ← poses taken on lastPhotoDate
+ *   missingPoses: ["back"],         ← poses missing from that set
+ *   firstPhotoDate: "2025-09-01" | null,  ← "day 1", for comparisons
+ *   photoDates: 3,                  ← days with photos
+ *   due: true                       ← PHOTO_INTERVAL_DAYS or more since the last set
+ * }
+ */
+async function getProgressPhotoStatus(admin, db, { userId, timezone }) {
+  const snapshot = await getProgressPhotosRef(db, userId).get();
+
+  const dates = new Map();
+  snapshot.docs.forEach((doc) => {
+    const data = doc.data();
+    if (isDeleted(data) || !data.date) {
+      return;
+    }
+    const poses = dates.get(data.date) || new Set();
+    poses.add(data.pose);
+    dates.set(data.date, poses);
+  });
+
+  if (dates.size === 0) {
+    return {
+      hasPhotos: false,
+      lastPhotoDate: null,
+      daysSinceLastPhoto: null,
+      lastPoses: [],
+      missingPoses: PHOTO_POSES,
+      firstPhotoDate: null,
+      photoDates: 0,
+      due: true,
+    };
+  }
+
+  const sortedDates = [...dates.keys()].sort();
+  const lastPhotoDate = sortedDates[sortedDates.length - 1];
+  const lastPoses = PHOTO_POSES.filter((pose) =>
+    dates.get(lastPhotoDate).has(pose)
+  );
+  const daysSinceLastPhoto = daysBetween(
+    lastPhotoDate,
+    toLocalDateString(new Date(), timezone)
+  );
+
+  return {
+    hasPhotos: true,
+    lastPhotoDate,
+    daysSinceLastPhoto,
+    lastPoses,
+    missingPoses: PHOTO_POSES.filter((pose) => !lastPoses.includes(pose)),
+    firstPhotoDate: sortedDates[0],
+    photoDates: sortedDates.length,
+    due: daysSinceLastPhoto >= PHOTO_INTERVAL_DAYS,
+  };
+}
+
+module.exports = {
+  PHOTO_POSES,
+  PHOTO_INTERVAL_DAYS,
+  getProgressPhotosRef,
+  getProgressPhotoStatus,
+};
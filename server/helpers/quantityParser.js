@@ -0,0 +1,374 @@
+/*
+ * ============================================================================
+ * HELPER: Quantity Parser
+ * ============================================================================
+ *
+ * PURPOSE:
+ * Turn a food's free-text quantity into numbers, so portions can be scaled,
+ * summed and compared without asking an AI:
+ *   "2 large eggs"   → { amount: 2,   unit: "piece", grams: 100 }
+ *   "1 1/2 cups rice"→ { amount: 1.5, unit: "cup",   grams: 237 }
+ *   "100g"           → { amount: 100, unit: "g",     grams: 100 }
+ *   "some salad"     → null (nothing numeric to work with)
+ *
+ * UNITS (see UNITS below):
+ * - mass:   g, kg, mg, oz, lb            → grams directly
+ * - volume: ml, l, tsp, tbsp, cup, fl oz → grams via the food's density
+ * - piece:  "2 eggs", "1 slice"          → grams via the food's piece weight
+ * - serving: "1.5 servings"              → grams via the food's first serving
+ *
+ * DENSITY AND PIECE-WEIGHT HINTS:
+ * 1. The food's database entry (foodId, or a clear name match): its serving
+ *    labels are parsed too - "1 cup" = 158g gives the density, "1 large egg"
+ *    = 50g gives the piece weight
+ * 2. Otherwise DENSITY_HINTS for common liquids/fats/sweeteners
+ * If neither applies, grams is null - we never guess a weight.
+ *
+ * STORED ON EACH FOOD:
+ * The original quantity text stays as it is; amount/unit/grams are saved
+ * next to it (withParsedQuantities). grams the food already has (recipe
+ * servings, recipe ingredients) is kept.
+ *
+ * USED BY:
+ * tools/logMeal.js, tools/analyzeAndUpdateMeal.js (scaling "only half"),
+ * helpers/savedMeals.js (scaleFoods), helpers/recipes.js
+ *
+ * ============================================================================
+ */
+
+const { getFoodById, findFoodByName } = require("./foodDatabase");
+
+const round = (value) => Math.round(value * 10) / 10;
+
+// "1.25" not "1.2500000001", "0.5" not ".5"
+const formatAmount = (value) => String(Math.round(value * 100) / 100);
+
+/*
+ * Unit table: canonical unit → { type, factor, aliases }
+ * factor = grams per unit (mass) or ml per unit (volume)
+ */
+const UNITS = {
+  g: { type: "mass", factor: 1, aliases: ["g", "gram", "grams", "gr"] },
+  kg: { type: "mass", factor: 1000, aliases: ["kg", "kilo", "kilos", "kilogram", "kilograms"] },
+  mg: { type: "mass", factor: 0.001, aliases: ["mg", "milligram", "milligrams"] },
+  oz: { type: "mass", factor: 28.35, aliases: ["oz", "ounce", "ounces"] },
+  lb: { type: "mass", factor: 453.6, aliases: ["lb", "lbs", "pound", "pounds"] },
+  ml: { type: "volume", factor: 1, aliases: ["ml", "milliliter", "milliliters", "millilitre", "millilitres"] },
+  l: { type: "volume", factor: 1000, aliases: ["l", "liter", "liters", "litre", "litres"] },
+  tsp: { type: "volume", factor: 4.93, aliases: ["tsp", "teaspoon", "teaspoons"] },
+  tbsp: { type: "volume", factor: 14.79, aliases: ["tbsp", "tbs", "tablespoon", "tablespoons"] },
+  cup: { type: "volume", factor: 236.6, aliases: ["cup", "cups"] },
+  "fl oz": { type: "volume", factor: 29.57, aliases: ["fl oz", "fluid ounce", "fluid ounces"] },
+  serving: { type: "serving", factor: 1, aliases: ["serving", "servings", "portion", "portions"] },
+};
+
+// alias → canonical unit, longest aliases first so "fl oz" wins over "oz"
+const UNIT_ALIASES = Object.entries(UNITS)
+  .flatMap(([unit, { aliases }]) => aliases.map((alias) => [alias, unit]))
+  .sort((a, b) => b[0].length - a[0].length);
+
+/*
+ * g/ml for foods that aren't in the database - first match wins.
+ * Water-like drinks are ~1 g/ml.
+ */
+const DENSITY_HINTS = [
+  { pattern: /\b(oil|ghee)\b/, density: 0.92 },
+  { pattern: /\b(honey|syrup|molasses)\b/, density: 1.4 },
+  { pattern: /\bbutter\b/, density: 0.96 },
+  { pattern: /\b(flour|protein powder)\b/, density: 0.53 },
+  { pattern: /\bsugar\b/, density: 0.85 },
+  { pattern: /\b(oats|granola|cereal)\b/, density: 0.36 },
+  {
+    pattern: /\b(water|milk|juice|coffee|tea|soda|cola|coke|beer|wine|broth|soup|smoothie|shake|kombucha|lemonade)\b/,
+    density: 1,
+  },
+];
+
+const WORD_AMOUNTS = {
+  a: 1,
+  an: 1,
+  one: 1,
+  two: 2,
+  three: 3,
+  four: 4,
+  five: 5,
+  six: 6,
+  seven: 7,
+  eight: 8,
+  nine: 9,
+  ten: 10,
+  half: 0.5,
+  quarter: 0.25,
+  "a couple of": 2,
+  "a couple": 2,
+  "half a": 0.5,
+  "half an": 0.5,
+  "a half": 0.5,
+  "a quarter": 0.25,
+};
+
+const UNICODE_FRACTIONS = { "½": " 1/2", "¼": " 1/4", "¾": " 3/4", "⅓": " 1/3", "⅔": " 2/3" };
+
+// "1 1/2", "1/2", "1.5", "2"
+const NUMBER_PATTERN = "\\d+\\s+\\d+\\/\\d+|\\d+\\/\\d+|\\d*\\.?\\d+";
+
+function parseNumber(text) {
+  const mixed = text.match(/^(\d+)\s+(\d+)\/(\d+)$/);
+  if (mixed) {
+    return Number(mixed[1]) + Number(mixed[2]) / Number(mixed[3]);
+  }
+  const fraction = text.match(/^(\d+)\/(\d+)$/);
+  if (fraction) {
+    return Number(fraction[2]) === 0 ? null : Number(fraction[1]) / Number(fraction[2]);
+  }
+  const value = Number(text);
+  return Number.isFinite(value) ? value : null;
+}
+
+const normalizeText = (text) =>
+  Object.entries(UNICODE_FRACTIONS)
+    .reduce((result, [symbol, replacement]) => result.split(symbol).join(replacement), String(text || ""))
+    .toLowerCase()
+    .replace(/(\d),(\d)/g, "$1.$2")
+    .replace(/\s+/g, " ")
+    .trim();
+
+// "large eggs" → ["large", "egg"] (for matching serving labels)
+const nounTokens = (text) =>
+  text
+    .replace(/[^a-z\s]/g, " ")
+    .split(" ")
+    .filter((word) => word && word !== "of")
+    .map((word) =>
+      word.endsWith("ies") ? `${word.slice(0, -3)}y` : word.endsWith("s") && !word.endsWith("ss") ? word.slice(0, -1) : word
+    );
+
+/*
+ * The amount, unit and noun of a quantity text - no grams yet.
+ * Returns { amount, unit, noun } or null.
+ */
+function parseQuantityText(text) {
+  let rest = normalizeText(text);
+  let multiplier = 1;
+
+  // Scaled quantities from scaleFood: "2 eggs × 1.5"
+  const scaled = rest.match(new RegExp(`^(.*\\S)\\s*[×x]\\s*(${NUMBER_PATTERN})$`));
+  if (scaled && /\d|[a-z]/.test(scaled[1])) {
+    multiplier *= parseNumber(scaled[2]);
+    rest = scaled[1];
+  }
+
+  // Database servings: "2 × 1 large egg"
+  const times = rest.match(new RegExp(`^(${NUMBER_PATTERN})\\s*[×x]\\s+(.*)$`));
+  if (times) {
+    multiplier *= parseNumber(times[1]);
+    rest = times[2];
+  }
+
+  // Recipe servings: "1.5 of 6 servings"
+  const recipe = rest.match(new RegExp(`^(${NUMBER_PATTERN}) of (${NUMBER_PATTERN}) servings?$`));
+  if (recipe) {
+    return { amount: parseNumber(recipe[1]) * multiplier, unit: "serving", noun: "" };
+  }
+
+  let amount = null;
+  const number = rest.match(new RegExp(`^(${NUMBER_PATTERN})\\s*(.*)$`));
+  if (number) {
+    amount = parseNumber(number[1]);
+    rest = number[2];
+  } else {
+    const word = Object.keys(WORD_AMOUNTS)
+      .sort((a, b) => b.length - a.length)
+      .find((candidate) => rest === candidate || rest.startsWith(`${candidate} `));
+    if (word) {
+      amount = WORD_AMOUNTS[word];
+      rest = rest.slice(word.length).trim();
+    }
+  }
+  if (amount === null || amount <= 0) {
+    return null;
+  }
+
+  const unitMatch = UNIT_ALIASES.find(
+    ([alias]) => rest === alias || new RegExp(`^${alias}\\b\\.?`).test(rest)
+  );
+  if (unitMatch) {
+    const [alias, unit] = unitMatch;
+    const noun = rest.slice(alias.length).replace(/^\.?\s*(of\s+)?/, "");
+    return { amount: amount * multiplier, unit, noun };
+  }
+
+  return { amount: amount * multiplier, unit: "piece", noun: rest };
+}
+
+/*
+ * Density (g/ml), piece weights and serving weight for a food, from its
+ * database entry (by foodId, or a clear name match) or DENSITY_HINTS.
+ */
+function getQuantityHints(food = {}) {
+  const entry =
+    (food.foodId && getFoodById(food.foodId)) ||
+    (!food.recipeId && food.name && findFoodByName(food.name)) ||
+    null;
+
+  const hints = { density: null, pieces: [], servingGrams: null };
+
+  if (entry) {
+    hints.servingGrams = entry.servings[0]?.grams || null;
+
+    for (const serving of entry.servings) {
+      const parsed = parseQuantityText(serving.label);
+      if (!parsed) continue;
+
+      const unit = UNITS[parsed.unit];
+      if (unit?.type === "volume" && hints.density === null) {
+        hints.density = serving.grams / (parsed.amount * unit.factor);
+      } else if (parsed.unit === "piece") {
+        hints.pieces.push({
+          tokens: nounTokens(parsed.noun),
+          grams: serving.grams / parsed.amount,
+        });
+      }
+    }
+  }
+
+  if (hints.density === null) {
+    const name = String(food.name || "").toLowerCase();
+    const match = DENSITY_HINTS.find(({ pattern }) => pattern.test(name));
+    hints.density = match ? match.density : null;
+  }
+
+  return hints;
+}
+
+/*
+ * Weight of one piece: the serving with the same words ("large egg"), else
+ * one whose words are all in the text ("large" in "2 large apples"), else
+ * the first piece serving.
+ */
+function getPieceGrams(noun, pieces) {
+  if (pieces.length === 0) {
+    return null;
+  }
+  const tokens = nounTokens(noun);
+  const allIn = (a, b) => a.every((token) => b.includes(token));
+
+  const match =
+    pieces.find((piece) => allIn(piece.tokens, tokens) && allIn(tokens, piece.tokens)) ||
+    pieces.find((piece) => piece.tokens.length > 0 && allIn(piece.tokens, tokens)) ||
+    pieces[0];
+  return match.grams;
+}
+
+/*
+ * Parse a food's quantity into { amount, unit, grams }.
+ * food (optional) supplies the hints: { name, foodId, recipeId }.
+ * grams is null when the weight can't be known; returns null when the
+ * text has no amount at all.
+ */
+function parseQuantity(text, food = {}) {
+  const parsed = parseQuantityText(text);
+  if (!parsed) {
+    return null;
+  }
+
+  const { amount, unit, noun } = parsed;
+  const unitInfo = UNITS[unit];
+  let grams = null;
+
+  if (unitInfo?.type === "mass") {
+    grams = amount * unitInfo.factor;
+  } else {
+    const hints = getQuantityHints({ ...food, name: food.name || noun });
+    if (unitInfo?.type === "volume" && hints.density !== null) {
+      grams = amount * unitInfo.factor * hints.density;
+    } else if (unit === "serving" && !food.recipeId && hints.servingGrams) {
+      grams = amount * hints.servingGrams;
+    } else if (unit === "piece") {
+      const pieceGrams = getPieceGrams(noun, hints.pieces);
+      grams = pieceGrams === null ? null : amount * pieceGrams;
+    }
+  }
+
+  return {
+    amount: Math.round(amount * 100) / 100,
+    unit,
+    grams: grams === null ? null : round(grams),
+  };
+}
+
+/*
+ * Foods with amount/unit/grams added next to their quantity text.
+ * A grams value the food already has wins over the parsed one.
+ */
+function withParsedQuantities(foods) {
+  return foods.map((food) => {
+    const parsed = parseQuantity(food.quantity, food);
+    const grams = typeof food.grams === "number" ? food.grams : parsed?.grams ?? null;
+
+    return {
+      ...food,
+      amount: parsed?.amount ?? null,
+      unit: parsed?.unit ?? null,
+      grams,
+    };
+  });
+}
+
+// The "× 1.5" scaleFood puts after quantities it can't rewrite
+const SCALE_SUFFIX = new RegExp(`\\s*×\\s*(${NUMBER_PATTERN})$`);
+
+/*
+ * One food × scale ("only half" → 0.5), done with arithmetic:
+ * - macros (and amount/grams) are multiplied
+ * - weights/volumes get a new number: "200g rice" → "100g rice"
+ * - database servings get a new count: "2 × 1 large egg" → "1 × 1 large egg"
+ * - pieces and anything else get a suffix: "2 eggs" → "2 eggs × 0.5"
+ * A food that was already scaled has its suffix multiplied, not another one
+ * added ("2 eggs × 0.5" × 0.5 → "2 eggs × 0.25"), so parsing the text again
+ * gives the same amount.
+ */
+function scaleFood(food, scale) {
+  const text = String(food.quantity || "");
+  const suffix = text.match(SCALE_SUFFIX);
+  const base = suffix ? text.slice(0, suffix.index) : text;
+  const totalScale = suffix ? parseNumber(suffix[1]) * scale : scale;
+
+  const parsed = parseQuantityText(base);
+  const isMeasured = parsed && ["mass", "volume"].includes(UNITS[parsed.unit]?.type);
+  const leadingNumber = new RegExp(`^\\s*(${NUMBER_PATTERN})`);
+  const servingCount = new RegExp(`^\\s*(${NUMBER_PATTERN})(\\s*×\\s+)`);
+
+  let quantity;
+  if (!suffix && isMeasured && leadingNumber.test(base) && !/[×]/.test(base)) {
+    quantity = base.replace(leadingNumber, formatAmount(parsed.amount * scale));
+  } else if (servingCount.test(base)) {
+    quantity = base.replace(
+      servingCount,
+      (match, count, separator) => `${formatAmount(parseNumber(count) * totalScale)}${separator}`
+    );
+  } else if (totalScale === 1) {
+    quantity = base;
+  } else {
+    quantity = `${base} × ${formatAmount(totalScale)}`;
+  }
+
+  return {
+    ...food,
+    quantity,
+    calories: Math.round(food.calories * scale),
+    protein: round(food.protein * scale),
+    carbs: round(food.carbs * scale),
+    fats: round(food.fats * scale),
+    fiber: round(food.fiber * scale),
+    ...(typeof food.amount === "number" && { amount: Math.round(food.amount * scale * 100) / 100 }),
+    ...(typeof food.grams === "number" && { grams: round(food.grams * scale) }),
+  };
+}
+
+module.exports = {
+  UNITS,
+  parseQuantity,
+  withParsedQuantities,
+  scaleFood,
+};
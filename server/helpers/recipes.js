@@ -0,0 +1,207 @@
+/*
+ * ============================================================================
+ * HELPER: Recipes
+ * ============================================================================
+ *
+ * PURPOSE:
+ * Home-cooked batch meals ("my chili, 1 of 6 servings"): the ingredients of
+ * the whole batch, how many servings it makes, and the per-serving macros
+ * computed from them.
+ *
+ * FIRESTORE PATH:
+ * nutrition/{userId}/recipes/{recipeId}
+ * {
+ *   name: "Turkey chili",
+ *   nameLower: "turkey chili",
+ *   servings: 6,                          ← yield of the whole batch
+ *   ingredients: [{ name, quantity, grams?, calories, protein, carbs,
+ *                   fats, fiber, foodId?, source }],
+ *   totalCalories, totalProtein, ...      ← whole batch
+ *   perServing: { calories, protein, carbs, fats, fiber },
+ *   notes: "",
+ *   createdAt, updatedAt
+ *   deleted?: true                        ← soft delete (helpers/softDelete.js)
+ * }
+ *
+ * LOGGED MEALS DON'T CHANGE WHEN A RECIPE IS EDITED:
+ * Logging servings copies the per-serving numbers into the meal's foods
+ * (toRecipeFood). tools/logRecipe.js adds the recipeId, which marks the
+ * food as recipe servings (source "recipe") - nothing reads the recipe back
+ * when showing or totalling a meal.
+ *
+ * USED BY:
+ * routes/recipes.js, tools/createRecipe.js, tools/logRecipe.js
+ *
+ * ============================================================================
+ */
+
+const calculateMealTotals = require("./calculateMealTotals");
+const {
+  getFoodById,
+  calculateFoodNutrition,
+  tagFoodSources,
+} = require("./foodDatabase");
+const { isDeleted } = require("./softDelete");
+const { normalizeName } = require("./savedMeals");
+const { parseQuantity } = require("./quantityParser");
+
+const round = (value) => Math.round(value * 10) / 10;
+
+const getRecipesRef = (db, userId) =>
+  db.collection("nutrition").doc(userId).collection("recipes");
+
+/*
+ * Ingredients without grams get them from their quantity text when it can
+ * be worked out (helpers/quantityParser.js). Ingredients with database
+ * foodId + grams then get their macros from the food database; everything
+ * else keeps the macros it was given.
+ */
+function resolveIngredients(ingredients) {
+  const resolved = ingredients.map((given) => {
+    const parsedGrams = given.grams ? null : parseQuantity(given.quantity, given)?.grams;
+    const ingredient = parsedGrams ? { ...given, grams: parsedGrams } : given;
+
+    const food = ingredient.foodId && getFoodById(ingredient.foodId);
+    if (!food || !ingredient.grams) {
+      return ingredient;
+    }
+
+    const { grams, quantity, ...nutrition } = calculateFoodNutrition(food, {
+      grams: ingredient.grams,
+    });
+    return { ...ingredient, ...nutrition };
+  });
+
+  return tagFoodSources(resolved);
+}
+
+/*
+ * Whole-batch totals and per-serving macros.
+ * Returns { totalCalories, ..., perServing: { calories, protein, carbs, fats, fiber } }
+ */
+function computeRecipeNutrition(ingredients, servings) {
+  const totals = calculateMealTotals(ingredients);
+
+  return {
+    ...totals,
+    perServing: {
+      calories: Math.round(totals.totalCalories / servings),
+      protein: round(totals.totalProtein / servings),
+      carbs: round(totals.totalCarbs / servings),
+      fats: round(totals.totalFats / servings),
+      fiber: round(totals.totalFiber / servings),
+    },
+  };
+}
+
+// A recipe document (without timestamps) from validated input (schemas/recipe.js)
+function toRecipeData({ name, servings, ingredients, notes }) {
+  const resolvedIngredients = resolveIngredients(ingredients);
+
+  return {
+    name: name.trim(),
+    nameLower: normalizeName(name),
+    servings,
+    ingredients: resolvedIngredients,
+    ...computeRecipeNutrition(resolvedIngredients, servings),
+    notes: notes || "",
+  };
+}
+
+// All recipes that aren't deleted, A-Z - returns [{ id, ...data }]
+async function listRecipes(db, userId) {
+  const snapshot = await getRecipesRef(db, userId).get();
+
+  return snapshot.docs
+    .map((doc) => ({ id: doc.id, ...doc.data() }))
+    .filter((recipe) => !isDeleted(recipe))
+    .sort((a, b) => a.name.localeCompare(b.name));
+}
+
+/*
+ * Find a recipe by ID, or by name ("chili" finds "Turkey chili" if it's the
+ * only match). Returns { id, ...data } or null.
+ */
+async function findRecipe(db, userId, { recipeId, name }) {
+  if (recipeId) {
+    const doc = await getRecipesRef(db, userId).doc(recipeId).get();
+    return doc.exists && !isDeleted(doc.data())
+      ? { id: doc.id, ...doc.data() }
+      : null;
+  }
+
+  if (!name) {
+    return null;
+  }
+
+  const wanted = normalizeName(name);
+  const recipes = await listRecipes(db, userId);
+
+  const exact = recipes.find((recipe) => recipe.nameLower === wanted);
+  if (exact) {
+    return exact;
+  }
+
+  const partial = recipes.filter(
+    (recipe) =>
+      recipe.nameLower.includes(wanted) || wanted.includes(recipe.nameLower)
+  );
+  return partial.length === 1 ? partial[0] : null;
+}
+
+/*
+ * The food item saved on a meal for N servings of a recipe.
+ * Numbers are COPIED, so later recipe edits don't change this meal.
+ * grams is included when every ingredient's weight is known.
+ * No recipeId - the caller adds it (tools/logRecipe.js).
+ */
+function toRecipeFood(recipe, servings) {
+  const { perServing } = recipe;
+  const batchGrams = recipe.ingredients.every(
+    (ingredient) => typeof ingredient.grams === "number"
+  )
+    ? recipe.ingredients.reduce((sum, ingredient) => sum + ingredient.grams, 0)
+    : null;
+
+  return {
+    name: recipe.name,
+    quantity: `${servings} of ${recipe.servings} serving${
+      recipe.servings === 1 ? "" : "s"
+    }`,
+    calories: Math.round(perServing.calories * servings),
+    protein: round(perServing.protein * servings),
+    carbs: round(perServing.carbs * servings),
+    fats: round(perServing.fats * servings),
+    fiber: round(perServing.fiber * servings),
+    ...(batchGrams && {
+      grams: round((batchGrams / recipe.servings) * servings),
+    }),
+  };
+}
+
+// Recipe as returned to the AI / app (no Firestore timestamps)
+function toRecipeResult(recipe) {
+  return {
+    recipeId: recipe.id,
+    name: recipe.name,
+    servings: recipe.servings,
+    perServing: recipe.perServing,
+    totalCalories: recipe.totalCalories,
+    totalProtein: recipe.totalProtein,
+    totalCarbs: recipe.totalCarbs,
+    totalFats: recipe.totalFats,
+    totalFiber: recipe.totalFiber,
+    ingredients: recipe.ingredients,
+    notes: recipe.notes || "",
+  };
+}
+
+module.exports = {
+  getRecipesRef,
+  computeRecipeNutrition,
+  toRecipeData,
+  listRecipes,
+  findRecipe,
+  toRecipeFood,
+  toRecipeResult,
+};
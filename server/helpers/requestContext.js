@@ -0,0 +1,56 @@
+/*
+ * ============================================================================
+ * HELPER: createRequestContext
+ * ============================================================================
+ *
+ * PURPOSE:
+ * Bundle everything a tool needs to know about WHO it is acting for into one
+ * object that is created once per /api/chat request.
+ *
+ * WHY THIS IS NEEDED:
+ * Tools used to read `global.currentUserId`, which the chat endpoint set right
+ * before calling the AI. Two users chatting at the same time would overwrite
+ * each other's value while their tools were still running, so one person's
+ * meal could be saved under the other person's account.
+ *
+ * Now every request builds its own context and its own set of tools
+ * (see tools/index.js). Nothing is shared between requests.
+ *
+ * FIELDS:
+ * - userId: The user's Firebase Auth UID
+ * - timezone: The user's IANA timezone (e.g., "America/Los_Angeles")
+ *   From the request, then the profile, then UTC - always a valid zone, so
+ *   tools can pass it straight to helpers/timezone.js
+ * - profile: The user's profile document from users/{uid} (or null)
+ * - requestId: Unique ID for this request (shows up in logs)
+ * - imageUrls: Photos attached to the latest user message (already checked
+ *   by helpers/chatImages.js) - logMeal saves them as the meal's photos
+ *
+ * ============================================================================
+ */
+
+const crypto = require("crypto");
+const { resolveTimeZone } = require("./timezone");
+
+function createRequestContext({
+  userId,
+  timezone,
+  profile,
+  requestId,
+  imageUrls,
+}) {
+  if (!userId) {
+    throw new Error("createRequestContext requires a userId");
+  }
+
+  // Freeze so a tool can't accidentally change the user mid-request
+  return Object.freeze({
+    userId,
+    timezone: resolveTimeZone(timezone, profile?.timezone),
+    profile: profile || null,
+    requestId: requestId || crypto.randomUUID(),
+    imageUrls: Object.freeze([...(imageUrls || [])]),
+  });
+}
+
+module.exports = { createRequestContext };
@@ -0,0 +1,133 @@
+/*
+ * ============================================================================
+ * HELPER: Saved Meals ("my usual")
+ * ============================================================================
+ *
+ * PURPOSE:
+ * Favorite meals the user eats over and over, so "log my usual breakfast"
+ * logs the exact same foods and macros instead of Ava re-estimating them.
+ *
+ * FIRESTORE PATH:
+ * nutrition/{userId}/savedMeals/{savedMealId}
+ * {
+ *   name: "Usual breakfast",
+ *   nameLower: "usual breakfast",      ← for case-insensitive lookups
+ *   mealType: "breakfast",             ← default when it's logged
+ *   foods: [...],                      ← same shape as a meal's foods
+ *   totalCalories, totalProtein, totalCarbs, totalFats, totalFiber,
+ *   sourceMealId: "abc...",            ← the logged meal it was saved from
+ *   useCount: 0,
+ *   lastUsedAt: Timestamp | null,
+ *   createdAt, updatedAt
+ * }
+ *
+ * USED BY:
+ * tools/saveMealAsFavorite.js, tools/listSavedMeals.js, tools/logSavedMeal.js
+ * (the app reads/logs them directly - src/services/savedMealService.js)
+ *
+ * ============================================================================
+ */
+
+const calculateMealTotals = require("./calculateMealTotals");
+const { scaleFood } = require("./quantityParser");
+
+// Scale factors outside this range are almost certainly a mistake
+const MIN_SCALE = 0.1;
+const MAX_SCALE = 5;
+
+const getSavedMealsRef = (db, userId) =>
+  db.collection("nutrition").doc(userId).collection("savedMeals");
+
+const normalizeName = (name) => name.trim().replace(/\s+/g, " ").toLowerCase();
+
+// A saved meal document (without timestamps) from a logged meal
+function toSavedMealData({ name, mealType, foods, sourceMealId }) {
+  return {
+    name: name.trim(),
+    nameLower: normalizeName(name),
+    mealType: mealType || null,
+    foods,
+    ...calculateMealTotals(foods),
+    sourceMealId: sourceMealId || null,
+  };
+}
+
+/*
+ * Multiply every food by `scale` (e.g., 1.5 for "one and a half portions")
+ * - see helpers/quantityParser.js scaleFood for how quantities change.
+ */
+function scaleFoods(foods, scale = 1) {
+  if (scale === 1) {
+    return foods;
+  }
+
+  return foods.map((food) => scaleFood(food, scale));
+}
+
+// All saved meals, most used first - returns [{ id, ...data }]
+async function listSavedMeals(db, userId) {
+  const snapshot = await getSavedMealsRef(db, userId).get();
+
+  return snapshot.docs
+    .map((doc) => ({ id: doc.id, ...doc.data() }))
+    .sort(
+      (a, b) =>
+        (b.useCount || 0) - (a.useCount || 0) || a.name.localeCompare(b.name)
+    );
+}
+
+/*
+ * Find a saved meal by ID, or by name ("usual breakfast", "my usual").
+ * Name matching: exact (case-insensitive) first, then the only saved meal
+ * whose name contains the words. Returns { id, ...data } or null.
+ */
+async function findSavedMeal(db, userId, { savedMealId, name }) {
+  if (savedMealId) {
+    const doc = await getSavedMealsRef(db, userId).doc(savedMealId).get();
+    return doc.exists ? { id: doc.id, ...doc.data() } : null;
+  }
+
+  if (!name) {
+    return null;
+  }
+
+  const wanted = normalizeName(name);
+  const savedMeals = await listSavedMeals(db, userId);
+
+  const exact = savedMeals.find((meal) => meal.nameLower === wanted);
+  if (exact) {
+    return exact;
+  }
+
+  const partial = savedMeals.filter(
+    (meal) => meal.nameLower.includes(wanted) || wanted.includes(meal.nameLower)
+  );
+  return partial.length === 1 ? partial[0] : null;
+}
+
+// Compact version for the AI (no Firestore timestamps)
+function toSavedMealSummary(savedMeal) {
+  return {
+    savedMealId: savedMeal.id,
+    name: savedMeal.name,
+    mealType: savedMeal.mealType,
+    foods: savedMeal.foods.map((food) => `${food.quantity} ${food.name}`).join(", "),
+    totalCalories: savedMeal.totalCalories,
+    totalProtein: savedMeal.totalProtein,
+    totalCarbs: savedMeal.totalCarbs,
+    totalFats: savedMeal.totalFats,
+    useCount: savedMeal.useCount || 0,
+  };
+}
+
+module.exports = {
+  MIN_SCALE,
+  MAX_SCALE,
+  getSavedMealsRef,
+  normalizeName,
+  toSavedMealData,
+  scaleFoods,
+  listSavedMeals,
+  findSavedMeal,
+  toSavedMealSummary,
+};
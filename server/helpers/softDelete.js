@@ -0,0 +1,45 @@
+/*
+ * ============================================================================
+ * HELPER: Soft Delete
+ * ============================================================================
+ *
+ * PURPOSE:
+ * "Delete" meals and activity sessions WITHOUT removing the Firestore
+ * document, so a mistaken delete can be restored.
+ *
+ * A soft-deleted document has:
+ * { deleted: true, deletedAt: Timestamp }
+ *
+ * Every reader (findRecentMeals, getDailySummary, findRecentActivities, the
+ * app's nutritionService, ...) must skip documents where isDeleted() is true.
+ *
+ * WHY NOT where("deleted", "!=", true)?
+ * Firestore inequality filters exclude documents that don't HAVE the field,
+ * which is every document created before soft delete existed. So we filter
+ * in code after the query instead.
+ *
+ * ============================================================================
+ */
+
+function isDeleted(data) {
+  return data?.deleted === true;
+}
+
+async function softDeleteDocument(admin, docRef) {
+  await docRef.update({
+    deleted: true,
+    deletedAt: admin.firestore.FieldValue.serverTimestamp(),
+  });
+  console.log("🗑️ Soft-deleted:", docRef.path);
+}
+
+async function restoreDocument(admin, docRef) {
+  await docRef.update({
+    deleted: false,
+    deletedAt: admin.firestore.FieldValue.delete(),
+    restoredAt: admin.firestore.FieldValue.serverTimestamp(),
+  });
+  console.log("♻️ Restored:", docRef.path);
+}
+
+module.exports = { isDeleted, softDeleteDocument, restoreDocument };
@@ -0,0 +1,57 @@
+/*
+ * ============================================================================
+ * HELPER: openEventStream (Server-Sent Events)
+ * ============================================================================
+ *
+ * PURPOSE:
+ * Keep the HTTP response open and push events to the app as they happen,
+ * instead of sending one JSON blob at the very end.
+ *
+ * WIRE FORMAT (one event):
+ *   event: text-delta
+ *   data: {"text":"I found your "}
+ *
+ * (blank line ends the event)
+ *
+ * USAGE:
+ *   const stream = openEventStream(res);
+ *   stream.send("text-delta", { text: "Hi" });
+ *   stream.close();
+ *
+ * ============================================================================
+ */
+
+function openEventStream(res) {
+  res.status(200);
+  res.setHeader("Content-Type", "text/event-stream; charset=utf-8");
+  res.setHeader("Cache-Control", "no-cache, no-transform");
+  res.setHeader("Connection", "keep-alive");
+  // Stop proxies (e.g., nginx) from buffering the stream
+  res.setHeader("X-Accel-Buffering", "no");
+  res.flushHeaders();
+
+  let closed = false;
+  res.on("close", () => {
+    closed = true;
+  });
+
+  return {
+    // True once the app disconnects (or we ended the stream)
+    get closed() {
+      return closed;
+    },
+
+    send(event, data) {
+      if (closed) return;
+      res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+    },
+
+    close() {
+      if (closed) return;
+      closed = true;
+      res.end();
+    },
+  };
+}
+
+module.exports = { openEventStream };
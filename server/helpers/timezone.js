@@ -0,0 +1,270 @@
+/*
+ * ============================================================================
+ * HELPER: Timezone
+ * ============================================================================
+ *
+ * PURPOSE:
+ * Do every "what day is it / what time is it" calculation in the USER's
+ * timezone instead of the server's.
+ *
+ * WHY THIS IS NEEDED:
+ * On Railway the server clock is UTC. `new Date(); setHours(0, 0, 0, 0)` gives
+ * UTC midnight, so an 8pm snack in California (04:00 UTC the next day) landed
+ * on tomorrow's daily summary, and "breakfast 5am-10am" was judged in UTC.
+ *
+ * HOW IT WORKS:
+ * Uses the built-in Intl API (no extra dependency). The user's IANA timezone
+ * (e.g., "America/Los_Angeles") comes from the request/profile via
+ * helpers/requestContext.js → context.timezone.
+ *
+ * EXAMPLES (timezone = "America/Los_Angeles"):
+ *   getDayRange("2025-11-04", tz)
+ *     → { start: 2025-11-04T08:00:00.000Z, end: 2025-11-05T07:59:59.999Z }
+ *   toLocalDateString(new Date("2025-11-05T04:00:00Z"), tz) → "2025-11-04"
+ *   getDefaultMealType(new Date("2025-11-05T04:00:00Z"), tz) → "dinner" (8pm)
+ *
+ * ============================================================================
+ */
+
+const DEFAULT_TIMEZONE = "UTC";
+
+function isValidTimeZone(timezone) {
+  if (!timezone || typeof timezone !== "string") {
+    return false;
+  }
+  try {
+    new Intl.DateTimeFormat("en-US", { timeZone: timezone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+/*
+ * Pick the first valid timezone from the candidates (e.g., request body,
+ * then profile), falling back to UTC.
+ */
+function resolveTimeZone(...candidates) {
+  const timezone = candidates.find(isValidTimeZone);
+  if (!timezone && candidates.some(Boolean)) {
+    console.warn("⚠️ Invalid timezone(s), using UTC:", candidates);
+  }
+  return timezone || DEFAULT_TIMEZONE;
+}
+
+/*
+ * The wall-clock date/time parts of an instant in a timezone.
+ * Returns { year, month (1-12), day, hour (0-23), minute, second }
+ */
+function getZonedParts(date, timezone) {
+  const parts = new Intl.DateTimeFormat("en-US", {
+    timeZone: timezone,
+    hourCycle: "h23",
+    year: "numeric",
+    month: "2-digit",
+    day: "2-digit",
+    hour: "2-digit",
+    minute: "2-digit",
+    second: "2-digit",
+  }).formatToParts(date);
+
+  const get = (type) =>
+    Number(parts.find((part) => part.type === type)?.value);
+
+  return {
+    year: get("year"),
+    month: get("month"),
+    day: get("day"),
+    hour: get("hour"),
+    minute: get("minute"),
+    second: get("second"),
+  };
+}
+
+/*
+ * How far the timezone is ahead of UTC at that instant, in milliseconds
+ * (e.g., -8h for Los Angeles in winter, -7h in summer).
+ */
+function getTimeZoneOffsetMs(date, timezone) {
+  const p = getZonedParts(date, timezone);
+  const asUtc = Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute, p.second);
+  return asUtc - (date.getTime() - date.getMilliseconds());
+}
+
+/*
+ * Turn a wall-clock time in a timezone into the real instant (Date).
+ * Checks the offset twice so times right after a DST change come out right.
+ */
+function zonedTimeToUtc(
+  { year, month, day, hour = 0, minute = 0, second = 0, millisecond = 0 },
+  timezone
+) {
+  const wallClockAsUtc = Date.UTC(
+    year,
+    month - 1,
+    day,
+    hour,
+    minute,
+    second,
+    millisecond
+  );
+
+  let instant = new Date(
+    wallClockAsUtc - getTimeZoneOffsetMs(new Date(wallClockAsUtc), timezone)
+  );
+  const correctedOffset = getTimeZoneOffsetMs(instant, timezone);
+  instant = new Date(wallClockAsUtc - correctedOffset);
+
+  return instant;
+}
+
+/*
+ * "YYYY-MM-DD" of an instant, in the user's timezone.
+ */
+function toLocalDateString(date, timezone) {
+  const { year, month, day } = getZonedParts(date, timezone);
+  return `${year}-${String(month).padStart(2, "0")}-${String(day).padStart(
+    2,
+    "0"
+  )}`;
+}
+
+// "2025-11-04" → true, "Nov 4" / "2025-13-40" → false
+const isValidDateString = (dateString) =>
+  typeof dateString === "string" &&
+  /^\d{4}-\d{2}-\d{2}$/.test(dateString) &&
+  !isNaN(new Date(dateString).getTime());
+
+/*
+ * Start and end (inclusive) of a calendar day in the user's timezone.
+ * dateString: "YYYY-MM-DD"
+ */
+function getDayRange(dateString, timezone) {
+  const [year, month, day] = dateString.split("-").map(Number);
+
+  const start = zonedTimeToUtc({ year, month, day }, timezone);
+  // Start of the NEXT day minus 1ms (handles 23h/25h DST days)
+  const nextDay = new Date(Date.UTC(year, month - 1, day + 1));
+  const end = new Date(
+    zonedTimeToUtc(
+      {
+        year: nextDay.getUTCFullYear(),
+        month: nextDay.getUTCMonth() + 1,
+        day: nextDay.getUTCDate(),
+      },
+      timezone
+    ).getTime() - 1
+  );
+
+  return { start, end };
+}
+
+/*
+ * Parse a timestamp the AI gave us.
+ * - With "Z" or an offset ("2025-11-04T19:00:00-08:00") → used as-is
+ * - Without one ("2025-11-04T19:00:00") → treated as the USER's wall clock,
+ *   not the server's
+ * Returns a Date, or null if it can't be parsed.
+ */
+function parseUserTimestamp(value, timezone) {
+  if (!value) {
+    return null;
+  }
+
+  const match = /^(\d{4})-(\d{2})-(\d{2})(?:[T ](\d{2}):(\d{2})(?::(\d{2})(?:\.(\d{1,3}))?)?)?$/.exec(
+    value.trim()
+  );
+  if (match) {
+    const [, year, month, day, hour, minute, second, ms] = match;
+    return zonedTimeToUtc(
+      {
+        year: Number(year),
+        month: Number(month),
+        day: Number(day),
+        hour: Number(hour || 0),
+        minute: Number(minute || 0),
+        second: Number(second || 0),
+        millisecond: Number((ms || "0").padEnd(3, "0")),
+      },
+      timezone
+    );
+  }
+
+  const date = new Date(value);
+  return isNaN(date.getTime()) ? null : date;
+}
+
+/*
+ * The meal type that fits the user's LOCAL time of day.
+ * Same windows as the system prompt, each running to the end of its last
+ * hour: breakfast 5:00-10:59, lunch 11:00-14:59, dinner 17:00-21:59,
+ * otherwise snack.
+ */
+function getDefaultMealType(date, timezone) {
+  const { hour } = getZonedParts(date, timezone);
+  if (hour >= 5 && hour < 11) return "breakfast";
+  if (hour >= 11 && hour < 15) return "lunch";
+  if (hour >= 17 && hour < 22) return "dinner";
+  return "snack";
+}
+
+// "9:05 AM" in the user's timezone
+function formatLocalTime(date, timezone) {
+  return date.toLocaleTimeString("en-US", {
+    timeZone: timezone,
+    hour: "numeric",
+    minute: "2-digit",
+  });
+}
+
+// "Tue, Nov 4, 9:05 AM" in the user's timezone
+function formatLocalDateTime(date, timezone) {
+  return date.toLocaleString("en-US", {
+    timeZone: timezone,
+    weekday: "short",
+    month: "short",
+    day: "numeric",
+    hour: "numeric",
+    minute: "2-digit",
+  });
+}
+
+/*
+ * "just now", "15 minutes ago", "3 hours ago", "yesterday", "4 days ago"
+ * Days are counted in the user's timezone (calendar days, not 24h blocks).
+ */
+function formatRelativeTime(date, timezone, now = new Date()) {
+  const minutes = Math.round((now.getTime() - date.getTime()) / 60000);
+
+  if (minutes < 1) return "just now";
+  if (minutes < 60) return `${minutes} minute${minutes === 1 ? "" : "s"} ago`;
+
+  const days = Math.round(
+    (Date.parse(toLocalDateString(now, timezone)) -
+      Date.parse(toLocalDateString(date, timezone))) /
+      86400000
+  );
+
+  if (days === 0) {
+    const hours = Math.round(minutes / 60);
+    return `${hours} hour${hours === 1 ? "" : "s"} ago`;
+  }
+  if (days === 1) return "yesterday";
+  return `${days} days ago`;
+}
+
+module.exports = {
+  DEFAULT_TIMEZONE,
+  isValidTimeZone,
+  resolveTimeZone,
+  getZonedParts,
+  zonedTimeToUtc,
+  toLocalDateString,
+  isValidDateString,
+  getDayRange,
+  parseUserTimestamp,
+  getDefaultMealType,
+  formatLocalTime,
+  formatLocalDateTime,
+  formatRelativeTime,
+};
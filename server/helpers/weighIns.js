@@ -0,0 +1,262 @@
+/*
+ * ============================================================================
+ * HELPER: Weigh-ins
+ * ============================================================================
+ *
+ * PURPOSE:
+ * Body weight over time, and a smoothed trend that ignores day-to-day
+ * water/salt/food swings.
+ *
+ * FIRESTORE PATH:
+ * progress/{userId}/weighIns/{weighInId}
+ * {
+ *   weight: 182.4,             ← what the user said
+ *   unit: "lbs",               ← "lbs" | "kg"
+ *   weightKg: 82.74,           ← normalized, used for every calculation
+ *   timestamp: Timestamp,      ← when they weighed themselves
+ *   loggedVia: "chat" | "app",
+ *   createdAt
+ * }
+ *
+ * TREND (calculateTrend):
+ * Exponentially weighted moving average of one value per day (the average
+ * of that day's weigh-ins):
+ *   trend = trend + α × (weight - trend), α = 0.1 per day
+ * Days without a weigh-in still count - after a gap of n days the new
+ * weight gets the weight of n daily steps: 1 - (1 - α)^n.
+ * The first weigh-in starts the trend.
+ *
+ * PROFILE:
+ * The newest weigh-in is copied to users/{uid}.weight (in the profile's
+ * weightUnit), so calorie estimates and the chat prompt use the current
+ * weight. Saved calorie/macro targets are recalculated too, the same way
+ * POST /api/profile/targets does. Backdated weigh-ins don't touch the
+ * profile.
+ *
+ * USED BY:
+ * tools/logWeight.js, routes/weighIns.js
+ *
+ * ============================================================================
+ */
+
+const {
+  LBS_PER_KG,
+  hasBodyStats,
+  calculateNutritionTargets,
+} = require("./nutritionTargets");
+const { getDayRange, toLocalDateString } = require("./timezone");
+const { isDeleted } = require("./softDelete");
+
+const WEIGHT_UNITS = ["lbs", "kg"];
+
+// Anything outside this is a typo (or the wrong unit)
+const MIN_WEIGHT_KG = 25;
+const MAX_WEIGHT_KG = 350;
+
+// Share of each day's weight that moves the trend (Hacker's Diet uses 0.1)
+const TREND_ALPHA = 0.1;
+
+const DEFAULT_HISTORY_DAYS = 90;
+const MAX_HISTORY_DAYS = 730;
+
+// Extra days read before the window so the trend has settled by its start
+// (0.9^30 ≈ 4% of the starting weight left)
+const TREND_WARMUP_DAYS = 30;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const getWeighInsRef = (db, userId) =>
+  db.collection("progress").doc(userId).collection("weighIns");
+
+const toKg = (weight, unit) => (unit === "kg" ? weight : weight / LBS_PER_KG);
+
+const fromKg = (kg, unit) => (unit === "kg" ? kg : kg * LBS_PER_KG);
+
+const roundWeight = (value) => Math.round(value * 10) / 10;
+
+// Same default as the profile's weight unit (lbs)
+const getWeightUnit = (profile) =>
+  profile?.weightUnit === "kg" ? "kg" : "lbs";
+
+const daysBetween = (fromDate, toDate) =>
+  Math.round(
+    (Date.parse(`${toDate}T00:00:00Z`) - Date.parse(`${fromDate}T00:00:00Z`)) /
+      DAY_MS
+  );
+
+// "YYYY-MM-DD" n days before dateString
+const shiftDate = (dateString, days) =>
+  new Date(Date.parse(`${dateString}T00:00:00Z`) - days * DAY_MS)
+    .toISOString()
+    .split("T")[0];
+
+/*
+ * Smoothed trend from daily weights.
+ * days = [{ date: "YYYY-MM-DD", weightKg }] sorted by date, one per day.
+ * Returns the same days with trendKg added.
+ */
+function calculateTrend(days) {
+  let trendKg = null;
+  let previousDate = null;
+
+  return days.map(({ date, weightKg }) => {
+    if (trendKg === null) {
+      trendKg = weightKg;
+    } else {
+      const gap = Math.max(daysBetween(previousDate, date), 1);
+      const alpha = 1 - Math.pow(1 - TREND_ALPHA, gap);
+      trendKg += alpha * (weightKg - trendKg);
+    }
+    previousDate = date;
+
+    return { date, weightKg, trendKg };
+  });
+}
+
+// Weigh-ins (Firestore docs) → one average weight per local day, oldest first
+function toDailyWeights(docs, timezone) {
+  const byDate = new Map();
+
+  docs.forEach((doc) => {
+    const data = doc.data();
+    if (isDeleted(data) || !(data.weightKg > 0)) {
+      return;
+    }
+
+    const date = toLocalDateString(data.timestamp.toDate(), timezone);
+    const day = byDate.get(date) || { total: 0, count: 0 };
+    day.total += data.weightKg;
+    day.count++;
+    byDate.set(date, day);
+  });
+
+  return [...byDate.entries()]
+    .sort(([a], [b]) => a.localeCompare(b))
+    .map(([date, { total, count }]) => ({ date, weightKg: total / count }));
+}
+
+/*
+ * Weight history and trend for the last `days` days (user's local dates,
+ * ending today), in the user's weight unit.
+ * context = { userId, timezone, profile }
+ *
+ * RETURNS:
+ * {
+ *   unit: "lbs", days,
+ *   points: [{ date, weight, trend }],       ← one per day with a weigh-in
+ *   latest: { date, weight, trend } | null,
+ *   change: -3.2 | null,      ← trend now vs. at the first point shown
+ *   weeklyRate: -0.8 | null   ← change per week (needs a week of data)
+ * }
+ */
+async function getWeightTrend(admin, db, context, days = DEFAULT_HISTORY_DAYS) {
+  const { userId, timezone, profile } = context;
+  const unit = getWeightUnit(profile);
+
+  const today = toLocalDateString(new Date(), timezone);
+  const firstDate = shiftDate(today, days - 1);
+  const { start } = getDayRange(shiftDate(firstDate, TREND_WARMUP_DAYS), timezone);
+  const { end } = getDayRange(today, timezone);
+
+  const snapshot = await getWeighInsRef(db, userId)
+    .where("timestamp", ">=", admin.firestore.Timestamp.fromDate(start))
+    .where("timestamp", "<=", admin.firestore.Timestamp.fromDate(end))
+    .get();
+
+  const points = calculateTrend(toDailyWeights(snapshot.docs, timezone))
+    .filter(({ date }) => date >= firstDate)
+    .map(({ date, weightKg, trendKg }) => ({
+      date,
+      weight: roundWeight(fromKg(weightKg, unit)),
+      trend: roundWeight(fromKg(trendKg, unit)),
+    }));
+
+  const first = points[0];
+  const latest = points[points.length - 1] || null;
+  const spanDays = latest ? daysBetween(first.date, latest.date) : 0;
+  const change = latest && spanDays > 0 ? roundWeight(latest.trend - first.trend) : null;
+
+  return {
+    unit,
+    days,
+    points,
+    latest,
+    change,
+    weeklyRate: change !== null && spanDays >= 7 ? roundWeight((change / spanDays) * 7) : null,
+  };
+}
+
+/*
+ * Save one weigh-in; if it's the newest, copy it to the profile.
+ * context = { userId, profile }
+ * Returns { weighInId, weightKg, profileUpdated }.
+ * Throws on an unknown unit or an unbelievable weight.
+ */
+async function addWeighIn(admin, db, context, { weight, unit, date, loggedVia }) {
+  const { userId, profile } = context;
+
+  if (!WEIGHT_UNITS.includes(unit)) {
+    throw new Error(`Unknown unit "${unit}" - use ${WEIGHT_UNITS.join(" or ")}`);
+  }
+  const weightKg = toKg(weight, unit);
+  if (!(weightKg >= MIN_WEIGHT_KG && weightKg <= MAX_WEIGHT_KG)) {
+    throw new Error(
+      `${weight} ${unit} doesn't look right - weight must be between ${MIN_WEIGHT_KG} and ${MAX_WEIGHT_KG} kg`
+    );
+  }
+
+  const timestamp = admin.firestore.Timestamp.fromDate(date || new Date());
+  const weighInsRef = getWeighInsRef(db, userId);
+
+  // Is there already a later weigh-in? Then this one is backdated
+  const laterSnapshot = await weighInsRef
+    .where("timestamp", ">", timestamp)
+    .limit(5)
+    .get();
+  const isNewest = !laterSnapshot.docs.some((doc) => !isDeleted(doc.data()));
+
+  const docRef = await weighInsRef.add({
+    weight,
+    unit,
+    weightKg: Math.round(weightKg * 100) / 100,
+    timestamp,
+    loggedVia,
+    createdAt: admin.firestore.FieldValue.serverTimestamp(),
+  });
+
+  if (isNewest) {
+    const profileUnit = getWeightUnit(profile);
+    const updates = {
+      weight: roundWeight(fromKg(weightKg, profileUnit)),
+      weightUnit: profileUnit,
+      weightUpdatedAt: admin.firestore.FieldValue.serverTimestamp(),
+    };
+
+    // Targets were calculated from the old weight - keep them in step
+    const updatedProfile = { ...profile, ...updates };
+    if (profile?.targetsUpdatedAt && hasBodyStats(updatedProfile)) {
+      Object.assign(updates, calculateNutritionTargets(updatedProfile), {
+        targetsUpdatedAt: admin.firestore.FieldValue.serverTimestamp(),
+      });
+    }
+
+    await db.collection("users").doc(userId).set(updates, { merge: true });
+    console.log(`⚖️ Profile weight updated for ${userId}: ${updates.weight} ${profileUnit}`);
+  }
+
+  return { weighInId: docRef.id, weightKg, profileUpdated: isNewest };
+}
+
+module.exports = {
+  WEIGHT_UNITS,
+  MIN_WEIGHT_KG,
+  MAX_WEIGHT_KG,
+  DEFAULT_HISTORY_DAYS,
+  MAX_HISTORY_DAYS,
+  getWeighInsRef,
+  toKg,
+  getWeightUnit,
+  calculateTrend,
+  getWeightTrend,
+  addWeighIn,
+};
@@ -0,0 +1,92 @@
+/*
+ * ============================================================================
+ * MIDDLEWARE: requireAuth
+ * ============================================================================
+ *
+ * PURPOSE:
+ * Make sure every protected request comes from a signed-in Firebase user, and
+ * figure out WHO that user is from their ID token - not from the request body.
+ *
+ * WHY THIS IS NEEDED:
+ * The chat endpoint used to trust whatever `userId` the app put in the JSON
+ * body. Anyone who knew (or guessed) another user's UID could read and write
+ * that user's meals. The ID token is signed by Firebase, so it can't be faked.
+ *
+ * HOW IT WORKS:
+ * 1. App calls user.getIdToken() and sends "Authorization: Bearer <token>"
+ * 2. We verify the token with admin.auth().verifyIdToken()
+ * 3. The verified UID is attached to the request as req.user.uid
+ * 4. If the body ALSO contains a userId, it must match the token's UID
+ *
+ * RESPONSES:
+ * - 401: No token, malformed header, or token is invalid/expired
+ * - 403: Body userId doesn't match the token's UID
+ * - 503: Firebase Admin isn't initialized, so we can't verify anything
+ *
+ * TESTING:
+ * firebase-admin automatically talks to the Auth emulator when the
+ * FIREBASE_AUTH_EMULATOR_HOST environment variable is set (e.g., "127.0.0.1:9099"),
+ * so this middleware can be exercised against emulator-issued tokens without
+ * any code changes. test/auth.test.js covers every response below with a
+ * stubbed admin, and again with emulator tokens when that variable is set.
+ *
+ * USAGE:
+ *   const requireAuth = createAuthMiddleware(admin);
+ *   app.post("/api/chat", requireAuth, handler);
+ *
+ * ============================================================================
+ */
+
+function createAuthMiddleware(admin) {
+  return async function requireAuth(req, res, next) {
+    // Can't verify tokens without Firebase Admin - fail loudly
+    if (!admin.apps.length) {
+      console.error(
+        "❌ CRITICAL: Firebase Admin not initialized - cannot verify ID tokens"
+      );
+      return res
+        .status(503)
+        .json({ error: "Authentication unavailable. Please try again later." });
+    }
+
+    // Expect: "Authorization: Bearer <Firebase ID token>"
+    const header = req.headers.authorization || "";
+    const [scheme, idToken] = header.split(" ");
+
+    if (scheme !== "Bearer" || !idToken) {
+      console.warn("🚫 Rejected request without a Bearer token");
+      return res.status(401).json({ error: "Missing authorization token" });
+    }
+
+    let decodedToken;
+    try {
+      decodedToken = await admin.auth().verifyIdToken(idToken);
+    } catch (error) {
+      console.warn("🚫 Rejected request with invalid ID token:", error.code);
+      return res
+        .status(401)
+        .json({ error: "Invalid or expired authorization token" });
+    }
+
+    // If the app still sends a userId in the body, it has to be the same user
+    const bodyUserId = req.body?.userId;
+    if (bodyUserId && bodyUserId !== decodedToken.uid) {
+      console.warn(
+        `🚫 Rejected request: body userId ${bodyUserId} does not match token UID ${decodedToken.uid}`
+      );
+      return res
+        .status(403)
+        .json({ error: "User ID does not match authorization token" });
+    }
+
+    // Attach the verified user for the route handler
+    req.user = {
+      uid: decodedToken.uid,
+      email: decodedToken.email || null,
+    };
+
+    next();
+  };
+}
+
+module.exports = { createAuthMiddleware };
@@ -0,0 +1,76 @@
+/*
+ * ============================================================================
+ * ROUTES: /api/activities
+ * ============================================================================
+ *
+ * PURPOSE:
+ * REST endpoints for activity sessions outside of the chat.
+ *
+ * ENDPOINTS:
+ * - POST /api/activities/:id/restore → Bring back a soft-deleted session
+ *     (the deleteActivity action only soft-deletes - helpers/softDelete.js)
+ *
+ * AUTH:
+ * Every route requires a Firebase ID token (requireAuth). The session is
+ * looked up under the token's UID, so a user can only restore their own.
+ *
+ * ============================================================================
+ */
+
+const express = require("express");
+const { isDeleted, restoreDocument } = require("../helpers/softDelete");
+
+function createActivitiesRouter(admin, db, requireAuth) {
+  const router = express.Router();
+
+  router.use(requireAuth);
+
+  // Can't do anything without Firestore - fail loudly
+  router.use((req, res, next) => {
+    if (!db) {
+      console.error("❌ CRITICAL: Firestore not initialized - activities API unavailable");
+      return res
+        .status(503)
+        .json({ error: "Database unavailable. Please try again later." });
+    }
+    next();
+  });
+
+  // Reference to one of the signed-in user's activity sessions
+  const sessionRef = (req) =>
+    db
+      .collection("activities")
+      .doc(req.user.uid)
+      .collection("sessions")
+      .doc(req.params.id);
+
+  /*
+   * POST /api/activities/:id/restore
+   * Undo a delete
+   * Returns: { success: true }
+   */
+  router.post("/:id/restore", async (req, res) => {
+    try {
+      const sessionDoc = await sessionRef(req).get();
+      if (!sessionDoc.exists) {
+        return res.status(404).json({ error: "Activity not found" });
+      }
+      if (!isDeleted(sessionDoc.data())) {
+        return res.status(409).json({ error: "Activity is not deleted" });
+      }
+
+      await restoreDocument(admin, sessionRef(req));
+      res.json({ success: true });
+    } catch (error) {
+      console.error("❌ Error restoring activity:", error);
+      res.status(500).json({
+        error: "Internal Server Error",
+        details: error.message,
+      });
+    }
+  });
+
+  return router;
+}
+
+module.exports = { createActivitiesRouter };
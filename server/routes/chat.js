@@ -0,0 +1,763 @@
+/*
+ * ============================================================================
+ * ROUTES: /api/chat
+ * ============================================================================
+ *
+ * PURPOSE:
+ * The chat with Ava - the heart of the app. Receives the conversation,
+ * handles replies to actions waiting for confirmation, runs the AI with the
+ * user's tools, and sends back Ava's message (JSON or streamed).
+ *
+ * ENDPOINTS:
+ * - POST /api/chat → { message, usage, toolCalls, pendingActionId }
+ *     Body: { messages, timezone?, recentMealsContext?, pendingActionId?, stream? }
+ *
+ * AUTH:
+ * Requires a Firebase ID token (requireAuth). The tools act for the token's
+ * UID only.
+ *
+ * TESTING:
+ * The router takes admin/db/requireAuth as arguments, so tests mount it with
+ * an in-memory Firestore and a stub model (see test/ and helpers/models.js).
+ *
+ * ============================================================================
+ */
+
+const express = require("express");
+const { generateText, streamText } = require("ai"); // Vercel AI SDK for chat with tools
+
+/*
+ * ================================================================================
+ * SYSTEM PROMPT - AI INSTRUCTIONS
+ * ================================================================================
+ *
+ * This is the "instruction manual" for the AI (GPT-4).
+ * It tells the AI:
+ * - What its role is (Ava, a fitness coach)
+ * - How to behave in conversations
+ * - What tools it has available
+ * - Step-by-step workflows to follow
+ *
+ * THINK OF THIS AS: A very detailed employee training manual that explains
+ * exactly how to handle every type of customer request.
+ *
+ * WHY THIS MATTERS FOR DEBUGGING:
+ * If the AI isn't following the correct workflow (like our current bug where
+ * it doesn't analyze findRecentMeals results), the issue might be:
+ * 1. The instructions here aren't clear enough
+ * 2. The AI is ignoring these instructions
+ * 3. The technical implementation isn't letting the AI follow these instructions
+ *
+ * ⚠️ CURRENT BUG CONTEXT:
+ * Lines 266-286 contain the meal editing workflow instructions.
+ * The AI is supposed to:
+ * 1. Call findRecentMeals
+ * 2. Describe what it found
+ * 3. Ask for confirmation
+ * 4. THEN call analyzeAndUpdateMeal
+ *
+ * But currently, step 2-3 aren't happening - the AI calls findRecentMeals
+ * and then generates EMPTY TEXT instead of describing what it found.
+ *
+ * ================================================================================
+ */
+
+// The system prompt - these are the AI's instructions
+const SYSTEM_PROMPT = require('../prompts/system');
+
+// Builds the user-facing message (with fallbacks) from an AI result
+const buildChatResponse = require("../helpers/buildChatResponse");
+
+// Server-Sent Events for the streaming mode of /api/chat
+const { openEventStream } = require("../helpers/sse");
+
+// Actions waiting for the user's confirmation (stored in Firestore)
+const { createPendingActionStore } = require("../helpers/pendingActionStore");
+const {
+  isRegisteredActionType,
+  amendPendingAction,
+  executePendingAction,
+} = require("../actions");
+
+// Works out if a reply confirms, rejects, or amends a pending action
+const { resolveConfirmation } = require("../helpers/confirmationResolver");
+
+/*
+ * ============================================================================
+ * AI TOOLS DEFINITION
+ * ============================================================================
+ *
+ * These are the "functions" that the AI can call during a conversation.
+ * Think of them like buttons the AI can press to take actions.
+ *
+ * HOW IT WORKS:
+ * 1. User says: "I had 2 eggs for breakfast"
+ * 2. AI reads the system prompt and conversation history
+ * 3. AI decides: "I should call the logMeal tool"
+ * 4. AI calls: logMeal({ mealType: "breakfast", foods: [...], ... })
+ * 5. Tool executes (saves to database)
+ * 6. Tool returns result: { success: true, mealId: "abc123" }
+ * 7. AI reads the result
+ * 8. AI responds to user: "✅ Logged your breakfast!"
+ *
+ * VERCEL AI SDK V5 SYNTAX:
+ * - Uses Zod for schema validation
+ * - Each tool has: description, inputSchema, execute function
+ *
+ * PER-REQUEST TOOLS:
+ * The tools are NOT created once at startup. Each /api/chat request builds
+ * its own set with createTools(admin, db, context), where context carries
+ * the user ID, timezone, profile and request ID (see helpers/requestContext.js).
+ * This keeps concurrent chats from writing into each other's accounts.
+ *
+ * ============================================================================
+ */
+const createTools = require("../tools");
+const { createRequestContext } = require("../helpers/requestContext");
+const {
+  toLocalDateString,
+  formatLocalTime,
+} = require("../helpers/timezone");
+const {
+  getDailyTargets,
+  estimateTdee,
+} = require("../helpers/nutritionTargets");
+const { getChatModel, getVisionModel } = require("../helpers/models");
+const { getMeasurementReminder } = require("../helpers/measurements");
+const {
+  toModelMessages,
+  getLatestImageUrls,
+} = require("../helpers/chatImages");
+
+function createChatRouter(admin, db, requireAuth) {
+  const router = express.Router();
+
+  /*
+   * ============================================================================
+   * MAIN CHAT API ENDPOINT: /api/chat
+   * ============================================================================
+   *
+   * THIS IS THE HEART OF THE APPLICATION - WHERE THE BUG IS OCCURRING!
+   *
+   * PURPOSE:
+   * Handle chat messages from the mobile app, use AI to understand the message,
+   * call appropriate tools (logMeal, findRecentMeals, etc.), and respond.
+   *
+   * WORKFLOW:
+   * 1. Mobile app sends message + conversation history
+   * 2. We call OpenAI with the system prompt, conversation, and available tools
+   * 3. AI analyzes the message and decides if it needs to call any tools
+   * 4. If tools are called, they execute and return results to the AI
+   * 5. AI reads tool results and generates a natural language response
+   * 6. We send the AI's response back to the mobile app
+   *
+   * ⚠️ CURRENT BUG LOCATION:
+   * In step 5, the AI is generating EMPTY TEXT after calling findRecentMeals.
+   * The fallback logic (lines 1390-1436) tries to compensate but doesn't have
+   * enough context to properly identify which meal the user is referring to.
+   *
+   * THE ROOT CAUSE:
+   * After calling findRecentMeals, result.text is empty. This means the AI
+   * called the tool but didn't generate any text response describing what it found.
+   *
+   * ============================================================================
+   */
+  router.post("/", requireAuth, async (req, res) => {
+    // Log that this endpoint was called
+    console.log("🚀 Railway API: POST /api/chat called");
+    console.log("📦 Request body:", JSON.stringify(req.body, null, 2));
+
+    // Set below when the app asked for a streaming (SSE) response
+    let eventStream = null;
+
+    /*
+     * TRY-CATCH BLOCK
+     *
+     * try: Process the chat message with AI
+     * catch: Handle any errors (AI API failures, tool execution errors, etc.)
+     */
+    try {
+      // Extract data from the mobile app's request
+      // messages: Array of conversation history [{role: "user", content: "..."}, ...]
+      //           User messages can carry photos: imageUrls: ["https://firebasestorage..."]
+      // recentMealsContext: Optional array of recent meals sent by the app
+      // pendingActionId: Optional opaque ID of an action from the previous turn
+      //                  that is waiting for confirmation (see helpers/pendingActionStore.js)
+      // timezone: Optional IANA timezone of the user's device
+      // stream: Optional - true to receive the response as Server-Sent Events
+      let { messages, timezone, recentMealsContext, pendingActionId, stream } =
+        req.body;
+
+      // The user's Firebase Auth UID comes from the verified ID token
+      // (set by requireAuth), NEVER from the request body
+      const userId = req.user.uid;
+
+      // Log what we received
+      console.log(
+        "🤖 Setting up AI with",
+        messages?.length || 0,
+        "messages"
+      );
+      console.log("👤 User ID:", userId);
+      console.log(
+        "🔑 OpenAI API Key present:",
+        !!process.env.OPENAI_API_KEY
+      );
+
+      // Validation: Ensure messages array was provided
+      if (!messages || !Array.isArray(messages)) {
+        return res
+          .status(400)
+          .json({ error: "Messages array is required" });
+      }
+
+      /*
+       * ============================================================================
+       * RESPONSE MODE: JSON (default) or STREAMING (Server-Sent Events)
+       * ============================================================================
+       *
+       * JSON MODE:
+       * The app waits until the AI has finished ALL tool steps, then gets one
+       * { message, pendingActionId, usage, toolCalls } object.
+       *
+       * STREAMING MODE (body.stream === true or Accept: text/event-stream):
+       * The app gets events as they happen:
+       * - text-delta:  { text }                     → partial text from Ava
+       * - tool-start:  { toolCallId, toolName }     → e.g. "Logging your meal…"
+       * - tool-finish: { toolCallId, toolName, success }
+       * - done:        same object as JSON mode    → final message + pendingActionId
+       * - error:       { error, details }
+       *
+       * sendResult() hides the difference so every exit path below works in
+       * both modes.
+       */
+      const wantsStream =
+        stream === true ||
+        (req.headers.accept || "").includes("text/event-stream");
+      eventStream = wantsStream ? openEventStream(res) : null;
+
+      const sendResult = (payload) => {
+        if (eventStream) {
+          eventStream.send("done", payload);
+          eventStream.close();
+        } else {
+          res.json(payload);
+        }
+      };
+
+      /*
+       * ============================================================================
+       * FETCH USER PROFILE FOR AI CONTEXT
+       * ============================================================================
+       *
+       * Fetch user's profile data (weight, age, gender) to enable personalized
+       * calorie estimation for activities. Falls back to defaults if profile
+       * doesn't exist (non-blocking for development).
+       */
+      let userProfile = null;
+      if (db && userId) {
+        try {
+          console.log('📋 Fetching user profile for AI context...');
+          const userDoc = await db.collection('users').doc(userId).get();
+          if (userDoc.exists) {
+            userProfile = userDoc.data();
+            console.log('✅ User profile loaded:', {
+              hasWeight: !!userProfile.weight,
+              hasAge: !!userProfile.age,
+              hasGender: !!userProfile.gender,
+            });
+          } else {
+            console.log('ℹ️  No user profile found, AI will use default estimates');
+          }
+        } catch (error) {
+          console.error('⚠️  Error fetching user profile:', error);
+          // Continue without profile - not blocking
+        }
+      }
+
+      /*
+       * ============================================================================
+       * BUILD PER-REQUEST CONTEXT AND TOOLS
+       * ============================================================================
+       *
+       * Every request gets its own context (user, timezone, profile, request ID)
+       * and its own tools bound to that context. Tools never look at shared
+       * global state, so parallel chats can't mix up whose data they touch.
+       */
+      const context = createRequestContext({
+        userId,
+        timezone,
+        profile: userProfile,
+        imageUrls: getLatestImageUrls(messages, userId),
+      });
+      const tools = createTools(admin, db, context);
+      console.log("🧾 Request context:", context.requestId);
+
+      /*
+       * ============================================================================
+       * PENDING ACTION HANDLING
+       * ============================================================================
+       *
+       * If the app sent a pendingActionId from a previous turn (e.g., meal
+       * identified but not yet confirmed), look the action up in Firestore and
+       * work out what the user's reply means (helpers/confirmationResolver.js).
+       *
+       * The app only knows the ID - the action itself (mealId, updateRequest, ...)
+       * lives on the server, so it can't be forged. The store only finds actions
+       * under THIS user's path, so another user's ID resolves to nothing.
+       *
+       * WORKFLOW:
+       * Turn 1: User says "I also had coca-cola" → meal identified → action stored
+       * Turn 2: "Yes" (confirm) → Execute the stored action directly (skip AI analysis)
+       *         "Yes but make it a large" (amend) → Apply the change, then execute
+       *         "No" (reject) → Discard the action, let AI handle naturally
+       *         Something else (unrelated) → Keep the action, let AI handle
+       *
+       * ============================================================================
+       */
+      const pendingActions = createPendingActionStore(admin, db);
+      const pendingAction = await pendingActions.get(userId, pendingActionId);
+
+      if (pendingAction) {
+        console.log("🔄 Pending action detected:", pendingAction.type);
+
+        // Get the user's latest message
+        const latestMessage = messages[messages.length - 1]?.content || "";
+
+        // What does the reply mean? confirm / reject / amend / unrelated
+        const resolution = await resolveConfirmation(
+          latestMessage,
+          pendingAction
+        );
+
+        // An amendment the action type can't take is handled by the AI instead
+        const amendedAction =
+          resolution.intent === "amend"
+            ? amendPendingAction(pendingAction, resolution.amendment)
+            : null;
+
+        // User CONFIRMED (possibly with a change) - execute directly
+        if (resolution.intent === "confirm" || amendedAction) {
+          console.log(
+            `✅ User ${
+              amendedAction ? "amended" : "confirmed"
+            } pending action - executing directly`
+          );
+
+          // Claim the action first so a double-tapped "yes" can't run it twice
+          const claimedAction = await pendingActions.consume(
+            userId,
+            pendingAction.id
+          );
+
+          if (claimedAction) {
+            try {
+              // Run the executor registered for this action type
+              // (tools are already bound to this request's user)
+              const actionResult = await executePendingAction(
+                amendedAction
+                  ? { ...claimedAction, payload: amendedAction.payload }
+                  : claimedAction,
+                { tools, admin, db, context }
+              );
+
+              // Return the result immediately - no AI analysis needed!
+              if (actionResult.success !== false) {
+                return sendResult({
+                  message: actionResult.message,
+                  pendingActionId: null, // The action is done
+                  usage: {
+                    promptTokens: 0,
+                    completionTokens: 0,
+                    totalTokens: 0,
+                  },
+                });
+              }
+
+              // Never show the executor's raw failure ("Invalid pending
+              // action") - let the AI answer the reply instead
+              console.warn(
+                "⚠️ Pending action failed - falling back to normal AI flow:",
+                actionResult.message
+              );
+            } catch (error) {
+              console.error(
+                "❌ Error executing pending action:",
+                error
+              );
+              // Fall through to normal AI flow if execution fails
+            }
+          }
+
+          pendingActionId = null;
+        }
+
+        // User REJECTED the pending action
+        if (resolution.intent === "reject") {
+          console.log("❌ User rejected pending action - discarding it");
+          await pendingActions.discard(userId, pendingAction.id);
+          pendingActionId = null; // Clear it but continue to normal AI flow
+          // Don't return early - let AI handle the rejection naturally
+        }
+
+        // For any other message, keep the action and continue to normal AI flow
+        // (the app re-sends the ID, or it expires after 5 minutes)
+      } else {
+        // Unknown, expired, or already-handled ID - don't send it back
+        pendingActionId = null;
+      }
+
+      /*
+       * ADD RECENT MEALS CONTEXT TO SYSTEM PROMPT
+       *
+       * If the mobile app sent recent meals context, append it to the system prompt.
+       * This gives the AI additional information about what meals the user has logged.
+       *
+       * NOTE: This is redundant since the AI can call findRecentMeals itself.
+       * But it provides immediate context without requiring a tool call.
+       */
+      let systemPromptWithContext = SYSTEM_PROMPT;
+      if (recentMealsContext && recentMealsContext.length > 0) {
+        systemPromptWithContext +=
+          "\n\nRECENT MEALS (for context when editing):\n";
+        recentMealsContext.forEach((meal, idx) => {
+          const foodNames = meal.foods.map((f) => f.name).join(", ");
+          const timeStr = formatLocalTime(
+            new Date(meal.timestamp),
+            context.timezone
+          );
+          systemPromptWithContext += `${
+            idx + 1
+          }. ${meal.mealType.toUpperCase()} at ${timeStr} - ${foodNames} (${
+            meal.totalCalories
+          } cal) [meal_id: ${meal.id}]\n`;
+        });
+      }
+
+      /*
+       * ADD TODAY'S DATE TO SYSTEM PROMPT
+       *
+       * The AI needs it to turn "Tuesday" or "yesterday" into the YYYY-MM-DD
+       * dates that findRecentMeals and getDailySummary filter on.
+       * Uses the USER's timezone - the server runs in UTC, so at 8pm in
+       * California it's already "tomorrow" on the server.
+       */
+      const now = new Date();
+      systemPromptWithContext += `\n\nCURRENT DATE: ${now.toLocaleDateString(
+        "en-US",
+        {
+          timeZone: context.timezone,
+          weekday: "long",
+          year: "numeric",
+          month: "long",
+          day: "numeric",
+        }
+      )} (${toLocalDateString(now, context.timezone)})
+  CURRENT TIME: ${formatLocalTime(now, context.timezone)} (${context.timezone})\n`;
+
+      /*
+       * ============================================================================
+       * ADD USER PROFILE CONTEXT TO SYSTEM PROMPT
+       * ============================================================================
+       *
+       * Provides AI with user's physical stats for accurate calorie estimation.
+       * Falls back to defaults if profile doesn't exist (non-blocking).
+       */
+      if (userProfile && (userProfile.weight || userProfile.age)) {
+        console.log('📋 Adding user profile to AI context');
+
+        // Saved targets, or calculated from their stats (helpers/nutritionTargets.js)
+        const dailyTargets = getDailyTargets(userProfile);
+
+        systemPromptWithContext += `\n\nUSER PROFILE:
+  The user you are coaching has the following profile information. Use this to provide personalized calorie and macro estimates.
+
+  Physical Stats:
+  - Weight: ${userProfile.weight || 170} ${userProfile.weightUnit || 'lbs'}
+  - Age: ${userProfile.age || 28} years
+  - Gender: ${userProfile.gender || 'male'}
+  - Height: ${userProfile.height || 70} ${userProfile.heightUnit || 'inches'}
+  - Activity Level: ${userProfile.activityLevel || 'moderate'}
+
+  Fitness Goal: ${userProfile.goalType || 'maintain weight'}
+  Daily Targets: ${dailyTargets.calories} calories, ${dailyTargets.protein}g protein, ${dailyTargets.carbs}g carbs, ${dailyTargets.fats}g fat, ${dailyTargets.fiber}g fiber
+  Estimated TDEE (before logged workouts): ${estimateTdee(userProfile).tdee} calories
+
+  IMPORTANT INSTRUCTIONS FOR CALORIE ESTIMATION:
+  1. When logging activities (cardio, classes, sports), estimate calories burned based on:
+     - User's weight (heavier = more calories burned)
+     - Activity duration and intensity
+     - Activity type
+
+  2. Use these formulas as guidelines:
+     - Running: ~0.63 * weight(lbs) * distance(miles)
+     - Cycling: ~0.049 * weight(lbs) * duration(minutes)
+     - Walking: ~0.30 * weight(lbs) * distance(miles)
+     - Classes/Sports: Adjust by intensity
+       * Low intensity: ~3 calories/minute
+       * Moderate intensity: ~5 calories/minute
+       * High intensity: ~8 calories/minute
+
+  3. Round estimates to nearest 10 calories (e.g., "approximately 310 calories")
+
+  4. Show your reasoning in confirmation messages: "Based on your weight (${userProfile.weight || 170} ${userProfile.weightUnit || 'lbs'}), I estimate..."
+
+  5. Be transparent about estimates: use words like "approximately", "around", "estimated"`;
+      } else {
+        console.log('ℹ️  No profile data available, AI will use general estimates');
+      }
+
+      /*
+       * ADD WEEKLY MEASUREMENT REMINDER TO SYSTEM PROMPT
+       *
+       * Arm size is the program's muscle-growth signal, so body measurements
+       * are taken weekly. When the last check-in is a week old (or there
+       * hasn't been one), Ava asks for it. See helpers/measurements.js.
+       * Non-blocking - the chat works without it.
+       */
+      if (db) {
+        try {
+          const reminder = await getMeasurementReminder(admin, db, context);
+          if (reminder.due) {
+            console.log('📏 Measurement check-in due - adding reminder to AI context');
+            systemPromptWithContext += `\n\nMEASUREMENT CHECK-IN DUE:
+  ${reminder.lastMeasuredDate
+    ? `Last body measurements: ${reminder.lastMeasuredDate} (${reminder.daysSince} days ago).`
+    : 'No body measurements logged yet.'}
+  It's measurement day! Once in this conversation, at a natural moment (not while confirming a meal or workout), ask the user to measure arms, chest, waist, hips and thighs, then log them with logMeasurement.
+  Don't ask again if you already did, or if they say not now.`;
+          }
+        } catch (error) {
+          console.error('⚠️  Error checking measurement reminder:', error);
+          // Continue without the reminder - not blocking
+        }
+      }
+
+      /*
+       * ============================================================================
+       * CALL THE AI (VERCEL AI SDK V5 generateText)
+       * ============================================================================
+       *
+       * This is where the magic happens! We're calling OpenAI GPT-4 with:
+       * - The system prompt (instructions for the AI)
+       * - The conversation history
+       * - The available tools (logMeal, findRecentMeals, analyzeAndUpdateMeal, getDailySummary)
+       *
+       * HOW MULTI-STEP EXECUTION WORKS:
+       * 1. AI reads the message and decides if it needs to call a tool
+       * 2. If yes, AI calls the tool (e.g., findRecentMeals)
+       * 3. Tool executes and returns results
+       * 4. AI reads the tool results
+       * 5. AI decides what to do next:
+       *    - Call another tool? (e.g., analyzeAndUpdateMeal)
+       *    - Generate a text response to the user?
+       * 6. This loops up to maxSteps times (10 in our case)
+       *
+       * WHAT WE EXPECT TO GET BACK:
+       * - result.text: The AI's final text response to the user
+       * - result.steps: Array of steps (tool calls and results)
+       * - result.usage: Token usage statistics
+       *
+       * ⚠️ THE BUG:
+       * When AI calls findRecentMeals, result.text comes back EMPTY.
+       * This suggests the AI is calling the tool but not generating text afterwards.
+       *
+       * ============================================================================
+       */
+      // Photos become image parts (see helpers/chatImages.js)
+      const modelMessages = toModelMessages(messages, userId);
+      const hasImages = modelMessages.some((msg) => Array.isArray(msg.content));
+      if (hasImages) {
+        console.log("📸 Conversation includes photos - using vision model");
+      }
+
+      const aiOptions = {
+        // Which AI model to use (see helpers/models.js - Claude Sonnet 4.5 by
+        // default, which handles both tool calling and photos)
+        model: hasImages ? getVisionModel() : getChatModel(),
+
+        // The system prompt (AI's instructions)
+        system: systemPromptWithContext,
+
+        // The conversation history
+        // Format: [{role: "user", content: "..."}, {role: "assistant", content: "..."}, ...]
+        // (user messages with photos have content: [{ type: "text" }, { type: "image" }])
+        messages: modelMessages,
+
+        // The tools the AI can call
+        tools,
+
+        // Maximum number of steps (tool calls + responses) per request
+        // Each new message from the user resets this counter
+        maxSteps: 10,
+
+        // Let AI decide when to use tools (vs. 'required' or 'none')
+        toolChoice: "auto",
+
+        // In v5, tools execute automatically using their built-in execute functions
+        // We don't need to manually handle tool execution like in v4
+      };
+
+      let result;
+      if (eventStream) {
+        /*
+         * STREAMING MODE: streamText
+         *
+         * Same options as generateText, but we forward each part to the app
+         * as soon as it arrives. After the stream ends we collect the same
+         * fields generateText would have returned (text, steps, response,
+         * usage) so the fallback logic below works unchanged.
+         */
+        const streamResult = streamText(aiOptions);
+
+        for await (const part of streamResult.fullStream) {
+          if (eventStream.closed) break; // App went away - stop forwarding
+
+          switch (part.type) {
+            case "text-delta":
+              eventStream.send("text-delta", { text: part.text });
+              break;
+            case "tool-call":
+              console.log("📡 Streaming tool start:", part.toolName);
+              eventStream.send("tool-start", {
+                toolCallId: part.toolCallId,
+                toolName: part.toolName,
+              });
+              break;
+            case "tool-result":
+              eventStream.send("tool-finish", {
+                toolCallId: part.toolCallId,
+                toolName: part.toolName,
+                success: part.output?.success !== false,
+              });
+              break;
+            case "tool-error":
+              eventStream.send("tool-finish", {
+                toolCallId: part.toolCallId,
+                toolName: part.toolName,
+                success: false,
+              });
+              break;
+            case "error":
+              throw part.error;
+          }
+        }
+
+        result = {
+          text: await streamResult.text,
+          steps: await streamResult.steps,
+          response: await streamResult.response,
+          usage: await streamResult.totalUsage,
+        };
+      } else {
+        result = await generateText(aiOptions);
+      }
+
+      // Log that the AI request succeeded (but this doesn't mean we got useful text!)
+      console.log("✅ AI request successful");
+
+      /*
+       * ============================================================================
+       * SIMPLE LOGGING FOR MONITORING
+       * ============================================================================
+       *
+       * Basic logging to monitor AI responses without crashing on undefined properties.
+       *
+       * ============================================================================
+       */
+      console.log("📊 result.text:", result.text ? "present" : "EMPTY");
+      console.log("📊 result.steps count:", result.steps?.length || 0);
+
+      /*
+       * ============================================================================
+       * EXTRACT THE AI's RESPONSE TEXT (+ FALLBACKS)
+       * ============================================================================
+       *
+       * See helpers/buildChatResponse.js - it tries result.text, then the
+       * assistant messages, then a context-aware fallback based on which tools
+       * were called (including the second-pass meal identification).
+       */
+      const response = await buildChatResponse({
+        text: result.text,
+        responseMessages: result.response.messages,
+        steps: result.steps,
+        messages,
+        timezone: context.timezone,
+        imageUrls: context.imageUrls,
+      });
+      const message = response.message;
+
+      // A newly proposed action replaces whatever was pending before
+      if (
+        db &&
+        response.proposedAction &&
+        isRegisteredActionType(response.proposedAction.type)
+      ) {
+        pendingActionId = await pendingActions.create(
+          userId,
+          response.proposedAction
+        );
+      }
+
+      // Tools that need confirmation (deleteMeal, deleteActivity) store their
+      // own pending action and return its ID - the latest one wins
+      const toolPendingActionId = result.steps
+        ?.flatMap((step) => step.toolResults || [])
+        .map((toolResult) => toolResult.output?.pendingActionId)
+        .filter(Boolean)
+        .pop();
+      if (toolPendingActionId) {
+        pendingActionId = toolPendingActionId;
+      }
+
+      // Log the final response we're sending
+      console.log(
+        "🤖 Generated response:",
+        message.substring(0, 100) + "..."
+      );
+
+      // Return the response to the mobile app (JSON or final SSE event)
+      sendResult({
+        // The text message to display to the user
+        message,
+
+        // Token usage statistics (for monitoring costs)
+        usage: result.usage,
+
+        // List of tool calls made (for debugging)
+        toolCalls:
+          result.steps
+            ?.filter((step) => step.toolCalls)
+            .flatMap((step) => step.toolCalls) || [],
+
+        // Opaque ID of the action waiting for confirmation (if any)
+        // Frontend will store this and send it back when user responds
+        // Returns null if: no action pending, action expired, or action was executed/rejected
+        pendingActionId: pendingActionId || null,
+      });
+    } catch (error) {
+      // If anything goes wrong during the entire process
+      console.error("❌ Chat API error:", error);
+
+      // Streaming mode: headers are already sent, so report it as an event
+      if (eventStream) {
+        eventStream.send("error", {
+          error: "Internal Server Error",
+          details: error.message,
+        });
+        eventStream.close();
+        return;
+      }
+
+      // Return 500 Internal Server Error
+      res.status(500).json({
+        error: "Internal Server Error",
+        details: error.message,
+      });
+    }
+  });
+
+  return router;
+}
+
+module.exports = { createChatRouter };
@@ -0,0 +1,128 @@
+/*
+ * ============================================================================
+ * ROUTES: /api/foods
+ * ============================================================================
+ *
+ * PURPOSE:
+ * Let the app search the bundled nutrition database (data/foods.json) - the
+ * same data Ava uses through the lookupFood tool.
+ *
+ * ENDPOINTS:
+ * - GET /api/foods/search?q=banana&limit=10
+ *     Returns: { foods: [{ foodId, name, category, per100g, servings }] }
+ * - GET /api/foods/barcode/:upc
+ *     Look up a scanned packaged product (data/products.json, imported from
+ *     Open Food Facts - see scripts/importOpenFoodFacts.js)
+ *     Returns: { product: { foodId, barcode, name, servingSize, servingGrams,
+ *                per100g, perServing } }
+ *     404 { error, code: "PRODUCT_NOT_FOUND" | "PRODUCT_DATABASE_EMPTY" } -
+ *     the second one means products.json hasn't been imported yet
+ * - POST /api/foods/validate
+ *     Body: { foods: [{ name, quantity, calories, protein, carbs, fats,
+ *             fiber, foodId?, recipeId? }] }
+ *     The macro check Ava's logMeal uses (helpers/macroValidation.js), for
+ *     meals the app logs itself. Sources are worked out here, like for Ava.
+ *     Returns: { valid, errors: [message], warnings: [message] }
+ *
+ * AUTH:
+ * Requires a Firebase ID token (requireAuth) like every other app endpoint.
+ *
+ * ============================================================================
+ */
+
+const express = require("express");
+const {
+  searchFoods,
+  toFoodResult,
+  tagFoodSources,
+} = require("../helpers/foodDatabase");
+const { validateFoods } = require("../helpers/macroValidation");
+const {
+  normalizeBarcode,
+  isProductDatabaseImported,
+  getProductByBarcode,
+  toProductResult,
+} = require("../helpers/productDatabase");
+
+const MAX_SEARCH_RESULTS = 25;
+
+function createFoodsRouter(requireAuth) {
+  const router = express.Router();
+
+  router.use(requireAuth);
+
+  /*
+   * GET /api/foods/search
+   */
+  router.get("/search", (req, res) => {
+    const query = typeof req.query.q === "string" ? req.query.q.trim() : "";
+    if (!query) {
+      return res.status(400).json({ error: "Query parameter q is required" });
+    }
+
+    const limit = Math.min(
+      Math.max(parseInt(req.query.limit, 10) || 10, 1),
+      MAX_SEARCH_RESULTS
+    );
+
+    const foods = searchFoods(query, limit).map(toFoodResult);
+    console.log(`🔎 Food search "${query}": ${foods.length} results`);
+    res.json({ foods });
+  });
+
+  /*
+   * GET /api/foods/barcode/:upc
+   */
+  router.get("/barcode/:upc", (req, res) => {
+    if (!normalizeBarcode(req.params.upc)) {
+      return res.status(400).json({
+        error: "Invalid barcode - expected 8, 12, 13 or 14 digits",
+      });
+    }
+
+    if (!isProductDatabaseImported()) {
+      console.warn(`⚠️ Barcode ${req.params.upc}: product database not imported`);
+      return res.status(404).json({
+        error:
+          "The product database hasn't been imported yet - run scripts/importOpenFoodFacts.js on the server",
+        code: "PRODUCT_DATABASE_EMPTY",
+      });
+    }
+
+    const product = getProductByBarcode(req.params.upc);
+    if (!product) {
+      console.log(`🔎 Barcode ${req.params.upc}: not found`);
+      return res
+        .status(404)
+        .json({ error: "Product not found", code: "PRODUCT_NOT_FOUND" });
+    }
+
+    console.log(`🔎 Barcode ${req.params.upc}: ${product.name}`);
+    res.json({ product: toProductResult(product) });
+  });
+
+  /*
+   * POST /api/foods/validate
+   */
+  router.post("/validate", (req, res) => {
+    const { foods } = req.body || {};
+    if (
+      !Array.isArray(foods) ||
+      foods.length === 0 ||
+      !foods.every((food) => food && typeof food === "object")
+    ) {
+      return res.status(400).json({ error: "foods must be a non-empty array" });
+    }
+
+    // The app can't vouch for its own numbers: source and recipeId are
+    // dropped so tagFoodSources only trusts foods it can look up
+    const validation = validateFoods(
+      tagFoodSources(foods.map(({ source, recipeId, ...food }) => food))
+    );
+    res.json(validation);
+  });
+
+  return router;
+}
+
+module.exports = { createFoodsRouter };
@@ -0,0 +1,149 @@
+/*
+ * ============================================================================
+ * ROUTES: /api/hydration
+ * ============================================================================
+ *
+ * PURPOSE:
+ * The water counter on the nutrition tab: the day's total vs. target, and
+ * quick "+250 ml" / "+8 oz" taps. The target depends on body weight and the
+ * day's activity minutes, so it's computed here (helpers/hydration.js) -
+ * the same numbers Ava sees.
+ *
+ * ENDPOINTS:
+ * - GET  /api/hydration?date=YYYY-MM-DD&timezone=America/New_York
+ *     date defaults to today in the timezone (then the profile's, then UTC)
+ *     Returns: { hydration: { date, totalMl, targetMl, remainingMl,
+ *                progress, entriesCount, activityMinutes, summary } }
+ * - POST /api/hydration
+ *     Body: { amount, unit: "ml" | "l" | "oz" | "cup", timezone? }
+ *     Returns: 201 { entryId, amountMl, hydration }
+ *
+ * AUTH:
+ * Every route requires a Firebase ID token (requireAuth). Entries are read
+ * and written under the token's UID only.
+ *
+ * ============================================================================
+ */
+
+const express = require("express");
+const { z } = require("zod");
+const {
+  resolveTimeZone,
+  isValidDateString,
+  toLocalDateString,
+} = require("../helpers/timezone");
+const {
+  WATER_UNITS,
+  MAX_ENTRY_ML,
+  toMl,
+  addWaterEntry,
+  getHydrationForDay,
+} = require("../helpers/hydration");
+
+const waterEntrySchema = z
+  .object({
+    amount: z.number().positive(),
+    unit: z.enum(WATER_UNITS),
+    timezone: z.string().optional(),
+  })
+  .refine(({ amount, unit }) => toMl(amount, unit) <= MAX_ENTRY_ML, {
+    message: `At most ${MAX_ENTRY_ML} ml per entry`,
+    path: ["amount"],
+  });
+
+function createHydrationRouter(admin, db, requireAuth) {
+  const router = express.Router();
+
+  router.use(requireAuth);
+
+  // Can't do anything without Firestore - fail loudly
+  router.use((req, res, next) => {
+    if (!db) {
+      console.error("❌ CRITICAL: Firestore not initialized - hydration API unavailable");
+      return res
+        .status(503)
+        .json({ error: "Database unavailable. Please try again later." });
+    }
+    next();
+  });
+
+  // Same shape as the chat tools' context (helpers/requestContext.js)
+  const loadContext = async (userId, requestedTimezone) => {
+    const userDoc = await db.collection("users").doc(userId).get();
+    const profile = userDoc.exists ? userDoc.data() : null;
+
+    return {
+      userId,
+      profile,
+      timezone: resolveTimeZone(requestedTimezone, profile?.timezone),
+    };
+  };
+
+  /*
+   * GET /api/hydration
+   */
+  router.get("/", async (req, res) => {
+    const { date } = req.query;
+    if (date !== undefined && !isValidDateString(date)) {
+      return res.status(400).json({ error: "date must be YYYY-MM-DD" });
+    }
+
+    try {
+      const context = await loadContext(req.user.uid, req.query.timezone);
+      const hydration = await getHydrationForDay(admin, db, context, date);
+      res.json({ hydration });
+    } catch (error) {
+      console.error("❌ Error getting hydration:", error);
+      res.status(500).json({
+        error: "Internal Server Error",
+        details: error.message,
+      });
+    }
+  });
+
+  /*
+   * POST /api/hydration
+   */
+  router.post("/", async (req, res) => {
+    const parsed = waterEntrySchema.safeParse(req.body || {});
+    if (!parsed.success) {
+      return res.status(400).json({
+        error: parsed.error.issues
+          .map((issue) => `${issue.path.join(".")}: ${issue.message}`)
+          .join("; "),
+      });
+    }
+
+    try {
+      const { amount, unit, timezone } = parsed.data;
+      const context = await loadContext(req.user.uid, timezone);
+      const now = new Date();
+
+      const { entryId, amountMl } = await addWaterEntry(
+        admin,
+        db,
+        req.user.uid,
+        { amount, unit, date: now, loggedVia: "app" }
+      );
+      console.log("💧 Water logged from the app:", entryId, `(${amountMl} ml)`);
+
+      const hydration = await getHydrationForDay(
+        admin,
+        db,
+        context,
+        toLocalDateString(now, context.timezone)
+      );
+      res.status(201).json({ entryId, amountMl, hydration });
+    } catch (error) {
+      console.error("❌ Error logging water:", error);
+      res.status(500).json({
+        error: "Internal Server Error",
+        details: error.message,
+      });
+    }
+  });
+
+  return router;
+}
+
+module.exports = { createHydrationRouter };
@@ -0,0 +1,186 @@
+/*
+ * ============================================================================
+ * ROUTES: /api/meals
+ * ============================================================================
+ *
+ * PURPOSE:
+ * REST endpoints for working with a meal's revision history directly from
+ * the app (outside of the chat).
+ *
+ * ENDPOINTS:
+ * - GET  /api/meals/:id/revisions → List previous versions, newest first
+ * - POST /api/meals/:id/revert    → Restore a revision
+ *     Body: { revisionId?: string }  (omit to undo the last change)
+ * - POST /api/meals/:id/restore   → Bring back a soft-deleted meal
+ * - DELETE /api/meals/:id         → Purge a soft-deleted meal for good,
+ *     with its photos and revisions (helpers/mealPhotos.js)
+ *
+ * AUTH:
+ * Every route requires a Firebase ID token (requireAuth). The meal is looked
+ * up under the token's UID, so a user can only see/revert their own meals.
+ *
+ * ============================================================================
+ */
+
+const express = require("express");
+const { isDeleted, restoreDocument } = require("../helpers/softDelete");
+const { deleteMealPhotos } = require("../helpers/mealPhotos");
+const {
+  listMealRevisions,
+  revertMealToRevision,
+} = require("../helpers/mealRevisions");
+
+function createMealsRouter(admin, db, requireAuth) {
+  const router = express.Router();
+
+  router.use(requireAuth);
+
+  // Can't do anything without Firestore - fail loudly
+  router.use((req, res, next) => {
+    if (!db) {
+      console.error("❌ CRITICAL: Firestore not initialized - meals API unavailable");
+      return res
+        .status(503)
+        .json({ error: "Database unavailable. Please try again later." });
+    }
+    next();
+  });
+
+  // Reference to one of the signed-in user's meals
+  const mealRef = (req) =>
+    db
+      .collection("nutrition")
+      .doc(req.user.uid)
+      .collection("meals")
+      .doc(req.params.id);
+
+  /*
+   * GET /api/meals/:id/revisions
+   * Returns: { revisions: [{ id, updateRequest, diff, source, undone, snapshot, createdAt }] }
+   */
+  router.get("/:id/revisions", async (req, res) => {
+    try {
+      const mealDoc = await mealRef(req).get();
+      if (!mealDoc.exists) {
+        return res.status(404).json({ error: "Meal not found" });
+      }
+
+      const revisions = await listMealRevisions(mealRef(req));
+      res.json({ revisions });
+    } catch (error) {
+      console.error("❌ Error listing meal revisions:", error);
+      res.status(500).json({
+        error: "Internal Server Error",
+        details: error.message,
+      });
+    }
+  });
+
+  /*
+   * POST /api/meals/:id/revert
+   * Returns: { success: true, revisionId, meal, diff }
+   */
+  router.post("/:id/revert", async (req, res) => {
+    const { revisionId } = req.body || {};
+
+    if (revisionId !== undefined && typeof revisionId !== "string") {
+      return res.status(400).json({ error: "revisionId must be a string" });
+    }
+
+    try {
+      const result = await revertMealToRevision(
+        admin,
+        db,
+        req.user.uid,
+        req.params.id,
+        revisionId
+      );
+
+      if (!result.success) {
+        return res.status(404).json({ error: result.message });
+      }
+
+      res.json({
+        success: true,
+        revisionId: result.revisionId,
+        meal: result.restoredMeal,
+        diff: result.diff,
+      });
+    } catch (error) {
+      console.error("❌ Error reverting meal:", error);
+      res.status(500).json({
+        error: "Internal Server Error",
+        details: error.message,
+      });
+    }
+  });
+
+  /*
+   * POST /api/meals/:id/restore
+   * Undo a delete (deleteMeal only soft-deletes - see helpers/softDelete.js)
+   * Returns: { success: true }
+   */
+  router.post("/:id/restore", async (req, res) => {
+    try {
+      const mealDoc = await mealRef(req).get();
+      if (!mealDoc.exists) {
+        return res.status(404).json({ error: "Meal not found" });
+      }
+      if (!isDeleted(mealDoc.data())) {
+        return res.status(409).json({ error: "Meal is not deleted" });
+      }
+
+      await restoreDocument(admin, mealRef(req));
+      res.json({ success: true });
+    } catch (error) {
+      console.error("❌ Error restoring meal:", error);
+      res.status(500).json({
+        error: "Internal Server Error",
+        details: error.message,
+      });
+    }
+  });
+
+  /*
+   * DELETE /api/meals/:id
+   * Permanently remove a meal that's already deleted (in the trash), along
+   * with its photos in Storage and its revision history. Meals that aren't
+   * deleted yet get 409, so one request can't wipe a live meal.
+   * Returns: { success: true, photosDeleted }
+   */
+  router.delete("/:id", async (req, res) => {
+    try {
+      const ref = mealRef(req);
+      const mealDoc = await ref.get();
+      if (!mealDoc.exists) {
+        return res.status(404).json({ error: "Meal not found" });
+      }
+      if (!isDeleted(mealDoc.data())) {
+        return res
+          .status(409)
+          .json({ error: "Delete the meal before purging it" });
+      }
+
+      const photosDeleted = await deleteMealPhotos(admin, req.user.uid, ref.id);
+
+      const revisions = await ref.collection("revisions").get();
+      const batch = db.batch();
+      revisions.forEach((doc) => batch.delete(doc.ref));
+      batch.delete(ref);
+      await batch.commit();
+
+      console.log(`🗑️ Purged meal ${ref.id} (${photosDeleted} photo file(s))`);
+      res.json({ success: true, photosDeleted });
+    } catch (error) {
+      console.error("❌ Error purging meal:", error);
+      res.status(500).json({
+        error: "Internal Server Error",
+        details: error.message,
+      });
+    }
+  });
+
+  return router;
+}
+
+module.exports = { createMealsRouter };
@@ -0,0 +1,90 @@
+/*
+ * ============================================================================
+ * ROUTES: /api/measurements
+ * ============================================================================
+ *
+ * PURPOSE:
+ * Body measurements for MeasurementsScreen: per-site week-over-week changes
+ * for the charts and every entry for the history table. Changes are
+ * computed here (helpers/measurements.js) - the same numbers Ava sees
+ * after logMeasurement. Measurements are logged through chat.
+ *
+ * ENDPOINTS:
+ * - GET  /api/measurements?weeks=12&timezone=America/New_York
+ *     weeks defaults to 12 (at most 104)
+ *     Returns: { unit, weeks, sites: [{ site, latest, change, weeksApart,
+ *                weekly }], entries: [{ id, date, site, value }], reminder }
+ *
+ * AUTH:
+ * Every route requires a Firebase ID token (requireAuth). Measurements are
+ * read and written under the token's UID only.
+ *
+ * ============================================================================
+ */
+
+const express = require("express");
+const { resolveTimeZone } = require("../helpers/timezone");
+const {
+  DEFAULT_HISTORY_WEEKS,
+  MAX_HISTORY_WEEKS,
+  getMeasurementHistory,
+} = require("../helpers/measurements");
+
+function createMeasurementsRouter(admin, db, requireAuth) {
+  const router = express.Router();
+
+  router.use(requireAuth);
+
+  // Can't do anything without Firestore - fail loudly
+  router.use((req, res, next) => {
+    if (!db) {
+      console.error("❌ CRITICAL: Firestore not initialized - measurements API unavailable");
+      return res
+        .status(503)
+        .json({ error: "Database unavailable. Please try again later." });
+    }
+    next();
+  });
+
+  // Same shape as the chat tools' context (helpers/requestContext.js)
+  const loadContext = async (userId, requestedTimezone) => {
+    const userDoc = await db.collection("users").doc(userId).get();
+    const profile = userDoc.exists ? userDoc.data() : null;
+
+    return {
+      userId,
+      profile,
+      timezone: resolveTimeZone(requestedTimezone, profile?.timezone),
+    };
+  };
+
+  /*
+   * GET /api/measurements
+   */
+  router.get("/", async (req, res) => {
+    const weeks =
+      req.query.weeks === undefined
+        ? DEFAULT_HISTORY_WEEKS
+        : Number(req.query.weeks);
+    if (!Number.isInteger(weeks) || weeks < 1 || weeks > MAX_HISTORY_WEEKS) {
+      return res
+        .status(400)
+        .json({ error: `weeks must be a whole number from 1 to ${MAX_HISTORY_WEEKS}` });
+    }
+
+    try {
+      const context = await loadContext(req.user.uid, req.query.timezone);
+      res.json(await getMeasurementHistory(admin, db, context, weeks));
+    } catch (error) {
+      console.error("❌ Error getting measurements:", error);
+      res.status(500).json({
+        error: "Internal Server Error",
+        details: error.message,
+      });
+    }
+  });
+
+  return router;
+}
+
+module.exports = { createMeasurementsRouter };
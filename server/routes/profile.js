@@ -0,0 +1,83 @@
+/*
+ * ============================================================================
+ * ROUTES: /api/profile
+ * ============================================================================
+ *
+ * PURPOSE:
+ * Endpoints for the signed-in user's profile (users/{uid}).
+ *
+ * ENDPOINTS:
+ * - POST /api/profile/targets → Calculate calorie and macro targets from the
+ *   profile's body stats and goal, save them to the profile, return them.
+ *     Called by the app after onboarding and whenever weight, height, age,
+ *     gender, activity level, body fat or goal change.
+ *
+ * See helpers/nutritionTargets.js for the formulas.
+ *
+ * AUTH:
+ * Every route requires a Firebase ID token (requireAuth). The profile is
+ * looked up under the token's UID.
+ *
+ * ============================================================================
+ */
+
+const express = require("express");
+const { calculateNutritionTargets } = require("../helpers/nutritionTargets");
+
+function createProfileRouter(admin, db, requireAuth) {
+  const router = express.Router();
+
+  router.use(requireAuth);
+
+  // Can't do anything without Firestore - fail loudly
+  router.use((req, res, next) => {
+    if (!db) {
+      console.error("❌ CRITICAL: Firestore not initialized - profile API unavailable");
+      return res
+        .status(503)
+        .json({ error: "Database unavailable. Please try again later." });
+    }
+    next();
+  });
+
+  /*
+   * POST /api/profile/targets
+   * Returns: { success: true, targets: { goal, bmr, bmrFormula, tdee,
+   *            calorieTarget, proteinTarget, carbsTarget, fatsTarget, fiberTarget } }
+   */
+  router.post("/targets", async (req, res) => {
+    try {
+      const userRef = db.collection("users").doc(req.user.uid);
+      const userDoc = await userRef.get();
+      if (!userDoc.exists) {
+        return res.status(404).json({ error: "Profile not found" });
+      }
+
+      const targets = calculateNutritionTargets(userDoc.data());
+
+      await userRef.set(
+        {
+          ...targets,
+          targetsUpdatedAt: admin.firestore.FieldValue.serverTimestamp(),
+        },
+        { merge: true }
+      );
+
+      console.log(
+        `🎯 Targets saved for ${req.user.uid}: ${targets.calorieTarget} cal (${targets.goal}, TDEE ${targets.tdee})`
+      );
+
+      res.json({ success: true, targets });
+    } catch (error) {
+      console.error("❌ Error calculating targets:", error);
+      res.status(500).json({
+        error: "Internal Server Error",
+        details: error.message,
+      });
+    }
+  });
+
+  return router;
+}
+
+module.exports = { createProfileRouter };
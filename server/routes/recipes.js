@@ -0,0 +1,193 @@
+/*
+ * ============================================================================
+ * ROUTES: /api/recipes
+ * ============================================================================
+ *
+ * PURPOSE:
+ * Create, read, update and delete the user's recipes from the app.
+ * Per-serving macros are computed on the server (helpers/recipes.js).
+ *
+ * ENDPOINTS:
+ * - GET    /api/recipes      → List recipes, A-Z
+ *     Returns: { recipes: [recipe] }
+ * - GET    /api/recipes/:id  → One recipe
+ *     Returns: { recipe }
+ * - POST   /api/recipes      → Create
+ *     Body: { name, servings, ingredients: [{ name, quantity, grams?, calories,
+ *             protein, carbs, fats, fiber, foodId? }], notes? }
+ *     Returns: 201 { recipe }
+ * - PUT    /api/recipes/:id  → Replace name/servings/ingredients/notes
+ *     Meals already logged from the recipe keep their numbers.
+ *     Returns: { recipe }
+ * - DELETE /api/recipes/:id  → Soft delete (helpers/softDelete.js)
+ *     Returns: { success: true }
+ *
+ * recipe = { recipeId, name, servings, perServing, totalCalories, ...,
+ *            ingredients, notes }
+ *
+ * AUTH:
+ * Every route requires a Firebase ID token (requireAuth). Recipes are read
+ * and written under the token's UID only.
+ *
+ * ============================================================================
+ */
+
+const express = require("express");
+const { recipeInputSchema } = require("../schemas/recipe");
+const { softDeleteDocument } = require("../helpers/softDelete");
+const {
+  getRecipesRef,
+  toRecipeData,
+  listRecipes,
+  findRecipe,
+  toRecipeResult,
+} = require("../helpers/recipes");
+
+// "ingredients.0.calories: Expected number, received string"
+const formatValidationError = (error) =>
+  error.issues
+    .map((issue) => `${issue.path.join(".")}: ${issue.message}`)
+    .join("; ");
+
+function createRecipesRouter(admin, db, requireAuth) {
+  const router = express.Router();
+
+  router.use(requireAuth);
+
+  // Can't do anything without Firestore - fail loudly
+  router.use((req, res, next) => {
+    if (!db) {
+      console.error("❌ CRITICAL: Firestore not initialized - recipes API unavailable");
+      return res
+        .status(503)
+        .json({ error: "Database unavailable. Please try again later." });
+    }
+    next();
+  });
+
+  const sendServerError = (res, action, error) => {
+    console.error(`❌ Error ${action}:`, error);
+    res.status(500).json({
+      error: "Internal Server Error",
+      details: error.message,
+    });
+  };
+
+  /*
+   * GET /api/recipes
+   */
+  router.get("/", async (req, res) => {
+    try {
+      const recipes = await listRecipes(db, req.user.uid);
+      res.json({ recipes: recipes.map(toRecipeResult) });
+    } catch (error) {
+      sendServerError(res, "listing recipes", error);
+    }
+  });
+
+  /*
+   * GET /api/recipes/:id
+   */
+  router.get("/:id", async (req, res) => {
+    try {
+      const recipe = await findRecipe(db, req.user.uid, {
+        recipeId: req.params.id,
+      });
+      if (!recipe) {
+        return res.status(404).json({ error: "Recipe not found" });
+      }
+      res.json({ recipe: toRecipeResult(recipe) });
+    } catch (error) {
+      sendServerError(res, "getting recipe", error);
+    }
+  });
+
+  /*
+   * POST /api/recipes
+   */
+  router.post("/", async (req, res) => {
+    const parsed = recipeInputSchema.safeParse(req.body || {});
+    if (!parsed.success) {
+      return res
+        .status(400)
+        .json({ error: formatValidationError(parsed.error) });
+    }
+
+    try {
+      const recipeData = toRecipeData(parsed.data);
+      const now = admin.firestore.FieldValue.serverTimestamp();
+      const docRef = await getRecipesRef(db, req.user.uid).add({
+        ...recipeData,
+        createdAt: now,
+        updatedAt: now,
+      });
+
+      console.log("🍲 Recipe created:", docRef.id);
+      res
+        .status(201)
+        .json({ recipe: toRecipeResult({ id: docRef.id, ...recipeData }) });
+    } catch (error) {
+      sendServerError(res, "creating recipe", error);
+    }
+  });
+
+  /*
+   * PUT /api/recipes/:id
+   */
+  router.put("/:id", async (req, res) => {
+    const parsed = recipeInputSchema.safeParse(req.body || {});
+    if (!parsed.success) {
+      return res
+        .status(400)
+        .json({ error: formatValidationError(parsed.error) });
+    }
+
+    try {
+      const existing = await findRecipe(db, req.user.uid, {
+        recipeId: req.params.id,
+      });
+      if (!existing) {
+        return res.status(404).json({ error: "Recipe not found" });
+      }
+
+      const recipeData = toRecipeData(parsed.data);
+      await getRecipesRef(db, req.user.uid)
+        .doc(req.params.id)
+        .update({
+          ...recipeData,
+          updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+        });
+
+      console.log("🍲 Recipe updated:", req.params.id);
+      res.json({ recipe: toRecipeResult({ id: req.params.id, ...recipeData }) });
+    } catch (error) {
+      sendServerError(res, "updating recipe", error);
+    }
+  });
+
+  /*
+   * DELETE /api/recipes/:id
+   */
+  router.delete("/:id", async (req, res) => {
+    try {
+      const existing = await findRecipe(db, req.user.uid, {
+        recipeId: req.params.id,
+      });
+      if (!existing) {
+        return res.status(404).json({ error: "Recipe not found" });
+      }
+
+      await softDeleteDocument(
+        admin,
+        getRecipesRef(db, req.user.uid).doc(req.params.id)
+      );
+      res.json({ success: true });
+    } catch (error) {
+      sendServerError(res, "deleting recipe", error);
+    }
+  });
+
+  return router;
+}
+
+module.exports = { createRecipesRouter };
@@ -0,0 +1,155 @@
+/*
+ * ============================================================================
+ * ROUTES: /api/weigh-ins
+ * ============================================================================
+ *
+ * PURPOSE:
+ * Body weight for MeasurementsScreen: the weigh-ins with their smoothed
+ * trend, and weigh-ins entered in the app. The trend is computed here
+ * (helpers/weighIns.js) - the same numbers Ava sees after logWeight.
+ *
+ * ENDPOINTS:
+ * - GET  /api/weigh-ins?days=90&timezone=America/New_York
+ *     days defaults to 90 (at most 730)
+ *     Returns: { unit, days, points: [{ date, weight, trend }], latest,
+ *                change, weeklyRate }
+ * - POST /api/weigh-ins
+ *     Body: { weight, unit: "lbs" | "kg", timezone? }
+ *     Saves a weigh-in for now and updates the profile weight.
+ *     Returns: 201 { weighInId, profileUpdated, history } (history = GET's
+ *              response for the default 90 days)
+ *
+ * AUTH:
+ * Every route requires a Firebase ID token (requireAuth). Weigh-ins are read
+ * and written under the token's UID only.
+ *
+ * ============================================================================
+ */
+
+const express = require("express");
+const { z } = require("zod");
+const { resolveTimeZone } = require("../helpers/timezone");
+const {
+  WEIGHT_UNITS,
+  MIN_WEIGHT_KG,
+  MAX_WEIGHT_KG,
+  DEFAULT_HISTORY_DAYS,
+  MAX_HISTORY_DAYS,
+  toKg,
+  addWeighIn,
+  getWeightTrend,
+} = require("../helpers/weighIns");
+
+const weighInSchema = z
+  .object({
+    weight: z.number().positive(),
+    unit: z.enum(WEIGHT_UNITS),
+    timezone: z.string().optional(),
+  })
+  .refine(
+    ({ weight, unit }) => {
+      const kg = toKg(weight, unit);
+      return kg >= MIN_WEIGHT_KG && kg <= MAX_WEIGHT_KG;
+    },
+    {
+      message: `Weight must be between ${MIN_WEIGHT_KG} and ${MAX_WEIGHT_KG} kg`,
+      path: ["weight"],
+    }
+  );
+
+function createWeighInsRouter(admin, db, requireAuth) {
+  const router = express.Router();
+
+  router.use(requireAuth);
+
+  // Can't do anything without Firestore - fail loudly
+  router.use((req, res, next) => {
+    if (!db) {
+      console.error("❌ CRITICAL: Firestore not initialized - weigh-ins API unavailable");
+      return res
+        .status(503)
+        .json({ error: "Database unavailable. Please try again later." });
+    }
+    next();
+  });
+
+  // Same shape as the chat tools' context (helpers/requestContext.js)
+  const loadContext = async (userId, requestedTimezone) => {
+    const userDoc = await db.collection("users").doc(userId).get();
+    const profile = userDoc.exists ? userDoc.data() : null;
+
+    return {
+      userId,
+      profile,
+      timezone: resolveTimeZone(requestedTimezone, profile?.timezone),
+    };
+  };
+
+  /*
+   * GET /api/weigh-ins
+   */
+  router.get("/", async (req, res) => {
+    const days =
+      req.query.days === undefined ? DEFAULT_HISTORY_DAYS : Number(req.query.days);
+    if (!Number.isInteger(days) || days < 1 || days > MAX_HISTORY_DAYS) {
+      return res
+        .status(400)
+        .json({ error: `days must be a whole number from 1 to ${MAX_HISTORY_DAYS}` });
+    }
+
+    try {
+      const context = await loadContext(req.user.uid, req.query.timezone);
+      res.json(await getWeightTrend(admin, db, context, days));
+    } catch (error) {
+      console.error("❌ Error getting weigh-ins:", error);
+      res.status(500).json({
+        error: "Internal Server Error",
+        details: error.message,
+      });
+    }
+  });
+
+  /*
+   * POST /api/weigh-ins
+   */
+  router.post("/", async (req, res) => {
+    const parsed = weighInSchema.safeParse(req.body || {});
+    if (!parsed.success) {
+      return res.status(400).json({
+        error: parsed.error.issues
+          .map((issue) => `${issue.path.join(".")}: ${issue.message}`)
+          .join("; "),
+      });
+    }
+
+    try {
+      const { weight, unit, timezone } = parsed.data;
+      const context = await loadContext(req.user.uid, timezone);
+
+      const result = await addWeighIn(admin, db, context, {
+        weight,
+        unit,
+        date: new Date(),
+        loggedVia: "app",
+      });
+      console.log("⚖️ Weigh-in logged from the app:", result.weighInId);
+
+      const history = await getWeightTrend(admin, db, context);
+      res.status(201).json({
+        weighInId: result.weighInId,
+        profileUpdated: result.profileUpdated,
+        history,
+      });
+    } catch (error) {
+      console.error("❌ Error logging weigh-in:", error);
+      res.status(500).json({
+        error: "Internal Server Error",
+        details: error.message,
+      });
+    }
+  });
+
+  return router;
+}
+
+module.exports = { createWeighInsRouter };
@@ -0,0 +1,71 @@
+/*
+ * ============================================================================
+ * SCHEMAS: Food & Meal
+ * ============================================================================
+ *
+ * PURPOSE:
+ * One definition of what a food item and a meal look like, shared by:
+ * - tools/logMeal.js (tool input the chat AI fills in)
+ * - tools/analyzeAndUpdateMeal.js (structured output of the update AI call)
+ * - actions/logMeal.js (payload of a logMeal pending action)
+ *
+ * Keeping them in one place means the AI can't produce a food in one code
+ * path that another code path can't save or read back.
+ *
+ * NOTE ON SOURCES:
+ * foodId/source record where a food's numbers came from (the bundled food
+ * database, a scanned product's label, one of the user's recipes, or an AI
+ * estimate). The server sets source - see helpers/foodDatabase.js tagFoodSources().
+ * recipeId is NOT in these schemas: only tools/logRecipe.js sets it, so the
+ * AI can't label its own estimate a recipe serving and skip the macro check.
+ *
+ * NOTE ON QUANTITIES:
+ * quantity stays free text. The server parses it into amount/unit/grams and
+ * saves those next to it (helpers/quantityParser.js) - they aren't part of
+ * these schemas, so neither AI can set them.
+ *
+ * NOTE ON TOTALS:
+ * There is deliberately NO totalCalories/totalProtein/... in these schemas.
+ * Totals are always recomputed on the server from the foods array
+ * (helpers/calculateMealTotals.js) - we never trust totals reported by a model.
+ *
+ * ============================================================================
+ */
+
+const { z } = require("zod");
+
+// Meal type: must be one of these four options
+const mealTypeSchema = z
+  .enum(["breakfast", "lunch", "dinner", "snack"])
+  .describe("Type of meal");
+
+// One food item with its macros
+const foodItemSchema = z.object({
+  name: z.string().describe("Food name"),
+  quantity: z
+    .string()
+    .describe('Quantity with unit (e.g., "2 eggs", "1 cup")'),
+  calories: z.number().describe("Calories"),
+  protein: z.number().describe("Protein in grams"),
+  carbs: z.number().describe("Carbs in grams"),
+  fats: z.number().describe("Fats in grams"),
+  fiber: z.number().describe("Fiber in grams"),
+  foodId: z
+    .string()
+    .optional()
+    .describe(
+      "foodId from lookupFood (database food or scanned barcode), if the numbers came from there"
+    ),
+  // Set by the server (helpers/foodDatabase.js tagFoodSources) - "database"
+  // or "barcode" when foodId is real, "recipe" for recipe servings,
+  // otherwise "estimate"
+  source: z.enum(["database", "barcode", "recipe", "estimate"]).optional(),
+});
+
+// Array of food items in a meal
+const foodsSchema = z
+  .array(foodItemSchema)
+  .min(1)
+  .describe("List of foods in the meal");
+
+module.exports = { mealTypeSchema, foodItemSchema, foodsSchema };
@@ -0,0 +1,52 @@
+/*
+ * ============================================================================
+ * SCHEMAS: Recipe
+ * ============================================================================
+ *
+ * PURPOSE:
+ * What a user recipe looks like, shared by:
+ * - tools/createRecipe.js (tool input the chat AI fills in)
+ * - routes/recipes.js (POST/PUT body from the app)
+ *
+ * An ingredient is a food item (schemas/food.js) for the WHOLE batch, plus
+ * optional grams. When an ingredient has a database foodId and grams, the
+ * server recomputes its macros from the food database (helpers/recipes.js),
+ * so the app/AI can't get them wrong.
+ *
+ * Per-serving macros are never accepted from the client - they are always
+ * computed on the server from the ingredients and the yield.
+ *
+ * ============================================================================
+ */
+
+const { z } = require("zod");
+const { foodItemSchema } = require("./food");
+
+// Most batch recipes make 1-20 servings - 100 is a generous sanity limit
+const MAX_RECIPE_SERVINGS = 100;
+
+const ingredientSchema = foodItemSchema
+  .omit({ source: true, recipeId: true })
+  .extend({
+    grams: z
+      .number()
+      .positive()
+      .optional()
+      .describe("Weight in grams for the whole batch, if known"),
+  });
+
+const recipeInputSchema = z.object({
+  name: z.string().trim().min(1).describe('Recipe name, e.g., "Turkey chili"'),
+  servings: z
+    .number()
+    .positive()
+    .max(MAX_RECIPE_SERVINGS)
+    .describe("How many servings the whole batch makes (the yield)"),
+  ingredients: z
+    .array(ingredientSchema)
+    .min(1)
+    .describe("Every ingredient with its quantity and macros for the WHOLE batch"),
+  notes: z.string().optional().describe("Optional notes (e.g., cooking method)"),
+});
+
+module.exports = { MAX_RECIPE_SERVINGS, ingredientSchema, recipeInputSchema };
@@ -0,0 +1,176 @@
+/*
+ * ============================================================================
+ * SCRIPT: Import Open Food Facts products
+ * ============================================================================
+ *
+ * PURPOSE:
+ * Build data/products.json (the barcode table behind
+ * GET /api/foods/barcode/:upc) from an Open Food Facts JSONL dump.
+ *
+ * GET THE DUMP:
+ * https://world.openfoodfacts.org/data → "JSONL data export"
+ * (openfoodfacts-products.jsonl.gz - one product per line, several GB)
+ *
+ * USAGE (from the server/ directory):
+ *   node scripts/importOpenFoodFacts.js <dump.jsonl[.gz]> [options]
+ *
+ * OPTIONS:
+ *   --country en:united-states   Only products sold in this country
+ *                                (Open Food Facts countries_tags value)
+ *   --limit 50000                Stop after this many products
+ *   --out data/products.json     Where to write the table
+ *
+ * Products without a name or without calories per 100g are skipped - they
+ * can't be logged anyway. The dump is streamed line by line, so memory use
+ * is only the products that are kept.
+ *
+ * ============================================================================
+ */
+
+const fs = require("fs");
+const path = require("path");
+const zlib = require("zlib");
+const readline = require("readline");
+const { normalizeBarcode } = require("../helpers/productDatabase");
+
+// Round to 1 decimal place (label values don't need more)
+const round = (value) => Math.round(value * 10) / 10;
+
+function parseArgs(argv) {
+  const options = {
+    input: null,
+    country: null,
+    limit: Infinity,
+    out: path.join(__dirname, "..", "data", "products.json"),
+  };
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === "--country") options.country = argv[++i];
+    else if (arg === "--limit") options.limit = Number(argv[++i]);
+    else if (arg === "--out") options.out = path.resolve(argv[++i]);
+    else options.input = arg;
+  }
+
+  return options;
+}
+
+/*
+ * Calories/macros from Open Food Facts "nutriments" with a suffix
+ * ("_100g" or "_serving"). Returns null if there are no calories.
+ */
+function readNutrition(nutriments, suffix) {
+  const value = (key) => {
+    const number = Number(nutriments[`${key}${suffix}`]);
+    return Number.isFinite(number) && number >= 0 ? number : null;
+  };
+
+  // Some products only have energy in kJ
+  let calories = value("energy-kcal");
+  if (calories === null && value("energy-kj") !== null) {
+    calories = value("energy-kj") / 4.184;
+  }
+  if (calories === null) {
+    return null;
+  }
+
+  return {
+    calories: Math.round(calories),
+    protein: round(value("proteins") || 0),
+    carbs: round(value("carbohydrates") || 0),
+    fats: round(value("fat") || 0),
+    fiber: round(value("fiber") || 0),
+  };
+}
+
+// One Open Food Facts product → one row of products.json (or null to skip)
+function toProduct(raw, country) {
+  if (country && !(raw.countries_tags || []).includes(country)) {
+    return null;
+  }
+
+  const barcode = normalizeBarcode(raw.code);
+  const name = (raw.product_name_en || raw.product_name || "").trim();
+  const per100g = readNutrition(raw.nutriments || {}, "_100g");
+  if (!barcode || !name || !per100g) {
+    return null;
+  }
+
+  const servingGrams = Number(raw.serving_quantity);
+
+  return {
+    barcode,
+    name,
+    brand: (raw.brands || "").split(",")[0].trim() || null,
+    servingSize: raw.serving_size || null,
+    servingGrams:
+      Number.isFinite(servingGrams) && servingGrams > 0 ? servingGrams : null,
+    per100g,
+    perServing: readNutrition(raw.nutriments || {}, "_serving"),
+  };
+}
+
+async function importProducts(options) {
+  const input = fs.createReadStream(options.input);
+  const lines = readline.createInterface({
+    input: options.input.endsWith(".gz")
+      ? input.pipe(zlib.createGunzip())
+      : input,
+    crlfDelay: Infinity,
+  });
+
+  const products = new Map();
+  let scanned = 0;
+
+  for await (const line of lines) {
+    if (products.size >= options.limit) {
+      break;
+    }
+    scanned++;
+    if (scanned % 100000 === 0) {
+      console.log(`   ...${scanned} scanned, ${products.size} kept`);
+    }
+
+    let raw;
+    try {
+      raw = JSON.parse(line);
+    } catch (error) {
+      continue; // Skip broken lines
+    }
+
+    const product = toProduct(raw, options.country);
+    if (product) {
+      products.set(product.barcode, product);
+    }
+  }
+
+  const table = {
+    _about:
+      "Packaged products keyed by barcode, for GET /api/foods/barcode/:upc. Generate with: node scripts/importOpenFoodFacts.js <dump.jsonl.gz>. Nutrition is per 100g plus per serving as printed on the label.",
+    version: 1,
+    importedAt: new Date().toISOString(),
+    products: [...products.values()],
+  };
+  fs.writeFileSync(options.out, `${JSON.stringify(table)}\n`);
+
+  console.log(
+    `✅ Imported ${products.size} products (${scanned} scanned) → ${options.out}`
+  );
+}
+
+if (require.main === module) {
+  const options = parseArgs(process.argv.slice(2));
+  if (!options.input) {
+    console.error(
+      "Usage: node scripts/importOpenFoodFacts.js <dump.jsonl[.gz]> [--country en:united-states] [--limit N] [--out file]"
+    );
+    process.exit(1);
+  }
+
+  importProducts(options).catch((error) => {
+    console.error("❌ Import failed:", error);
+    process.exit(1);
+  });
+}
+
+module.exports = { toProduct, importProducts };
@@ -0,0 +1,83 @@
+/*
+ * Restoring activity sessions (routes/activities.js)
+ * - a session deleted through the deleteActivity action can be restored
+ * - live sessions and other users' sessions can't
+ */
+
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const deleteActivityAction = require("../actions/deleteActivity");
+const { createActivitiesRouter } = require("../routes/activities");
+const { createAuthMiddleware } = require("../middleware/auth");
+const { isDeleted } = require("../helpers/softDelete");
+const {
+  Timestamp,
+  createMockFirestore,
+  createMockAdmin,
+} = require("./support/firebase");
+const { startApp, tokenVerifier, postJson } = require("./support/http");
+
+let db;
+let admin;
+let app;
+
+before(async () => {
+  db = createMockFirestore();
+  admin = createMockAdmin({ db, verifyIdToken: tokenVerifier });
+  app = await startApp((server) =>
+    server.use(
+      "/api/activities",
+      createActivitiesRouter(admin, db, createAuthMiddleware(admin))
+    )
+  );
+});
+
+after(async () => {
+  await app.close();
+});
+
+const addRun = (uid) =>
+  db.collection("activities").doc(uid).collection("sessions").add({
+    type: "running",
+    name: "Morning Run",
+    duration: 30,
+    caloriesBurned: 300,
+    timestamp: Timestamp.fromDate(new Date("2025-11-05T12:00:00Z")),
+  });
+
+const restore = (sessionId, uid = "alice") =>
+  postJson(`${app.url}/api/activities/${sessionId}/restore`, {}, uid);
+
+test("a deleted session comes back", async () => {
+  const sessionRef = await addRun("alice");
+  const deleted = await deleteActivityAction.execute(
+    { sessionId: sessionRef.id },
+    { admin, db, context: { userId: "alice" } }
+  );
+  assert.equal(deleted.success, true);
+  assert.equal(isDeleted((await sessionRef.get()).data()), true);
+
+  const response = await restore(sessionRef.id);
+
+  assert.equal(response.status, 200);
+  const session = (await sessionRef.get()).data();
+  assert.equal(isDeleted(session), false);
+  assert.equal(session.deletedAt, undefined);
+  assert.equal(session.name, "Morning Run");
+});
+
+test("a live session can't be restored", async () => {
+  const sessionRef = await addRun("alice");
+  assert.equal((await restore(sessionRef.id)).status, 409);
+});
+
+test("another user's session isn't found", async () => {
+  const sessionRef = await addRun("bob");
+  await deleteActivityAction.execute(
+    { sessionId: sessionRef.id },
+    { admin, db, context: { userId: "bob" } }
+  );
+
+  assert.equal((await restore(sessionRef.id, "alice")).status, 404);
+  assert.equal(isDeleted((await sessionRef.get()).data()), true);
+});
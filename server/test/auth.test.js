@@ -0,0 +1,139 @@
+/*
+ * middleware/auth.js - requireAuth
+ *
+ * The same cases run twice:
+ * - against a stubbed admin.auth() (always)
+ * - against the Firebase Auth emulator with real emulator-issued ID tokens,
+ *   when FIREBASE_AUTH_EMULATOR_HOST is set:
+ *     firebase emulators:start --only auth --project demo-ninety
+ *     FIREBASE_AUTH_EMULATOR_HOST=127.0.0.1:9099 npm test
+ */
+
+const { describe, test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { createAuthMiddleware } = require("../middleware/auth");
+const { createMockAdmin } = require("./support/firebase");
+const { startApp, tokenVerifier } = require("./support/http");
+
+const EMULATOR_HOST = process.env.FIREBASE_AUTH_EMULATOR_HOST;
+
+// A protected route that echoes the verified user
+async function startProtectedApp(admin) {
+  return startApp((app) =>
+    app.post("/protected", createAuthMiddleware(admin), (req, res) =>
+      res.json({ uid: req.user.uid })
+    )
+  );
+}
+
+async function post(url, { authorization, body = {} } = {}) {
+  const response = await fetch(`${url}/protected`, {
+    method: "POST",
+    headers: {
+      "Content-Type": "application/json",
+      ...(authorization ? { Authorization: authorization } : {}),
+    },
+    body: JSON.stringify(body),
+  });
+  return { status: response.status, body: await response.json() };
+}
+
+/*
+ * The shared cases. setup() resolves to { admin, uid, idToken } - a valid
+ * token for uid.
+ */
+function describeAuthCases(name, setup, options) {
+  describe(name, options, () => {
+    let app;
+    let uid;
+    let idToken;
+
+    before(async () => {
+      let admin;
+      ({ admin, uid, idToken } = await setup());
+      app = await startProtectedApp(admin);
+    });
+
+    after(() => app?.close());
+
+    test("401 without a token", async () => {
+      const response = await post(app.url);
+      assert.equal(response.status, 401);
+      assert.equal(response.body.error, "Missing authorization token");
+    });
+
+    test("401 with a malformed Authorization header", async () => {
+      const response = await post(app.url, { authorization: idToken });
+      assert.equal(response.status, 401);
+    });
+
+    test("401 with an invalid token", async () => {
+      const response = await post(app.url, {
+        authorization: "Bearer not-a-real-token",
+      });
+      assert.equal(response.status, 401);
+      assert.equal(response.body.error, "Invalid or expired authorization token");
+    });
+
+    test("403 when the body userId is someone else", async () => {
+      const response = await post(app.url, {
+        authorization: `Bearer ${idToken}`,
+        body: { userId: "someone-else" },
+      });
+      assert.equal(response.status, 403);
+    });
+
+    test("passes the token's uid to the route", async () => {
+      const response = await post(app.url, {
+        authorization: `Bearer ${idToken}`,
+        body: { userId: uid },
+      });
+      assert.equal(response.status, 200);
+      assert.deepEqual(response.body, { uid });
+    });
+  });
+}
+
+describeAuthCases("requireAuth (stubbed Firebase Auth)", async () => ({
+  admin: createMockAdmin({ verifyIdToken: tokenVerifier }),
+  uid: "alice",
+  idToken: "token-alice",
+}));
+
+describeAuthCases(
+  "requireAuth (Firebase Auth emulator)",
+  async () => {
+    const admin = require("firebase-admin");
+    if (!admin.apps.length) {
+      admin.initializeApp({ projectId: process.env.GCLOUD_PROJECT || "demo-ninety" });
+    }
+
+    const email = `auth-test-${Date.now()}@example.com`;
+    const password = "test-password";
+    const { uid } = await admin.auth().createUser({ email, password });
+
+    // Sign in through the emulator's REST API to get a real ID token
+    const response = await fetch(
+      `http://${EMULATOR_HOST}/identitytoolkit.googleapis.com/v1/accounts:signInWithPassword?key=fake-api-key`,
+      {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({ email, password, returnSecureToken: true }),
+      }
+    );
+    const { idToken } = await response.json();
+
+    return { admin, uid, idToken };
+  },
+  { skip: !EMULATOR_HOST && "FIREBASE_AUTH_EMULATOR_HOST not set" }
+);
+
+test("503 when Firebase Admin isn't initialized", async () => {
+  const app = await startProtectedApp({ apps: [] });
+  try {
+    const response = await post(app.url, { authorization: "Bearer token-alice" });
+    assert.equal(response.status, 503);
+  } finally {
+    await app.close();
+  }
+});
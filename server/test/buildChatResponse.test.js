@@ -0,0 +1,66 @@
+/*
+ * helpers/buildChatResponse.js - the message when the AI called
+ * analyzeAndUpdateMeal but wrote no text
+ * - a failed update says so
+ * - an update held back by the macro check lists the warnings and proposes
+ *   the same update with the warnings accepted
+ */
+
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const buildChatResponse = require("../helpers/buildChatResponse");
+
+const INPUT = { mealId: "meal-1", updateRequest: "add a large smoothie" };
+
+// One step where the AI called analyzeAndUpdateMeal and got `output` back
+const updateSteps = (output) => [
+  {
+    toolCalls: [{ toolName: "analyzeAndUpdateMeal", input: INPUT }],
+    toolResults: [{ toolName: "analyzeAndUpdateMeal", input: INPUT, output }],
+  },
+];
+
+const respond = (output) =>
+  buildChatResponse({
+    text: "",
+    steps: updateSteps(output),
+    messages: [{ role: "user", content: INPUT.updateRequest }],
+  });
+
+test("a failed update isn't reported as saved", async () => {
+  const { message, proposedAction } = await respond({
+    success: false,
+    message: "Meal not found",
+  });
+
+  assert.equal(message, "❌Failed to update meal: Meal not found");
+  assert.equal(proposedAction, null);
+});
+
+test("an update held back by the macro check asks before saving", async () => {
+  const warnings = ['"Smoothie": 600 cal doesn\'t match its macros'];
+  const { message, proposedAction } = await respond({
+    success: false,
+    needsReview: true,
+    message: "NOT UPDATED YET",
+    warnings,
+  });
+
+  assert.match(message, /numbers look off/);
+  assert.ok(message.includes(`- ${warnings[0]}`));
+  assert.doesNotMatch(message, /updated!/);
+  assert.deepEqual(proposedAction, {
+    type: "updateMeal",
+    payload: { ...INPUT, acceptWarnings: true },
+  });
+});
+
+test("a saved update shows the changes summary", async () => {
+  const { message, proposedAction } = await respond({
+    success: true,
+    changesSummary: "Added a large smoothie",
+  });
+
+  assert.equal(message, "✅ Added a large smoothie");
+  assert.equal(proposedAction, null);
+});
@@ -0,0 +1,109 @@
+/*
+ * Parallel /api/chat requests from different users must never mix data:
+ * each chat's tools act for its own user, with its own profile.
+ *
+ * The stub model holds every call until both chats have reached it, then
+ * answers them in reverse order - so the two requests are guaranteed to be
+ * in flight at the same time.
+ */
+
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { createChatRouter } = require("../routes/chat");
+const { createAuthMiddleware } = require("../middleware/auth");
+const { setModelOverrides, resetModelOverrides } = require("../helpers/models");
+const { createMockFirestore, createMockAdmin } = require("./support/firebase");
+const { startApp, tokenVerifier, postJson } = require("./support/http");
+const {
+  createStubModel,
+  toolCallResult,
+  latestUserMessage,
+  systemPrompt,
+} = require("./support/models");
+
+const MEALS = {
+  alice: { name: "Scrambled eggs", quantity: "2 eggs", calories: 180, protein: 12, carbs: 2, fats: 14, fiber: 0 },
+  bob: { name: "Banana", quantity: "1 medium", calories: 110, protein: 1, carbs: 27, fats: 0, fiber: 3 },
+};
+
+let db;
+let app;
+const seenSystemPrompts = {};
+
+before(async () => {
+  db = createMockFirestore();
+  const admin = createMockAdmin({ db, verifyIdToken: tokenVerifier });
+
+  await db.collection("users").doc("alice").set({ weight: 140, weightUnit: "lbs", age: 31 });
+  await db.collection("users").doc("bob").set({ weight: 210, weightUnit: "lbs", age: 45 });
+
+  // Wait until both chats are waiting on the model, then release the later one first
+  const waiting = [];
+  const model = createStubModel(async ({ prompt }) => {
+    const { text } = latestUserMessage(prompt);
+    const user = text.includes("eggs") ? "alice" : "bob";
+    seenSystemPrompts[user] = systemPrompt(prompt);
+
+    await new Promise((resolve) => {
+      waiting.push(resolve);
+      if (waiting.length === 2) {
+        waiting.reverse().forEach((release) => release());
+      }
+    });
+
+    return toolCallResult("logMeal", { mealType: "breakfast", foods: [MEALS[user]] });
+  });
+  setModelOverrides({ chat: model });
+
+  app = await startApp((server) =>
+    server.use(
+      "/api/chat",
+      createChatRouter(admin, db, createAuthMiddleware(admin))
+    )
+  );
+});
+
+after(async () => {
+  resetModelOverrides();
+  await app.close();
+});
+
+test("parallel chats from different users don't mix data", async () => {
+  const [aliceReply, bobReply] = await Promise.all([
+    postJson(
+      `${app.url}/api/chat`,
+      { messages: [{ role: "user", content: "I had 2 scrambled eggs" }], timezone: "America/New_York" },
+      "alice"
+    ),
+    postJson(
+      `${app.url}/api/chat`,
+      { messages: [{ role: "user", content: "I had a banana" }], timezone: "Europe/Berlin" },
+      "bob"
+    ),
+  ]);
+
+  assert.equal(aliceReply.status, 200);
+  assert.equal(bobReply.status, 200);
+
+  // Each meal is saved under its own user - and only there
+  const mealsOf = (uid) =>
+    Object.values(db.dump(`nutrition/${uid}/meals/`)).map((meal) =>
+      meal.foods.map((food) => food.name)
+    );
+  assert.deepEqual(mealsOf("alice"), [["Scrambled eggs"]]);
+  assert.deepEqual(mealsOf("bob"), [["Banana"]]);
+
+  // Each model call saw its own user's profile and timezone
+  assert.match(seenSystemPrompts.alice, /Weight: 140 lbs/);
+  assert.match(seenSystemPrompts.alice, /America\/New_York/);
+  assert.match(seenSystemPrompts.bob, /Weight: 210 lbs/);
+  assert.match(seenSystemPrompts.bob, /Europe\/Berlin/);
+
+  // And each reply reports its own meal and day
+  assert.match(aliceReply.body.message, /180 in/);
+  assert.match(bobReply.body.message, /110 in/);
+  const loggedFoods = (reply) =>
+    reply.body.toolCalls.flatMap((call) => call.input.foods.map((food) => food.name));
+  assert.deepEqual(loggedFoods(aliceReply), ["Scrambled eggs"]);
+  assert.deepEqual(loggedFoods(bobReply), ["Banana"]);
+});
@@ -0,0 +1,113 @@
+/*
+ * Photos through /api/chat (routes/chat.js, helpers/chatImages.js)
+ * - a message with a photo goes to the vision model as an image part, and
+ *   the meal it logs keeps the photo and its thumbnail
+ * - a photo from someone else's folder is dropped before the model sees it
+ */
+
+const { test, before, after, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const { createChatRouter } = require("../routes/chat");
+const { createAuthMiddleware } = require("../middleware/auth");
+const { setModelOverrides, resetModelOverrides } = require("../helpers/models");
+const {
+  createMockFirestore,
+  createMockBucket,
+  createMockAdmin,
+} = require("./support/firebase");
+const { startApp, tokenVerifier, postJson } = require("./support/http");
+const {
+  createStubModel,
+  toolCallResult,
+  textResult,
+  latestUserMessage,
+} = require("./support/models");
+
+const photoUrl = (uid, file = "1.jpg", token = "abc") =>
+  `https://firebasestorage.googleapis.com/v0/b/demo.appspot.com/o/users%2F${uid}%2Fchat%2F${file}?alt=media&token=${token}`;
+
+const OATMEAL = {
+  name: "Oatmeal with blueberries",
+  quantity: "1 bowl",
+  calories: 250,
+  protein: 8,
+  carbs: 45,
+  fats: 5,
+  fiber: 6,
+};
+
+let db;
+let app;
+let chatModel;
+let visionModel;
+let seenByVision;
+
+before(async () => {
+  db = createMockFirestore();
+  const bucket = createMockBucket("demo.appspot.com");
+  // The app uploads a thumbnail next to every chat photo
+  await bucket.file("users/alice/chat/1_thumb.jpg").save("", {
+    metadata: { metadata: { firebaseStorageDownloadTokens: "thumb" } },
+  });
+  const admin = createMockAdmin({ db, bucket, verifyIdToken: tokenVerifier });
+
+  chatModel = createStubModel(() => textResult("I can't see any photo."));
+  visionModel = createStubModel(({ prompt }) => {
+    seenByVision = latestUserMessage(prompt);
+    return toolCallResult("logMeal", { mealType: "breakfast", foods: [OATMEAL] });
+  });
+  setModelOverrides({ chat: chatModel, vision: visionModel });
+
+  app = await startApp((server) =>
+    server.use("/api/chat", createChatRouter(admin, db, createAuthMiddleware(admin)))
+  );
+});
+
+after(async () => {
+  resetModelOverrides();
+  await app.close();
+});
+
+beforeEach(() => {
+  chatModel.calls.length = 0;
+  visionModel.calls.length = 0;
+  seenByVision = null;
+});
+
+const sendPhoto = (uid, url) =>
+  postJson(
+    `${app.url}/api/chat`,
+    { messages: [{ role: "user", content: "Here's my breakfast", imageUrls: [url] }] },
+    uid
+  );
+
+test("a photo message goes to the vision model and the meal keeps the photo", async () => {
+  const response = await sendPhoto("alice", photoUrl("alice"));
+
+  assert.equal(response.status, 200);
+  assert.equal(visionModel.calls.length, 1);
+  assert.equal(chatModel.calls.length, 0);
+
+  assert.equal(seenByVision.images.length, 1);
+  assert.equal(String(seenByVision.images[0].data), photoUrl("alice"));
+  assert.match(seenByVision.images[0].mediaType, /^image\//);
+  assert.ok(
+    seenByVision.text.includes(`[Attached photo: ${photoUrl("alice")}]`),
+    "the URL is repeated in the text for logMeal"
+  );
+
+  const [meal] = Object.values(db.dump("nutrition/alice/meals/"));
+  assert.equal(meal.foods[0].name, "Oatmeal with blueberries");
+  assert.deepEqual(meal.photoUrls, [photoUrl("alice")]);
+  assert.equal(meal.thumbnailUrl, photoUrl("alice", "1_thumb.jpg", "thumb"));
+});
+
+test("another user's photo never reaches a model", async () => {
+  const response = await sendPhoto("alice", photoUrl("bob"));
+
+  assert.equal(response.status, 200);
+  assert.equal(visionModel.calls.length, 0);
+  assert.equal(chatModel.calls.length, 1);
+  assert.equal(latestUserMessage(chatModel.calls[0].prompt).images.length, 0);
+  assert.equal(response.body.message, "I can't see any photo.");
+});
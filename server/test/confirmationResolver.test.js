@@ -0,0 +1,90 @@
+/*
+ * helpers/confirmationResolver.js
+ *
+ * Every phrasing in fixtures/confirmationReplies.json runs through the
+ * heuristics; the ambiguous ones then go through the AI classifier with a
+ * stub model.
+ */
+
+const { describe, test, afterEach } = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  resolveConfirmation,
+  resolveWithHeuristics,
+} = require("../helpers/confirmationResolver");
+const { setModelOverrides, resetModelOverrides } = require("../helpers/models");
+const { createStubModel, textResult } = require("./support/models");
+const { replies } = require("./fixtures/confirmationReplies.json");
+
+const PENDING_UPDATE = {
+  type: "updateMeal",
+  payload: { mealId: "meal-1", updateRequest: "I also had a coca-cola" },
+};
+
+describe("resolveWithHeuristics", () => {
+  for (const { reply, intent, amendment } of replies) {
+    test(`"${reply}" → ${intent}`, () => {
+      const result = resolveWithHeuristics(reply);
+
+      if (intent === "classifier") {
+        assert.equal(result, null);
+        return;
+      }
+      assert.deepEqual(result, { intent, amendment: amendment || null });
+    });
+  }
+});
+
+describe("resolveConfirmation", () => {
+  afterEach(() => resetModelOverrides());
+
+  test("clear replies don't call the AI", async () => {
+    const model = createStubModel(() => {
+      throw new Error("should not be called");
+    });
+    setModelOverrides({ chat: model });
+
+    assert.deepEqual(await resolveConfirmation("yes", PENDING_UPDATE), {
+      intent: "confirm",
+      amendment: null,
+    });
+    assert.equal(model.calls.length, 0);
+  });
+
+  test("ambiguous replies use the classifier's structured answer", async () => {
+    const model = createStubModel(() =>
+      textResult(JSON.stringify({ intent: "reject", amendment: null }))
+    );
+    setModelOverrides({ chat: model });
+
+    const result = await resolveConfirmation("yeah no, cancel it", PENDING_UPDATE);
+
+    assert.deepEqual(result, { intent: "reject", amendment: null });
+    assert.equal(model.calls.length, 1);
+  });
+
+  test("an amend from the classifier carries the change", async () => {
+    setModelOverrides({
+      chat: createStubModel(() =>
+        textResult(JSON.stringify({ intent: "amend", amendment: "make it a diet coke" }))
+      ),
+    });
+
+    const result = await resolveConfirmation(
+      "ok? make it a diet coke then",
+      PENDING_UPDATE
+    );
+
+    assert.deepEqual(result, { intent: "amend", amendment: "make it a diet coke" });
+  });
+
+  test("a classifier failure never confirms", async () => {
+    setModelOverrides({
+      chat: createStubModel(() => textResult("Sure, sounds like a yes to me!")),
+    });
+
+    const result = await resolveConfirmation("yeah no, cancel it", PENDING_UPDATE);
+
+    assert.deepEqual(result, { intent: "unrelated", amendment: null });
+  });
+});
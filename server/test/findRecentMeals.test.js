@@ -0,0 +1,94 @@
+/*
+ * tools/findRecentMeals.js
+ * - deleted meals don't count toward the limit
+ * - meals without a timestamp (older meals, createdAt only) are still found
+ */
+
+const { test, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const createFindRecentMeals = require("../tools/findRecentMeals");
+const {
+  Timestamp,
+  createMockFirestore,
+  createMockAdmin,
+} = require("./support/firebase");
+
+const TIMEZONE = "America/New_York";
+
+let db;
+let findRecentMeals;
+
+const mealsRef = () =>
+  db.collection("nutrition").doc("alice").collection("meals");
+
+// A meal eaten at `eatenAt` ("2025-11-04T12:00:00Z")
+const addMeal = (eatenAt, fields = {}) =>
+  mealsRef().add({
+    mealType: "lunch",
+    foods: [{ name: "Sandwich", calories: 400 }],
+    totalCalories: 400,
+    timestamp: Timestamp.fromDate(new Date(eatenAt)),
+    createdAt: Timestamp.fromDate(new Date(eatenAt)),
+    ...fields,
+  });
+
+beforeEach(() => {
+  db = createMockFirestore();
+  findRecentMeals = createFindRecentMeals(createMockAdmin({ db }), db, {
+    userId: "alice",
+    timezone: TIMEZONE,
+  });
+});
+
+test("deleted meals don't shorten the list", async () => {
+  for (let day = 1; day <= 5; day += 1) {
+    await addMeal(`2025-11-0${day}T17:00:00Z`);
+  }
+  // The three newest meals are deleted
+  for (let day = 6; day <= 8; day += 1) {
+    await addMeal(`2025-11-0${day}T17:00:00Z`, { deleted: true });
+  }
+
+  const { meals } = await findRecentMeals.execute({ limit: 3 }, {});
+
+  assert.deepEqual(
+    meals.map((meal) => meal.timestamp),
+    [
+      "2025-11-05T17:00:00.000Z",
+      "2025-11-04T17:00:00.000Z",
+      "2025-11-03T17:00:00.000Z",
+    ]
+  );
+});
+
+test("meals without a timestamp are found by createdAt", async () => {
+  await addMeal("2025-11-03T17:00:00Z");
+  await addMeal("2025-11-05T17:00:00Z");
+  const older = await mealsRef().add({
+    mealType: "dinner",
+    foods: [{ name: "Salmon", calories: 550 }],
+    totalCalories: 550,
+    createdAt: Timestamp.fromDate(new Date("2025-11-04T23:00:00Z")),
+  });
+
+  const { meals } = await findRecentMeals.execute({}, {});
+  assert.deepEqual(
+    meals.map((meal) => meal.timestamp),
+    [
+      "2025-11-05T17:00:00.000Z",
+      "2025-11-04T23:00:00.000Z",
+      "2025-11-03T17:00:00.000Z",
+    ]
+  );
+  assert.equal(meals[1].id, older.id);
+
+  // Date filters apply to createdAt for these meals
+  const tuesday = await findRecentMeals.execute(
+    { startDate: "2025-11-04", endDate: "2025-11-04" },
+    {}
+  );
+  assert.deepEqual(
+    tuesday.meals.map((meal) => meal.id),
+    [older.id]
+  );
+});
@@ -0,0 +1,78 @@
+/*
+ * The macro check for foods the app and the AI send
+ * (helpers/macroValidation.js, routes/foods.js, schemas/food.js)
+ * - the AI can't set recipeId, so it can't skip the calorie check
+ * - POST /api/foods/validate ignores the source/recipeId the app sends
+ */
+
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { createFoodsRouter } = require("../routes/foods");
+const { createAuthMiddleware } = require("../middleware/auth");
+const { foodItemSchema } = require("../schemas/food");
+const { createMockFirestore, createMockAdmin } = require("./support/firebase");
+const { startApp, tokenVerifier, postJson } = require("./support/http");
+
+// 300 cal claimed, macros add up to 4×10 + 4×10 + 9×10 = 170
+const MISMATCHED = {
+  name: "Mystery bowl",
+  quantity: "1 bowl",
+  calories: 300,
+  protein: 10,
+  carbs: 10,
+  fats: 10,
+  fiber: 2,
+};
+
+let app;
+
+before(async () => {
+  const admin = createMockAdmin({
+    db: createMockFirestore(),
+    verifyIdToken: tokenVerifier,
+  });
+  app = await startApp((server) =>
+    server.use("/api/foods", createFoodsRouter(createAuthMiddleware(admin)))
+  );
+});
+
+after(async () => {
+  await app.close();
+});
+
+const validate = (foods) => postJson(`${app.url}/api/foods/validate`, { foods }, "alice");
+
+test("the AI's food schema drops recipeId", () => {
+  const food = foodItemSchema.parse({ ...MISMATCHED, recipeId: "r1" });
+  assert.equal("recipeId" in food, false);
+});
+
+test("a food whose calories don't match its macros gets a warning", async () => {
+  const response = await validate([MISMATCHED]);
+
+  assert.equal(response.status, 200);
+  assert.equal(response.body.valid, false);
+  assert.deepEqual(response.body.errors, []);
+  assert.match(response.body.warnings[0], /doesn't match its macros/);
+});
+
+test("a recipeId or trusted source from the app doesn't skip the check", async () => {
+  const response = await validate([
+    { ...MISMATCHED, recipeId: "r1" },
+    { ...MISMATCHED, name: "Other bowl", source: "database" },
+  ]);
+
+  assert.equal(response.status, 200);
+  assert.equal(response.body.warnings.length, 2);
+});
+
+test("negative numbers are errors", async () => {
+  const response = await validate([{ ...MISMATCHED, protein: -5 }]);
+  assert.equal(response.body.valid, false);
+  assert.match(response.body.errors[0], /protein must be zero or more/);
+});
+
+test("foods must be a non-empty array", async () => {
+  assert.equal((await validate([])).status, 400);
+  assert.equal((await validate("eggs")).status, 400);
+});
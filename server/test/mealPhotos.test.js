@@ -0,0 +1,168 @@
+/*
+ * Meal photos in Storage (helpers/mealPhotos.js, actions/deleteMeal.js,
+ * routes/meals.js)
+ * - deleting a meal keeps its photos, so restoring brings them back
+ * - purging (DELETE /api/meals/:id) removes the meal's photos, not chat photos
+ * - chat photos' thumbnails are found with their download token
+ *
+ * The same cases run twice:
+ * - against an in-memory bucket (always)
+ * - against the Firebase Storage emulator, when FIREBASE_STORAGE_EMULATOR_HOST
+ *   is set:
+ *     firebase emulators:start --only storage --project demo-ninety
+ *     FIREBASE_STORAGE_EMULATOR_HOST=127.0.0.1:9199 npm test
+ */
+
+const { describe, test, before, after, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const deleteMealAction = require("../actions/deleteMeal");
+const { createMealsRouter } = require("../routes/meals");
+const { createAuthMiddleware } = require("../middleware/auth");
+const { findChatPhotoThumbnails } = require("../helpers/mealPhotos");
+const {
+  createMockFirestore,
+  createMockBucket,
+  createMockAdmin,
+} = require("./support/firebase");
+const { startApp, tokenVerifier, postJson, deleteJson } = require("./support/http");
+
+const EMULATOR_HOST = process.env.FIREBASE_STORAGE_EMULATOR_HOST;
+
+// Upload an empty file with a download token, like the app's uploadBytes()
+const upload = (bucket, path, token = `token-${path.length}`) =>
+  bucket.file(path).save("", {
+    metadata: {
+      contentType: "image/jpeg",
+      metadata: { firebaseStorageDownloadTokens: token },
+    },
+  });
+
+const downloadUrl = (bucket, path, token) =>
+  `https://firebasestorage.googleapis.com/v0/b/${bucket.name}/o/${encodeURIComponent(path)}?alt=media&token=${token}`;
+
+const fileExists = async (bucket, path) => (await bucket.file(path).exists())[0];
+
+function describePhotoCases(name, getBucket, options) {
+  describe(name, options, () => {
+    let bucket;
+    let db;
+    let admin;
+    let app;
+    let uid;
+
+    before(async () => {
+      bucket = await getBucket();
+      db = createMockFirestore();
+      admin = createMockAdmin({ db, bucket, verifyIdToken: tokenVerifier });
+      app = await startApp((server) =>
+        server.use(
+          "/api/meals",
+          createMealsRouter(admin, db, createAuthMiddleware(admin))
+        )
+      );
+    });
+
+    after(async () => {
+      await app?.close();
+    });
+
+    // A fresh user per test, so emulator runs don't see each other's files
+    beforeEach(() => {
+      uid = `photo-test-${Date.now()}-${Math.round(Math.random() * 1e6)}`;
+    });
+
+    // A meal with one photo + thumbnail in its folder and one photo from chat
+    async function createMealWithPhotos() {
+      const mealRef = db.collection("nutrition").doc(uid).collection("meals").doc();
+      const photoPath = `users/${uid}/meals/${mealRef.id}/1.jpg`;
+      const thumbnailPath = `users/${uid}/meals/${mealRef.id}/1_thumb.jpg`;
+      const chatPath = `users/${uid}/chat/2.jpg`;
+      await Promise.all([photoPath, thumbnailPath, chatPath].map((path) => upload(bucket, path)));
+
+      const meal = {
+        mealType: "lunch",
+        totalCalories: 500,
+        photoUrl: downloadUrl(bucket, photoPath, "a"),
+        photoUrls: [downloadUrl(bucket, photoPath, "a"), downloadUrl(bucket, chatPath, "b")],
+        thumbnailUrl: downloadUrl(bucket, thumbnailPath, "c"),
+        thumbnailUrls: [downloadUrl(bucket, thumbnailPath, "c")],
+      };
+      await mealRef.set(meal);
+      return { mealRef, meal, photoPath, thumbnailPath, chatPath };
+    }
+
+    const deleteMeal = (mealId) =>
+      deleteMealAction.execute({ mealId }, { admin, db, context: { userId: uid } });
+
+    test("deleting keeps the photos and restoring brings them back", async () => {
+      const { mealRef, meal, photoPath, thumbnailPath } = await createMealWithPhotos();
+
+      assert.equal((await deleteMeal(mealRef.id)).success, true);
+      assert.equal(await fileExists(bucket, photoPath), true);
+      assert.equal(await fileExists(bucket, thumbnailPath), true);
+
+      const restore = await postJson(`${app.url}/api/meals/${mealRef.id}/restore`, {}, uid);
+      assert.equal(restore.status, 200);
+
+      const restored = (await mealRef.get()).data();
+      assert.equal(restored.deleted, false);
+      assert.deepEqual(restored.photoUrls, meal.photoUrls);
+      assert.equal(restored.thumbnailUrl, meal.thumbnailUrl);
+    });
+
+    test("purging removes the meal's photos but not chat photos", async () => {
+      const { mealRef, photoPath, thumbnailPath, chatPath } = await createMealWithPhotos();
+      await mealRef.collection("revisions").add({ updateRequest: "add a Coke" });
+
+      const early = await deleteJson(`${app.url}/api/meals/${mealRef.id}`, uid);
+      assert.equal(early.status, 409, "a live meal can't be purged");
+      assert.equal(await fileExists(bucket, photoPath), true);
+
+      await deleteMeal(mealRef.id);
+      const purge = await deleteJson(`${app.url}/api/meals/${mealRef.id}`, uid);
+
+      assert.equal(purge.status, 200);
+      assert.equal(purge.body.photosDeleted, 2);
+      assert.equal(await fileExists(bucket, photoPath), false);
+      assert.equal(await fileExists(bucket, thumbnailPath), false);
+      assert.equal(await fileExists(bucket, chatPath), true);
+      assert.equal((await mealRef.get()).exists, false);
+      assert.deepEqual(db.dump(`${mealRef.path}/`), {});
+    });
+
+    test("chat photos' thumbnails are found with their download token", async () => {
+      const withThumbnail = `users/${uid}/chat/10.jpg`;
+      const withoutThumbnail = `users/${uid}/chat/11.jpg`;
+      await upload(bucket, withThumbnail);
+      await upload(bucket, `users/${uid}/chat/10_thumb.jpg`, "thumb-token");
+      await upload(bucket, withoutThumbnail);
+
+      const thumbnails = await findChatPhotoThumbnails(admin, [
+        downloadUrl(bucket, withThumbnail, "photo-token"),
+        downloadUrl(bucket, withoutThumbnail, "other-token"),
+      ]);
+
+      assert.deepEqual(thumbnails, [
+        downloadUrl(bucket, `users/${uid}/chat/10_thumb.jpg`, "thumb-token"),
+      ]);
+    });
+  });
+}
+
+describePhotoCases("meal photos (in-memory bucket)", async () => createMockBucket());
+
+describePhotoCases(
+  "meal photos (Firebase Storage emulator)",
+  async () => {
+    const admin = require("firebase-admin");
+    if (!admin.apps.length) {
+      admin.initializeApp({
+        projectId: process.env.GCLOUD_PROJECT || "demo-ninety",
+        storageBucket:
+          process.env.FIREBASE_STORAGE_BUCKET || "demo-ninety.appspot.com",
+      });
+    }
+    return admin.storage().bucket();
+  },
+  { skip: !EMULATOR_HOST && "FIREBASE_STORAGE_EMULATOR_HOST not set" }
+);
@@ -0,0 +1,129 @@
+/*
+ * Undo through tools/undoLastChange.js (helpers/mealRevisions.js)
+ * - undoing twice goes back two edits, not back and forth
+ * - reverting to an undo's revision (by ID) redoes the edit
+ */
+
+const { test, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const createUndoLastChange = require("../tools/undoLastChange");
+const {
+  addRevision,
+  listMealRevisions,
+  revertMealToRevision,
+} = require("../helpers/mealRevisions");
+const { createMockFirestore, createMockAdmin } = require("./support/firebase");
+
+const food = (name, calories) => ({
+  name,
+  quantity: "1 serving",
+  calories,
+  protein: 0,
+  carbs: 0,
+  fats: 0,
+  fiber: 0,
+});
+
+const version = (foods) => ({
+  mealType: "lunch",
+  foods,
+  totalCalories: foods.reduce((sum, f) => sum + f.calories, 0),
+  totalProtein: 0,
+  totalCarbs: 0,
+  totalFats: 0,
+  totalFiber: 0,
+});
+
+const SANDWICH = version([food("Turkey sandwich", 400)]);
+const WITH_COKE = version([food("Turkey sandwich", 400), food("Coca-Cola", 140)]);
+const WITH_COKE_AND_CHIPS = version([
+  food("Turkey sandwich", 400),
+  food("Coca-Cola", 140),
+  food("Chips", 150),
+]);
+
+let db;
+let admin;
+let mealRef;
+let undo;
+
+// Same writes analyzeAndUpdateMeal makes for an update
+async function applyUpdate(after, updateRequest) {
+  const batch = db.batch();
+  addRevision(admin, batch, mealRef, {
+    before: (await mealRef.get()).data(),
+    after,
+    updateRequest,
+    source: "update",
+  });
+  batch.update(mealRef, after);
+  await batch.commit();
+}
+
+const currentFoods = async () =>
+  (await mealRef.get()).data().foods.map((f) => f.name);
+
+beforeEach(async () => {
+  db = createMockFirestore();
+  admin = createMockAdmin({ db });
+  mealRef = await db
+    .collection("nutrition")
+    .doc("alice")
+    .collection("meals")
+    .add(SANDWICH);
+  undo = createUndoLastChange(admin, db, { userId: "alice" });
+
+  await applyUpdate(WITH_COKE, "add a Coke");
+  await applyUpdate(WITH_COKE_AND_CHIPS, "add chips");
+});
+
+test("undoing twice goes back two edits", async () => {
+  const first = await undo.execute({ mealId: mealRef.id }, {});
+  assert.equal(first.success, true);
+  assert.deepEqual(await currentFoods(), ["Turkey sandwich", "Coca-Cola"]);
+
+  const second = await undo.execute({ mealId: mealRef.id }, {});
+  assert.equal(second.success, true);
+  assert.deepEqual(await currentFoods(), ["Turkey sandwich"]);
+  assert.equal((await mealRef.get()).data().totalCalories, 400);
+
+  const third = await undo.execute({ mealId: mealRef.id }, {});
+  assert.equal(third.success, false);
+  assert.match(third.message, /no earlier versions/);
+  assert.deepEqual(await currentFoods(), ["Turkey sandwich"]);
+});
+
+test("undo after a new edit undoes that edit first", async () => {
+  await undo.execute({ mealId: mealRef.id }, {});
+  await applyUpdate(
+    version([food("Turkey sandwich", 400), food("Coca-Cola", 140), food("Apple", 95)]),
+    "add an apple"
+  );
+
+  await undo.execute({ mealId: mealRef.id }, {});
+  assert.deepEqual(await currentFoods(), ["Turkey sandwich", "Coca-Cola"]);
+
+  await undo.execute({ mealId: mealRef.id }, {});
+  assert.deepEqual(await currentFoods(), ["Turkey sandwich"]);
+});
+
+test("reverting to the undo's own revision redoes the edit", async () => {
+  await undo.execute({ mealId: mealRef.id }, {});
+
+  const [revertRevision] = await listMealRevisions(mealRef);
+  assert.equal(revertRevision.source, "revert");
+
+  const result = await revertMealToRevision(
+    admin,
+    db,
+    "alice",
+    mealRef.id,
+    revertRevision.id
+  );
+  assert.equal(result.success, true);
+  assert.deepEqual(await currentFoods(), ["Turkey sandwich", "Coca-Cola", "Chips"]);
+
+  // The redone edit is the next thing undo takes back
+  await undo.execute({ mealId: mealRef.id }, {});
+  assert.deepEqual(await currentFoods(), ["Turkey sandwich", "Coca-Cola"]);
+});
@@ -0,0 +1,119 @@
+/*
+ * helpers/measurements.js - week-over-week changes
+ * - each week is compared with the site's previous measured week, so a
+ *   skipped week shows as a 2-week change
+ * - the first week in the history is compared with the last measurement
+ *   before the window
+ */
+
+const { describe, test } = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  calculateWeeklyChanges,
+  getMeasurementHistory,
+} = require("../helpers/measurements");
+const {
+  Timestamp,
+  createMockFirestore,
+  createMockAdmin,
+} = require("./support/firebase");
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Arm in inches, stored in cm like addMeasurements does
+const arm = (date, inches) => ({ date, valueCm: inches * 2.54 });
+
+describe("calculateWeeklyChanges", () => {
+  test("a skipped week shows as a 2-week change", () => {
+    const weekly = calculateWeeklyChanges(
+      [
+        arm("2025-11-03", 15), // Monday
+        arm("2025-11-05", 15.25), // same week - replaces Monday's
+        arm("2025-11-12", 15.5),
+        // nothing the week of Nov 17
+        arm("2025-11-27", 15.75),
+      ],
+      "in"
+    );
+
+    assert.deepEqual(weekly, [
+      { weekStart: "2025-11-03", date: "2025-11-05", value: 15.25, change: null, weeksApart: null },
+      { weekStart: "2025-11-10", date: "2025-11-12", value: 15.5, change: 0.25, weeksApart: 1 },
+      { weekStart: "2025-11-24", date: "2025-11-27", value: 15.75, change: 0.25, weeksApart: 2 },
+    ]);
+  });
+
+  test("the first week is compared with the baseline", () => {
+    const [first] = calculateWeeklyChanges(
+      [arm("2025-11-12", 15.5)],
+      "in",
+      arm("2025-10-29", 15)
+    );
+
+    assert.equal(first.change, 0.5);
+    assert.equal(first.weeksApart, 2);
+  });
+
+  test("values and changes come out in cm", () => {
+    const [, second] = calculateWeeklyChanges(
+      [arm("2025-11-03", 15), arm("2025-11-10", 16)],
+      "cm"
+    );
+    assert.equal(second.value, 40.64);
+    assert.equal(second.change, 2.54);
+  });
+});
+
+describe("getMeasurementHistory", () => {
+  test("the oldest week shown has a change when there's an earlier measurement", async () => {
+    const db = createMockFirestore();
+    const admin = createMockAdmin({ db });
+    const measurementsRef = db.collection("progress").doc("alice").collection("measurements");
+
+    // Monday of this week (UTC), and noon n days after it
+    const today = new Date().toISOString().split("T")[0];
+    const mondayTime =
+      Date.parse(`${today}T00:00:00Z`) - ((new Date(`${today}T00:00:00Z`).getUTCDay() + 6) % 7) * DAY_MS;
+    const noonAfterMonday = (days) => new Date(mondayTime + days * DAY_MS + 12 * 60 * 60 * 1000);
+
+    const add = (site, inches, when, fields = {}) =>
+      measurementsRef.add({
+        site,
+        value: inches,
+        unit: "in",
+        valueCm: inches * 2.54,
+        date: when.toISOString().split("T")[0],
+        timestamp: Timestamp.fromDate(when),
+        loggedVia: "chat",
+        ...fields,
+      });
+
+    // Two-week window: last week and this week
+    await add("arm", 15, noonAfterMonday(-14)); // before the window
+    await add("arm", 14, noonAfterMonday(-13), { deleted: true }); // ignored
+    await add("arm", 15.5, noonAfterMonday(-7));
+    await add("arm", 15.75, noonAfterMonday(0));
+    await add("waist", 34, noonAfterMonday(-6)); // no earlier waist measurement
+
+    const history = await getMeasurementHistory(
+      admin,
+      db,
+      { userId: "alice", timezone: "UTC", profile: { heightUnit: "inches" } },
+      2
+    );
+
+    const armHistory = history.sites.find(({ site }) => site === "arm");
+    assert.deepEqual(
+      armHistory.weekly.map(({ value, change, weeksApart }) => ({ value, change, weeksApart })),
+      [
+        { value: 15.5, change: 0.5, weeksApart: 1 },
+        { value: 15.75, change: 0.25, weeksApart: 1 },
+      ]
+    );
+
+    const waistHistory = history.sites.find(({ site }) => site === "waist");
+    assert.equal(waistHistory.weekly[0].change, null);
+
+    assert.equal(history.entries.length, 3, "the baseline isn't listed");
+  });
+});
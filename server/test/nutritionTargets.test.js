@@ -0,0 +1,164 @@
+/*
+ * helpers/nutritionTargets.js
+ *
+ * BMR and TDEE against reference values worked out by hand from the
+ * published formulas (Mifflin-St Jeor, Katch-McArdle) - both sexes, metric
+ * and imperial input, every activity level. Rounding may differ by 1 cal.
+ */
+
+const { describe, test } = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  ACTIVITY_MULTIPLIERS,
+  calculateBmr,
+  estimateTdee,
+  calculateNutritionTargets,
+} = require("../helpers/nutritionTargets");
+
+const assertClose = (actual, expected, message) =>
+  assert.ok(
+    Math.abs(actual - expected) <= 1,
+    `${message}: expected ${expected} ±1, got ${actual}`
+  );
+
+const PROFILES = [
+  {
+    label: "man, metric",
+    // 10 × 80 + 6.25 × 180 - 5 × 30 + 5
+    profile: {
+      weight: 80,
+      weightUnit: "kg",
+      height: 180,
+      heightUnit: "cm",
+      age: 30,
+      gender: "male",
+    },
+    bmr: 1780,
+  },
+  {
+    label: "woman, metric",
+    // 10 × 60 + 6.25 × 165 - 5 × 25 - 161
+    profile: {
+      weight: 60,
+      weightUnit: "kg",
+      height: 165,
+      heightUnit: "cm",
+      age: 25,
+      gender: "female",
+    },
+    bmr: 1345,
+  },
+  {
+    label: "man, imperial",
+    // 180 lbs = 81.65 kg, 70 in = 177.8 cm: 816.5 + 1111.25 - 200 + 5
+    profile: {
+      weight: 180,
+      weightUnit: "lbs",
+      height: 70,
+      heightUnit: "inches",
+      age: 40,
+      gender: "male",
+    },
+    bmr: 1733,
+  },
+  {
+    label: "woman, imperial",
+    // 140 lbs = 63.50 kg, 64 in = 162.56 cm: 635.0 + 1016 - 175 - 161
+    profile: {
+      weight: 140,
+      weightUnit: "lbs",
+      height: 64,
+      heightUnit: "inches",
+      age: 35,
+      gender: "Female",
+    },
+    bmr: 1315,
+  },
+];
+
+describe("calculateBmr", () => {
+  for (const { label, profile, bmr } of PROFILES) {
+    test(`Mifflin-St Jeor: ${label}`, () => {
+      const result = calculateBmr(profile);
+      assert.equal(result.formula, "mifflin-st-jeor");
+      assertClose(result.bmr, bmr, label);
+    });
+  }
+
+  test("Katch-McArdle when body fat is known", () => {
+    // 80 kg at 20% body fat → 64 kg lean: 370 + 21.6 × 64
+    const result = calculateBmr({ ...PROFILES[0].profile, bodyFatPercentage: 20 });
+    assert.equal(result.formula, "katch-mcardle");
+    assertClose(result.bmr, 1752, "katch-mcardle");
+  });
+
+  test("an unbelievable body fat % falls back to Mifflin-St Jeor", () => {
+    const result = calculateBmr({ ...PROFILES[0].profile, bodyFatPercentage: 90 });
+    assert.equal(result.formula, "mifflin-st-jeor");
+  });
+
+  test("missing stats use the defaults (170 lbs, 70 in, 28, male)", () => {
+    // 77.11 kg, 177.8 cm: 771.1 + 1111.25 - 140 + 5
+    assertClose(calculateBmr({}).bmr, 1747, "defaults");
+  });
+});
+
+describe("estimateTdee", () => {
+  const REFERENCE_MULTIPLIERS = {
+    sedentary: 1.2,
+    light: 1.375,
+    moderate: 1.55,
+    active: 1.725,
+    very_active: 1.9,
+  };
+
+  test("covers every activity level", () => {
+    assert.deepEqual(
+      Object.keys(ACTIVITY_MULTIPLIERS).sort(),
+      Object.keys(REFERENCE_MULTIPLIERS).sort()
+    );
+  });
+
+  for (const { label, profile, bmr } of PROFILES) {
+    for (const [activityLevel, multiplier] of Object.entries(REFERENCE_MULTIPLIERS)) {
+      test(`${label}, ${activityLevel}`, () => {
+        const result = estimateTdee({ ...profile, activityLevel });
+        assert.equal(result.activityLevel, activityLevel);
+        assertClose(result.tdee, bmr * multiplier, `${label} ${activityLevel}`);
+      });
+    }
+  }
+
+  test("an unknown activity level counts as moderate", () => {
+    const result = estimateTdee({ ...PROFILES[0].profile, activityLevel: "couch" });
+    assert.equal(result.activityLevel, "moderate");
+    assertClose(result.tdee, 1780 * 1.55, "moderate");
+  });
+});
+
+describe("calculateNutritionTargets", () => {
+  test("losing weight is TDEE - 500 with 2 g/kg protein", () => {
+    const targets = calculateNutritionTargets({
+      ...PROFILES[0].profile,
+      activityLevel: "moderate",
+      goalType: "lose weight",
+    });
+    assert.equal(targets.goal, "lose");
+    assertClose(targets.calorieTarget, 1780 * 1.55 - 500, "calories");
+    assert.equal(targets.proteinTarget, 160);
+  });
+
+  test("never goes below the minimum for the user's sex", () => {
+    const targets = calculateNutritionTargets({
+      weight: 45,
+      weightUnit: "kg",
+      height: 150,
+      heightUnit: "cm",
+      age: 70,
+      gender: "female",
+      activityLevel: "sedentary",
+      goalType: "lose",
+    });
+    assert.equal(targets.calorieTarget, 1200);
+  });
+});
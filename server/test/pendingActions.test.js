@@ -0,0 +1,168 @@
+/*
+ * Pending actions through /api/chat (routes/chat.js, actions/)
+ * - a meal held back by the macro check is stored as a pending logMeal,
+ *   and "yes" logs it without another AI call
+ * - a pending action that fails goes to the AI instead of showing the
+ *   executor's raw message
+ * - a reply that isn't a yes/no keeps the action waiting
+ * - adding exercises to a workout waits for "yes" like deletes do
+ */
+
+const { test, before, after, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const { createChatRouter } = require("../routes/chat");
+const { createAuthMiddleware } = require("../middleware/auth");
+const { createPendingActionStore } = require("../helpers/pendingActionStore");
+const { setModelOverrides, resetModelOverrides } = require("../helpers/models");
+const {
+  Timestamp,
+  createMockFirestore,
+  createMockAdmin,
+} = require("./support/firebase");
+const { startApp, tokenVerifier, postJson } = require("./support/http");
+const {
+  createStubModel,
+  toolCallResult,
+  textResult,
+} = require("./support/models");
+
+// 300 cal can't come from 5g of macros - the macro check flags it
+const ODD_SMOOTHIE = {
+  name: "Green smoothie",
+  quantity: "1 glass",
+  calories: 300,
+  protein: 1,
+  carbs: 3,
+  fats: 1,
+  fiber: 1,
+};
+
+let db;
+let admin;
+let app;
+let model;
+let respond;
+
+before(async () => {
+  db = createMockFirestore();
+  admin = createMockAdmin({ db, verifyIdToken: tokenVerifier });
+  model = createStubModel(async (options) => respond(options));
+  setModelOverrides({ chat: model });
+
+  app = await startApp((server) =>
+    server.use("/api/chat", createChatRouter(admin, db, createAuthMiddleware(admin)))
+  );
+});
+
+after(async () => {
+  resetModelOverrides();
+  await app.close();
+});
+
+beforeEach(() => {
+  model.calls.length = 0;
+});
+
+const chat = (content, pendingActionId) =>
+  postJson(
+    `${app.url}/api/chat`,
+    { messages: [{ role: "user", content }], pendingActionId },
+    "alice"
+  );
+
+const mealsOf = (uid) => Object.values(db.dump(`nutrition/${uid}/meals/`));
+
+test("'yes' logs a meal that was held back for macro warnings", async () => {
+  respond = () =>
+    toolCallResult("logMeal", { mealType: "snack", foods: [ODD_SMOOTHIE] });
+
+  const first = await chat("I had a green smoothie");
+  assert.equal(first.status, 200);
+  assert.match(first.body.message, /numbers look off/);
+  assert.ok(first.body.pendingActionId, "a pending logMeal is stored");
+  assert.equal(mealsOf("alice").length, 0);
+
+  const second = await chat("yes", first.body.pendingActionId);
+  assert.equal(second.status, 200);
+  assert.match(second.body.message, /meal has been logged/);
+  assert.equal(second.body.pendingActionId, null);
+  assert.equal(model.calls.length, 1, "the confirmation needs no AI call");
+
+  const [meal] = mealsOf("alice");
+  assert.equal(meal.foods[0].name, "Green smoothie");
+  assert.equal(meal.totalCalories, 300);
+});
+
+test("a failing pending action falls back to the AI", async () => {
+  const pendingActionId = await createPendingActionStore(admin, db).create(
+    "alice",
+    { type: "deleteMeal", payload: { mealId: "no-such-meal" } }
+  );
+  respond = () => textResult("Hmm, which meal did you want me to delete?");
+
+  const response = await chat("yes", pendingActionId);
+
+  assert.equal(response.status, 200);
+  assert.equal(response.body.message, "Hmm, which meal did you want me to delete?");
+  assert.equal(model.calls.length, 1);
+});
+
+test("ordinary chat doesn't confirm a pending delete", async () => {
+  const mealRef = await db
+    .collection("nutrition")
+    .doc("alice")
+    .collection("meals")
+    .add({ mealType: "lunch", foods: [], totalCalories: 450 });
+  const pendingActionId = await createPendingActionStore(admin, db).create(
+    "alice",
+    { type: "deleteMeal", payload: { mealId: mealRef.id } }
+  );
+  respond = () => textResult("Nice work on the 5k! 🏃");
+
+  const response = await chat("great workout today, ran 5k", pendingActionId);
+
+  assert.equal(response.status, 200);
+  assert.equal(response.body.message, "Nice work on the 5k! 🏃");
+  assert.equal(response.body.pendingActionId, pendingActionId, "still waiting for an answer");
+  assert.notEqual((await mealRef.get()).data().deleted, true);
+});
+
+test("adding exercises to a workout waits for 'yes'", async () => {
+  const sessionRef = db
+    .collection("activities")
+    .doc("alice")
+    .collection("sessions")
+    .doc("chest-session-1");
+  await sessionRef.set({
+    type: "strength_training",
+    name: "Chest Workout",
+    exercises: [{ name: "Bench Press", sets: 3, reps: 8, weight: 30, unit: "kg" }],
+    totalVolume: 720,
+    timestamp: Timestamp.fromDate(new Date()),
+  });
+  respond = () =>
+    toolCallResult("updateActivity", {
+      sessionId: "chest-session-1",
+      exercises: [{ name: "Bicep Curls", sets: 3, reps: 8, weight: 10, unit: "kg" }],
+      name: "Chest & Arms Workout",
+    });
+
+  const first = await chat("now bicep curls 3x8 at 10 kg");
+  assert.equal(first.status, 200);
+  assert.match(first.body.message, /Should I add Bicep Curls to your Chest Workout/);
+  assert.ok(first.body.pendingActionId, "a pending updateActivity is stored");
+  assert.equal((await sessionRef.get()).data().exercises.length, 1, "nothing changed yet");
+
+  const second = await chat("yes", first.body.pendingActionId);
+  assert.equal(second.status, 200);
+  assert.match(second.body.message, /Added 1 exercise/);
+  assert.equal(model.calls.length, 1, "the confirmation needs no AI call");
+
+  const session = (await sessionRef.get()).data();
+  assert.deepEqual(
+    session.exercises.map((exercise) => exercise.name),
+    ["Bench Press", "Bicep Curls"]
+  );
+  assert.equal(session.totalVolume, 960);
+  assert.equal(session.name, "Chest & Arms Workout");
+});
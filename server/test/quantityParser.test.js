@@ -0,0 +1,46 @@
+/*
+ * helpers/quantityParser.js scaleFood
+ * - scaling a food again multiplies its "× n" suffix instead of adding one,
+ *   so the amount parsed back from the text matches the scaled amount
+ */
+
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const { scaleFood, withParsedQuantities } = require("../helpers/quantityParser");
+
+const food = (quantity) => ({
+  name: "Scrambled eggs",
+  quantity,
+  calories: 210,
+  protein: 18,
+  carbs: 0,
+  fats: 15,
+  fiber: 0,
+});
+
+const reparse = (scaled) => withParsedQuantities([scaled])[0];
+
+test("halving a piece count twice keeps one suffix", () => {
+  const [eggs] = withParsedQuantities([food("3 eggs")]);
+  const quarter = scaleFood(scaleFood(eggs, 0.5), 0.5);
+
+  assert.equal(quarter.quantity, "3 eggs × 0.25");
+  assert.equal(quarter.amount, 0.75);
+  assert.equal(reparse(quarter).amount, 0.75);
+});
+
+test("scaling back to the original drops the suffix", () => {
+  assert.equal(scaleFood(scaleFood(food("3 eggs"), 0.5), 2).quantity, "3 eggs");
+});
+
+test("weights, volumes and database servings get a new number", () => {
+  assert.equal(scaleFood(scaleFood(food("200g rice"), 0.5), 0.5).quantity, "50g rice");
+  assert.equal(scaleFood(food("1 cup milk"), 1.5).quantity, "1.5 cup milk");
+  assert.equal(scaleFood(food("2 × 1 large egg"), 0.5).quantity, "1 × 1 large egg");
+});
+
+test("text without an amount gets a suffix", () => {
+  const salad = scaleFood(scaleFood(food("some salad"), 0.5), 3);
+  assert.equal(salad.quantity, "some salad × 1.5");
+  assert.equal(salad.calories, 315);
+});
@@ -0,0 +1,135 @@
+/*
+ * Recipes (helpers/recipes.js, routes/recipes.js, tools/logRecipe.js)
+ * - per-serving macros are the batch totals ÷ servings
+ * - logging N servings copies N × per-serving onto the meal
+ * - editing the recipe afterwards doesn't change meals already logged
+ */
+
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const createLogRecipe = require("../tools/logRecipe");
+const { createRecipesRouter } = require("../routes/recipes");
+const { createAuthMiddleware } = require("../middleware/auth");
+const { computeRecipeNutrition } = require("../helpers/recipes");
+const { createMockFirestore, createMockAdmin } = require("./support/firebase");
+const { startApp, tokenVerifier, postJson, putJson } = require("./support/http");
+
+// 1320 cal, 128g protein, 112g carbs, 40g fat, 32g fiber for the batch
+const CHILI = {
+  name: "Turkey chili",
+  servings: 4,
+  ingredients: [
+    {
+      name: "Ground turkey",
+      quantity: "1 lb",
+      calories: 680,
+      protein: 88,
+      carbs: 0,
+      fats: 36,
+      fiber: 0,
+    },
+    {
+      name: "Kidney beans",
+      quantity: "2 cans",
+      calories: 640,
+      protein: 40,
+      carbs: 112,
+      fats: 4,
+      fiber: 32,
+    },
+  ],
+};
+
+let db;
+let admin;
+let app;
+
+before(async () => {
+  db = createMockFirestore();
+  admin = createMockAdmin({ db, verifyIdToken: tokenVerifier });
+  app = await startApp((server) =>
+    server.use(
+      "/api/recipes",
+      createRecipesRouter(admin, db, createAuthMiddleware(admin))
+    )
+  );
+});
+
+after(async () => {
+  await app.close();
+});
+
+test("per-serving macros are the batch ÷ servings", () => {
+  const nutrition = computeRecipeNutrition(CHILI.ingredients, 4);
+
+  assert.equal(nutrition.totalCalories, 1320);
+  assert.deepEqual(nutrition.perServing, {
+    calories: 330,
+    protein: 32,
+    carbs: 28,
+    fats: 10,
+    fiber: 8,
+  });
+
+  // Rounded to whole calories and 0.1g
+  assert.deepEqual(computeRecipeNutrition(CHILI.ingredients, 3).perServing, {
+    calories: 440,
+    protein: 42.7,
+    carbs: 37.3,
+    fats: 13.3,
+    fiber: 10.7,
+  });
+});
+
+test("editing a recipe doesn't change meals already logged", async () => {
+  const created = await postJson(`${app.url}/api/recipes`, CHILI, "alice");
+  assert.equal(created.status, 201);
+  const { recipeId } = created.body.recipe;
+
+  const logRecipe = createLogRecipe(admin, db, {
+    userId: "alice",
+    timezone: "America/New_York",
+  });
+  const logged = await logRecipe.execute(
+    { recipeId, servings: 1.5, mealType: "dinner" },
+    {}
+  );
+  assert.equal(logged.success, true);
+
+  const mealRef = db
+    .collection("nutrition")
+    .doc("alice")
+    .collection("meals")
+    .doc(logged.mealId);
+  const before = (await mealRef.get()).data();
+
+  const [food] = before.foods;
+  assert.equal(food.recipeId, recipeId);
+  assert.equal(food.source, "recipe");
+  assert.equal(food.quantity, "1.5 of 4 servings");
+  assert.deepEqual(
+    [food.calories, food.protein, food.carbs, food.fats, food.fiber],
+    [495, 48, 42, 15, 12]
+  );
+  assert.equal(before.totalCalories, 495);
+
+  // Double the turkey and make it 6 servings
+  const edited = await putJson(
+    `${app.url}/api/recipes/${recipeId}`,
+    {
+      ...CHILI,
+      servings: 6,
+      ingredients: [
+        { ...CHILI.ingredients[0], quantity: "2 lb", calories: 1360, protein: 176, fats: 72 },
+        CHILI.ingredients[1],
+      ],
+    },
+    "alice"
+  );
+  assert.equal(edited.status, 200);
+  assert.equal(edited.body.recipe.perServing.calories, 333);
+
+  const after = (await mealRef.get()).data();
+  assert.deepEqual(after.foods, before.foods);
+  assert.equal(after.totalCalories, 495);
+});
@@ -0,0 +1,307 @@
+/*
+ * ============================================================================
+ * TEST SUPPORT: In-memory Firestore and firebase-admin
+ * ============================================================================
+ *
+ * PURPOSE:
+ * Let tests run the real tools, helpers and routers without a Firebase
+ * project or emulator. Covers the parts of the API the server uses:
+ * - collection/doc paths, get, set (with merge), update, delete, add
+ * - where (==, <, <=, >, >=), orderBy, limit
+ * - batch() and runTransaction()
+ * - FieldValue.serverTimestamp / delete / increment and Timestamp
+ * - a Storage bucket: file(path).save / exists / getMetadata / delete and
+ *   getFiles({ prefix })
+ *
+ * USAGE:
+ *   const db = createMockFirestore();
+ *   const admin = createMockAdmin({ db });
+ *   createTools(admin, db, context)
+ *
+ * ============================================================================
+ */
+
+const crypto = require("crypto");
+
+let lastNow = 0;
+
+class Timestamp {
+  constructor(millis) {
+    this.millis = millis;
+  }
+
+  static fromDate(date) {
+    return new Timestamp(date.getTime());
+  }
+
+  // Strictly increasing, so documents written in the same millisecond
+  // still sort in write order
+  static now() {
+    lastNow = Math.max(Date.now(), lastNow + 1);
+    return new Timestamp(lastNow);
+  }
+
+  toDate() {
+    return new Date(this.millis);
+  }
+
+  toMillis() {
+    return this.millis;
+  }
+}
+
+const SERVER_TIMESTAMP = Symbol("serverTimestamp");
+const DELETE_FIELD = Symbol("delete");
+
+const FieldValue = {
+  serverTimestamp: () => SERVER_TIMESTAMP,
+  delete: () => DELETE_FIELD,
+  increment: (amount) => ({ increment: amount }),
+};
+
+// Resolve FieldValue sentinels against the document's current data
+function applyWrite(current, changes) {
+  const next = { ...current };
+  Object.entries(changes).forEach(([field, value]) => {
+    if (value === DELETE_FIELD) {
+      delete next[field];
+    } else if (value === SERVER_TIMESTAMP) {
+      next[field] = Timestamp.now();
+    } else if (value && typeof value.increment === "number") {
+      next[field] = (next[field] || 0) + value.increment;
+    } else {
+      next[field] = value;
+    }
+  });
+  return next;
+}
+
+// Timestamps and dates compare by time, everything else as-is
+const comparable = (value) =>
+  value instanceof Timestamp
+    ? value.toMillis()
+    : value instanceof Date
+    ? value.getTime()
+    : value;
+
+const OPERATORS = {
+  "==": (a, b) => a === b,
+  "<": (a, b) => a < b,
+  "<=": (a, b) => a <= b,
+  ">": (a, b) => a > b,
+  ">=": (a, b) => a >= b,
+};
+
+function createMockFirestore() {
+  // "nutrition/u1/meals/abc" → data
+  const documents = new Map();
+
+  const snapshotOf = (ref) => {
+    const data = documents.get(ref.path);
+    return {
+      id: ref.id,
+      ref,
+      exists: data !== undefined,
+      data: () => (data === undefined ? undefined : { ...data }),
+    };
+  };
+
+  const write = (ref, data) => documents.set(ref.path, data);
+
+  function docRef(path) {
+    const ref = {
+      id: path.split("/").pop(),
+      path,
+      collection: (name) => collectionRef(`${path}/${name}`),
+      get: async () => snapshotOf(ref),
+      set: async (data, options) => {
+        const current = options?.merge ? documents.get(path) || {} : {};
+        write(ref, applyWrite(current, data));
+      },
+      update: async (changes) => {
+        if (!documents.has(path)) {
+          throw new Error(`No document to update: ${path}`);
+        }
+        write(ref, applyWrite(documents.get(path), changes));
+      },
+      delete: async () => {
+        documents.delete(path);
+      },
+    };
+    return ref;
+  }
+
+  function query(path, filters = [], order = null, max = null) {
+    const run = () => {
+      let docs = [...documents.keys()]
+        .filter(
+          (key) =>
+            key.startsWith(`${path}/`) &&
+            !key.slice(path.length + 1).includes("/")
+        )
+        .map((key) => snapshotOf(docRef(key)))
+        .filter((doc) =>
+          filters.every(({ field, op, value }) => {
+            const fieldValue = doc.data()[field];
+            return (
+              fieldValue !== undefined &&
+              OPERATORS[op](comparable(fieldValue), comparable(value))
+            );
+          })
+        );
+
+      if (order) {
+        // Like Firestore, orderBy drops documents without the field
+        docs = docs
+          .filter((doc) => doc.data()[order.field] !== undefined)
+          .sort((a, b) => {
+            const left = comparable(a.data()[order.field]);
+            const right = comparable(b.data()[order.field]);
+            const result = left < right ? -1 : left > right ? 1 : 0;
+            return order.direction === "desc" ? -result : result;
+          });
+      }
+      if (max !== null) {
+        docs = docs.slice(0, max);
+      }
+
+      return {
+        docs,
+        empty: docs.length === 0,
+        size: docs.length,
+        forEach: (callback) => docs.forEach(callback),
+      };
+    };
+
+    return {
+      where: (field, op, value) =>
+        query(path, [...filters, { field, op, value }], order, max),
+      orderBy: (field, direction = "asc") =>
+        query(path, filters, { field, direction }, max),
+      limit: (count) => query(path, filters, order, count),
+      get: async () => run(),
+    };
+  }
+
+  function collectionRef(path) {
+    return {
+      ...query(path),
+      id: path.split("/").pop(),
+      path,
+      doc: (id) => docRef(`${path}/${id || crypto.randomUUID()}`),
+      add: async (data) => {
+        const ref = docRef(`${path}/${crypto.randomUUID()}`);
+        write(ref, applyWrite({}, data));
+        return ref;
+      },
+    };
+  }
+
+  // Writes are queued and applied together on commit
+  const createBatch = () => {
+    const writes = [];
+    return {
+      set: (ref, data, options) => writes.push(() => ref.set(data, options)),
+      update: (ref, changes) => writes.push(() => ref.update(changes)),
+      delete: (ref) => writes.push(() => ref.delete()),
+      commit: async () => {
+        for (const applyOne of writes) {
+          await applyOne();
+        }
+      },
+    };
+  };
+
+  return {
+    collection: (name) => collectionRef(name),
+    batch: createBatch,
+    // Single-process tests don't need retries - run once, then commit
+    runTransaction: async (updateFunction) => {
+      const batch = createBatch();
+      const result = await updateFunction({
+        get: (ref) => ref.get(),
+        set: batch.set,
+        update: batch.update,
+        delete: batch.delete,
+      });
+      await batch.commit();
+      return result;
+    },
+
+    // For assertions: { path: data } of every document under a path
+    dump: (prefix = "") =>
+      Object.fromEntries(
+        [...documents.entries()].filter(([key]) => key.startsWith(prefix))
+      ),
+  };
+}
+
+/*
+ * In-memory Storage bucket (the parts of @google-cloud/storage the server
+ * uses). Files are { path → custom metadata }; the contents aren't kept.
+ */
+function createMockBucket(name = "demo-ninety.appspot.com") {
+  const files = new Map();
+
+  const file = (path) => ({
+    name: path,
+    save: async (data, options = {}) => {
+      files.set(path, options.metadata?.metadata || {});
+    },
+    exists: async () => [files.has(path)],
+    getMetadata: async () => {
+      if (!files.has(path)) {
+        throw Object.assign(new Error(`No such object: ${name}/${path}`), {
+          code: 404,
+        });
+      }
+      return [{ name: path, bucket: name, metadata: { ...files.get(path) } }];
+    },
+    delete: async () => {
+      files.delete(path);
+    },
+  });
+
+  return {
+    name,
+    file,
+    getFiles: async ({ prefix = "" } = {}) => [
+      [...files.keys()].filter((path) => path.startsWith(prefix)).map(file),
+    ],
+  };
+}
+
+/*
+ * firebase-admin stand-in.
+ * - verifyIdToken: (token) => decoded token, throw for invalid ones
+ * - bucket: object returned by admin.storage().bucket() (default: an empty
+ *   createMockBucket())
+ */
+function createMockAdmin({ db, verifyIdToken, bucket = createMockBucket() } = {}) {
+  const firestore = () => db;
+  firestore.FieldValue = FieldValue;
+  firestore.Timestamp = Timestamp;
+
+  return {
+    apps: [{ name: "[DEFAULT]" }],
+    firestore,
+    auth: () => ({
+      verifyIdToken:
+        verifyIdToken ||
+        (async () => {
+          throw Object.assign(new Error("No tokens in this test"), {
+            code: "auth/argument-error",
+          });
+        }),
+    }),
+    storage: () => ({ bucket: () => bucket }),
+  };
+}
+
+module.exports = {
+  Timestamp,
+  FieldValue,
+  createMockFirestore,
+  createMockBucket,
+  createMockAdmin,
+};
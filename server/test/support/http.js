@@ -0,0 +1,60 @@
+/*
+ * ============================================================================
+ * TEST SUPPORT: Routers over real HTTP
+ * ============================================================================
+ *
+ * Mounts routers on a fresh Express app listening on a random local port,
+ * so tests send real requests (auth header, JSON body) with fetch.
+ *
+ * Test ID tokens are "token-<uid>" - tokenVerifier() turns them back into
+ * { uid } for the mock admin.auth().verifyIdToken(), so the real
+ * middleware/auth.js runs in every router test.
+ *
+ * ============================================================================
+ */
+
+const express = require("express");
+
+// mount(app) adds the routers; resolves to { url, close }
+async function startApp(mount) {
+  const app = express();
+  app.use(express.json());
+  mount(app);
+
+  const server = await new Promise((resolve) => {
+    const listening = app.listen(0, "127.0.0.1", () => resolve(listening));
+  });
+
+  return {
+    url: `http://127.0.0.1:${server.address().port}`,
+    close: () => new Promise((resolve) => server.close(resolve)),
+  };
+}
+
+async function tokenVerifier(idToken) {
+  if (!idToken.startsWith("token-")) {
+    throw Object.assign(new Error("Decoding Firebase ID token failed"), {
+      code: "auth/argument-error",
+    });
+  }
+  return { uid: idToken.slice("token-".length) };
+}
+
+// Send a request as a signed-in user → { status, body }
+async function sendJson(method, url, body, uid) {
+  const response = await fetch(url, {
+    method,
+    headers: {
+      "Content-Type": "application/json",
+      ...(uid ? { Authorization: `Bearer token-${uid}` } : {}),
+    },
+    ...(body !== undefined && { body: JSON.stringify(body) }),
+  });
+  return { status: response.status, body: await response.json() };
+}
+
+const postJson = (url, body, uid) => sendJson("POST", url, body, uid);
+const putJson = (url, body, uid) => sendJson("PUT", url, body, uid);
+const deleteJson = (url, uid) => sendJson("DELETE", url, undefined, uid);
+
+module.exports = { startApp, tokenVerifier, postJson, putJson, deleteJson };
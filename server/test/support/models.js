@@ -0,0 +1,91 @@
+/*
+ * ============================================================================
+ * TEST SUPPORT: Stub language models
+ * ============================================================================
+ *
+ * A minimal AI SDK language model (specification v2) whose answers come from
+ * the test, installed with helpers/models.js setModelOverrides().
+ * ("ai/test" has MockLanguageModelV2, but it needs msw, which the server
+ * doesn't depend on.)
+ *
+ *   const model = createStubModel(async ({ prompt }) => textResult("Hi!"));
+ *   setModelOverrides({ chat: model });
+ *   ... model.calls → every doGenerate() call's options
+ *
+ * ============================================================================
+ */
+
+const USAGE = { inputTokens: 10, outputTokens: 10, totalTokens: 20 };
+
+// Image URLs are passed to the model as-is instead of being downloaded first
+const SUPPORTED_URLS = { "image/*": [/^https:\/\//] };
+
+function createStubModel(doGenerate) {
+  const calls = [];
+  return {
+    specificationVersion: "v2",
+    provider: "stub",
+    modelId: "stub-model",
+    supportedUrls: SUPPORTED_URLS,
+    calls,
+    doGenerate: async (options) => {
+      calls.push(options);
+      return doGenerate(options);
+    },
+    doStream: async () => {
+      throw new Error("The stub model doesn't stream");
+    },
+  };
+}
+
+// A step where the model calls one tool
+function toolCallResult(toolName, input, toolCallId = `call-${toolName}`) {
+  return {
+    content: [
+      {
+        type: "tool-call",
+        toolCallId,
+        toolName,
+        input: JSON.stringify(input),
+      },
+    ],
+    finishReason: "tool-calls",
+    usage: USAGE,
+    warnings: [],
+  };
+}
+
+// A step where the model just answers
+function textResult(text) {
+  return {
+    content: [{ type: "text", text }],
+    finishReason: "stop",
+    usage: USAGE,
+    warnings: [],
+  };
+}
+
+// The latest user message the model was sent, as { text, images }
+function latestUserMessage(prompt) {
+  const message = [...prompt].reverse().find((msg) => msg.role === "user");
+  const parts = message?.content || [];
+  return {
+    text: parts
+      .filter((part) => part.type === "text")
+      .map((part) => part.text)
+      .join("\n"),
+    images: parts.filter((part) => part.type === "file"),
+  };
+}
+
+// The system prompt the model was sent
+const systemPrompt = (prompt) =>
+  prompt.find((msg) => msg.role === "system")?.content || "";
+
+module.exports = {
+  createStubModel,
+  toolCallResult,
+  textResult,
+  latestUserMessage,
+  systemPrompt,
+};
@@ -0,0 +1,11 @@
+/*
+ * The server logs every step with console.log. Under `node --test` those
+ * lines share stdout with the test runner's own messages (and can corrupt
+ * them on Node 20), so npm test loads this file first to mute them.
+ * Errors still go to stderr. Set TEST_LOGS=1 to see everything.
+ */
+
+if (!process.env.TEST_LOGS) {
+  console.log = () => {};
+  console.info = () => {};
+}
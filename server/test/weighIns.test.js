@@ -0,0 +1,121 @@
+/*
+ * helpers/weighIns.js
+ * - calculateTrend: an EWMA with α = 0.1 per day, where a gap of n days
+ *   counts as n daily steps
+ * - addWeighIn: the newest weigh-in updates users/{uid}.weight, a backdated
+ *   one doesn't
+ */
+
+const { describe, test, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const { calculateTrend, addWeighIn } = require("../helpers/weighIns");
+const { createMockFirestore, createMockAdmin } = require("./support/firebase");
+
+const assertKg = (actual, expected, message) =>
+  assert.ok(
+    Math.abs(actual - expected) < 1e-9,
+    `${message}: expected ${expected}, got ${actual}`
+  );
+
+describe("calculateTrend", () => {
+  test("a known sequence with a 3-day gap", () => {
+    const trend = calculateTrend([
+      { date: "2025-11-01", weightKg: 80 },
+      { date: "2025-11-02", weightKg: 81 },
+      { date: "2025-11-05", weightKg: 79 },
+      { date: "2025-11-06", weightKg: 79 },
+    ]);
+
+    // 80 → 80 + 0.1 × (81 - 80)
+    //    → 80.1 + (1 - 0.9³) × (79 - 80.1) = 80.1 - 0.271 × 1.1
+    //    → 79.8019 + 0.1 × (79 - 79.8019)
+    assert.deepEqual(
+      trend.map(({ date }) => date),
+      ["2025-11-01", "2025-11-02", "2025-11-05", "2025-11-06"]
+    );
+    assertKg(trend[0].trendKg, 80, "first weigh-in starts the trend");
+    assertKg(trend[1].trendKg, 80.1, "one day");
+    assertKg(trend[2].trendKg, 79.8019, "three-day gap");
+    assertKg(trend[3].trendKg, 79.72171, "one day after the gap");
+  });
+
+  test("a gap moves the trend as far as daily weigh-ins of the same weight", () => {
+    const [, withGap] = calculateTrend([
+      { date: "2025-11-01", weightKg: 80 },
+      { date: "2025-11-08", weightKg: 78 },
+    ]);
+    const daily = calculateTrend([
+      { date: "2025-11-01", weightKg: 80 },
+      ...[2, 3, 4, 5, 6, 7, 8].map((day) => ({
+        date: `2025-11-0${day}`,
+        weightKg: 78,
+      })),
+    ]);
+
+    assertKg(withGap.trendKg, daily[daily.length - 1].trendKg, "7-day gap");
+  });
+});
+
+describe("addWeighIn", () => {
+  let db;
+  let admin;
+  const context = {
+    userId: "alice",
+    profile: { weight: 180, weightUnit: "lbs" },
+  };
+
+  const profile = async () =>
+    (await db.collection("users").doc("alice").get()).data();
+
+  beforeEach(async () => {
+    db = createMockFirestore();
+    admin = createMockAdmin({ db });
+    await db.collection("users").doc("alice").set(context.profile);
+  });
+
+  test("the newest weigh-in updates the profile weight", async () => {
+    const result = await addWeighIn(admin, db, context, {
+      weight: 80,
+      unit: "kg",
+      loggedVia: "chat",
+    });
+
+    assert.equal(result.profileUpdated, true);
+    const updated = await profile();
+    assert.equal(updated.weight, 176.4, "80 kg in the profile's lbs");
+    assert.equal(updated.weightUnit, "lbs");
+  });
+
+  test("a backdated weigh-in leaves the profile alone", async () => {
+    await addWeighIn(admin, db, context, {
+      weight: 178,
+      unit: "lbs",
+      date: new Date("2025-11-05T12:00:00Z"),
+      loggedVia: "app",
+    });
+    const before = await profile();
+
+    const result = await addWeighIn(admin, db, context, {
+      weight: 190,
+      unit: "lbs",
+      date: new Date("2025-11-01T12:00:00Z"),
+      loggedVia: "app",
+    });
+
+    assert.equal(result.profileUpdated, false);
+    assert.deepEqual(await profile(), before);
+    assert.equal(before.weight, 178);
+    assert.equal(
+      Object.keys(db.dump("progress/alice/weighIns/")).length,
+      2,
+      "the backdated weigh-in is still saved"
+    );
+  });
+
+  test("an unbelievable weight is rejected", async () => {
+    await assert.rejects(
+      addWeighIn(admin, db, context, { weight: 1800, unit: "lbs", loggedVia: "chat" }),
+      /doesn't look right/
+    );
+  });
+});
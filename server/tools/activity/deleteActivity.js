@@ -0,0 +1,131 @@
+/*
+ * ============================================================================
+ * TOOL: deleteActivity
+ * ============================================================================
+ *
+ * PURPOSE:
+ * Let the user remove a duplicate or mistaken activity session through Ava.
+ *
+ * WHEN AI USES THIS:
+ * - User says: "Delete that run, it logged twice"
+ * - User says: "Remove today's chest workout, I skipped it"
+ *
+ * HOW IT WORKS (FIND-THEN-CONFIRM):
+ * 1. AI calls findRecentActivities to get the session ID
+ * 2. AI calls deleteActivity({ sessionId })
+ * 3. This tool does NOT delete anything yet - it stores a "deleteActivity"
+ *    pending action (helpers/pendingActionStore.js) and returns its ID
+ * 4. AI asks: "Should I delete your Chest Workout from this morning?"
+ * 5. User says "yes" → /api/chat executes the pending action (actions/deleteActivity.js)
+ *
+ * The session is SOFT-deleted (deleted: true), so it can be restored.
+ *
+ * IMPORTANT:
+ * The session ID MUST come from findRecentActivities - NEVER use placeholder IDs.
+ *
+ * ============================================================================
+ */
+
+const { tool } = require("ai");
+const { z } = require("zod");
+const {
+  createPendingActionStore,
+} = require("../../helpers/pendingActionStore");
+const { isDeleted } = require("../../helpers/softDelete");
+
+module.exports = (admin, db, context) =>
+  tool({
+    // Description tells the AI when and how to use this tool
+    description:
+      "Prepare to delete an activity session (e.g., a duplicate or mistaken workout). Does NOT delete immediately - it returns the session so you can ask the user to confirm; the system deletes it when they say yes. CRITICAL: You MUST call findRecentActivities first to get the session ID. NEVER use placeholder IDs.",
+
+    // Define parameters
+    inputSchema: z.object({
+      // The Firestore document ID (MUST come from findRecentActivities)
+      sessionId: z
+        .string()
+        .describe(
+          'The session ID from findRecentActivities (NEVER use placeholders like "xyz789" or "abc123")'
+        ),
+    }),
+
+    // This function executes when AI calls the tool
+    execute: async ({ sessionId }, { abortSignal }) => {
+      console.log("🔧 Executing deleteActivity tool");
+      console.log("   Session ID:", sessionId);
+
+      /*
+       * VALIDATION: Check if ID looks real
+       */
+      if (sessionId.length < 10) {
+        console.error(
+          "❌ REJECTED: Session ID too short, likely a placeholder:",
+          sessionId
+        );
+        return {
+          success: false,
+          message:
+            "ERROR: Invalid session ID. You must call findRecentActivities first to get the real session ID.",
+        };
+      }
+
+      // Get the user this request is acting for (from the per-request context)
+      const { userId } = context;
+
+      // Check if Firestore is available - fail loudly if not
+      if (!db) {
+        console.error(
+          "❌ CRITICAL: Firestore not initialized - cannot delete activity"
+        );
+        return {
+          success: false,
+          message: "Database unavailable. Please try again later.",
+        };
+      }
+
+      try {
+        const sessionDoc = await db
+          .collection("activities")
+          .doc(userId)
+          .collection("sessions")
+          .doc(sessionId)
+          .get();
+
+        if (!sessionDoc.exists || isDeleted(sessionDoc.data())) {
+          console.error("❌ Session not found in Firestore:", sessionId);
+          return {
+            success: false,
+            message:
+              "Session not found. It may have been deleted or the ID is incorrect.",
+          };
+        }
+
+        const session = sessionDoc.data();
+
+        // Store the delete as a pending action - it runs when the user confirms
+        const pendingActionId = await createPendingActionStore(
+          admin,
+          db
+        ).create(userId, { type: "deleteActivity", payload: { sessionId } });
+
+        return {
+          success: true,
+          requiresConfirmation: true,
+          pendingActionId,
+          message:
+            "Not deleted yet. Ask the user to confirm deleting this activity.",
+          activity: {
+            type: session.type,
+            name: session.name,
+            timestamp: session.timestamp?.toDate().toISOString(),
+          },
+        };
+      } catch (error) {
+        console.error("❌ Error in deleteActivity:", error);
+        return {
+          success: false,
+          message: `Error: ${error.message}`,
+        };
+      }
+    },
+  });
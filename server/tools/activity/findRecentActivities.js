@@ -18,24 +18,29 @@
  * User: "I did bench press 3x8 at 185 lbs" → Creates new session
  * User: "Now I did bicep curls 3x8 at 10 kg" → AI calls findRecentActivities
  * → Finds bench press session from 2 minutes ago
- * → AI asks: "Add this to your current workout session?"
- * → User confirms → AI calls updateActivity to add bicep curls to that session
+ * → AI calls updateActivity and asks: "Add this to your current workout session?"
+ * → User confirms → bicep curls are added to that session (actions/updateActivity.js)
  *
  * HOW IT WORKS:
  * 1. AI calls this tool (with optional time window)
  * 2. Tool queries Firestore for user's recent activities
  * 3. Tool returns array of activities with their IDs
  * 4. AI should READ these results and identify if new exercise belongs to existing session
- * 5. AI should ask user for confirmation
- * 6. AI should then call updateActivity with the real session ID
+ * 5. AI should call updateActivity with the real session ID
+ * 6. AI asks the user to confirm - the session changes when they say yes
  *
  * ============================================================================
  */
 
 const { tool } = require("ai");
 const { z } = require("zod");
+const { isDeleted } = require("../../helpers/softDelete");
+const {
+  formatLocalDateTime,
+  formatRelativeTime,
+} = require("../../helpers/timezone");
 
-module.exports = (admin, db) =>
+module.exports = (admin, db, context) =>
   tool({
     // Tell AI what this tool does and when to use it
     description:
@@ -77,8 +82,8 @@ module.exports = (admin, db) =>
         console.log(`   Filtering by type: ${type}`);
       }
 
-      // Get the current user's ID (set by the chat endpoint)
-      const userId = global.currentUserId || "anonymous";
+      // Get the user this request is acting for (from the per-request context)
+      const { userId, timezone } = context;
 
       // Check if Firestore is available - fail loudly if not
       if (!db) {
@@ -123,6 +128,11 @@ module.exports = (admin, db) =>
           // Get all the data from this activity document
           const data = doc.data();
 
+          // Skip activities the user deleted (soft delete - see helpers/softDelete.js)
+          if (isDeleted(data)) {
+            return; // Skip to next activity
+          }
+
           // Convert Firestore timestamp to Date object
           const activityTime = data.timestamp?.toDate();
 
@@ -151,6 +161,10 @@ module.exports = (admin, db) =>
             // When the activity happened (ISO string format)
             timestamp: activityTime?.toISOString(),
 
+            // Same time in the user's timezone (e.g., "Tue, Nov 4, 7:30 AM", "2 hours ago")
+            localTime: activityTime && formatLocalDateTime(activityTime, timezone),
+            timeAgo: activityTime && formatRelativeTime(activityTime, timezone),
+
             // Optional fields that may or may not exist
             duration: data.duration,
             notes: data.notes || "",
@@ -21,8 +21,11 @@
 
 const { tool } = require("ai");
 const { z } = require("zod");
+const { isDeleted } = require("../../helpers/softDelete");
+const { parseUserTimestamp } = require("../../helpers/timezone");
+const { getBalanceAfterLog } = require("../../helpers/energyBalance");
 
-module.exports = (admin, db) =>
+module.exports = (admin, db, context) =>
   tool({
     // Description tells the AI when to use this tool
     description:
@@ -122,7 +125,7 @@ module.exports = (admin, db) =>
         .string()
         .optional()
         .describe(
-          "ISO timestamp (use new Date().toISOString()) - defaults to now if not provided"
+          "When the activity happened, in the user's local time (e.g., 2025-11-04T07:30:00) - defaults to now if not provided"
         ),
 
       notes: z
@@ -136,8 +139,8 @@ module.exports = (admin, db) =>
       console.log("🔧 Executing logActivity tool");
       console.log("   Activity type:", params.type);
 
-      // Get the current user's ID (set by the chat endpoint)
-      const userId = global.currentUserId || "anonymous";
+      // Get the user this request is acting for (from the per-request context)
+      const { userId, timezone } = context;
 
       // Check if Firestore is available - fail loudly if not
       if (!db) {
@@ -151,11 +154,12 @@ module.exports = (admin, db) =>
       }
 
       try {
-        // Convert ISO string to Firestore Timestamp with fallback to current time
-        const dateObj = params.timestamp
-          ? new Date(params.timestamp)
+        // Convert the timestamp (user's local time) to a Date,
+        // with fallback to current time
+        let dateObj = params.timestamp
+          ? parseUserTimestamp(params.timestamp, timezone)
           : new Date();
-        if (isNaN(dateObj.getTime())) {
+        if (!dateObj) {
           console.warn(
             `⚠️ Invalid timestamp "${params.timestamp}", using current time`
           );
@@ -210,7 +214,7 @@ module.exports = (admin, db) =>
                 // Loop through past sessions to find this exercise
                 snapshot.forEach((doc) => {
                   const session = doc.data();
-                  if (session.exercises) {
+                  if (session.exercises && !isDeleted(session)) {
                     // Look for same exercise in this session
                     const pastExercise = session.exercises.find(
                       (e) =>
@@ -378,6 +382,15 @@ module.exports = (admin, db) =>
           }
         }
 
+        // The day's deficit/surplus including this activity
+        // (see helpers/energyBalance.js)
+        response.energyBalance = await getBalanceAfterLog(
+          admin,
+          db,
+          context,
+          dateObj
+        );
+
         return response;
       } catch (error) {
         // If something goes wrong (network error, permission error, etc.)
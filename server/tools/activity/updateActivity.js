@@ -9,25 +9,25 @@
  *
  * WHEN AI USES THIS:
  * - User logs "bench press 3x8" → Creates session
- * - User logs "bicep curls 3x8" 2 minutes later → AI asks "Add to current workout?"
- * - User confirms → AI calls updateActivity to add bicep curls to the session
+ * - User logs "bicep curls 3x8" 2 minutes later → AI finds the session
+ * - AI calls updateActivity → asks "Add to current workout?"
  *
- * EXAMPLE WORKFLOW:
+ * EXAMPLE WORKFLOW (FIND-THEN-CONFIRM, like deleteActivity):
  * User: "I did bench press 3x8 at 185 lbs" → Creates session with 1 exercise
  * User: "Now bicep curls 3x8 at 10 kg"
  * → AI calls findRecentActivities → Finds bench press session
- * → AI asks: "Add this to your current workout?"
- * → User: "Yes"
- * → AI calls updateActivity({ sessionId: "abc123", updateRequest: "add bicep curls 3x8 at 10 kg" })
+ * → AI calls updateActivity({ sessionId: "abc123", exercises: [...] })
+ * → AI asks: "Add Bicep Curls to your current Chest Workout?"
+ * → User: "Yes" → /api/chat executes the pending action (actions/updateActivity.js)
  * → Result: Session now has 2 exercises, recalculated totalVolume
  *
  * HOW IT WORKS:
- * 1. Accepts: session ID + update request (natural language OR structured data)
- * 2. Fetches existing session from Firestore
- * 3. Adds new exercise(s) to the exercises array
- * 4. Recalculates totalVolume (sum of all sets × reps × weight)
- * 5. Re-checks for PRs on all exercises
- * 6. Updates session in Firestore
+ * 1. Accepts: session ID + new exercises (+ optional name/notes)
+ * 2. Fetches the session and checks it's a live strength session
+ * 3. Does NOT change anything yet - stores an "updateActivity" pending
+ *    action (helpers/pendingActionStore.js) and returns its ID
+ * 4. On "yes", actions/updateActivity.js adds the exercises, recalculates
+ *    totalVolume, checks for PRs and saves the session
  *
  * IMPORTANT:
  * The session ID MUST come from findRecentActivities - NEVER use placeholder IDs.
@@ -37,12 +37,16 @@
 
 const { tool } = require("ai");
 const { z } = require("zod");
+const {
+  createPendingActionStore,
+} = require("../../helpers/pendingActionStore");
+const { isDeleted } = require("../../helpers/softDelete");
 
-module.exports = (admin, db) =>
+module.exports = (admin, db, context) =>
   tool({
     // Description tells the AI when and how to use this tool
     description:
-      "Add exercises to an existing strength training session. Use for session grouping when user logs multiple exercises consecutively. CRITICAL: You MUST call findRecentActivities first to get the session ID. NEVER use placeholder IDs.",
+      "Prepare to add exercises to an existing strength training session. Use for session grouping when user logs multiple exercises consecutively. Does NOT change the session immediately - ask the user to confirm; the system adds the exercises when they say yes. CRITICAL: You MUST call findRecentActivities first to get the session ID. NEVER use placeholder IDs.",
 
     // Define parameters
     inputSchema: z.object({
@@ -66,6 +70,7 @@ module.exports = (admin, db) =>
               .describe("Weight unit (lbs or kg)"),
           })
         )
+        .min(1)
         .describe("Array of new exercises to add to the session"),
 
       // Optional: Update session name (e.g., "Chest & Biceps" if adding biceps to chest workout)
@@ -125,8 +130,8 @@ module.exports = (admin, db) =>
         };
       }
 
-      // Get the current user's ID
-      const userId = global.currentUserId || "anonymous";
+      // Get the user this request is acting for (from the per-request context)
+      const { userId } = context;
 
       // Check if Firestore is available
       if (!db) {
@@ -151,7 +156,7 @@ module.exports = (admin, db) =>
 
         const sessionDoc = await sessionRef.get();
 
-        if (!sessionDoc.exists) {
+        if (!sessionDoc.exists || isDeleted(sessionDoc.data())) {
           console.error("❌ Session not found in Firestore:", sessionId);
           return {
             success: false,
@@ -181,173 +186,36 @@ module.exports = (admin, db) =>
           };
         }
 
-        /*
-         * STEP 2: Add PR detection for new exercises
-         */
-        console.log("🔍 Checking for PRs on new exercises...");
-
-        const exercisesWithPRs = await Promise.all(
-          exercises.map(async (exercise) => {
-            try {
-              // Query past activities for this exercise (same logic as logActivity.js)
-              const activitiesRef = db
-                .collection("activities")
-                .doc(userId)
-                .collection("sessions");
-
-              const snapshot = await activitiesRef
-                .where("type", "==", "strength_training")
-                .orderBy("timestamp", "desc")
-                .limit(50) // Check last 50 workouts
-                .get();
-
-              let previousBest = null;
-              let previousBestWeight = 0;
-
-              // Loop through past sessions to find this exercise
-              snapshot.forEach((doc) => {
-                const session = doc.data();
-                if (session.exercises) {
-                  // Look for same exercise in this session
-                  const pastExercise = session.exercises.find(
-                    (e) =>
-                      e.name.toLowerCase() === exercise.name.toLowerCase()
-                  );
-
-                  if (pastExercise && pastExercise.weight) {
-                    // Convert to same unit for comparison
-                    let pastWeight = pastExercise.weight;
-                    if (pastExercise.unit !== exercise.unit) {
-                      // Convert if units differ (lbs <-> kg)
-                      if (
-                        pastExercise.unit === "kg" &&
-                        exercise.unit === "lbs"
-                      ) {
-                        pastWeight = pastWeight * 2.20462; // kg to lbs
-                      } else if (
-                        pastExercise.unit === "lbs" &&
-                        exercise.unit === "kg"
-                      ) {
-                        pastWeight = pastWeight / 2.20462; // lbs to kg
-                      }
-                    }
-
-                    // Track the highest weight found
-                    if (pastWeight > previousBestWeight) {
-                      previousBestWeight = pastWeight;
-                      previousBest = {
-                        weight: pastExercise.weight,
-                        unit: pastExercise.unit,
-                        date: session.timestamp.toDate().toISOString(),
-                      };
-                    }
-                  }
-                }
-              });
-
-              // Check if current weight is a PR
-              const isPR =
-                previousBestWeight > 0 && exercise.weight > previousBestWeight;
-
-              console.log(
-                `   ${exercise.name}: ${exercise.weight} ${exercise.unit}${isPR ? " 🎉 NEW PR!" : ""}`
-              );
-
-              return {
-                ...exercise,
-                isPR: isPR || false,
-                previousBest: isPR ? previousBest : null,
-              };
-            } catch (error) {
-              console.error(
-                `❌ Error checking PR for ${exercise.name}:`,
-                error
-              );
-              // If PR check fails, still add the exercise without PR marker
-              return { ...exercise, isPR: false };
-            }
-          })
-        );
-
-        /*
-         * STEP 3: Merge new exercises with existing exercises
-         */
-        const allExercises = [
-          ...(existingSession.exercises || []),
-          ...exercisesWithPRs,
-        ];
-
-        /*
-         * STEP 4: Recalculate totalVolume (sum of all sets × reps × weight)
-         */
-        const totalVolume = allExercises.reduce((sum, exercise) => {
-          return sum + exercise.sets * exercise.reps * exercise.weight;
-        }, 0);
-
-        console.log("📊 Recalculated totalVolume:", totalVolume);
-
-        /*
-         * STEP 5: Build update object
-         */
-        const updateData = {
-          exercises: allExercises,
-          totalVolume: totalVolume,
-          // Update timestamp to reflect the latest exercise time
-          timestamp: admin.firestore.FieldValue.serverTimestamp(),
-        };
-
-        // Update session name if provided
-        if (name !== undefined) {
-          updateData.name = name;
-        }
-
-        // Update or append notes if provided
-        if (notes !== undefined) {
-          if (existingSession.notes) {
-            updateData.notes = existingSession.notes + "\n" + notes;
-          } else {
-            updateData.notes = notes;
-          }
-        }
-
-        /*
-         * STEP 6: Save to Firestore
-         */
-        await sessionRef.update(updateData);
-
-        console.log("✅ Activity updated in Firestore:", sessionId);
+        // Store the update as a pending action - it runs when the user confirms
+        const pendingActionId = await createPendingActionStore(
+          admin,
+          db
+        ).create(userId, {
+          type: "updateActivity",
+          payload: {
+            sessionId,
+            exercises,
+            ...(name !== undefined && { name }),
+            ...(notes !== undefined && { notes }),
+          },
+        });
 
-        /*
-         * STEP 7: Build response with PR information
-         */
-        const response = {
+        return {
           success: true,
-          sessionId: sessionId,
-          message: `Added ${exercises.length} exercise(s) to session`,
-          updatedSession: {
-            id: sessionId,
-            name: name || existingSession.name,
-            type: "strength_training",
-            exerciseCount: allExercises.length,
-            totalVolume: totalVolume,
+          requiresConfirmation: true,
+          pendingActionId,
+          message:
+            "Not updated yet. Ask the user to confirm adding these exercises to this session.",
+          activity: {
+            name: existingSession.name,
+            exerciseCount: existingSession.exercises?.length || 0,
+            timestamp: existingSession.timestamp?.toDate().toISOString(),
           },
+          exercises: exercises.map((exercise) => exercise.name),
         };
-
-        // Add PR information if any new PRs were achieved
-        const prs = exercisesWithPRs.filter((e) => e.isPR);
-        if (prs.length > 0) {
-          response.prsAchieved = prs.map((e) => ({
-            exercise: e.name,
-            weight: e.weight,
-            unit: e.unit,
-            previousBest: e.previousBest,
-          }));
-        }
-
-        return response;
       } catch (error) {
         // If something goes wrong
-        console.error("❌ Error updating activity in Firestore:", error);
+        console.error("❌ Error in updateActivity:", error);
 
         return {
           success: false,
@@ -17,9 +17,16 @@
  * 1. Accepts: meal ID + natural language update request
  * 2. Fetches the existing meal from Firestore
  * 3. Makes AI call to analyze: existing meal + update request → new meal
- * 4. AI generates complete new meal object with all macros recalculated
- * 5. Saves the updated meal to Firestore
- * 6. Returns success with summary of changes
+ * 4. AI generates a schema-validated meal object (mealType, foods, notes)
+ *    For "only half" / "double it" the AI only sets a food's scale - the
+ *    server multiplies the saved food (helpers/quantityParser.js scaleFood),
+ *    so portion changes are exact arithmetic, not an AI guess
+ * 5. New or changed foods go through the macro check
+ *    (helpers/macroValidation.js) - if their numbers look off, nothing is
+ *    saved and the warnings go back to Ava (acceptWarnings: true overrides)
+ * 6. Totals are recomputed on the server from the new foods array
+ * 7. Saves the updated meal to Firestore (previous version → revisions)
+ * 8. Returns success with summary of changes
  *
  * WHY AI-DRIVEN?
  * The old approach required structured parameters (foods array, notes, mealType).
@@ -34,10 +41,42 @@
 
 const { tool } = require("ai");
 const { z } = require("zod");
-const { generateText } = require("ai");
-const { anthropic } = require("@ai-sdk/anthropic");
+const { isDeleted } = require("../helpers/softDelete");
+const { mealTypeSchema, foodItemSchema } = require("../schemas/food");
+const generateStructured = require("../helpers/generateStructured");
+const calculateMealTotals = require("../helpers/calculateMealTotals");
+const { tagFoodSources } = require("../helpers/foodDatabase");
+const { addRevision } = require("../helpers/mealRevisions");
+const { NUTRIENTS, validateFoods } = require("../helpers/macroValidation");
+const {
+  scaleFood,
+  withParsedQuantities,
+} = require("../helpers/quantityParser");
 
-module.exports = (admin, db) =>
+// What the update AI call must return (validated by generateStructured)
+// Totals are NOT part of it - we recompute them from foods
+const mealUpdateSchema = z.object({
+  mealType: mealTypeSchema,
+  foods: z
+    .array(
+      foodItemSchema.extend({
+        scale: z
+          .number()
+          .positive()
+          .optional()
+          .describe(
+            "Portion change of an EXISTING food (0.5 = half, 2 = double). Leave its other fields unchanged - the server does the math."
+          ),
+      })
+    )
+    .min(1),
+  notes: z.string().describe("Notes about the meal (empty string if none)"),
+  changesSummary: z
+    .string()
+    .describe("Brief summary of what changed (for user confirmation)"),
+});
+
+module.exports = (admin, db, context) =>
   tool({
     // Description tells the AI when and how to use this tool
     description:
@@ -58,10 +97,21 @@ module.exports = (admin, db) =>
         .describe(
           'What the user wants to change, in natural language (e.g., "change to lunch", "add a Coke", "only half", "no cheese", "add note: had hot sauce")'
         ),
+
+      // Save even though the macro check warned about the new foods
+      acceptWarnings: z
+        .boolean()
+        .optional()
+        .describe(
+          "Only after this tool returned macro warnings AND you've checked the numbers are right (e.g., alcohol)"
+        ),
     }),
 
     // This function executes when AI calls the tool
-    execute: async ({ mealId, updateRequest }, { abortSignal }) => {
+    execute: async (
+      { mealId, updateRequest, acceptWarnings },
+      { abortSignal }
+    ) => {
       console.log("🔧 Executing analyzeAndUpdateMeal tool");
       console.log("   Meal ID:", mealId);
       console.log("   Update request:", updateRequest);
@@ -102,8 +152,8 @@ module.exports = (admin, db) =>
         };
       }
 
-      // Get the current user's ID
-      const userId = global.currentUserId || "anonymous";
+      // Get the user this request is acting for (from the per-request context)
+      const { userId } = context;
 
       // Check if Firestore is available - fail loudly if not
       if (!db) {
@@ -128,7 +178,7 @@ module.exports = (admin, db) =>
 
         const mealDoc = await mealRef.get();
 
-        if (!mealDoc.exists) {
+        if (!mealDoc.exists || isDeleted(mealDoc.data())) {
           console.error("❌ Meal not found:", mealId);
           return {
             success: false,
@@ -153,7 +203,7 @@ module.exports = (admin, db) =>
          * This AI call will:
          * - Understand the existing meal structure
          * - Parse the update request (natural language)
-         * - Generate a complete new meal object with recalculated macros
+         * - Generate a complete new foods array matching mealUpdateSchema
          */
         const analysisPrompt = `You are a nutrition analysis assistant. Your job is to update meal data based on user requests.
 
@@ -165,89 +215,43 @@ USER UPDATE REQUEST:
 
 INSTRUCTIONS:
 1. Analyze what the user wants to change
-2. Generate a COMPLETE new meal object with ALL fields
-3. If foods changed: recalculate all totals (calories, protein, carbs, fats, fiber)
-4. If user says "half" or "only half": divide quantities and macros by 2
-5. If user says "add [food]": add that food to the foods array AND add its macros to totals
-6. If user says "no [food]": remove that food AND subtract its macros from totals
-7. If user changes meal type: update mealType field
-8. If user adds a note: update notes field
+2. Return the COMPLETE new list of foods for the meal
+3. If user ate a different amount of an existing food ("only half", "double the rice"): copy that food UNCHANGED and set its scale (0.5, 2, ...) - don't change its quantity or macros yourself
+4. If user says "add [food]": add that food to the foods array
+5. If user says "no [food]": remove that food from the foods array
+6. If user changes meal type: update mealType field
+7. If user adds a note: update notes field
 
 CRITICAL RULES:
 - ALWAYS include all existing foods unless explicitly removed
-- ALWAYS recalculate totals when foods change
 - Use your nutrition knowledge to estimate macros for new foods
-- Preserve the meal structure exactly (same field names)
-
-Return ONLY a valid JSON object with this structure:
-{
-  "mealType": "breakfast" | "lunch" | "dinner" | "snack",
-  "foods": [
-    {
-      "name": "food name",
-      "quantity": "amount (e.g., '2 eggs', '1 cup', '100g')",
-      "calories": number,
-      "protein": number,
-      "carbs": number,
-      "fats": number,
-      "fiber": number
-    }
-  ],
-  "totalCalories": number,
-  "totalProtein": number,
-  "totalCarbs": number,
-  "totalFats": number,
-  "totalFiber": number,
-  "notes": "any notes",
-  "changesSummary": "brief summary of what changed (for user confirmation)"
-}`;
+- Keep foodId on existing foods you don't change; new foods have no foodId
+- Every food needs name, quantity, calories, protein, carbs, fats, fiber
+- Calories must match the macros: about 4×protein + 4×carbs + 9×fats (no negative numbers)
+- Meal totals are calculated automatically from the foods - don't include them
+- changesSummary should describe what changed (for user confirmation)`;
 
         console.log("🤖 Calling AI to analyze meal update...");
 
-        const analysisResult = await generateText({
-          model: anthropic("claude-sonnet-4-5"),
-          messages: [
-            {
-              role: "user",
-              content: analysisPrompt,
-            },
-          ],
-          temperature: 0.3, // Lower temperature for more consistent structured output
-        });
-
-        console.log("✅ AI analysis complete");
-        console.log("📄 Raw AI response:", analysisResult.text);
-
         /*
-         * STEP 3: Parse the AI's response to get the new meal object
+         * STEP 3: Get a schema-validated meal object from the AI
+         *
+         * generateStructured enforces mealUpdateSchema and retries once
+         * with the validation error if the first answer doesn't match.
          */
         let newMeal;
         try {
-          // Extract JSON from the response (AI might wrap it in markdown code blocks)
-          let jsonText = analysisResult.text.trim();
-
-          // Remove markdown code blocks if present
-          if (jsonText.startsWith("```json")) {
-            jsonText = jsonText
-              .replace(/```json\n?/g, "")
-              .replace(/```\n?/g, "");
-          } else if (jsonText.startsWith("```")) {
-            jsonText = jsonText.replace(/```\n?/g, "");
-          }
-
-          newMeal = JSON.parse(jsonText);
-          console.log("✅ Parsed new meal object:", {
-            mealType: newMeal.mealType,
-            foods: newMeal.foods?.map((f) => f.name).join(", "),
-            totalCalories: newMeal.totalCalories,
-            changesSummary: newMeal.changesSummary,
+          newMeal = await generateStructured({
+            schema: mealUpdateSchema,
+            prompt: analysisPrompt,
+            temperature: 0.3, // Lower temperature for more consistent structured output
+            label: "meal update",
           });
-        } catch (parseError) {
+        } catch (generationError) {
           console.error(
-            "❌ Failed to parse AI response as JSON:",
-            parseError
+            "❌ Failed to generate a valid meal update:",
+            generationError
           );
-          console.error("Raw response was:", analysisResult.text);
           return {
             success: false,
             message:
@@ -256,55 +260,122 @@ Return ONLY a valid JSON object with this structure:
         }
 
         /*
-         * STEP 4: Validate the new meal object has required fields
+         * STEP 4: Apply portion changes with arithmetic
+         *
+         * A food with scale is the SAVED food (same name) × scale - whatever
+         * numbers the AI put on it are ignored. Unchanged foods keep their
+         * saved grams (e.g., recipe servings, which can't be re-parsed).
+         * recipeId isn't in the AI's schema, so recipe servings only stay
+         * recipe servings when scaled or left exactly as saved.
          */
-        if (
-          !newMeal.mealType ||
-          !newMeal.foods ||
-          !Array.isArray(newMeal.foods)
-        ) {
-          console.error("❌ Invalid meal object from AI:", newMeal);
+        const existingFoods = existingMeal.foods || [];
+        const updatedFoods = newMeal.foods.map(({ scale, ...food }) => {
+          const original = existingFoods.find(
+            (existing) => existing.name.toLowerCase() === food.name.toLowerCase()
+          );
+          if (scale && scale !== 1) {
+            return scaleFood(original || food, scale);
+          }
+          if (original?.quantity !== food.quantity) {
+            return food;
+          }
+          const unchanged = NUTRIENTS.every((key) => original[key] === food[key]);
+          return {
+            ...food,
+            ...(typeof original.grams === "number" && { grams: original.grams }),
+            ...(unchanged && original.recipeId && { recipeId: original.recipeId }),
+          };
+        });
+
+        /*
+         * STEP 5: Check the macros of new or changed foods
+         *
+         * Foods that are unchanged from the saved meal aren't flagged
+         * again - the user already accepted them.
+         */
+        const taggedFoods = withParsedQuantities(tagFoodSources(updatedFoods));
+        const validation = validateFoods(taggedFoods, {
+          previousFoods: existingFoods,
+        });
+
+        if (validation.errors.length > 0) {
+          console.warn("⚠️ Update rejected - invalid macros:", validation.errors);
           return {
             success: false,
-            message:
-              "Failed to generate valid meal update. Please try again.",
+            message: `NOT UPDATED - invalid numbers: ${validation.errors.join("; ")}. Rephrase the update with the correct amounts.`,
+            errors: validation.errors,
+          };
+        }
+
+        if (validation.warnings.length > 0 && !acceptWarnings) {
+          console.warn("⚠️ Update not saved - macro warnings:", validation.warnings);
+          return {
+            success: false,
+            needsReview: true,
+            message: `NOT UPDATED YET - these numbers look off: ${validation.warnings.join("; ")}. Ask the user, then call again with a corrected updateRequest, or with acceptWarnings: true if the numbers are right.`,
+            warnings: validation.warnings,
           };
         }
 
         /*
-         * STEP 5: Save the updated meal to Firestore
+         * STEP 6: Recompute totals from the foods array
+         *
+         * Never trust totals from the model - sum the foods ourselves.
+         */
+        const totals = calculateMealTotals(taggedFoods);
+        console.log("✅ New meal object:", {
+          mealType: newMeal.mealType,
+          foods: taggedFoods.map((f) => f.name).join(", "),
+          totalCalories: totals.totalCalories,
+          changesSummary: newMeal.changesSummary,
+        });
+
+        /*
+         * STEP 7: Save the updated meal to Firestore
+         *
+         * The previous version goes to the revisions subcollection in the
+         * SAME batch, so a bad AI edit can always be undone
+         * (see helpers/mealRevisions.js).
          */
         const updates = {
           mealType: newMeal.mealType,
-          foods: newMeal.foods,
-          totalCalories: newMeal.totalCalories || 0,
-          totalProtein: newMeal.totalProtein || 0,
-          totalCarbs: newMeal.totalCarbs || 0,
-          totalFats: newMeal.totalFats || 0,
-          totalFiber: newMeal.totalFiber || 0,
+          foods: taggedFoods,
+          ...totals,
           notes: newMeal.notes || "",
-          updatedAt: admin.firestore.FieldValue.serverTimestamp(),
         };
 
-        await mealRef.update(updates);
+        const batch = db.batch();
+        const revisionId = addRevision(admin, batch, mealRef, {
+          before: existingMeal,
+          after: updates,
+          updateRequest,
+          source: "update",
+        });
+        batch.update(mealRef, {
+          ...updates,
+          updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+        });
+        await batch.commit();
 
         console.log("✅ Meal updated in Firestore:", mealId);
+        console.log("🕓 Previous version saved as revision:", revisionId);
 
         /*
-         * STEP 6: Return success with summary
+         * STEP 8: Return success with summary
          */
         return {
           success: true,
           message: "Meal updated successfully",
+          revisionId,
           changesSummary:
             newMeal.changesSummary || "Your meal has been updated.",
           updatedMeal: {
             mealType: newMeal.mealType,
-            totalCalories: newMeal.totalCalories,
-            totalProtein: newMeal.totalProtein,
-            totalCarbs: newMeal.totalCarbs,
-            totalFats: newMeal.totalFats,
-            foods: newMeal.foods.map((f) => f.name).join(", "),
+            totalCalories: totals.totalCalories,
+            totalProtein: totals.totalProtein,
+            totalCarbs: totals.totalCarbs,
+            totalFats: totals.totalFats,
+            foods: taggedFoods.map((f) => f.name).join(", "),
           },
         };
       } catch (error) {
@@ -0,0 +1,120 @@
+/*
+ * ============================================================================
+ * TOOL: createRecipe
+ * ============================================================================
+ *
+ * PURPOSE:
+ * Save a home-cooked batch recipe the user describes, so servings of it can
+ * be logged later with logRecipe.
+ *
+ * WHEN AI USES THIS:
+ * - User says: "I made chili: 1kg ground turkey, 2 cans kidney beans, ...
+ *   It makes 6 servings"
+ * - User says: "Save my overnight oats recipe"
+ *
+ * HOW IT WORKS:
+ * 1. AI turns the description into ingredients for the WHOLE batch
+ *    (looking each one up with lookupFood, like logMeal)
+ * 2. AI shows the ingredients and asks for the number of servings if missing
+ * 3. AI calls createRecipe({ name, servings, ingredients })
+ * 4. The server computes the per-serving macros (helpers/recipes.js) and
+ *    saves the recipe to nutrition/{userId}/recipes
+ *
+ * Same name as an existing recipe → that recipe is updated instead.
+ * Meals already logged from it keep their numbers.
+ *
+ * ============================================================================
+ */
+
+const { tool } = require("ai");
+const { recipeInputSchema } = require("../schemas/recipe");
+const {
+  getRecipesRef,
+  toRecipeData,
+  listRecipes,
+  toRecipeResult,
+} = require("../helpers/recipes");
+
+module.exports = (admin, db, context) =>
+  tool({
+    // Description tells the AI when and how to use this tool
+    description:
+      "Save a home-cooked batch recipe (ingredients for the WHOLE batch + how many servings it makes). The server computes per-serving macros. Look up ingredients with lookupFood first and include foodId and grams when you have them. Saving a recipe with an existing name updates it.",
+
+    // Define parameters (shared with POST /api/recipes - see schemas/recipe.js)
+    inputSchema: recipeInputSchema,
+
+    // This function executes when AI calls the tool
+    execute: async (input, { abortSignal }) => {
+      console.log("🔧 Executing createRecipe tool");
+      console.log(
+        "   Recipe:",
+        input.name,
+        "|",
+        input.ingredients.length,
+        "ingredients |",
+        input.servings,
+        "servings"
+      );
+
+      // Get the user this request is acting for (from the per-request context)
+      const { userId } = context;
+
+      // Check if Firestore is available - fail loudly if not
+      if (!db) {
+        console.error(
+          "❌ CRITICAL: Firestore not initialized - cannot save recipe"
+        );
+        return {
+          success: false,
+          message: "Database unavailable. Please try again later.",
+        };
+      }
+
+      try {
+        const recipeData = toRecipeData(input);
+        const now = admin.firestore.FieldValue.serverTimestamp();
+
+        // Same name → update that recipe instead of creating a duplicate
+        const existing = (await listRecipes(db, userId)).find(
+          (recipe) => recipe.nameLower === recipeData.nameLower
+        );
+
+        let recipeId;
+        if (existing) {
+          recipeId = existing.id;
+          await getRecipesRef(db, userId)
+            .doc(recipeId)
+            .update({ ...recipeData, updatedAt: now });
+        } else {
+          const docRef = await getRecipesRef(db, userId).add({
+            ...recipeData,
+            createdAt: now,
+            updatedAt: now,
+          });
+          recipeId = docRef.id;
+        }
+
+        console.log(
+          `🍲 ${existing ? "Updated" : "Created"} recipe:`,
+          recipeId,
+          `(${recipeData.perServing.calories} cal/serving)`
+        );
+
+        return {
+          success: true,
+          updated: !!existing,
+          message: existing
+            ? `Updated the recipe "${recipeData.name}"`
+            : `Saved the recipe "${recipeData.name}"`,
+          recipe: toRecipeResult({ id: recipeId, ...recipeData }),
+        };
+      } catch (error) {
+        console.error("❌ Error in createRecipe:", error);
+        return {
+          success: false,
+          message: `Error: ${error.message}`,
+        };
+      }
+    },
+  });
@@ -0,0 +1,132 @@
+/*
+ * ============================================================================
+ * TOOL: deleteMeal
+ * ============================================================================
+ *
+ * PURPOSE:
+ * Let the user remove a duplicate or mistaken meal through Ava.
+ *
+ * WHEN AI USES THIS:
+ * - User says: "Delete that meal, I logged it twice"
+ * - User says: "Remove my breakfast, I didn't actually eat it"
+ *
+ * HOW IT WORKS (FIND-THEN-CONFIRM):
+ * 1. AI calls findRecentMeals to get the meal ID
+ * 2. AI calls deleteMeal({ mealId })
+ * 3. This tool does NOT delete anything yet - it stores a "deleteMeal"
+ *    pending action (helpers/pendingActionStore.js) and returns its ID
+ * 4. AI asks: "Should I delete your lunch (520 cal)?"
+ * 5. User says "yes" → /api/chat executes the pending action (actions/deleteMeal.js)
+ *
+ * The meal is SOFT-deleted (deleted: true), so it can be restored.
+ *
+ * IMPORTANT:
+ * The meal ID MUST come from findRecentMeals - NEVER use placeholder IDs.
+ *
+ * ============================================================================
+ */
+
+const { tool } = require("ai");
+const { z } = require("zod");
+const { createPendingActionStore } = require("../helpers/pendingActionStore");
+const { isDeleted } = require("../helpers/softDelete");
+
+module.exports = (admin, db, context) =>
+  tool({
+    // Description tells the AI when and how to use this tool
+    description:
+      "Prepare to delete a meal (e.g., a duplicate or mistaken entry). Does NOT delete immediately - it returns the meal so you can ask the user to confirm; the system deletes it when they say yes. CRITICAL: You MUST call findRecentMeals first to get the meal ID. NEVER use placeholder IDs.",
+
+    // Define parameters
+    inputSchema: z.object({
+      // The Firestore document ID (MUST come from findRecentMeals)
+      mealId: z
+        .string()
+        .describe(
+          'The meal ID from findRecentMeals (NEVER use placeholders like "xyz789" or "abc123")'
+        ),
+    }),
+
+    // This function executes when AI calls the tool
+    execute: async ({ mealId }, { abortSignal }) => {
+      console.log("🔧 Executing deleteMeal tool");
+      console.log("   Meal ID:", mealId);
+
+      /*
+       * VALIDATION: Check if ID looks real
+       */
+      if (mealId.length < 10) {
+        console.error(
+          "❌ REJECTED: Meal ID too short, likely a placeholder:",
+          mealId
+        );
+        return {
+          success: false,
+          message:
+            "ERROR: Invalid meal ID. You must call findRecentMeals first to get the real meal ID.",
+        };
+      }
+
+      // Get the user this request is acting for (from the per-request context)
+      const { userId } = context;
+
+      // Check if Firestore is available - fail loudly if not
+      if (!db) {
+        console.error(
+          "❌ CRITICAL: Firestore not initialized - cannot delete meal"
+        );
+        return {
+          success: false,
+          message: "Database unavailable. Please try again later.",
+        };
+      }
+
+      try {
+        const mealDoc = await db
+          .collection("nutrition")
+          .doc(userId)
+          .collection("meals")
+          .doc(mealId)
+          .get();
+
+        if (!mealDoc.exists || isDeleted(mealDoc.data())) {
+          console.error("❌ Meal not found:", mealId);
+          return {
+            success: false,
+            message:
+              "Meal not found. It may have been deleted or the ID is incorrect.",
+          };
+        }
+
+        const meal = mealDoc.data();
+
+        // Store the delete as a pending action - it runs when the user confirms
+        const pendingActionId = await createPendingActionStore(
+          admin,
+          db
+        ).create(userId, { type: "deleteMeal", payload: { mealId } });
+
+        return {
+          success: true,
+          requiresConfirmation: true,
+          pendingActionId,
+          message:
+            "Not deleted yet. Ask the user to confirm deleting this meal.",
+          meal: {
+            mealType: meal.mealType,
+            timestamp:
+              meal.timestamp?.toDate().toISOString() ||
+              meal.createdAt?.toDate().toISOString(),
+            foods: (meal.foods || []).map((f) => f.name).join(", "),
+            totalCalories: meal.totalCalories || 0,
+          },
+        };
+      } catch (error) {
+        console.error("❌ Error in deleteMeal:", error);
+        return {
+          success: false,
+          message: `Error: ${error.message}`,
+        };
+      }
+    },
+  });
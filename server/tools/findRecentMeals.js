@@ -13,9 +13,19 @@
  * - User says: "I also had toast with that"
  * - User says: "Change my breakfast to lunch"
  *
+ * FILTERS (all optional, combine freely):
+ * - startDate / endDate: Only meals eaten in this date range (YYYY-MM-DD,
+ *   whole days in the user's timezone)
+ * - mealType: breakfast / lunch / dinner / snack
+ * - containsFood: Food name substring (e.g., "salmon")
+ * - minCalories / maxCalories: Meal total calorie range
+ * Example: "the salmon I had Tuesday" →
+ *   findRecentMeals({ startDate: "2025-11-04", endDate: "2025-11-04", containsFood: "salmon" })
+ *
  * HOW IT WORKS:
- * 1. AI calls this tool (possibly with containsFood parameter)
- * 2. Tool queries Firestore for user's recent meals
+ * 1. AI calls this tool (with whatever filters the user's words imply)
+ * 2. Tool queries Firestore for user's meals, newest EATEN first (timestamp),
+ *    then filters and trims them to `limit`
  * 3. Tool returns array of meals with their IDs
  * 4. AI should READ these results and identify which meal user means
  * 5. AI should describe the meal to user and ask for confirmation
@@ -31,12 +41,25 @@
 
 const { tool } = require("ai");
 const { z } = require("zod");
+const { isDeleted } = require("../helpers/softDelete");
+const { mealTypeSchema } = require("../schemas/food");
+const {
+  getDayRange,
+  isValidDateString,
+  formatLocalDateTime,
+  formatRelativeTime,
+} = require("../helpers/timezone");
+
+// Filters run in code (deleted meals, mealType, food, calories), so scan up
+// to this many meals from Firestore - enough that a narrow filter still
+// finds older matches and deleted meals don't shorten the list
+const MAX_SCANNED_MEALS = 200;
 
-module.exports = (admin, db) =>
+module.exports = (admin, db, context) =>
   tool({
     // Tell AI what this tool does and when to use it
     description:
-      "Find recent meals for context. REQUIRED before calling analyzeAndUpdateMeal. Use when user references a previous meal or wants to edit. Returns actual meal IDs needed for updates.",
+      "Find recent meals for context. REQUIRED before calling analyzeAndUpdateMeal. Use when user references a previous meal or wants to edit. Returns actual meal IDs needed for updates. Use the filters to narrow the search whenever the user mentions a day, meal type, food or size (e.g., 'the salmon I had Tuesday').",
 
     // Define what parameters this tool accepts
     inputSchema: z.object({
@@ -45,15 +68,92 @@ module.exports = (admin, db) =>
         .number()
         .optional()
         .describe("Maximum number of meals to return (default: 10)"),
+
+      // Date range of when the meal was EATEN (inclusive)
+      startDate: z
+        .string()
+        .optional()
+        .describe(
+          "Only meals eaten on or after this date (YYYY-MM-DD). For a single day, set startDate and endDate to the same date."
+        ),
+      endDate: z
+        .string()
+        .optional()
+        .describe("Only meals eaten on or before this date (YYYY-MM-DD)"),
+
+      // Meal type (breakfast/lunch/dinner/snack)
+      mealType: mealTypeSchema
+        .optional()
+        .describe("Only meals of this type"),
+
+      // Food name substring, case-insensitive
+      containsFood: z
+        .string()
+        .optional()
+        .describe(
+          'Only meals with a food whose name contains this text (e.g., "salmon")'
+        ),
+
+      // Meal total calorie range
+      minCalories: z
+        .number()
+        .optional()
+        .describe("Only meals with at least this many total calories"),
+      maxCalories: z
+        .number()
+        .optional()
+        .describe("Only meals with at most this many total calories"),
     }),
 
     // This function executes when AI calls the tool
-    execute: async ({ limit }, { abortSignal }) => {
+    execute: async (
+      {
+        limit,
+        startDate,
+        endDate,
+        mealType,
+        containsFood,
+        minCalories,
+        maxCalories,
+      },
+      { abortSignal }
+    ) => {
       // Log that this tool is being executed
       console.log("🔧 Executing findRecentMeals tool");
 
-      // Get the current user's ID (set by the chat endpoint)
-      const userId = global.currentUserId || "anonymous";
+      // The filters we actually applied (returned so the AI and the
+      // identification step know how the list was narrowed)
+      const filters = Object.fromEntries(
+        Object.entries({
+          startDate,
+          endDate,
+          mealType,
+          containsFood,
+          minCalories,
+          maxCalories,
+        }).filter(([, value]) => value !== undefined)
+      );
+      console.log("   Filters:", JSON.stringify(filters));
+
+      const maxResults = limit || 10;
+
+      /*
+       * VALIDATION: Dates must be YYYY-MM-DD
+       */
+      const badDate = [startDate, endDate].find(
+        (date) => date !== undefined && !isValidDateString(date)
+      );
+      if (badDate) {
+        console.error("❌ REJECTED: Invalid date filter:", badDate);
+        return {
+          meals: [],
+          filters,
+          error: `Invalid date "${badDate}". Use YYYY-MM-DD format.`,
+        };
+      }
+
+      // Get the user this request is acting for (from the per-request context)
+      const { userId, timezone } = context;
 
       // Check if Firestore is available - fail loudly if not
       if (!db) {
@@ -75,26 +175,111 @@ module.exports = (admin, db) =>
           .doc(userId)
           .collection("meals");
 
-        // Build the query:
-        // - orderBy('createdAt', 'desc'): Sort by creation time, newest first
-        // - limit(10): Only get the most recent 10 meals (or specified limit)
-        let query = mealsRef
-          .orderBy("createdAt", "desc")
-          .limit(limit || 10);
+        /*
+         * BUILD THE QUERIES
+         *
+         * Firestore does the date range + ordering (single-field indexes).
+         * Everything else - soft-deleted meals, mealType, food name, calories -
+         * is filtered in code below, so no composite indexes are needed. That
+         * means we scan more than `limit` meals and trim after filtering,
+         * otherwise deleted or non-matching meals would eat into the limit.
+         *
+         * Meals logged before `timestamp` existed only have createdAt, and
+         * orderBy("timestamp") leaves them out - so we run the same range on
+         * createdAt and pick those meals up from there.
+         */
+        const scanBy = (field) => {
+          let query = mealsRef;
+
+          if (startDate) {
+            query = query.where(
+              field,
+              ">=",
+              // Midnight in the USER's timezone
+              admin.firestore.Timestamp.fromDate(
+                getDayRange(startDate, timezone).start
+              )
+            );
+          }
+          if (endDate) {
+            query = query.where(
+              field,
+              "<=",
+              admin.firestore.Timestamp.fromDate(
+                getDayRange(endDate, timezone).end
+              )
+            );
+          }
+
+          return query.orderBy(field, "desc").limit(MAX_SCANNED_MEALS).get();
+        };
+
+        const [byTimestamp, byCreatedAt] = await Promise.all([
+          scanBy("timestamp"),
+          scanBy("createdAt"),
+        ]);
+
+        // Try timestamp first, fall back to createdAt if timestamp is missing
+        const eatenAtOf = (data) =>
+          data.timestamp?.toDate() || data.createdAt?.toDate();
 
-        // Execute the query and get results
-        const snapshot = await query.get();
+        // Newest EATEN first (timestamp), not newest logged (createdAt)
+        const docs = [
+          ...byTimestamp.docs,
+          ...byCreatedAt.docs.filter((doc) => !doc.data().timestamp),
+        ].sort(
+          (a, b) =>
+            (eatenAtOf(b.data())?.getTime() || 0) -
+            (eatenAtOf(a.data())?.getTime() || 0)
+        );
 
         // Create array to store the meals we'll return
         let meals = [];
 
         // Loop through each document (meal) that Firestore returned
-        snapshot.forEach((doc) => {
+        docs.forEach((doc) => {
+          // Stop once we have enough matches
+          if (meals.length >= maxResults) {
+            return;
+          }
+
           // Get all the data from this meal document
           const data = doc.data();
 
+          // Skip meals the user deleted (soft delete - see helpers/softDelete.js)
+          if (isDeleted(data)) {
+            return;
+          }
+
+          // Apply the in-code filters
+          if (mealType && data.mealType !== mealType) {
+            return;
+          }
+          if (
+            containsFood &&
+            !(data.foods || []).some((food) =>
+              food.name?.toLowerCase().includes(containsFood.toLowerCase())
+            )
+          ) {
+            return;
+          }
+          if (
+            minCalories !== undefined &&
+            (data.totalCalories || 0) < minCalories
+          ) {
+            return;
+          }
+          if (
+            maxCalories !== undefined &&
+            (data.totalCalories || 0) > maxCalories
+          ) {
+            return;
+          }
+
           // Add this meal to our results array
           // AI will analyze which meal user is referring to based on conversation context
+          const eatenAt = eatenAtOf(data);
+
           meals.push({
             // ✅ CRITICAL: Include the Firestore document ID
             // This is what analyzeAndUpdateMeal needs to know which meal to update
@@ -104,10 +289,12 @@ module.exports = (admin, db) =>
             mealType: data.mealType,
 
             // When the meal was eaten (ISO string format)
-            // Try timestamp first, fall back to createdAt if timestamp is missing
-            timestamp:
-              data.timestamp?.toDate().toISOString() ||
-              data.createdAt?.toDate().toISOString(),
+            timestamp: eatenAt?.toISOString(),
+
+            // Same time in the user's timezone, ready to show
+            // (e.g., "Tue, Nov 4, 7:00 PM" and "yesterday")
+            localTime: eatenAt && formatLocalDateTime(eatenAt, timezone),
+            timeAgo: eatenAt && formatRelativeTime(eatenAt, timezone),
 
             // Array of food items in this meal
             foods: data.foods || [],
@@ -129,13 +316,13 @@ module.exports = (admin, db) =>
 
         // Return the meals array wrapped in an object
         // This matches the structure expected by the AI
-        return { meals };
+        return { meals, filters };
       } catch (error) {
         // If something goes wrong (Firestore error, etc.)
         console.error("❌ Error finding meals in Firestore:", error);
 
         // Return empty array so the AI knows no meals were found
-        return { meals: [] };
+        return { meals: [], filters };
       }
     },
   });
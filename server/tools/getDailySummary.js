@@ -0,0 +1,184 @@
+/*
+ * ============================================================================
+ * TOOL: getDailySummary
+ * ============================================================================
+ *
+ * PURPOSE:
+ * Get a summary of all meals and total macros for a specific day, measured
+ * against the user's own targets, with what's left to eat.
+ *
+ * WHEN AI USES THIS:
+ * - User asks: "How many calories have I had today?"
+ * - User asks: "What did I eat today?"
+ * - User asks: "Am I on track for my calorie goal?"
+ *
+ * WHAT IT RETURNS:
+ * - Total calories and macros eaten (protein, carbs, fats, fiber)
+ * - Calories burned in activities (activities/{uid}/sessions)
+ * - Net calories (eaten - burned)
+ * - Targets from the profile (see helpers/nutritionTargets.js)
+ * - Remaining calories (target - net) and remaining macros (target - eaten)
+ * - Progress (net calories / target, capped at 100%)
+ * - Number of meals and activities logged
+ * - Water drunk vs. the hydration target (see helpers/hydration.js)
+ *
+ * ============================================================================
+ */
+
+const { tool } = require("ai");
+const { z } = require("zod");
+const { getDayRange, toLocalDateString } = require("../helpers/timezone");
+const { getDailyTargets } = require("../helpers/nutritionTargets");
+const {
+  sumMealsInRange,
+  sumActivityCaloriesInRange,
+  sumWaterInRange,
+} = require("../helpers/dayTotals");
+const { describeHydration } = require("../helpers/hydration");
+
+// Round to 1 decimal place so float sums don't show up as 12.300000000001g
+const round = (value) => Math.round(value * 10) / 10;
+
+module.exports = (admin, db, context) =>
+  tool({
+    // Description tells the AI when to use this tool
+    description:
+      "Get the daily summary for a specific date: calories and macros eaten, calories burned in activities, water drunk, the user's targets and what's remaining.",
+
+    // Define parameters
+    inputSchema: z.object({
+      // Date in YYYY-MM-DD format (e.g., "2025-11-05"), in the user's timezone
+      date: z
+        .string()
+        .optional()
+        .describe(
+          "Date in YYYY-MM-DD format (the user's local date). Defaults to today."
+        ),
+    }),
+
+    // This function executes when AI calls the tool
+    execute: async ({ date }, { abortSignal }) => {
+      // Log that this tool is executing
+      console.log("🔧 Executing getDailySummary tool");
+
+      // Get the user this request is acting for (from the per-request context)
+      const { userId, timezone, profile } = context;
+
+      // No date → today, in the USER's timezone (not the server's)
+      date = date || toLocalDateString(new Date(), timezone);
+
+      // The user's own targets (profile), falling back to defaults
+      const targets = getDailyTargets(profile);
+
+      // Check if Firestore is available - fail loudly if not
+      if (!db) {
+        console.error(
+          "❌ CRITICAL: Firestore not initialized - cannot get daily summary"
+        );
+        return {
+          success: false,
+          totalCalories: 0,
+          calorieTarget: targets.calories,
+          progress: 0,
+          mealsCount: 0,
+          message: "Database unavailable. Please try again later.",
+        };
+      }
+
+      // If we reach here, Firestore IS available
+      try {
+        /*
+         * START AND END OF THE DAY
+         *
+         * Midnight to 23:59:59.999 in the USER's timezone, not the
+         * server's (UTC on Railway).
+         */
+        const { start: startOfDay, end: endOfDay } = getDayRange(
+          date,
+          timezone
+        );
+
+        // What they ate, burned and drank, in parallel
+        const [eaten, burned, water] = await Promise.all([
+          sumMealsInRange(admin, db, userId, startOfDay, endOfDay),
+          sumActivityCaloriesInRange(admin, db, userId, startOfDay, endOfDay),
+          sumWaterInRange(admin, db, userId, startOfDay, endOfDay),
+        ]);
+
+        /*
+         * NET AND REMAINING
+         *
+         * Exercise "earns back" calories: net = eaten - burned.
+         * Example: target 2200, ate 1500, ran off 300
+         *          → net 1200, 1000 calories remaining
+         * Macros are plain target - eaten (activity doesn't change them).
+         * Negative remaining = over target.
+         */
+        const netCalories = eaten.calories - burned.caloriesBurned;
+        const remaining = {
+          calories: targets.calories - netCalories,
+          protein: round(targets.protein - eaten.protein),
+          carbs: round(targets.carbs - eaten.carbs),
+          fats: round(targets.fats - eaten.fats),
+          fiber: round(targets.fiber - eaten.fiber),
+        };
+
+        // Log success
+        console.log(
+          "✅ Daily summary from Firestore:",
+          `${eaten.calories} eaten - ${burned.caloriesBurned} burned = ${netCalories} / ${targets.calories}`
+        );
+
+        // Return the summary to the AI
+        return {
+          // The date we queried for
+          date,
+
+          // Total macros eaten during the day
+          totalCalories: eaten.calories,
+          totalProtein: eaten.protein,
+          totalCarbs: eaten.carbs,
+          totalFats: eaten.fats,
+          totalFiber: eaten.fiber,
+
+          // Calories burned in activities, and what's left after them
+          activityCalories: burned.caloriesBurned,
+          netCalories,
+
+          // The user's targets (calorieTarget kept for older callers)
+          calorieTarget: targets.calories,
+          targets,
+
+          // What's left for the day (negative = over)
+          remaining,
+
+          // Progress as a fraction of the calorie target (capped at 100%)
+          progress: Math.min(Math.max(netCalories, 0) / targets.calories, 1.0),
+
+          // Number of meals and activities logged that day
+          mealsCount: eaten.mealsCount,
+          activitiesCount: burned.activitiesCount,
+
+          // Water vs. the day's hydration target (weight + activity minutes)
+          water: describeHydration(
+            date,
+            water,
+            burned.activityMinutes,
+            profile
+          ),
+        };
+      } catch (error) {
+        // If something goes wrong (Firestore error, invalid date, etc.)
+        console.error("❌ Error getting daily summary from Firestore:", error);
+
+        return {
+          success: false,
+          totalCalories: 0,
+          calorieTarget: targets.calories,
+          progress: 0,
+          mealsCount: 0,
+          message: `Error: ${error.message}`,
+        };
+      }
+    },
+  });
@@ -0,0 +1,101 @@
+/*
+ * ============================================================================
+ * TOOL: getEnergyBalance
+ * ============================================================================
+ *
+ * PURPOSE:
+ * Show the user's calorie deficit or surplus: what they ate vs. what they
+ * burned (estimated TDEE + logged activities) for a day or a date range.
+ * See helpers/energyBalance.js for the math.
+ *
+ * WHEN AI USES THIS:
+ * - User asks: "Am I in a deficit today?"
+ * - User asks: "What's my calorie balance this week?"
+ * - User asks: "How much have I been over since Monday?"
+ *
+ * EXAMPLE:
+ *   getEnergyBalance({ startDate: "2025-11-03", endDate: "2025-11-09" })
+ *   → { intake: 14200, expenditure: 18900, netBalance: -4700,
+ *       status: "deficit", averageDailyBalance: -671, daily: [...] }
+ *
+ * ============================================================================
+ */
+
+const { tool } = require("ai");
+const { z } = require("zod");
+const { isValidDateString } = require("../helpers/timezone");
+const {
+  MAX_RANGE_DAYS,
+  getEnergyBalance,
+} = require("../helpers/energyBalance");
+
+module.exports = (admin, db, context) =>
+  tool({
+    // Description tells the AI when to use this tool
+    description: `Get the user's energy balance (calories eaten minus calories burned = deficit or surplus) for a day or a date range of up to ${MAX_RANGE_DAYS} days. Burned = estimated TDEE from the profile + logged activities.`,
+
+    // Define parameters
+    inputSchema: z.object({
+      startDate: z
+        .string()
+        .optional()
+        .describe(
+          "First day (YYYY-MM-DD, the user's local date). Defaults to today."
+        ),
+      endDate: z
+        .string()
+        .optional()
+        .describe(
+          "Last day (YYYY-MM-DD). Defaults to startDate (a single day)."
+        ),
+    }),
+
+    // This function executes when AI calls the tool
+    execute: async ({ startDate, endDate }, { abortSignal }) => {
+      console.log("🔧 Executing getEnergyBalance tool");
+      console.log("   Range:", startDate || "today", "→", endDate || startDate || "today");
+
+      /*
+       * VALIDATION: Dates must be YYYY-MM-DD
+       */
+      const badDate = [startDate, endDate].find(
+        (date) => date !== undefined && !isValidDateString(date)
+      );
+      if (badDate) {
+        console.error("❌ REJECTED: Invalid date:", badDate);
+        return {
+          success: false,
+          message: `Invalid date "${badDate}". Use YYYY-MM-DD format.`,
+        };
+      }
+
+      // Check if Firestore is available - fail loudly if not
+      if (!db) {
+        console.error(
+          "❌ CRITICAL: Firestore not initialized - cannot get energy balance"
+        );
+        return {
+          success: false,
+          message: "Database unavailable. Please try again later.",
+        };
+      }
+
+      try {
+        const balance = await getEnergyBalance(admin, db, context, {
+          startDate,
+          endDate,
+        });
+
+        if (balance.success) {
+          console.log(
+            `✅ Energy balance: ${balance.intake} in / ${balance.expenditure} out = ${balance.netBalance} (${balance.status})`
+          );
+        }
+
+        return balance;
+      } catch (error) {
+        console.error("❌ Error getting energy balance:", error);
+        return { success: false, message: `Error: ${error.message}` };
+      }
+    },
+  });
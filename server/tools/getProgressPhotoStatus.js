@@ -0,0 +1,80 @@
+/*
+ * ============================================================================
+ * TOOL: getProgressPhotoStatus
+ * ============================================================================
+ *
+ * PURPOSE:
+ * Let Ava know when the user last took progress photos, so she can say
+ * "your last progress photo was 12 days ago" or nudge them when a new
+ * monthly set is due.
+ *
+ * WHEN AI USES THIS:
+ * - User asks: "When did I last take progress pics?"
+ * - User asks: "Should I take photos this week?"
+ * - Monthly check-ins and progress conversations
+ *
+ * HOW IT WORKS:
+ * Reads progress/{userId}/photos (helpers/progressPhotos.js) and returns
+ * the last photo date, days since, which poses were taken and whether a
+ * new set is due. Photos are taken in the app (Progress → Photos) - Ava
+ * can't see or upload them.
+ *
+ * ============================================================================
+ */
+
+const { tool } = require("ai");
+const { z } = require("zod");
+const {
+  PHOTO_INTERVAL_DAYS,
+  getProgressPhotoStatus,
+} = require("../helpers/progressPhotos");
+
+module.exports = (admin, db, context) =>
+  tool({
+    // Description tells the AI when and how to use this tool
+    description: `Check when the user last took progress photos (front, side, back) - days since, which poses, and whether a new set is due (every ${PHOTO_INTERVAL_DAYS} days). Photos are taken in the app's Progress → Photos screen, not in chat.`,
+
+    // No parameters - always the current user
+    inputSchema: z.object({}),
+
+    // This function executes when AI calls the tool
+    execute: async (_input, { abortSignal }) => {
+      console.log("🔧 Executing getProgressPhotoStatus tool");
+
+      // Check if Firestore is available - fail loudly if not
+      if (!db) {
+        console.error(
+          "❌ CRITICAL: Firestore not initialized - cannot check progress photos"
+        );
+        return {
+          success: false,
+          message: "Database unavailable. Please try again later.",
+        };
+      }
+
+      try {
+        const status = await getProgressPhotoStatus(admin, db, context);
+
+        console.log(
+          "📷 Progress photos:",
+          status.hasPhotos
+            ? `last ${status.lastPhotoDate} (${status.daysSinceLastPhoto} days ago)`
+            : "none yet"
+        );
+
+        return {
+          success: true,
+          ...status,
+          message: status.hasPhotos
+            ? `Last progress photo was ${status.daysSinceLastPhoto === 0 ? "today" : `${status.daysSinceLastPhoto} day${status.daysSinceLastPhoto === 1 ? "" : "s"} ago`} (${status.lastPoses.join(", ")})`
+            : "No progress photos yet",
+        };
+      } catch (error) {
+        console.error("❌ Error in getProgressPhotoStatus:", error);
+        return {
+          success: false,
+          message: `Error: ${error.message}`,
+        };
+      }
+    },
+  });
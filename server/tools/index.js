@@ -0,0 +1,66 @@
+/*
+ * ============================================================================
+ * TOOL REGISTRY: createTools
+ * ============================================================================
+ *
+ * PURPOSE:
+ * Build the full set of AI tools for ONE chat request.
+ *
+ * Every tool is a factory that takes (admin, db, context). The context comes
+ * from helpers/requestContext.js and tells the tool which user it is acting
+ * for. Because the tools are created fresh for every request, two users
+ * chatting at the same time each get their own tools bound to their own
+ * userId - there is no shared global state to race on.
+ *
+ * USAGE:
+ *   const context = createRequestContext({ userId, timezone, profile });
+ *   const tools = createTools(admin, db, context);
+ *   await generateText({ ..., tools });
+ *
+ * ============================================================================
+ */
+
+module.exports = function createTools(admin, db, context) {
+  return {
+    // NUTRITION TOOLS
+    lookupFood: require("./lookupFood")(admin, db, context),
+    logMeal: require("./logMeal")(admin, db, context),
+    findRecentMeals: require("./findRecentMeals")(admin, db, context),
+    analyzeAndUpdateMeal: require("./analyzeAndUpdateMeal")(
+      admin,
+      db,
+      context
+    ),
+    undoLastChange: require("./undoLastChange")(admin, db, context),
+    deleteMeal: require("./deleteMeal")(admin, db, context),
+    saveMealAsFavorite: require("./saveMealAsFavorite")(admin, db, context),
+    listSavedMeals: require("./listSavedMeals")(admin, db, context),
+    logSavedMeal: require("./logSavedMeal")(admin, db, context),
+    createRecipe: require("./createRecipe")(admin, db, context),
+    logRecipe: require("./logRecipe")(admin, db, context),
+    getDailySummary: require("./getDailySummary")(admin, db, context),
+    getEnergyBalance: require("./getEnergyBalance")(admin, db, context),
+
+    // HYDRATION TOOLS
+    logWater: require("./logWater")(admin, db, context),
+
+    // PROGRESS TOOLS
+    logWeight: require("./logWeight")(admin, db, context),
+    logMeasurement: require("./logMeasurement")(admin, db, context),
+    getProgressPhotoStatus: require("./getProgressPhotoStatus")(
+      admin,
+      db,
+      context
+    ),
+
+    // ACTIVITY TOOLS - in tools/activity/
+    logActivity: require("./activity/logActivity")(admin, db, context),
+    findRecentActivities: require("./activity/findRecentActivities")(
+      admin,
+      db,
+      context
+    ),
+    updateActivity: require("./activity/updateActivity")(admin, db, context),
+    deleteActivity: require("./activity/deleteActivity")(admin, db, context),
+  };
+};
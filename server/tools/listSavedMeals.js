@@ -0,0 +1,82 @@
+/*
+ * ============================================================================
+ * TOOL: listSavedMeals
+ * ============================================================================
+ *
+ * PURPOSE:
+ * Show the user's favorite meals (saved with saveMealAsFavorite).
+ *
+ * WHEN AI USES THIS:
+ * - User asks: "What are my saved meals?"
+ * - User says: "Log my usual" but it's unclear which favorite they mean
+ *
+ * RETURNS:
+ * Saved meals, most used first, with their foods and macros.
+ *
+ * ============================================================================
+ */
+
+const { tool } = require("ai");
+const { z } = require("zod");
+const { mealTypeSchema } = require("../schemas/food");
+const {
+  listSavedMeals,
+  toSavedMealSummary,
+} = require("../helpers/savedMeals");
+
+module.exports = (admin, db, context) =>
+  tool({
+    // Description tells the AI when to use this tool
+    description:
+      "List the user's saved favorite meals ('my usual ...'), most used first. Use when they ask what's saved or when it's unclear which favorite they mean.",
+
+    // Define parameters
+    inputSchema: z.object({
+      mealType: mealTypeSchema
+        .optional()
+        .describe("Only favorites with this default meal type"),
+    }),
+
+    // This function executes when AI calls the tool
+    execute: async ({ mealType }, { abortSignal }) => {
+      console.log("🔧 Executing listSavedMeals tool");
+
+      // Get the user this request is acting for (from the per-request context)
+      const { userId } = context;
+
+      // Check if Firestore is available - fail loudly if not
+      if (!db) {
+        console.error(
+          "❌ CRITICAL: Firestore not initialized - cannot list saved meals"
+        );
+        return {
+          success: false,
+          message: "Database unavailable. Please try again later.",
+        };
+      }
+
+      try {
+        const savedMeals = (await listSavedMeals(db, userId)).filter(
+          (meal) => !mealType || meal.mealType === mealType
+        );
+
+        console.log(`⭐ Found ${savedMeals.length} saved meal(s)`);
+
+        return {
+          success: true,
+          count: savedMeals.length,
+          savedMeals: savedMeals.map(toSavedMealSummary),
+          message:
+            savedMeals.length === 0
+              ? "No saved meals yet. Offer to save one after logging a meal."
+              : undefined,
+        };
+      } catch (error) {
+        console.error("❌ Error in listSavedMeals:", error);
+        return {
+          success: false,
+          message: `Error: ${error.message}`,
+        };
+      }
+    },
+  });
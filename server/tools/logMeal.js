@@ -14,48 +14,58 @@
  * IMPORTANT: AI should ALWAYS confirm with user before calling this tool!
  * Show the breakdown, ask "Should I log this?", THEN call logMeal.
  *
+ * PHOTOS:
+ * If the user sent a photo of the meal, it's saved in photoUrl/photoUrls
+ * (and its thumbnail in thumbnailUrl/thumbnailUrls - helpers/mealPhotos.js).
+ * The AI passes the URLs from "[Attached photo: ...]"; if it doesn't, the
+ * photos attached to the latest message are used (context.imageUrls).
+ *
+ * MACRO CHECK:
+ * Foods are validated before saving (helpers/macroValidation.js). Negative
+ * numbers are never saved. Numbers that look off (calories that don't match
+ * the macros, huge portions) come back as warnings WITHOUT saving, so Ava
+ * can fix them - or call again with acceptWarnings: true if they're right
+ * (e.g., alcohol).
+ *
  * ============================================================================
  */
 
 const { tool } = require("ai");
 const { z } = require("zod");
-
-module.exports = (admin, db) =>
+const { mealTypeSchema, foodsSchema } = require("../schemas/food");
+const calculateMealTotals = require("../helpers/calculateMealTotals");
+const {
+  parseUserTimestamp,
+  getDefaultMealType,
+} = require("../helpers/timezone");
+const { getBalanceAfterLog } = require("../helpers/energyBalance");
+const { tagFoodSources } = require("../helpers/foodDatabase");
+const { isAllowedImageUrl } = require("../helpers/chatImages");
+const { findChatPhotoThumbnails } = require("../helpers/mealPhotos");
+const { validateFoods } = require("../helpers/macroValidation");
+const { withParsedQuantities } = require("../helpers/quantityParser");
+
+module.exports = (admin, db, context) =>
   tool({
     // Description tells the AI when to use this tool
     description:
-      "Log a new meal to the user's food diary. Use when user mentions eating food.",
+      "Log a new meal to the user's food diary. Use when user mentions eating food. Look up each food with lookupFood first and include its foodId.",
 
     // Define the parameters this tool accepts (validated with Zod)
     inputSchema: z.object({
       // Meal type: must be one of these four options
-      mealType: z
-        .enum(["breakfast", "lunch", "dinner", "snack"])
-        .describe("Type of meal"),
-
-      // Array of food items in this meal
-      foods: z
-        .array(
-          z.object({
-            name: z.string().describe("Food name"),
-            quantity: z
-              .string()
-              .describe('Quantity with unit (e.g., "2 eggs", "1 cup")'),
-            calories: z.number().describe("Calories"),
-            protein: z.number().describe("Protein in grams"),
-            carbs: z.number().describe("Carbs in grams"),
-            fats: z.number().describe("Fats in grams"),
-            fiber: z.number().describe("Fiber in grams"),
-          })
-        )
-        .describe("List of foods in the meal"),
+      // (if omitted, picked from the user's LOCAL time of day)
+      mealType: mealTypeSchema.optional(),
+
+      // Array of food items in this meal (shared schema - see schemas/food.js)
+      foods: foodsSchema,
 
       // When the meal was eaten (ISO 8601 format)
       timestamp: z
         .string()
         .optional()
         .describe(
-          "ISO timestamp of when meal was eaten (use new Date().toISOString())"
+          "When the meal was eaten, in the user's local time (e.g., 2025-11-04T19:00:00). Omit for now."
         ),
 
       // Optional notes (e.g., "eaten at restaurant", "homemade")
@@ -63,15 +73,34 @@ module.exports = (admin, db) =>
         .string()
         .optional()
         .describe("Optional notes about the meal"),
+
+      // Photos of the meal the user sent in chat
+      photoUrls: z
+        .array(z.string())
+        .optional()
+        .describe(
+          "URLs from '[Attached photo: ...]' in the user's messages, if this meal was sent as a photo"
+        ),
+
+      // Save even though the macro check warned about these foods
+      acceptWarnings: z
+        .boolean()
+        .optional()
+        .describe(
+          "Only after a logMeal call returned macro warnings AND you've checked the numbers are right (e.g., alcohol, a genuinely huge portion)"
+        ),
     }),
 
     // This function executes when AI calls the tool
-    execute: async ({ mealType, foods, timestamp, notes }, { abortSignal }) => {
+    execute: async (
+      { mealType, foods, timestamp, notes, photoUrls, acceptWarnings },
+      { abortSignal }
+    ) => {
       // Log that this tool is executing
       console.log("🔧 Executing logMeal tool");
 
-      // Get the current user's ID (set by the chat endpoint)
-      const userId = global.currentUserId || "anonymous";
+      // Get the user this request is acting for (from the per-request context)
+      const { userId, timezone, imageUrls } = context;
 
       // Check if Firestore is available - fail loudly if not
       if (!db) {
@@ -86,22 +115,41 @@ module.exports = (admin, db) =>
 
       // If we reach here, Firestore IS available
       try {
+        /*
+         * CHECK THE MACROS
+         *
+         * Sources are tagged first so the check knows which numbers came
+         * from the food database / a label (see helpers/macroValidation.js).
+         */
+        const taggedFoods = tagFoodSources(foods);
+        const validation = validateFoods(taggedFoods);
+
+        if (validation.errors.length > 0) {
+          console.warn("⚠️ Meal rejected - invalid macros:", validation.errors);
+          return {
+            success: false,
+            message: `NOT LOGGED - invalid numbers: ${validation.errors.join("; ")}. Fix them and call logMeal again.`,
+            errors: validation.errors,
+          };
+        }
+
+        if (validation.warnings.length > 0 && !acceptWarnings) {
+          console.warn("⚠️ Meal not logged - macro warnings:", validation.warnings);
+          return {
+            success: false,
+            needsReview: true,
+            message: `NOT LOGGED YET - these numbers look off: ${validation.warnings.join("; ")}. Correct them and call logMeal again, or if they're right, call logMeal again with acceptWarnings: true.`,
+            warnings: validation.warnings,
+          };
+        }
+
         /*
          * CALCULATE TOTAL MACROS
          *
-         * Loop through all foods and sum up their macros.
+         * Sum up the macros of all foods on the server.
          * Example: [eggs: 180cal, toast: 160cal] → total: 340cal
          */
-        const totals = foods.reduce(
-          (acc, food) => ({
-            calories: acc.calories + (food.calories || 0),
-            protein: acc.protein + (food.protein || 0),
-            carbs: acc.carbs + (food.carbs || 0),
-            fats: acc.fats + (food.fats || 0),
-            fiber: acc.fiber + (food.fiber || 0),
-          }),
-          { calories: 0, protein: 0, carbs: 0, fats: 0, fiber: 0 }
-        );
+        const totals = calculateMealTotals(foods);
 
         /*
          * CREATE THE MEAL DOCUMENT
@@ -109,35 +157,46 @@ module.exports = (admin, db) =>
          * This is what gets saved to Firestore.
          * Structure matches what the mobile app expects.
          */
-        // Convert ISO string to Firestore Timestamp with fallback to current time
-        const dateObj = timestamp ? new Date(timestamp) : new Date();
-        if (isNaN(dateObj.getTime())) {
+        // Convert the timestamp (user's local time) to a Date,
+        // with fallback to current time
+        let dateObj = timestamp
+          ? parseUserTimestamp(timestamp, timezone)
+          : new Date();
+        if (!dateObj) {
           console.warn(
             `⚠️ Invalid timestamp "${timestamp}", using current time`
           );
           dateObj = new Date();
         }
 
+        // Only the user's own uploads - never a URL the AI made up
+        const mealPhotos = (photoUrls?.length ? photoUrls : imageUrls || []).filter(
+          (url) => isAllowedImageUrl(url, userId)
+        );
+        // Chat photos have a thumbnail next to them (users/{uid}/chat/)
+        const mealThumbnails = await findChatPhotoThumbnails(admin, mealPhotos);
+
         const mealData = {
           // Meal type (breakfast/lunch/dinner/snack)
-          mealType,
+          // Default: based on what time it was for the USER when they ate
+          mealType: mealType || getDefaultMealType(dateObj, timezone),
 
           // Timestamp of when meal was eaten
           timestamp: admin.firestore.Timestamp.fromDate(dateObj),
 
           // Array of individual food items with their macros
-          foods,
+          // (each tagged with source "database" or "estimate", and the
+          // quantity text parsed into amount/unit/grams)
+          foods: withParsedQuantities(taggedFoods),
 
           // Total macros for the entire meal
-          totalCalories: totals.calories,
-          totalProtein: totals.protein,
-          totalCarbs: totals.carbs,
-          totalFats: totals.fats,
-          totalFiber: totals.fiber,
+          ...totals,
 
-          // Photo fields (for future photo upload feature)
-          photoUrl: null,
-          photoUrls: [],
+          // Photos sent with the meal (first one is the cover photo)
+          photoUrl: mealPhotos[0] || null,
+          photoUrls: mealPhotos,
+          thumbnailUrl: mealThumbnails[0] || null,
+          thumbnailUrls: mealThumbnails,
 
           // User's notes about the meal
           notes: notes || "",
@@ -163,11 +222,21 @@ module.exports = (admin, db) =>
         // Log success with the generated document ID
         console.log("✅ Meal logged to Firestore:", docRef.id);
 
+        // The day's deficit/surplus including this meal
+        // (see helpers/energyBalance.js)
+        const energyBalance = await getBalanceAfterLog(
+          admin,
+          db,
+          context,
+          dateObj
+        );
+
         // Return success to the AI
         return {
           success: true,
           mealId: docRef.id,
           message: "Meal logged successfully",
+          energyBalance,
         };
       } catch (error) {
         // If something goes wrong (network error, permission error, etc.)
@@ -0,0 +1,138 @@
+/*
+ * ============================================================================
+ * TOOL: logMeasurement
+ * ============================================================================
+ *
+ * PURPOSE:
+ * Log the weekly tape-measure check-in (arms, chest, waist, hips, thighs)
+ * and tell the user how each site changed since their last measured week.
+ *
+ * WHEN AI USES THIS:
+ * - User says: "Arms 15.5 inches"
+ * - User says: "Waist 84 cm, chest 101"
+ * - User answers the weekly reminder: "arm 15.75, waist 33.5"
+ *
+ * HOW IT WORKS:
+ * 1. Saves one entry per site to progress/{userId}/measurements
+ *    (helpers/measurements.js)
+ * 2. Returns each site's week-over-week change, in the user's unit
+ *
+ * No confirmation needed - like weigh-ins, measurements are quick to log
+ * and easy to correct.
+ *
+ * ============================================================================
+ */
+
+const { tool } = require("ai");
+const { z } = require("zod");
+const { parseUserTimestamp } = require("../helpers/timezone");
+const {
+  MEASUREMENT_SITES,
+  MEASUREMENT_UNITS,
+  addMeasurements,
+  getMeasurementHistory,
+} = require("../helpers/measurements");
+
+module.exports = (admin, db, context) =>
+  tool({
+    // Description tells the AI when and how to use this tool
+    description:
+      "Log body measurements from the user's weekly check-in (arm, chest, waist, hips, thigh). Log every site they mention in one call. Returns each site's change since the last measured week. Arm is measured flexed at the biggest point; use the unit the user said.",
+
+    // Define parameters
+    inputSchema: z.object({
+      measurements: z
+        .array(
+          z.object({
+            site: z
+              .enum(MEASUREMENT_SITES)
+              .describe('Body site: "arm", "chest", "waist", "hips" or "thigh"'),
+            value: z.number().positive().describe("Measured circumference"),
+            unit: z
+              .enum(MEASUREMENT_UNITS)
+              .describe('Unit of value: "in" (inches) or "cm"'),
+          })
+        )
+        .min(1)
+        .max(MEASUREMENT_SITES.length)
+        .describe("One entry per body site measured"),
+      timestamp: z
+        .string()
+        .optional()
+        .describe(
+          "When they measured, in the user's local time (e.g., 2025-11-04T07:00:00). Omit for now."
+        ),
+    }),
+
+    // This function executes when AI calls the tool
+    execute: async ({ measurements, timestamp }, { abortSignal }) => {
+      console.log("🔧 Executing logMeasurement tool");
+      console.log(
+        "   Measurements:",
+        measurements.map((m) => `${m.site} ${m.value} ${m.unit}`).join(", ")
+      );
+
+      // Get the user this request is acting for (from the per-request context)
+      const { timezone } = context;
+
+      // Check if Firestore is available - fail loudly if not
+      if (!db) {
+        console.error(
+          "❌ CRITICAL: Firestore not initialized - cannot log measurements"
+        );
+        return {
+          success: false,
+          message: "Database unavailable. Please try again later.",
+        };
+      }
+
+      try {
+        let dateObj = timestamp
+          ? parseUserTimestamp(timestamp, timezone)
+          : new Date();
+        if (!dateObj) {
+          console.warn(
+            `⚠️ Invalid timestamp "${timestamp}", using current time`
+          );
+          dateObj = new Date();
+        }
+
+        const saved = await addMeasurements(admin, db, context, {
+          measurements,
+          date: dateObj,
+          loggedVia: "chat",
+        });
+
+        console.log(
+          "📏 Measurements logged:",
+          saved.map((s) => s.measurementId).join(", ")
+        );
+
+        // Week-over-week changes, including these measurements
+        const history = await getMeasurementHistory(admin, db, context);
+        const loggedSites = new Set(measurements.map((m) => m.site));
+
+        return {
+          success: true,
+          message: `Logged ${measurements
+            .map((m) => `${m.site} ${m.value} ${m.unit}`)
+            .join(", ")}`,
+          unit: history.unit,
+          changes: history.sites
+            .filter(({ site }) => loggedSites.has(site))
+            .map(({ site, latest, change, weeksApart }) => ({
+              site,
+              value: latest.value,
+              change,
+              weeksApart,
+            })),
+        };
+      } catch (error) {
+        console.error("❌ Error in logMeasurement:", error);
+        return {
+          success: false,
+          message: `Error: ${error.message}`,
+        };
+      }
+    },
+  });
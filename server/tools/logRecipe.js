@@ -0,0 +1,150 @@
+/*
+ * ============================================================================
+ * TOOL: logRecipe
+ * ============================================================================
+ *
+ * PURPOSE:
+ * Log servings of one of the user's recipes ("1 bowl of my chili").
+ *
+ * WHEN AI USES THIS:
+ * - User says: "Had a serving of my chili for lunch"
+ * - User says: "2 portions of the lasagna I made"
+ *
+ * HOW IT WORKS:
+ * 1. Finds the recipe by recipeId or name (helpers/recipes.js findRecipe)
+ * 2. Builds ONE food item: servings × the recipe's per-serving macros,
+ *    tagged with recipeId (source "recipe")
+ * 3. Saves it through the logMeal tool (same timestamp handling and energy
+ *    balance)
+ *
+ * The macros are copied into the meal, so editing the recipe later does
+ * NOT change meals that were already logged.
+ *
+ * ============================================================================
+ */
+
+const { tool } = require("ai");
+const { z } = require("zod");
+const { mealTypeSchema } = require("../schemas/food");
+const { MAX_RECIPE_SERVINGS } = require("../schemas/recipe");
+const createLogMealTool = require("./logMeal");
+const {
+  listRecipes,
+  findRecipe,
+  toRecipeFood,
+} = require("../helpers/recipes");
+
+module.exports = (admin, db, context) =>
+  tool({
+    // Description tells the AI when and how to use this tool
+    description:
+      "Log servings of one of the user's saved recipes ('a bowl of my chili'). Pass the recipe's name or recipeId and how many servings they ate. Logs the recipe's per-serving macros × servings - no lookupFood or estimating needed.",
+
+    // Define parameters
+    inputSchema: z.object({
+      recipeId: z
+        .string()
+        .optional()
+        .describe("The recipeId (from createRecipe or an earlier logRecipe result)"),
+      name: z
+        .string()
+        .optional()
+        .describe('The recipe\'s name, e.g., "chili" (if no recipeId)'),
+      servings: z
+        .number()
+        .positive()
+        .max(MAX_RECIPE_SERVINGS)
+        .default(1)
+        .describe("How many servings they ate (e.g., 1, 1.5, 2)"),
+      mealType: mealTypeSchema.optional(),
+      timestamp: z
+        .string()
+        .optional()
+        .describe(
+          "When it was eaten, in the user's local time (e.g., 2025-11-04T12:30:00). Omit for now."
+        ),
+      notes: z.string().optional().describe("Optional notes about the meal"),
+    }),
+
+    // This function executes when AI calls the tool
+    execute: async (
+      { recipeId, name, servings = 1, mealType, timestamp, notes },
+      { abortSignal }
+    ) => {
+      console.log("🔧 Executing logRecipe tool");
+      console.log("   Recipe:", recipeId || name, "| Servings:", servings);
+
+      if (!recipeId && !name) {
+        return {
+          success: false,
+          message: "ERROR: Provide the recipe's name or recipeId.",
+        };
+      }
+
+      // Get the user this request is acting for (from the per-request context)
+      const { userId } = context;
+
+      // Check if Firestore is available - fail loudly if not
+      if (!db) {
+        console.error(
+          "❌ CRITICAL: Firestore not initialized - cannot log recipe"
+        );
+        return {
+          success: false,
+          message: "Database unavailable. Please try again later.",
+        };
+      }
+
+      try {
+        const recipe = await findRecipe(db, userId, { recipeId, name });
+        if (!recipe) {
+          const recipeNames = (await listRecipes(db, userId)).map(
+            (r) => r.name
+          );
+          return {
+            success: false,
+            message:
+              recipeNames.length > 0
+                ? `Recipe not found. The user's recipes are: ${recipeNames.join(", ")}. Ask which one they mean.`
+                : "The user has no saved recipes. Offer to create one with createRecipe.",
+          };
+        }
+
+        // recipeId marks the food as recipe servings (source "recipe") -
+        // only set here, never by the AI (see schemas/food.js)
+        const food = { ...toRecipeFood(recipe, servings), recipeId: recipe.id };
+
+        // Save through logMeal so timestamps and energy balance work the same way
+        const result = await createLogMealTool(admin, db, context).execute(
+          {
+            mealType,
+            foods: [food],
+            timestamp,
+            notes,
+            // Computed from the recipe - a big batch can legitimately be a lot
+            acceptWarnings: true,
+          },
+          {}
+        );
+
+        if (!result.success) {
+          return result;
+        }
+
+        console.log(`🍲 Logged ${servings} serving(s) of`, recipe.name);
+
+        return {
+          ...result,
+          message: `Logged ${food.quantity} of "${recipe.name}"`,
+          recipeId: recipe.id,
+          logged: food,
+        };
+      } catch (error) {
+        console.error("❌ Error in logRecipe:", error);
+        return {
+          success: false,
+          message: `Error: ${error.message}`,
+        };
+      }
+    },
+  });
@@ -0,0 +1,162 @@
+/*
+ * ============================================================================
+ * TOOL: logSavedMeal
+ * ============================================================================
+ *
+ * PURPOSE:
+ * Log one of the user's favorite meals with the exact foods and macros that
+ * were saved - no re-estimating.
+ *
+ * WHEN AI USES THIS:
+ * - User says: "Log my usual breakfast"
+ * - User says: "Had my chicken bowl again, but a bigger portion" (scale 1.5)
+ *
+ * HOW IT WORKS:
+ * 1. Finds the favorite by savedMealId (from listSavedMeals) or by name
+ * 2. Scales the foods if asked (helpers/savedMeals.js scaleFoods)
+ * 3. Saves the meal through the logMeal tool (same timestamp handling and
+ *    energy balance), then marks it loggedVia "savedMeal" and bumps the
+ *    favorite's use count
+ *
+ * No separate confirmation needed - the user already confirmed these numbers
+ * when they saved the favorite. Ava just says what was logged.
+ *
+ * ============================================================================
+ */
+
+const { tool } = require("ai");
+const { z } = require("zod");
+const { mealTypeSchema } = require("../schemas/food");
+const calculateMealTotals = require("../helpers/calculateMealTotals");
+const createLogMealTool = require("./logMeal");
+const {
+  MIN_SCALE,
+  MAX_SCALE,
+  getSavedMealsRef,
+  scaleFoods,
+  findSavedMeal,
+  toSavedMealSummary,
+} = require("../helpers/savedMeals");
+
+module.exports = (admin, db, context) =>
+  tool({
+    // Description tells the AI when and how to use this tool
+    description:
+      "Log one of the user's saved favorite meals ('log my usual breakfast'). Pass savedMealId from listSavedMeals, or the favorite's name. Use scale for bigger/smaller portions (1.5 = one and a half times). Logs immediately - no need to re-estimate or confirm the macros.",
+
+    // Define parameters
+    inputSchema: z.object({
+      savedMealId: z
+        .string()
+        .optional()
+        .describe("The savedMealId from listSavedMeals"),
+      name: z
+        .string()
+        .optional()
+        .describe('The favorite\'s name, e.g., "usual breakfast" (if no savedMealId)'),
+      scale: z
+        .number()
+        .min(MIN_SCALE)
+        .max(MAX_SCALE)
+        .optional()
+        .describe("Portion multiplier, e.g., 0.5 for half, 2 for double (default 1)"),
+      mealType: mealTypeSchema
+        .optional()
+        .describe("Override the favorite's default meal type"),
+      timestamp: z
+        .string()
+        .optional()
+        .describe(
+          "When it was eaten, in the user's local time (e.g., 2025-11-04T08:00:00). Omit for now."
+        ),
+    }),
+
+    // This function executes when AI calls the tool
+    execute: async (
+      { savedMealId, name, scale = 1, mealType, timestamp },
+      { abortSignal }
+    ) => {
+      console.log("🔧 Executing logSavedMeal tool");
+      console.log("   Saved meal:", savedMealId || name, "| Scale:", scale);
+
+      if (!savedMealId && !name) {
+        return {
+          success: false,
+          message: "ERROR: Provide savedMealId (from listSavedMeals) or the favorite's name.",
+        };
+      }
+
+      // Get the user this request is acting for (from the per-request context)
+      const { userId } = context;
+
+      // Check if Firestore is available - fail loudly if not
+      if (!db) {
+        console.error(
+          "❌ CRITICAL: Firestore not initialized - cannot log saved meal"
+        );
+        return {
+          success: false,
+          message: "Database unavailable. Please try again later.",
+        };
+      }
+
+      try {
+        const savedMeal = await findSavedMeal(db, userId, { savedMealId, name });
+        if (!savedMeal) {
+          return {
+            success: false,
+            message:
+              "Saved meal not found. Call listSavedMeals to see the user's favorites, or ask which one they mean.",
+          };
+        }
+
+        const foods = scaleFoods(savedMeal.foods, scale);
+
+        // Save through logMeal so timestamps and energy balance work the same way
+        const result = await createLogMealTool(admin, db, context).execute(
+          {
+            mealType: mealType || savedMeal.mealType || undefined,
+            foods,
+            timestamp,
+            // These numbers were already checked when the favorite was saved
+            acceptWarnings: true,
+          },
+          {}
+        );
+
+        if (!result.success) {
+          return result;
+        }
+
+        await db
+          .collection("nutrition")
+          .doc(userId)
+          .collection("meals")
+          .doc(result.mealId)
+          .update({ loggedVia: "savedMeal", savedMealId: savedMeal.id });
+
+        await getSavedMealsRef(db, userId)
+          .doc(savedMeal.id)
+          .update({
+            useCount: admin.firestore.FieldValue.increment(1),
+            lastUsedAt: admin.firestore.FieldValue.serverTimestamp(),
+          });
+
+        console.log("⭐ Logged saved meal:", savedMeal.name);
+
+        return {
+          ...result,
+          message: `Logged "${savedMeal.name}"${scale !== 1 ? ` × ${scale}` : ""}`,
+          savedMeal: toSavedMealSummary(savedMeal),
+          scale,
+          loggedTotals: calculateMealTotals(foods),
+        };
+      } catch (error) {
+        console.error("❌ Error in logSavedMeal:", error);
+        return {
+          success: false,
+          message: `Error: ${error.message}`,
+        };
+      }
+    },
+  });
@@ -0,0 +1,120 @@
+/*
+ * ============================================================================
+ * TOOL: logWater
+ * ============================================================================
+ *
+ * PURPOSE:
+ * Log water (or other plain, zero-calorie drinks) toward the user's daily
+ * hydration target.
+ *
+ * WHEN AI USES THIS:
+ * - User says: "Just drank a big glass of water"
+ * - User says: "I've had 2 liters today"
+ * - User says: "Finished my 32oz bottle"
+ *
+ * HOW IT WORKS:
+ * 1. Saves { amount, unit, amountMl } to hydration/{userId}/entries
+ *    (helpers/hydration.js)
+ * 2. Returns the day's total vs. target (body weight + activity minutes)
+ *
+ * No confirmation needed - water is quick to log and has no macros. Drinks
+ * WITH calories (juice, soda, milk, beer) go through logMeal instead.
+ *
+ * ============================================================================
+ */
+
+const { tool } = require("ai");
+const { z } = require("zod");
+const {
+  parseUserTimestamp,
+  toLocalDateString,
+} = require("../helpers/timezone");
+const {
+  WATER_UNITS,
+  addWaterEntry,
+  getHydrationForDay,
+} = require("../helpers/hydration");
+
+module.exports = (admin, db, context) =>
+  tool({
+    // Description tells the AI when and how to use this tool
+    description:
+      "Log water the user drank toward their daily hydration target. Use for plain water and other zero-calorie drinks (sparkling water, black coffee/tea). Drinks with calories go through logMeal. A glass ≈ 250 ml / 8 oz, a typical bottle ≈ 500 ml / 16.9 oz.",
+
+    // Define parameters
+    inputSchema: z.object({
+      amount: z.number().positive().describe("How much they drank"),
+      unit: z
+        .enum(WATER_UNITS)
+        .describe('Unit of amount: "ml", "l", "oz" (fluid ounces) or "cup"'),
+      timestamp: z
+        .string()
+        .optional()
+        .describe(
+          "When they drank it, in the user's local time (e.g., 2025-11-04T10:00:00). Omit for now."
+        ),
+    }),
+
+    // This function executes when AI calls the tool
+    execute: async ({ amount, unit, timestamp }, { abortSignal }) => {
+      console.log("🔧 Executing logWater tool");
+      console.log("   Water:", amount, unit);
+
+      // Get the user this request is acting for (from the per-request context)
+      const { userId, timezone } = context;
+
+      // Check if Firestore is available - fail loudly if not
+      if (!db) {
+        console.error(
+          "❌ CRITICAL: Firestore not initialized - cannot log water"
+        );
+        return {
+          success: false,
+          message: "Database unavailable. Please try again later.",
+        };
+      }
+
+      try {
+        let dateObj = timestamp
+          ? parseUserTimestamp(timestamp, timezone)
+          : new Date();
+        if (!dateObj) {
+          console.warn(
+            `⚠️ Invalid timestamp "${timestamp}", using current time`
+          );
+          dateObj = new Date();
+        }
+
+        const { entryId, amountMl } = await addWaterEntry(admin, db, userId, {
+          amount,
+          unit,
+          date: dateObj,
+          loggedVia: "chat",
+        });
+
+        console.log("💧 Water logged:", entryId, `(${amountMl} ml)`);
+
+        // The day's total vs. target, including this entry
+        const hydration = await getHydrationForDay(
+          admin,
+          db,
+          context,
+          toLocalDateString(dateObj, timezone)
+        );
+
+        return {
+          success: true,
+          entryId,
+          amountMl,
+          message: `Logged ${amount} ${unit} of water`,
+          hydration,
+        };
+      } catch (error) {
+        console.error("❌ Error in logWater:", error);
+        return {
+          success: false,
+          message: `Error: ${error.message}`,
+        };
+      }
+    },
+  });
@@ -0,0 +1,119 @@
+/*
+ * ============================================================================
+ * TOOL: logWeight
+ * ============================================================================
+ *
+ * PURPOSE:
+ * Log a body weigh-in and tell the user where their smoothed trend is, so
+ * one high morning doesn't look like a setback.
+ *
+ * WHEN AI USES THIS:
+ * - User says: "Weighed in at 182.4 this morning"
+ * - User says: "I'm 81 kg today"
+ * - User says: "Scale said 175 yesterday"
+ *
+ * HOW IT WORKS:
+ * 1. Saves { weight, unit, weightKg } to progress/{userId}/weighIns
+ *    (helpers/weighIns.js)
+ * 2. If it's the newest weigh-in, updates users/{uid}.weight (and saved
+ *    calorie targets) so calorie estimates use the current weight
+ * 3. Returns the 30-day trend (exponentially weighted moving average)
+ *
+ * ============================================================================
+ */
+
+const { tool } = require("ai");
+const { z } = require("zod");
+const { parseUserTimestamp } = require("../helpers/timezone");
+const {
+  WEIGHT_UNITS,
+  getWeightUnit,
+  getWeightTrend,
+  addWeighIn,
+} = require("../helpers/weighIns");
+
+const TREND_DAYS = 30;
+
+module.exports = (admin, db, context) =>
+  tool({
+    // Description tells the AI when and how to use this tool
+    description:
+      "Log the user's body weight (a weigh-in). Updates their profile weight so calorie estimates stay current, and returns their smoothed weight trend over the last 30 days. Use the unit the user said; if they gave just a number, use their profile's weight unit.",
+
+    // Define parameters
+    inputSchema: z.object({
+      weight: z.number().positive().describe("Body weight"),
+      unit: z.enum(WEIGHT_UNITS).describe('Unit of weight: "lbs" or "kg"'),
+      timestamp: z
+        .string()
+        .optional()
+        .describe(
+          "When they weighed themselves, in the user's local time (e.g., 2025-11-04T07:00:00). Omit for now."
+        ),
+    }),
+
+    // This function executes when AI calls the tool
+    execute: async ({ weight, unit, timestamp }, { abortSignal }) => {
+      console.log("🔧 Executing logWeight tool");
+      console.log("   Weight:", weight, unit);
+
+      // Get the user this request is acting for (from the per-request context)
+      const { timezone, profile } = context;
+
+      // Check if Firestore is available - fail loudly if not
+      if (!db) {
+        console.error(
+          "❌ CRITICAL: Firestore not initialized - cannot log weight"
+        );
+        return {
+          success: false,
+          message: "Database unavailable. Please try again later.",
+        };
+      }
+
+      try {
+        let dateObj = timestamp
+          ? parseUserTimestamp(timestamp, timezone)
+          : new Date();
+        if (!dateObj) {
+          console.warn(
+            `⚠️ Invalid timestamp "${timestamp}", using current time`
+          );
+          dateObj = new Date();
+        }
+
+        const { weighInId, profileUpdated } = await addWeighIn(
+          admin,
+          db,
+          context,
+          { weight, unit, date: dateObj, loggedVia: "chat" }
+        );
+
+        console.log("⚖️ Weigh-in logged:", weighInId);
+
+        // Trend in the profile's unit, including this weigh-in
+        const trend = await getWeightTrend(admin, db, context, TREND_DAYS);
+
+        return {
+          success: true,
+          weighInId,
+          profileUpdated,
+          message: `Logged ${weight} ${unit}`,
+          trend: {
+            unit: getWeightUnit(profile),
+            current: trend.latest?.trend ?? null,
+            change: trend.change,
+            weeklyRate: trend.weeklyRate,
+            daysWeighed: trend.points.length,
+            days: TREND_DAYS,
+          },
+        };
+      } catch (error) {
+        console.error("❌ Error in logWeight:", error);
+        return {
+          success: false,
+          message: `Error: ${error.message}`,
+        };
+      }
+    },
+  });
@@ -0,0 +1,164 @@
+/*
+ * ============================================================================
+ * TOOL: lookupFood
+ * ============================================================================
+ *
+ * PURPOSE:
+ * Find a food in the bundled nutrition database (data/foods.json) and get
+ * its real calories and macros, so logged numbers are consistent.
+ *
+ * WHEN AI USES THIS:
+ * - BEFORE every logMeal: look up each food the user mentioned
+ * - User asks: "How much protein is in a banana?"
+ *
+ * HOW IT WORKS:
+ * 1. AI calls lookupFood({ query: "scrambled eggs", serving: "1 large egg", servings: 2 })
+ * 2. Gets matches with per-100g values and every serving size already
+ *    calculated, plus `nutrition` for the amount asked about (best match)
+ * 3. AI uses those numbers in logMeal and passes the match's foodId,
+ *    so the logged food is saved with source "database"
+ *
+ * SCANNED BARCODES:
+ * lookupFood({ barcode: "0049000028911" }) returns the packaged product from
+ * the barcode table (helpers/productDatabase.js) with its label values.
+ * Its foodId is the barcode, so the logged food is saved with source "barcode".
+ *
+ * Foods that aren't in the database are estimated by the AI as before and
+ * saved with source "estimate".
+ *
+ * ============================================================================
+ */
+
+const { tool } = require("ai");
+const { z } = require("zod");
+const {
+  searchFoods,
+  calculateFoodNutrition,
+  toFoodResult,
+} = require("../helpers/foodDatabase");
+const {
+  isProductDatabaseImported,
+  getProductByBarcode,
+  toProductResult,
+} = require("../helpers/productDatabase");
+
+module.exports = (admin, db, context) =>
+  tool({
+    // Description tells the AI when to use this tool
+    description:
+      "Look up a food in the nutrition database to get accurate calories and macros. ALWAYS call this for each food before logMeal, then pass the match's foodId to logMeal. Optionally give grams, or a serving label and number of servings, to get the nutrition for that amount. For a scanned product, pass its barcode instead of a query.",
+
+    // Define parameters
+    inputSchema: z.object({
+      query: z
+        .string()
+        .optional()
+        .describe('Food to look up (e.g., "scrambled eggs", "banana")'),
+      barcode: z
+        .string()
+        .optional()
+        .describe("Barcode of a scanned packaged product (instead of query)"),
+      grams: z
+        .number()
+        .positive()
+        .optional()
+        .describe("Amount in grams (use instead of serving/servings)"),
+      serving: z
+        .string()
+        .optional()
+        .describe(
+          'Serving label from a previous lookup (e.g., "1 large egg"). Defaults to the first serving.'
+        ),
+      servings: z
+        .number()
+        .positive()
+        .optional()
+        .describe("How many servings (e.g., 2 for two eggs)"),
+      limit: z
+        .number()
+        .optional()
+        .describe("Maximum number of matches (default: 3)"),
+    }),
+
+    // This function executes when AI calls the tool
+    execute: async (
+      { query, barcode, grams, serving, servings, limit = 3 },
+      { abortSignal }
+    ) => {
+      console.log("🔧 Executing lookupFood tool");
+      console.log("   Query:", query || `barcode ${barcode}`);
+
+      /*
+       * SCANNED PRODUCT: label values straight from the barcode table
+       */
+      if (barcode) {
+        if (!isProductDatabaseImported()) {
+          return {
+            success: false,
+            message:
+              "Barcode lookups aren't set up yet (the product database hasn't been imported). Ask the user for the label's calories and macros per serving.",
+          };
+        }
+
+        const product = getProductByBarcode(barcode);
+        if (!product) {
+          return {
+            success: false,
+            message: `No product with barcode ${barcode}. Ask the user for the label's calories and macros per serving.`,
+          };
+        }
+        console.log("✅ Barcode match:", product.name);
+        return { success: true, product: toProductResult(product) };
+      }
+
+      if (!query) {
+        return {
+          success: false,
+          message: "Give either a query or a barcode.",
+        };
+      }
+
+      const matches = searchFoods(query, limit);
+
+      if (matches.length === 0) {
+        console.log("⚠️ No database match for:", query);
+        return {
+          success: true,
+          matches: [],
+          message: `"${query}" isn't in the food database. Estimate its nutrition and log it without a foodId.`,
+        };
+      }
+
+      // Nutrition for the requested amount of the best match
+      let nutrition = null;
+      if (grams !== undefined || serving || servings) {
+        nutrition = calculateFoodNutrition(matches[0], {
+          grams,
+          serving,
+          servings,
+        });
+        if (!nutrition) {
+          return {
+            success: false,
+            matches: matches.map(toFoodResult),
+            message: `"${matches[0].name}" has no serving called "${serving}". Use one of the listed serving labels or grams.`,
+          };
+        }
+      }
+
+      console.log(
+        "✅ Food matches:",
+        matches.map((food) => food.id).join(", ")
+      );
+
+      return {
+        success: true,
+        matches: matches.map(toFoodResult),
+        nutrition: nutrition && {
+          foodId: matches[0].id,
+          name: matches[0].name,
+          ...nutrition,
+        },
+      };
+    },
+  });
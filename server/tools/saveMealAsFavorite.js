@@ -0,0 +1,161 @@
+/*
+ * ============================================================================
+ * TOOL: saveMealAsFavorite
+ * ============================================================================
+ *
+ * PURPOSE:
+ * Save a meal the user already logged as a favorite ("my usual"), so it can
+ * be logged again later with the exact same foods and macros.
+ *
+ * WHEN AI USES THIS:
+ * - User says: "Save this as my usual breakfast"
+ * - User says: "Remember that lunch as 'chicken bowl'"
+ *
+ * HOW IT WORKS:
+ * 1. AI calls findRecentMeals to get the meal ID (skip if it just logged it -
+ *    logMeal returns the mealId)
+ * 2. AI calls saveMealAsFavorite({ mealId, name })
+ * 3. The meal's foods are copied to nutrition/{userId}/savedMeals
+ *    (helpers/savedMeals.js). Saving again under the same name replaces it.
+ *
+ * ============================================================================
+ */
+
+const { tool } = require("ai");
+const { z } = require("zod");
+const { mealTypeSchema } = require("../schemas/food");
+const { isDeleted } = require("../helpers/softDelete");
+const {
+  getSavedMealsRef,
+  toSavedMealData,
+  findSavedMeal,
+  toSavedMealSummary,
+} = require("../helpers/savedMeals");
+
+module.exports = (admin, db, context) =>
+  tool({
+    // Description tells the AI when and how to use this tool
+    description:
+      "Save a logged meal as a favorite ('my usual breakfast') so it can be logged again with logSavedMeal. Use the mealId returned by logMeal or from findRecentMeals. NEVER use placeholder IDs.",
+
+    // Define parameters
+    inputSchema: z.object({
+      mealId: z
+        .string()
+        .describe("The meal ID from logMeal or findRecentMeals"),
+      name: z
+        .string()
+        .min(1)
+        .describe('Name for the favorite, e.g., "Usual breakfast", "Chicken bowl"'),
+      mealType: mealTypeSchema
+        .optional()
+        .describe("Default meal type when it's logged (defaults to the meal's own type)"),
+    }),
+
+    // This function executes when AI calls the tool
+    execute: async ({ mealId, name, mealType }, { abortSignal }) => {
+      console.log("🔧 Executing saveMealAsFavorite tool");
+      console.log("   Meal ID:", mealId, "| Name:", name);
+
+      /*
+       * VALIDATION: Check if ID looks real
+       */
+      if (mealId.length < 10) {
+        console.error(
+          "❌ REJECTED: Meal ID too short, likely a placeholder:",
+          mealId
+        );
+        return {
+          success: false,
+          message:
+            "ERROR: Invalid meal ID. Use the mealId from logMeal or findRecentMeals.",
+        };
+      }
+
+      // Get the user this request is acting for (from the per-request context)
+      const { userId } = context;
+
+      // Check if Firestore is available - fail loudly if not
+      if (!db) {
+        console.error(
+          "❌ CRITICAL: Firestore not initialized - cannot save favorite"
+        );
+        return {
+          success: false,
+          message: "Database unavailable. Please try again later.",
+        };
+      }
+
+      try {
+        const mealDoc = await db
+          .collection("nutrition")
+          .doc(userId)
+          .collection("meals")
+          .doc(mealId)
+          .get();
+
+        if (!mealDoc.exists || isDeleted(mealDoc.data())) {
+          return {
+            success: false,
+            message:
+              "Meal not found. It may have been deleted or the ID is incorrect.",
+          };
+        }
+
+        const meal = mealDoc.data();
+        const savedMealData = toSavedMealData({
+          name,
+          mealType: mealType || meal.mealType,
+          foods: meal.foods || [],
+          sourceMealId: mealId,
+        });
+
+        // Same name again → replace the old favorite (keep its use count)
+        const existing = await findSavedMeal(db, userId, { name });
+        const replacing =
+          existing && existing.nameLower === savedMealData.nameLower;
+        const now = admin.firestore.FieldValue.serverTimestamp();
+
+        let savedMealId;
+        if (replacing) {
+          savedMealId = existing.id;
+          await getSavedMealsRef(db, userId)
+            .doc(savedMealId)
+            .update({ ...savedMealData, updatedAt: now });
+        } else {
+          const docRef = await getSavedMealsRef(db, userId).add({
+            ...savedMealData,
+            useCount: 0,
+            lastUsedAt: null,
+            createdAt: now,
+            updatedAt: now,
+          });
+          savedMealId = docRef.id;
+        }
+
+        console.log(
+          `⭐ ${replacing ? "Replaced" : "Saved"} favorite:`,
+          savedMealId
+        );
+
+        return {
+          success: true,
+          replaced: !!replacing,
+          message: replacing
+            ? `Replaced the saved meal "${savedMealData.name}"`
+            : `Saved as "${savedMealData.name}"`,
+          savedMeal: toSavedMealSummary({
+            id: savedMealId,
+            ...savedMealData,
+            useCount: replacing ? existing.useCount : 0,
+          }),
+        };
+      } catch (error) {
+        console.error("❌ Error in saveMealAsFavorite:", error);
+        return {
+          success: false,
+          message: `Error: ${error.message}`,
+        };
+      }
+    },
+  });
@@ -0,0 +1,111 @@
+/*
+ * ============================================================================
+ * TOOL: undoLastChange
+ * ============================================================================
+ *
+ * PURPOSE:
+ * Undo the most recent edit to a meal by restoring its previous version from
+ * the revisions subcollection (see helpers/mealRevisions.js).
+ *
+ * WHEN AI USES THIS:
+ * - User says: "Undo that"
+ * - User says: "That's wrong, put it back how it was"
+ * - User says: "Revert my breakfast"
+ *
+ * HOW IT WORKS:
+ * 1. AI calls findRecentMeals to get the meal ID
+ * 2. AI calls undoLastChange({ mealId })
+ * 3. The newest edit that hasn't been undone yet is rolled back - calling
+ *    it again undoes the edit before that (see helpers/mealRevisions.js)
+ *
+ * IMPORTANT:
+ * The meal ID MUST come from findRecentMeals - NEVER use placeholder IDs.
+ *
+ * ============================================================================
+ */
+
+const { tool } = require("ai");
+const { z } = require("zod");
+const { revertMealToRevision } = require("../helpers/mealRevisions");
+
+module.exports = (admin, db, context) =>
+  tool({
+    // Description tells the AI when and how to use this tool
+    description:
+      "Undo the last change made to a meal, restoring its previous version. Use when the user says 'undo', 'put it back' or that an edit was wrong. CRITICAL: You MUST call findRecentMeals first to get the meal ID. NEVER use placeholder IDs.",
+
+    // Define parameters
+    inputSchema: z.object({
+      // The Firestore document ID (MUST come from findRecentMeals)
+      mealId: z
+        .string()
+        .describe(
+          'The meal ID from findRecentMeals (NEVER use placeholders like "xyz789" or "abc123")'
+        ),
+    }),
+
+    // This function executes when AI calls the tool
+    execute: async ({ mealId }, { abortSignal }) => {
+      console.log("🔧 Executing undoLastChange tool");
+      console.log("   Meal ID:", mealId);
+
+      /*
+       * VALIDATION: Check if ID looks real
+       */
+      if (mealId.length < 10) {
+        console.error(
+          "❌ REJECTED: Meal ID too short, likely a placeholder:",
+          mealId
+        );
+        return {
+          success: false,
+          message:
+            "ERROR: Invalid meal ID. You must call findRecentMeals first to get the real meal ID.",
+        };
+      }
+
+      // Get the user this request is acting for (from the per-request context)
+      const { userId } = context;
+
+      // Check if Firestore is available - fail loudly if not
+      if (!db) {
+        console.error(
+          "❌ CRITICAL: Firestore not initialized - cannot undo meal change"
+        );
+        return {
+          success: false,
+          message: "Database unavailable. Please try again later.",
+        };
+      }
+
+      try {
+        // No revisionId → undo the newest update that isn't undone yet
+        const result = await revertMealToRevision(admin, db, userId, mealId);
+
+        if (!result.success) {
+          return result;
+        }
+
+        const meal = result.restoredMeal;
+        return {
+          success: true,
+          message: "Meal restored to its previous version",
+          restoredMeal: {
+            mealType: meal.mealType,
+            totalCalories: meal.totalCalories,
+            totalProtein: meal.totalProtein,
+            totalCarbs: meal.totalCarbs,
+            totalFats: meal.totalFats,
+            foods: (meal.foods || []).map((f) => f.name).join(", "),
+          },
+          diff: result.diff,
+        };
+      } catch (error) {
+        console.error("❌ Error in undoLastChange:", error);
+        return {
+          success: false,
+          message: `Error: ${error.message}`,
+        };
+      }
+    },
+  });
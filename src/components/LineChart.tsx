@@ -0,0 +1,167 @@
+/**
+ * LineChart Component
+ * Based on CalAI design system
+ *
+ * Simple line chart for values over time - one or more series sharing
+ * the same x positions (e.g., days), with min/max labels on the y axis
+ *
+ * Usage:
+ * <LineChart
+ *   x={[0, 1, 3, 4]}
+ *   series={[
+ *     { data: [182.4, 181.6, 182.9, 181.2], color: colors.neutral[300], showDots: true },
+ *     { data: [182.4, 182.3, 182.4, 182.3], color: colors.secondary, strokeWidth: 3 },
+ *   ]}
+ *   xLabels={['Nov 1', 'Nov 5']}
+ * />
+ */
+
+import React, { useState } from 'react';
+import { View, Text, StyleSheet, ViewStyle, LayoutChangeEvent } from 'react-native';
+import Svg, { Circle, Line, Polyline } from 'react-native-svg';
+import { colors, typography, spacing } from '../constants/theme';
+
+export interface LineChartSeries {
+  /** One value per x position */
+  data: number[];
+
+  /** Line color */
+  color: string;
+
+  /** Line width */
+  strokeWidth?: number;
+
+  /** Draw a dot at every value */
+  showDots?: boolean;
+}
+
+export interface LineChartProps {
+  /** X positions shared by every series (e.g., days since the first point) */
+  x: number[];
+
+  /** Lines to draw */
+  series: LineChartSeries[];
+
+  /** Chart height (without the x labels) */
+  height?: number;
+
+  /** Labels under the left and right ends of the chart */
+  xLabels?: [string, string];
+
+  /** Format the y axis min/max labels */
+  formatValue?: (value: number) => string;
+
+  /** Custom container style */
+  style?: ViewStyle;
+}
+
+// Room for the y labels on the left, and so dots aren't clipped
+const Y_LABEL_WIDTH = 44;
+const PADDING = 6;
+
+export const LineChart: React.FC<LineChartProps> = ({
+  x,
+  series,
+  height = 180,
+  xLabels,
+  formatValue = (value) => value.toFixed(1),
+  style,
+}) => {
+  const [width, setWidth] = useState(0);
+
+  const handleLayout = (event: LayoutChangeEvent) => {
+    setWidth(event.nativeEvent.layout.width);
+  };
+
+  const values = series.flatMap((s) => s.data);
+  const minValue = Math.min(...values);
+  const maxValue = Math.max(...values);
+  // Flat lines still need a range to draw in
+  const range = maxValue - minValue || 1;
+  const minX = Math.min(...x);
+  const rangeX = Math.max(...x) - minX || 1;
+
+  const plotWidth = width - Y_LABEL_WIDTH - PADDING * 2;
+  const plotHeight = height - PADDING * 2;
+
+  const toPoint = (index: number, value: number) => ({
+    px: Y_LABEL_WIDTH + PADDING + (x.length > 1 ? ((x[index] - minX) / rangeX) * plotWidth : plotWidth / 2),
+    py: PADDING + (1 - (value - minValue) / range) * plotHeight,
+  });
+
+  return (
+    <View style={style} onLayout={handleLayout}>
+      {width > 0 && values.length > 0 && (
+        <View style={{ height }}>
+          <Svg width={width} height={height}>
+            {/* Top and bottom grid lines */}
+            {[PADDING, height - PADDING].map((y) => (
+              <Line
+                key={y}
+                x1={Y_LABEL_WIDTH}
+                x2={width}
+                y1={y}
+                y2={y}
+                stroke={colors.neutral[200]}
+                strokeWidth={1}
+              />
+            ))}
+
+            {series.map((s, seriesIndex) => {
+              const points = s.data.map((value, index) => toPoint(index, value));
+              return (
+                <React.Fragment key={seriesIndex}>
+                  {points.length > 1 && (
+                    <Polyline
+                      points={points.map(({ px, py }) => `${px},${py}`).join(' ')}
+                      fill="none"
+                      stroke={s.color}
+                      strokeWidth={s.strokeWidth ?? 2}
+                      strokeLinejoin="round"
+                      strokeLinecap="round"
+                    />
+                  )}
+                  {(s.showDots || points.length === 1) &&
+                    points.map(({ px, py }, index) => (
+                      <Circle key={index} cx={px} cy={py} r={3} fill={s.color} />
+                    ))}
+                </React.Fragment>
+              );
+            })}
+          </Svg>
+
+          <Text style={[styles.yLabel, { top: 0 }]}>{formatValue(maxValue)}</Text>
+          <Text style={[styles.yLabel, { bottom: 0 }]}>{formatValue(minValue)}</Text>
+        </View>
+      )}
+
+      {xLabels && (
+        <View style={[styles.xLabels, { marginLeft: Y_LABEL_WIDTH }]}>
+          <Text style={styles.xLabel}>{xLabels[0]}</Text>
+          <Text style={styles.xLabel}>{xLabels[1]}</Text>
+        </View>
+      )}
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  yLabel: {
+    ...typography.caption,
+    position: 'absolute',
+    left: 0,
+    width: Y_LABEL_WIDTH - spacing[1],
+    color: colors.neutral[500],
+  },
+  xLabels: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    marginTop: spacing[1],
+  },
+  xLabel: {
+    ...typography.caption,
+    color: colors.neutral[500],
+  },
+});
+
+export default LineChart;
@@ -6,7 +6,8 @@
  *
  * Usage:
  * <NutritionCard
- *   image={{ uri: mealImageUrl }}
+ *   image={{ uri: mealThumbnailUrl }}
+ *   photoCount={3}
  *   title="Lemon Herb Salmon"
  *   time="9:00am"
  *   calories={520}
@@ -31,9 +32,12 @@ import { Card } from './Card';
 import { colors, typography, spacing, borderRadius, iconSizes } from '../constants/theme';
 
 export interface NutritionCardProps {
-  /** Meal/food image */
+  /** Meal/food image (use the thumbnail when there is one) */
   image?: ImageSourcePropType;
 
+  /** Number of photos of this meal - shows a "+N" badge when there's more than one */
+  photoCount?: number;
+
   /** Meal/food title */
   title: string;
 
@@ -61,6 +65,7 @@ export interface NutritionCardProps {
 
 export const NutritionCard: React.FC<NutritionCardProps> = ({
   image,
+  photoCount,
   title,
   time,
   calories,
@@ -75,7 +80,14 @@ export const NutritionCard: React.FC<NutritionCardProps> = ({
       <View style={styles.content}>
         {/* Image */}
         {image && (
-          <Image source={image} style={styles.image} resizeMode="cover" />
+          <View style={styles.imageContainer}>
+            <Image source={image} style={styles.image} resizeMode="cover" />
+            {photoCount !== undefined && photoCount > 1 && (
+              <View style={styles.photoCountBadge}>
+                <Text style={styles.photoCountText}>+{photoCount - 1}</Text>
+              </View>
+            )}
+          </View>
         )}
 
         {/* Text Content */}
@@ -146,11 +158,25 @@ const styles = StyleSheet.create({
   content: {
     flexDirection: 'row',
   },
+  imageContainer: {
+    marginRight: spacing[3],
+  },
   image: {
     width: 80,
     height: 80,
     borderRadius: borderRadius.md,
-    marginRight: spacing[3],
+  },
+  photoCountBadge: {
+    position: 'absolute',
+    right: spacing[1],
+    bottom: spacing[1],
+    paddingHorizontal: spacing[1],
+    borderRadius: borderRadius.sm,
+    backgroundColor: 'rgba(0,0,0,0.6)',
+  },
+  photoCountText: {
+    ...typography.caption,
+    color: '#fff',
   },
   textContent: {
     flex: 1,
@@ -29,6 +29,9 @@ export type { NutritionCardProps } from './NutritionCard';
 export { ActivityCard } from './ActivityCard';
 export type { ActivityCardProps } from './ActivityCard';
 
+export { LineChart } from './LineChart';
+export type { LineChartProps, LineChartSeries } from './LineChart';
+
 // Utility components
 export { Badge } from './Badge';
 export type { BadgeProps } from './Badge';
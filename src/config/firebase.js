@@ -1,7 +1,7 @@
 import { initializeApp } from 'firebase/app';
 import { initializeAuth, getReactNativePersistence } from 'firebase/auth';
 import { getFirestore } from 'firebase/firestore';
-import { getStorage } from 'firebase/storage';
+import { getStorage, connectStorageEmulator } from 'firebase/storage';
 import AsyncStorage from '@react-native-async-storage/async-storage';
 
 // Firebase configuration
@@ -30,5 +30,14 @@ export const db = getFirestore(app);
 // Initialize Storage
 export const storage = getStorage(app);
 
+// Use the local Storage emulator when EXPO_PUBLIC_STORAGE_EMULATOR_HOST is set (e.g., "127.0.0.1:9199")
+// Lets meal photo uploads/deletes be tested without touching the real bucket
+const storageEmulatorHost = process.env.EXPO_PUBLIC_STORAGE_EMULATOR_HOST;
+if (storageEmulatorHost) {
+  const [host, port] = storageEmulatorHost.split(':');
+  connectStorageEmulator(storage, host, Number(port) || 9199);
+  console.log('🧪 Using Storage emulator at', storageEmulatorHost);
+}
+
 console.log('✅ Firebase initialized successfully');
 console.log('📦 Project:', firebaseConfig.projectId);
@@ -7,6 +7,12 @@ import {
 } from 'firebase/auth';
 import { doc, setDoc, getDoc } from 'firebase/firestore';
 import { auth, db } from '../config/firebase';
+import { getDeviceTimeZone } from '../utils';
+import {
+  TARGET_INPUT_FIELDS,
+  canCalculateTargets,
+  recalculateNutritionTargets,
+} from '../services/profileService';
 
 const AuthContext = createContext({});
 
@@ -36,7 +42,19 @@ export const AuthProvider = ({ children }) => {
           console.log('📄 Fetching user profile from Firestore...');
           const userDoc = await getDoc(doc(db, 'users', firebaseUser.uid));
           if (userDoc.exists()) {
-            setUserProfile(userDoc.data());
+            const profile = userDoc.data();
+
+            // Keep the profile's timezone in step with the device, so the
+            // server works out "today" in the user's local time
+            const timezone = getDeviceTimeZone();
+            if (profile.timezone !== timezone) {
+              setDoc(doc(db, 'users', firebaseUser.uid), { timezone }, { merge: true })
+                .then(() => console.log('🌍 Profile timezone updated:', timezone))
+                .catch((error) => console.warn('⚠️ Could not save timezone:', error.message));
+              profile.timezone = timezone;
+            }
+
+            setUserProfile(profile);
             console.log('✅ User profile loaded');
           } else {
             console.log('⚠️ No user profile found in Firestore');
@@ -69,6 +87,7 @@ export const AuthProvider = ({ children }) => {
         email,
         createdAt: new Date().toISOString(),
         onboardingComplete: false,
+        timezone: getDeviceTimeZone(),
         ...additionalData
       };
 
@@ -76,6 +95,11 @@ export const AuthProvider = ({ children }) => {
       console.log('   ✅ User profile saved to Firestore');
       setUserProfile(userProfile);
 
+      // Onboarding collected body stats → calculate their targets now
+      if (canCalculateTargets(userProfile)) {
+        await refreshTargets(userCredential.user);
+      }
+
       console.log('✅ SIGNUP COMPLETE - UID:', userCredential.user.uid, '\n');
       return { success: true, user: userCredential.user };
     } catch (error) {
@@ -121,6 +145,32 @@ export const AuthProvider = ({ children }) => {
     }
   };
 
+  // Recalculate targets on the server and merge them into the local profile.
+  // A failure here doesn't undo the profile save - targets just stay as they were.
+  const refreshTargets = async (firebaseUser) => {
+    try {
+      const targets = await recalculateNutritionTargets(firebaseUser);
+      setUserProfile(prev => ({ ...prev, ...targets }));
+    } catch (error) {
+      console.warn('⚠️ Could not update nutrition targets:', error.message);
+    }
+  };
+
+  // Re-read the profile after the server changed it (e.g., a weigh-in
+  // updates the weight and targets - see server/helpers/weighIns.js)
+  const refreshUserProfile = async () => {
+    if (!user) return;
+
+    try {
+      const userDoc = await getDoc(doc(db, 'users', user.uid));
+      if (userDoc.exists()) {
+        setUserProfile(userDoc.data());
+      }
+    } catch (error) {
+      console.warn('⚠️ Could not refresh profile:', error.message);
+    }
+  };
+
   const updateUserProfile = async (updates) => {
     if (!user) {
       return { success: false, error: 'No user logged in' };
@@ -128,7 +178,15 @@ export const AuthProvider = ({ children }) => {
 
     try {
       await setDoc(doc(db, 'users', user.uid), updates, { merge: true });
-      setUserProfile(prev => ({ ...prev, ...updates }));
+      const updatedProfile = { ...userProfile, ...updates };
+      setUserProfile(updatedProfile);
+
+      // Stats or goal changed → targets need recalculating
+      const statsChanged = TARGET_INPUT_FIELDS.some((field) => field in updates);
+      if (statsChanged && canCalculateTargets(updatedProfile)) {
+        await refreshTargets(user);
+      }
+
       return { success: true };
     } catch (error) {
       console.error('Update profile error:', error);
@@ -143,7 +201,8 @@ export const AuthProvider = ({ children }) => {
     signUp,
     signIn,
     signOut,
-    updateUserProfile
+    updateUserProfile,
+    refreshUserProfile
   };
 
   return (
@@ -0,0 +1,133 @@
+import React, { useState, useEffect } from 'react';
+import { View, Text, StyleSheet, TouchableOpacity, Modal } from 'react-native';
+import { CameraView, useCameraPermissions, BarcodeScanningResult } from 'expo-camera';
+import { colors, spacing, typography, borderRadius } from '../../constants/theme';
+
+// Barcode formats printed on food packaging
+const FOOD_BARCODE_TYPES = ['ean13', 'ean8', 'upc_a', 'upc_e'] as const;
+
+interface BarcodeScannerModalProps {
+  visible: boolean;
+  onClose: () => void;
+  onScanned: (barcode: string) => void;
+}
+
+/**
+ * Full-screen camera that reports the first food barcode it sees.
+ * Used by ChatScreen's "Scan" attachment option.
+ */
+export default function BarcodeScannerModal({ visible, onClose, onScanned }: BarcodeScannerModalProps) {
+  const [permission, requestPermission] = useCameraPermissions();
+  const [hasScanned, setHasScanned] = useState(false);
+
+  // Ready for a new scan every time the modal opens
+  useEffect(() => {
+    if (visible) {
+      setHasScanned(false);
+    }
+  }, [visible]);
+
+  // The camera fires this many times a second - only report the first hit
+  const handleBarcodeScanned = ({ data }: BarcodeScanningResult) => {
+    if (hasScanned) return;
+    setHasScanned(true);
+    console.log('📦 Barcode scanned:', data);
+    onScanned(data);
+  };
+
+  return (
+    <Modal visible={visible} animationType="slide" onRequestClose={onClose}>
+      <View style={styles.container}>
+        {!permission?.granted ? (
+          <View style={styles.permissionContainer}>
+            <Text style={styles.permissionText}>
+              Ava needs camera access to scan barcodes on food packaging.
+            </Text>
+            <TouchableOpacity style={styles.permissionButton} onPress={requestPermission}>
+              <Text style={styles.permissionButtonText}>Allow camera</Text>
+            </TouchableOpacity>
+          </View>
+        ) : (
+          <CameraView
+            style={StyleSheet.absoluteFill}
+            facing="back"
+            barcodeScannerSettings={{ barcodeTypes: [...FOOD_BARCODE_TYPES] }}
+            onBarcodeScanned={hasScanned ? undefined : handleBarcodeScanned}
+          />
+        )}
+
+        {permission?.granted && (
+          <View style={styles.overlay} pointerEvents="none">
+            <View style={styles.scanFrame} />
+            <Text style={styles.hintText}>Point the camera at the barcode</Text>
+          </View>
+        )}
+
+        <TouchableOpacity style={styles.closeButton} onPress={onClose}>
+          <Text style={styles.closeButtonText}>Cancel</Text>
+        </TouchableOpacity>
+      </View>
+    </Modal>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: '#000',
+  },
+  permissionContainer: {
+    flex: 1,
+    justifyContent: 'center',
+    alignItems: 'center',
+    paddingHorizontal: spacing[8],
+  },
+  permissionText: {
+    ...typography.body,
+    color: '#fff',
+    textAlign: 'center',
+    marginBottom: spacing[6],
+  },
+  permissionButton: {
+    backgroundColor: colors.secondary,
+    paddingVertical: spacing[3],
+    paddingHorizontal: spacing[6],
+    borderRadius: borderRadius.md,
+  },
+  permissionButtonText: {
+    ...typography.body,
+    color: '#fff',
+    fontWeight: '600',
+  },
+  overlay: {
+    ...StyleSheet.absoluteFillObject,
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  scanFrame: {
+    width: 260,
+    height: 160,
+    borderWidth: 2,
+    borderColor: '#fff',
+    borderRadius: borderRadius.md,
+  },
+  hintText: {
+    ...typography.bodySmall,
+    color: '#fff',
+    marginTop: spacing[4],
+  },
+  closeButton: {
+    position: 'absolute',
+    bottom: spacing[12],
+    alignSelf: 'center',
+    paddingVertical: spacing[3],
+    paddingHorizontal: spacing[8],
+    borderRadius: borderRadius.full,
+    backgroundColor: 'rgba(0,0,0,0.6)',
+  },
+  closeButtonText: {
+    ...typography.body,
+    color: '#fff',
+    fontWeight: '600',
+  },
+});
@@ -1,22 +1,68 @@
 import React, { useState, useCallback, useEffect, useRef, useMemo } from 'react';
-import { View, Text, StyleSheet, TouchableOpacity, Platform, TextInput, ScrollView, KeyboardAvoidingView, Animated, Dimensions, Modal, Alert, ActivityIndicator } from 'react-native';
+import { View, Text, StyleSheet, TouchableOpacity, Platform, TextInput, ScrollView, KeyboardAvoidingView, Animated, Dimensions, Modal, Alert, ActivityIndicator, Image } from 'react-native';
 import { SafeAreaView } from 'react-native-safe-area-context';
 import { useAudioRecorder, AudioModule, RecordingPresets, setAudioModeAsync } from 'expo-audio';
 import * as ImagePicker from 'expo-image-picker';
+import { fetch as expoFetch } from 'expo/fetch';
 import { colors, spacing, typography, borderRadius, shadows } from '../../constants/theme';
-import { generateAPIUrl } from '../../utils';
+import { generateAPIUrl, parseSSEEvents, getDeviceTimeZone } from '../../utils';
 import { useAuth } from '../../contexts/AuthContext';
-import { saveMessage, loadChatHistory } from '../../services/chatService';
+import { saveMessage, loadChatHistory, uploadChatImage } from '../../services/chatService';
+import { lookupBarcode } from '../../services/foodService';
+import BarcodeScannerModal from './BarcodeScannerModal';
 import { Avatar, IconButton } from '../../components';
 
 const { width } = Dimensions.get('window');
 
+// What to show under the typing indicator while Ava runs each tool
+const TOOL_PROGRESS_LABELS: Record<string, string> = {
+  lookupFood: 'Looking up nutrition info…',
+  logMeal: 'Logging your meal…',
+  findRecentMeals: 'Looking up your recent meals…',
+  analyzeAndUpdateMeal: 'Updating your meal…',
+  undoLastChange: 'Undoing that change…',
+  deleteMeal: 'Finding that meal…',
+  saveMealAsFavorite: 'Saving your favorite…',
+  listSavedMeals: 'Checking your saved meals…',
+  logSavedMeal: 'Logging your usual…',
+  createRecipe: 'Saving your recipe…',
+  logRecipe: 'Logging your recipe…',
+  getDailySummary: 'Adding up your day…',
+  getEnergyBalance: 'Checking your calorie balance…',
+  logWater: 'Logging your water…',
+  logWeight: 'Logging your weight…',
+  logMeasurement: 'Logging your measurements…',
+  getProgressPhotoStatus: 'Checking your progress photos…',
+  logActivity: 'Logging your activity…',
+  findRecentActivities: 'Checking your recent workouts…',
+  updateActivity: 'Updating your workout…',
+  deleteActivity: 'Finding that activity…',
+};
+
 // Message interface for our custom chat
 interface ChatMessage {
   id: string;
   role: 'user' | 'assistant';
   content: string;
   timestamp: Date;
+  imageUrl?: string; // Photo sent with the message (Firebase Storage download URL)
+}
+
+// Label values returned by foodService.lookupBarcode
+interface LabelNutrition {
+  calories: number;
+  protein: number;
+  carbs: number;
+  fats: number;
+  fiber: number;
+}
+
+interface ScannedProduct {
+  barcode: string;
+  name: string;
+  servingSize: string | null;
+  per100g: LabelNutrition;
+  perServing: LabelNutrition | null;
 }
 
 export default function ChatScreen() {
@@ -26,7 +72,8 @@ export default function ChatScreen() {
   const [isTyping, setIsTyping] = useState(false);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState<Error | null>(null);
-  const [pendingAction, setPendingAction] = useState<any>(null); // Store pending meal updates
+  const [pendingActionId, setPendingActionId] = useState<string | null>(null); // Opaque ID of an action waiting for confirmation (stored on the server)
+  const [toolProgress, setToolProgress] = useState<string | null>(null); // e.g. "Logging your meal…"
   const scrollViewRef = useRef<ScrollView>(null);
 
   // Voice recording state
@@ -38,6 +85,8 @@ export default function ChatScreen() {
 
   // Attachment modal state
   const [showAttachmentModal, setShowAttachmentModal] = useState(false);
+  const [showBarcodeScanner, setShowBarcodeScanner] = useState(false);
+  const [isUploadingImage, setIsUploadingImage] = useState(false);
 
   // Log the API URL being used (memoized to prevent re-renders)
   const apiUrl = useMemo(() => {
@@ -129,7 +178,9 @@ export default function ChatScreen() {
       .filter(msg => msg.id !== 'welcome') // Exclude welcome message from API calls
       .map(msg => ({
         role: msg.role,
-        content: msg.content
+        content: msg.content,
+        // The server turns these into image parts so Ava can see the photo
+        ...(msg.imageUrl && { imageUrls: [msg.imageUrl] }),
       }));
   }, []);
 
@@ -144,53 +195,113 @@ export default function ChatScreen() {
       
       const apiMessages = convertMessagesToAPIFormat([...messages, userMessage]);
       console.log('📋 API Messages:', apiMessages);
-      
-      const response = await fetch(apiUrl, {
+
+      // Server derives the user from this Firebase ID token (not from the body)
+      if (!user) {
+        throw new Error('You need to be signed in to chat with Ava');
+      }
+      const idToken = await user.getIdToken();
+
+      // Ask for a streaming (SSE) response so text shows up as it's generated.
+      // expo/fetch is used because React Native's fetch can't read a body stream.
+      const response = await expoFetch(apiUrl, {
         method: 'POST',
         headers: {
           'Content-Type': 'application/json',
-          'Accept': 'application/json',
+          'Accept': 'text/event-stream',
+          'Authorization': `Bearer ${idToken}`,
         },
         body: JSON.stringify({
           messages: apiMessages,
-          userId: user?.uid || 'anonymous', // Send userId for function calling
           recentMealsContext: [], // Will be populated later when we fetch from Firestore
-          pendingAction: pendingAction, // Send pending action from previous turn
+          pendingActionId: pendingActionId, // Send pending action ID from previous turn
+          timezone: getDeviceTimeZone(), // So "today" and meal times match the user's clock
+          stream: true,
         }),
       });
 
       console.log('📡 Response status:', response.status);
       console.log('📡 Response ok:', response.ok);
 
-      if (!response.ok) {
+      if (!response.ok || !response.body) {
         throw new Error(`HTTP error! status: ${response.status}`);
       }
 
-      const data = await response.json();
+      // Ava's message is added on the first text delta and grows as more arrive
+      const avaMessageId = `ava_${Date.now()}`;
+      let streamedText = '';
+      let data: any = null;
+
+      const upsertAvaMessage = (content: string) => {
+        setMessages(prevMessages => {
+          const exists = prevMessages.some(msg => msg.id === avaMessageId);
+          if (exists) {
+            return prevMessages.map(msg =>
+              msg.id === avaMessageId ? { ...msg, content } : msg
+            );
+          }
+          return [
+            ...prevMessages,
+            { id: avaMessageId, role: 'assistant', content, timestamp: new Date() },
+          ];
+        });
+      };
+
+      const reader = response.body.getReader();
+      const decoder = new TextDecoder();
+      let buffer = '';
+
+      while (true) {
+        const { done, value } = await reader.read();
+        if (done) break;
+
+        buffer += decoder.decode(value, { stream: true });
+        const parsed = parseSSEEvents(buffer);
+        buffer = parsed.rest;
+
+        for (const { event, data: payload } of parsed.events) {
+          if (event === 'text-delta') {
+            streamedText += payload.text;
+            setIsTyping(false);
+            upsertAvaMessage(streamedText);
+          } else if (event === 'tool-start') {
+            setToolProgress(TOOL_PROGRESS_LABELS[payload.toolName] || 'Working on it…');
+            setIsTyping(true); // Show the progress under any text streamed so far
+          } else if (event === 'tool-finish') {
+            setToolProgress(null);
+          } else if (event === 'done') {
+            data = payload;
+          } else if (event === 'error') {
+            throw new Error(payload.details || payload.error || 'Stream error');
+          }
+        }
+      }
+
+      if (!data) {
+        throw new Error('Stream ended without a final response');
+      }
       console.log('📥 Received response data:', data);
 
-      // Store pending action for next turn
-      if (data.pendingAction) {
-        setPendingAction(data.pendingAction);
-        console.log('🔄 Stored pendingAction for next turn:', data.pendingAction.type);
+      // Store pending action ID for next turn
+      if (data.pendingActionId) {
+        setPendingActionId(data.pendingActionId);
+        console.log('🔄 Stored pendingActionId for next turn:', data.pendingActionId);
       } else {
-        setPendingAction(null);
+        setPendingActionId(null);
       }
 
       if (!data.message) {
         throw new Error('No message in response');
       }
 
-      // Create Ava's response message
+      // The final message can differ from the streamed text (e.g. server fallbacks)
       const avaMessage: ChatMessage = {
-        id: `ava_${Date.now()}`,
+        id: avaMessageId,
         role: 'assistant',
         content: data.message,
         timestamp: new Date(),
       };
-
-      // Add Ava's response to messages
-      setMessages(prevMessages => [...prevMessages, avaMessage]);
+      upsertAvaMessage(avaMessage.content);
 
       // Save Ava's response to Firestore
       if (user) {
@@ -219,23 +330,24 @@ export default function ChatScreen() {
       setMessages(prevMessages => [...prevMessages, errorMessage]);
     } finally {
       setIsTyping(false);
+      setToolProgress(null);
     }
-  }, [apiUrl, convertMessagesToAPIFormat, messages, pendingAction, user]);
+  }, [apiUrl, convertMessagesToAPIFormat, messages, pendingActionId, user]);
 
-  // Handle sending messages
-  const handleSend = useCallback(async () => {
-    if (!input.trim() || isTyping || !user) return;
+  // Show a user message, save it and send it to Ava
+  const sendUserMessage = useCallback(async (content: string, imageUrl?: string) => {
+    if ((!content.trim() && !imageUrl) || isTyping || !user) return;
 
     const userMessage: ChatMessage = {
       id: `user_${Date.now()}`,
       role: 'user',
-      content: input.trim(),
+      content: content.trim(),
       timestamp: new Date(),
+      ...(imageUrl && { imageUrl }),
     };
 
     // Add user message immediately to UI
     setMessages(prevMessages => [...prevMessages, userMessage]);
-    setInput('');
 
     // Save user message to Firestore
     try {
@@ -247,7 +359,15 @@ export default function ChatScreen() {
 
     // Send to API
     sendToAPI(userMessage);
-  }, [input, isTyping, user, sendToAPI]);
+  }, [isTyping, user, sendToAPI]);
+
+  // Handle sending messages
+  const handleSend = useCallback(async () => {
+    if (!input.trim()) return;
+    const content = input;
+    setInput('');
+    await sendUserMessage(content);
+  }, [input, sendUserMessage]);
 
   // Test API connection
   const testAPIConnection = useCallback(async () => {
@@ -366,8 +486,16 @@ export default function ChatScreen() {
       const transcriptionUrl = generateAPIUrl('/api/transcribe');
       console.log('📡 Sending to transcription API:', transcriptionUrl);
 
+      if (!user) {
+        throw new Error('You need to be signed in to send voice messages');
+      }
+      const idToken = await user.getIdToken();
+
       const transcriptionResponse = await fetch(transcriptionUrl, {
         method: 'POST',
+        headers: {
+          'Authorization': `Bearer ${idToken}`,
+        },
         body: formData,
       });
 
@@ -412,6 +540,26 @@ export default function ChatScreen() {
     return status === 'granted';
   };
 
+  // Upload the photo, then send it to Ava (with whatever is typed as the caption)
+  const sendPhoto = async (uri: string) => {
+    if (!user || isTyping) return;
+
+    const caption = input.trim();
+    setInput('');
+    setIsUploadingImage(true);
+
+    try {
+      const imageUrl = await uploadChatImage(user.uid, uri);
+      await sendUserMessage(caption || "📸 Here's what I'm eating", imageUrl);
+    } catch (error) {
+      console.error('Error sending photo:', error);
+      setInput(caption);
+      Alert.alert('Error', 'Could not upload your photo. Please try again.');
+    } finally {
+      setIsUploadingImage(false);
+    }
+  };
+
   const pickImage = async () => {
     try {
       const hasPermission = await requestCameraPermission();
@@ -424,19 +572,12 @@ export default function ChatScreen() {
         mediaTypes: ImagePicker.MediaTypeOptions.Images,
         allowsEditing: true,
         aspect: [4, 3],
-        quality: 1,
+        quality: 0.7, // Smaller upload - still plenty of detail for Ava to judge portions
       });
 
       if (!result.canceled && result.assets[0]) {
-        const imageMessage: ChatMessage = {
-          id: `image_${Date.now()}`,
-          role: 'user',
-          content: `📸 Image attached - Image processing not yet implemented`,
-          timestamp: new Date(),
-        };
-
-        setMessages(prevMessages => [...prevMessages, imageMessage]);
         setShowAttachmentModal(false);
+        await sendPhoto(result.assets[0].uri);
       }
     } catch (error) {
       console.error('Error picking image:', error);
@@ -455,19 +596,12 @@ export default function ChatScreen() {
       const result = await ImagePicker.launchCameraAsync({
         allowsEditing: true,
         aspect: [4, 3],
-        quality: 1,
+        quality: 0.7, // Smaller upload - still plenty of detail for Ava to judge portions
       });
 
       if (!result.canceled && result.assets[0]) {
-        const photoMessage: ChatMessage = {
-          id: `photo_${Date.now()}`,
-          role: 'user',
-          content: `📸 Photo taken - Image processing not yet implemented`,
-          timestamp: new Date(),
-        };
-
-        setMessages(prevMessages => [...prevMessages, photoMessage]);
         setShowAttachmentModal(false);
+        await sendPhoto(result.assets[0].uri);
       }
     } catch (error) {
       console.error('Error taking photo:', error);
@@ -475,6 +609,41 @@ export default function ChatScreen() {
     }
   };
 
+  // Barcode scan → look up the product → send its label values to Ava,
+  // who confirms the number of servings and logs it
+  const handleBarcodeScanned = async (barcode: string) => {
+    setShowBarcodeScanner(false);
+    if (!user) return;
+
+    try {
+      const product = (await lookupBarcode(user, barcode)) as ScannedProduct | null;
+
+      if (!product) {
+        Alert.alert(
+          'Product not found',
+          "We don't have this barcode yet. Tell Ava what it is and the calories per serving from the label."
+        );
+        return;
+      }
+
+      const label = product.perServing
+        ? `Per serving (${product.servingSize || 'label serving'}): ${product.perServing.calories} cal, ${product.perServing.protein}g protein, ${product.perServing.carbs}g carbs, ${product.perServing.fats}g fat, ${product.perServing.fiber}g fiber`
+        : `Per 100g: ${product.per100g.calories} cal, ${product.per100g.protein}g protein, ${product.per100g.carbs}g carbs, ${product.per100g.fats}g fat, ${product.per100g.fiber}g fiber`;
+
+      await sendUserMessage(`📦 I scanned ${product.name} (barcode ${product.barcode}). ${label}`);
+    } catch (error: any) {
+      console.error('Error looking up barcode:', error);
+      if (error?.code === 'PRODUCT_DATABASE_EMPTY') {
+        Alert.alert(
+          'Barcode lookup not set up',
+          "The product database hasn't been imported on the server yet. Tell Ava what it is and the calories per serving from the label."
+        );
+        return;
+      }
+      Alert.alert('Error', 'Could not look up that barcode. Please try again.');
+    }
+  };
+
   // Render individual message with modern styling
   const renderMessage = (message: ChatMessage, index: number) => {
     const isUser = message.role === 'user';
@@ -503,6 +672,11 @@ export default function ChatScreen() {
           // Add tail for speech bubble effect
           isUser ? styles.userBubbleTail : styles.assistantBubbleTail
         ]}>
+          {/* Photo */}
+          {message.imageUrl && (
+            <Image source={{ uri: message.imageUrl }} style={styles.messageImage} />
+          )}
+
           {/* Message Content */}
           <Text 
             style={[
@@ -605,7 +779,7 @@ export default function ChatScreen() {
           {messages.map(renderMessage)}
           
           {/* Typing Indicator */}
-          {isTyping && (
+          {(isTyping || isUploadingImage) && (
             <Animated.View style={[styles.messageRow, styles.assistantMessageRow]}>
               <Avatar
                 initials="AI"
@@ -618,7 +792,9 @@ export default function ChatScreen() {
                   <View style={[styles.typingDot, { animationDelay: 0.2 }]} />
                   <View style={[styles.typingDot, { animationDelay: 0.4 }]} />
                 </View>
-                <Text style={styles.typingText}>Ava is thinking...</Text>
+                <Text style={styles.typingText}>
+                  {isUploadingImage ? 'Uploading your photo…' : toolProgress || 'Ava is thinking...'}
+                </Text>
               </View>
             </Animated.View>
           )}
@@ -741,6 +917,19 @@ export default function ChatScreen() {
                   </View>
                   <Text style={styles.attachmentLabel}>Photo</Text>
                 </TouchableOpacity>
+
+                <TouchableOpacity
+                  style={styles.attachmentOption}
+                  onPress={() => {
+                    setShowAttachmentModal(false);
+                    setShowBarcodeScanner(true);
+                  }}
+                >
+                  <View style={[styles.attachmentIconContainer, { backgroundColor: '#9C27B0' }]}>
+                    <Text style={styles.attachmentIcon}>📦</Text>
+                  </View>
+                  <Text style={styles.attachmentLabel}>Scan</Text>
+                </TouchableOpacity>
                 
                 <TouchableOpacity 
                   style={styles.attachmentOption} 
@@ -758,6 +947,13 @@ export default function ChatScreen() {
             </View>
           </View>
         </Modal>
+
+        {/* Barcode Scanner */}
+        <BarcodeScannerModal
+          visible={showBarcodeScanner}
+          onClose={() => setShowBarcodeScanner(false)}
+          onScanned={handleBarcodeScanned}
+        />
       </KeyboardAvoidingView>
     </View>
   );
@@ -877,6 +1073,12 @@ const styles = StyleSheet.create({
   },
   
   // Message Text Styles
+  messageImage: {
+    width: width * 0.6,
+    height: width * 0.45,
+    borderRadius: 12,
+    marginBottom: spacing[2],
+  },
   messageText: {
     ...typography.body,
     lineHeight: 22,
@@ -1,25 +1,439 @@
-import React from 'react';
-import { View, Text, StyleSheet } from 'react-native';
-import { colors, spacing, typography } from '../../constants/theme';
+import React, { useState, useCallback } from 'react';
+import { View, Text, StyleSheet, TouchableOpacity, FlatList, ScrollView, RefreshControl, ActivityIndicator, Alert } from 'react-native';
+import { SafeAreaView } from 'react-native-safe-area-context';
+import { useFocusEffect } from '@react-navigation/native';
+import * as ImagePicker from 'expo-image-picker';
+import { colors, spacing, typography, borderRadius } from '../../constants/theme';
+import { useAuth } from '../../contexts/AuthContext';
+import { getDailySummary } from '../../services/nutritionService';
+import { uploadMealPhoto } from '../../services/mealPhotoService';
+import { getSavedMeals, logSavedMeal } from '../../services/savedMealService';
+import { getHydration, logWater } from '../../services/hydrationService';
+import { Card, NutritionCard, ProgressBar, EmptyState } from '../../components';
+
+// Meal shape returned by nutritionService.getMeals (deleted meals are already filtered out)
+interface FeedMeal {
+  id: string;
+  mealType: string;
+  timestamp: Date;
+  foods: { name: string }[];
+  totalCalories: number;
+  totalProtein: number;
+  totalCarbs: number;
+  totalFats: number;
+  photoUrl?: string | null;
+  photoUrls: string[];
+  thumbnailUrl?: string | null;
+}
+
+// Favorite from savedMealService.getSavedMeals ("my usual breakfast")
+interface SavedMeal {
+  id: string;
+  name: string;
+  mealType: string | null;
+  totalCalories: number;
+}
+
+interface FeedSummary {
+  totalCalories: number;
+  totalProtein: number;
+  totalCarbs: number;
+  totalFats: number;
+  calorieTarget: number;
+  progress: number;
+  meals: FeedMeal[];
+}
+
+// Water vs. target from hydrationService.getHydration (target includes the day's activity)
+interface Hydration {
+  totalMl: number;
+  targetMl: number;
+  progress: number;
+  summary: string;
+}
+
+// Quick-add buttons on the water counter
+const WATER_QUICK_ADDS = [
+  { label: '+250 ml', amount: 250, unit: 'ml' },
+  { label: '+8 oz', amount: 8, unit: 'oz' },
+];
+
+const MEAL_TYPE_LABELS: Record<string, string> = {
+  breakfast: 'Breakfast',
+  lunch: 'Lunch',
+  dinner: 'Dinner',
+  snack: 'Snack',
+};
+
+// "Today", "Yesterday", or "Mon, Nov 3"
+const formatDayLabel = (date: Date) => {
+  const today = new Date();
+  const yesterday = new Date();
+  yesterday.setDate(today.getDate() - 1);
+
+  if (date.toDateString() === today.toDateString()) return 'Today';
+  if (date.toDateString() === yesterday.toDateString()) return 'Yesterday';
+  return date.toLocaleDateString('en-US', { weekday: 'short', month: 'short', day: 'numeric' });
+};
+
+const round = (value: number) => Math.round(value * 10) / 10;
 
 export default function FoodFeedScreen() {
+  const { user, userProfile } = useAuth() as {
+    user: { uid: string; getIdToken: () => Promise<string> } | null;
+    userProfile: { calorieTarget?: number; timezone?: string } | null;
+  };
+  const [selectedDate, setSelectedDate] = useState(new Date());
+  const [summary, setSummary] = useState<FeedSummary | null>(null);
+  const [isLoading, setIsLoading] = useState(true);
+  const [isRefreshing, setIsRefreshing] = useState(false);
+  const [uploadingMealId, setUploadingMealId] = useState<string | null>(null);
+  const [savedMeals, setSavedMeals] = useState<SavedMeal[]>([]);
+  const [loggingSavedMealId, setLoggingSavedMealId] = useState<string | null>(null);
+  const [hydration, setHydration] = useState<Hydration | null>(null);
+  const [isLoggingWater, setIsLoggingWater] = useState(false);
+
+  const isToday = selectedDate.toDateString() === new Date().toDateString();
+
+  const loadSummary = useCallback(async () => {
+    if (!user) return;
+    try {
+      // Days are measured in the profile's timezone, like Ava's totals
+      const timezone = userProfile?.timezone;
+      const [result, favorites, water] = await Promise.all([
+        getDailySummary(user.uid, selectedDate, userProfile?.calorieTarget || 2400, timezone),
+        getSavedMeals(user.uid),
+        // The water counter is optional - don't lose the meals if it fails
+        getHydration(user, selectedDate, timezone).catch(() => null),
+      ]);
+      setSummary(result as FeedSummary);
+      setSavedMeals(favorites as SavedMeal[]);
+      setHydration(water as Hydration | null);
+    } catch (error) {
+      console.error('❌ Error loading food feed:', error);
+    } finally {
+      setIsLoading(false);
+      setIsRefreshing(false);
+    }
+  }, [user, userProfile, selectedDate]);
+
+  // Reload whenever the tab comes into focus (e.g., after logging a meal in chat)
+  useFocusEffect(
+    useCallback(() => {
+      loadSummary();
+    }, [loadSummary])
+  );
+
+  const changeDay = (days: number) => {
+    const next = new Date(selectedDate);
+    next.setDate(next.getDate() + days);
+    setIsLoading(true);
+    setSelectedDate(next);
+  };
+
+  const handleRefresh = () => {
+    setIsRefreshing(true);
+    loadSummary();
+  };
+
+  // One tap logs a favorite as saved; long press picks a portion size
+  const handleLogSavedMeal = async (savedMeal: SavedMeal, scale = 1) => {
+    if (!user || loggingSavedMealId) return;
+
+    setLoggingSavedMealId(savedMeal.id);
+    try {
+      await logSavedMeal(user, savedMeal, scale);
+      await loadSummary();
+    } catch (error) {
+      Alert.alert('Error', `Could not log ${savedMeal.name}. Please try again.`);
+    } finally {
+      setLoggingSavedMealId(null);
+    }
+  };
+
+  const handleLogWater = async (amount: number, unit: string) => {
+    if (!user || isLoggingWater) return;
+
+    setIsLoggingWater(true);
+    try {
+      setHydration((await logWater(user, amount, unit)) as Hydration);
+    } catch (error) {
+      Alert.alert('Error', 'Could not log water. Please try again.');
+    } finally {
+      setIsLoggingWater(false);
+    }
+  };
+
+  const handleSavedMealLongPress = (savedMeal: SavedMeal) => {
+    Alert.alert(savedMeal.name, 'How much did you have?', [
+      { text: 'Half portion', onPress: () => handleLogSavedMeal(savedMeal, 0.5) },
+      { text: '1.5× portion', onPress: () => handleLogSavedMeal(savedMeal, 1.5) },
+      { text: 'Double portion', onPress: () => handleLogSavedMeal(savedMeal, 2) },
+      { text: 'Cancel', style: 'cancel' },
+    ]);
+  };
+
+  // Pick or take a photo and attach it to the meal (uploads a thumbnail too)
+  const addPhoto = async (meal: FeedMeal, source: 'camera' | 'library') => {
+    if (!user) return;
+
+    const permission = source === 'camera'
+      ? await ImagePicker.requestCameraPermissionsAsync()
+      : await ImagePicker.requestMediaLibraryPermissionsAsync();
+    if (permission.status !== 'granted') {
+      Alert.alert('Permission required', `Please allow ${source === 'camera' ? 'camera' : 'photo library'} access to add a photo`);
+      return;
+    }
+
+    const options: ImagePicker.ImagePickerOptions = { mediaTypes: ['images'], allowsEditing: true, aspect: [4, 3], quality: 1 };
+    const result = source === 'camera'
+      ? await ImagePicker.launchCameraAsync(options)
+      : await ImagePicker.launchImageLibraryAsync(options);
+    if (result.canceled || !result.assets[0]) return;
+
+    setUploadingMealId(meal.id);
+    try {
+      await uploadMealPhoto(user.uid, meal.id, result.assets[0].uri, meal);
+      await loadSummary();
+    } catch (error) {
+      Alert.alert('Error', 'Could not upload the photo. Please try again.');
+    } finally {
+      setUploadingMealId(null);
+    }
+  };
+
+  const handleMealPress = (meal: FeedMeal) => {
+    Alert.alert('Add a photo', 'Photos help Ava check portions.', [
+      { text: 'Take photo', onPress: () => addPhoto(meal, 'camera') },
+      { text: 'Choose from library', onPress: () => addPhoto(meal, 'library') },
+      { text: 'Cancel', style: 'cancel' },
+    ]);
+  };
+
+  const renderMeal = ({ item }: { item: FeedMeal }) => {
+    // Thumbnail when there is one (uploaded here), otherwise the full photo (sent in chat)
+    const imageUrl = item.thumbnailUrl || item.photoUrl;
+
+    return (
+      <NutritionCard
+        image={imageUrl ? { uri: imageUrl } : undefined}
+        photoCount={item.photoUrls.length}
+        onPress={uploadingMealId ? undefined : () => handleMealPress(item)}
+        title={`${MEAL_TYPE_LABELS[item.mealType] || item.mealType} · ${item.foods.map((f) => f.name).join(', ')}`}
+        time={
+          uploadingMealId === item.id
+            ? 'Uploading photo…'
+            : item.timestamp.toLocaleTimeString('en-US', { hour: 'numeric', minute: '2-digit' })
+        }
+        calories={Math.round(item.totalCalories)}
+        protein={round(item.totalProtein)}
+        carbs={round(item.totalCarbs)}
+        fats={round(item.totalFats)}
+      />
+    );
+  };
+
   return (
-    <View style={styles.container}>
-      <Text style={styles.text}>Food Feed Screen</Text>
-    </View>
+    <SafeAreaView style={styles.container} edges={['top']}>
+      {/* Day picker */}
+      <View style={styles.header}>
+        <TouchableOpacity onPress={() => changeDay(-1)} style={styles.dayButton}>
+          <Text style={styles.dayButtonText}>‹</Text>
+        </TouchableOpacity>
+        <Text style={styles.title}>{formatDayLabel(selectedDate)}</Text>
+        <TouchableOpacity
+          onPress={() => changeDay(1)}
+          style={styles.dayButton}
+          disabled={isToday}
+        >
+          <Text style={[styles.dayButtonText, isToday && styles.dayButtonDisabled]}>›</Text>
+        </TouchableOpacity>
+      </View>
+
+      {isLoading ? (
+        <View style={styles.loading}>
+          <ActivityIndicator color={colors.primary} />
+        </View>
+      ) : (
+        <FlatList
+          data={summary?.meals || []}
+          keyExtractor={(meal) => meal.id}
+          renderItem={renderMeal}
+          contentContainerStyle={styles.list}
+          refreshControl={<RefreshControl refreshing={isRefreshing} onRefresh={handleRefresh} />}
+          ListHeaderComponent={
+            summary ? (
+              <>
+                <Card elevation="sm" padding="medium" radius="md" style={styles.summaryCard}>
+                  <Text style={styles.caloriesText}>
+                    {Math.round(summary.totalCalories).toLocaleString()} / {summary.calorieTarget.toLocaleString()} cal
+                  </Text>
+                  <ProgressBar progress={summary.progress} color={colors.secondary} />
+                  <View style={styles.macrosRow}>
+                    <Text style={styles.macroText}>P {round(summary.totalProtein)}g</Text>
+                    <Text style={styles.macroText}>C {round(summary.totalCarbs)}g</Text>
+                    <Text style={styles.macroText}>F {round(summary.totalFats)}g</Text>
+                  </View>
+                </Card>
+
+                {/* Water counter - quick adds only for today, since they're logged as drunk now */}
+                {hydration && (
+                  <Card elevation="sm" padding="medium" radius="md" style={styles.summaryCard}>
+                    <Text style={styles.waterText}>💧 {hydration.summary}</Text>
+                    <ProgressBar progress={hydration.progress} color={colors.status.info} />
+                    {isToday && (
+                      <View style={styles.waterButtonsRow}>
+                        {WATER_QUICK_ADDS.map((quickAdd) => (
+                          <TouchableOpacity
+                            key={quickAdd.label}
+                            style={styles.waterButton}
+                            onPress={() => handleLogWater(quickAdd.amount, quickAdd.unit)}
+                            disabled={isLoggingWater}
+                          >
+                            <Text style={styles.waterButtonText}>{quickAdd.label}</Text>
+                          </TouchableOpacity>
+                        ))}
+                      </View>
+                    )}
+                  </Card>
+                )}
+
+                {/* Favorites - only for today, since they're logged as eaten now */}
+                {isToday && savedMeals.length > 0 && (
+                  <View style={styles.favoritesSection}>
+                    <Text style={styles.sectionTitle}>⭐ Favorites</Text>
+                    <ScrollView horizontal showsHorizontalScrollIndicator={false}>
+                      {savedMeals.map((savedMeal) => (
+                        <TouchableOpacity
+                          key={savedMeal.id}
+                          style={styles.favoriteChip}
+                          onPress={() => handleLogSavedMeal(savedMeal)}
+                          onLongPress={() => handleSavedMealLongPress(savedMeal)}
+                          disabled={!!loggingSavedMealId}
+                        >
+                          <Text style={styles.favoriteName} numberOfLines={1}>{savedMeal.name}</Text>
+                          <Text style={styles.favoriteCalories}>
+                            {loggingSavedMealId === savedMeal.id ? 'Logging…' : `${Math.round(savedMeal.totalCalories)} cal`}
+                          </Text>
+                        </TouchableOpacity>
+                      ))}
+                    </ScrollView>
+                  </View>
+                )}
+              </>
+            ) : null
+          }
+          ListEmptyComponent={
+            <EmptyState
+              icon="🍽️"
+              title="No meals logged"
+              description="Tell Ava what you ate and it will show up here."
+            />
+          }
+        />
+      )}
+    </SafeAreaView>
   );
 }
 
 const styles = StyleSheet.create({
   container: {
     flex: 1,
-    justifyContent: 'center',
-    alignItems: 'center',
     backgroundColor: colors.background,
-    padding: spacing.lg,
   },
-  text: {
+  header: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'space-between',
+    paddingHorizontal: spacing[6],
+    paddingVertical: spacing[4],
+  },
+  title: {
     ...typography.h2,
-    color: colors.text,
+    color: colors.primary,
+  },
+  dayButton: {
+    padding: spacing[2],
+  },
+  dayButtonText: {
+    ...typography.h2,
+    color: colors.primary,
+  },
+  dayButtonDisabled: {
+    color: colors.neutral[300],
+  },
+  loading: {
+    flex: 1,
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  list: {
+    paddingHorizontal: spacing[6],
+    paddingBottom: spacing[8],
+    flexGrow: 1,
+  },
+  summaryCard: {
+    marginBottom: spacing[6],
+  },
+  caloriesText: {
+    ...typography.h3,
+    color: colors.primary,
+    marginBottom: spacing[3],
+  },
+  macrosRow: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    marginTop: spacing[3],
+  },
+  macroText: {
+    ...typography.bodySmall,
+    color: colors.neutral[500],
+  },
+  waterText: {
+    ...typography.body,
+    fontWeight: '500',
+    color: colors.primary,
+    marginBottom: spacing[3],
+  },
+  waterButtonsRow: {
+    flexDirection: 'row',
+    marginTop: spacing[3],
+  },
+  waterButton: {
+    paddingVertical: spacing[2],
+    paddingHorizontal: spacing[4],
+    marginRight: spacing[2],
+    borderRadius: borderRadius.md,
+    backgroundColor: colors.neutral[100],
+  },
+  waterButtonText: {
+    ...typography.bodySmall,
+    fontWeight: '500',
+    color: colors.status.info,
+  },
+  favoritesSection: {
+    marginBottom: spacing[6],
+  },
+  sectionTitle: {
+    ...typography.h3,
+    color: colors.primary,
+    marginBottom: spacing[3],
+  },
+  favoriteChip: {
+    maxWidth: 180,
+    paddingVertical: spacing[2],
+    paddingHorizontal: spacing[4],
+    marginRight: spacing[2],
+    borderRadius: borderRadius.md,
+    backgroundColor: colors.neutral[100],
+  },
+  favoriteName: {
+    ...typography.body,
+    fontWeight: '500',
+    color: colors.primary,
+  },
+  favoriteCalories: {
+    ...typography.caption,
+    color: colors.neutral[500],
   },
-});
\ No newline at end of file
+});
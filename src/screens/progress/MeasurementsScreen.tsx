@@ -1,25 +1,427 @@
-import React from 'react';
-import { View, Text, StyleSheet } from 'react-native';
-import { colors, spacing, typography } from '../../constants/theme';
+import React, { useState, useCallback } from 'react';
+import { View, Text, StyleSheet, ScrollView, TextInput, RefreshControl, ActivityIndicator, Alert } from 'react-native';
+import { SafeAreaView } from 'react-native-safe-area-context';
+import { useFocusEffect } from '@react-navigation/native';
+import { colors, spacing, typography, borderRadius } from '../../constants/theme';
+import { useAuth } from '../../contexts/AuthContext';
+import { getWeightHistory, logWeighIn } from '../../services/weighInService';
+import { getMeasurements } from '../../services/measurementService';
+import { Button, Card, LineChart, EmptyState } from '../../components';
+
+// From weighInService.getWeightHistory - weights are in the profile's unit
+interface WeightPoint {
+  date: string;
+  weight: number;
+  trend: number;
+}
+
+interface WeightHistory {
+  unit: 'lbs' | 'kg';
+  days: number;
+  points: WeightPoint[];
+  latest: WeightPoint | null;
+  change: number | null;
+  weeklyRate: number | null;
+}
+
+// From measurementService.getMeasurements - values are in the user's unit
+interface MeasurementWeek {
+  weekStart: string;
+  date: string;
+  value: number;
+  change: number | null;
+  weeksApart: number | null;
+}
+
+interface SiteMeasurements {
+  site: string;
+  latest: { date: string; value: number };
+  change: number | null;
+  weeksApart: number | null;
+  weekly: MeasurementWeek[];
+}
+
+interface MeasurementHistory {
+  unit: 'in' | 'cm';
+  sites: SiteMeasurements[];
+  entries: { id: string; date: string; site: string; value: number }[];
+  reminder: { due: boolean; lastMeasuredDate: string | null; daysSince: number | null };
+}
+
+const SITE_LABELS: Record<string, string> = {
+  arm: 'Arms',
+  chest: 'Chest',
+  waist: 'Waist',
+  hips: 'Hips',
+  thigh: 'Thighs',
+};
+
+const HISTORY_DAYS = 90;
+const MEASUREMENT_WEEKS = 12;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// "2025-11-05" → "Nov 5" (dates are already the user's local days)
+const formatShortDate = (date: string) =>
+  new Date(`${date}T12:00:00`).toLocaleDateString('en-US', { month: 'short', day: 'numeric' });
+
+// Days since the first point, so gaps between entries show on the chart
+const toDayOffsets = (points: { date: string }[]) =>
+  points.map((point) => Math.round((Date.parse(point.date) - Date.parse(points[0].date)) / DAY_MS));
+
+const formatChange = (value: number, unit: string) => `${value > 0 ? '+' : ''}${value} ${unit}`;
+
+// History table rows: one per measuring day, newest first, a value per site
+const toTableRows = (entries: MeasurementHistory['entries']) => {
+  const rows: { date: string; values: Record<string, number> }[] = [];
+  entries.forEach((entry) => {
+    let row = rows.find((r) => r.date === entry.date);
+    if (!row) {
+      row = { date: entry.date, values: {} };
+      rows.push(row);
+    }
+    // Entries are newest first - keep the day's last measurement
+    if (!(entry.site in row.values)) {
+      row.values[entry.site] = entry.value;
+    }
+  });
+  return rows;
+};
 
 export default function MeasurementsScreen() {
+  const { user, userProfile, refreshUserProfile } = useAuth() as {
+    user: { uid: string; getIdToken: () => Promise<string> } | null;
+    userProfile: { weightUnit?: 'lbs' | 'kg' } | null;
+    refreshUserProfile: () => Promise<void>;
+  };
+  const [history, setHistory] = useState<WeightHistory | null>(null);
+  const [measurements, setMeasurements] = useState<MeasurementHistory | null>(null);
+  const [isLoading, setIsLoading] = useState(true);
+  const [isRefreshing, setIsRefreshing] = useState(false);
+  const [weightText, setWeightText] = useState('');
+  const [isSaving, setIsSaving] = useState(false);
+
+  const unit = history?.unit || userProfile?.weightUnit || 'lbs';
+
+  const loadHistory = useCallback(async () => {
+    if (!user) return;
+    try {
+      const [weight, body] = await Promise.all([
+        getWeightHistory(user, HISTORY_DAYS),
+        // Measurements are a separate section - don't lose the weight if they fail
+        getMeasurements(user, MEASUREMENT_WEEKS).catch(() => null),
+      ]);
+      setHistory(weight as WeightHistory);
+      setMeasurements(body as MeasurementHistory | null);
+    } catch (error) {
+      console.error('❌ Error loading measurements:', error);
+    } finally {
+      setIsLoading(false);
+      setIsRefreshing(false);
+    }
+  }, [user]);
+
+  // Reload whenever the tab comes into focus (e.g., after logging a weigh-in in chat)
+  useFocusEffect(
+    useCallback(() => {
+      loadHistory();
+    }, [loadHistory])
+  );
+
+  const handleRefresh = () => {
+    setIsRefreshing(true);
+    loadHistory();
+  };
+
+  const handleLogWeight = async () => {
+    const weight = parseFloat(weightText.replace(',', '.'));
+    if (!user || !(weight > 0)) {
+      Alert.alert('Invalid weight', `Enter your weight in ${unit}`);
+      return;
+    }
+
+    setIsSaving(true);
+    try {
+      setHistory((await logWeighIn(user, weight, unit)) as WeightHistory);
+      setWeightText('');
+      // The server updated the profile weight and targets
+      await refreshUserProfile();
+    } catch (error) {
+      Alert.alert('Error', 'Could not save your weight. Please check the number and try again.');
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const points = history?.points || [];
+  const latest = history?.latest;
+  const measurementUnit = measurements?.unit || 'in';
+  const measuredSites = measurements?.sites || [];
+  const tableRows = toTableRows(measurements?.entries || []);
+
   return (
-    <View style={styles.container}>
-      <Text style={styles.text}>Measurements Screen</Text>
-    </View>
+    <SafeAreaView style={styles.container} edges={['top']}>
+      <View style={styles.header}>
+        <Text style={styles.title}>Measurements</Text>
+      </View>
+
+      {isLoading ? (
+        <View style={styles.loading}>
+          <ActivityIndicator color={colors.primary} />
+        </View>
+      ) : (
+        <ScrollView
+          contentContainerStyle={styles.content}
+          refreshControl={<RefreshControl refreshing={isRefreshing} onRefresh={handleRefresh} />}
+          keyboardShouldPersistTaps="handled"
+        >
+          {/* Log a weigh-in */}
+          <Text style={styles.sectionTitle}>⚖️ Weight</Text>
+          <View style={styles.logRow}>
+            <TextInput
+              style={styles.input}
+              placeholder={`Today's weight (${unit})`}
+              placeholderTextColor={colors.neutral[500]}
+              value={weightText}
+              onChangeText={setWeightText}
+              keyboardType="decimal-pad"
+              editable={!isSaving}
+            />
+            <Button variant="primary" size="medium" onPress={handleLogWeight} disabled={isSaving || !weightText} loading={isSaving}>
+              Log
+            </Button>
+          </View>
+
+          {latest ? (
+            <>
+              {/* Trend first - it's the number that matters, not today's reading */}
+              <Card elevation="sm" padding="medium" radius="md" style={styles.card}>
+                <Text style={styles.trendLabel}>Trend weight</Text>
+                <Text style={styles.trendValue}>{latest.trend} {unit}</Text>
+                <Text style={styles.detailText}>
+                  Last weigh-in: {latest.weight} {unit} · {formatShortDate(latest.date)}
+                </Text>
+                {history?.change !== null && history?.change !== undefined && (
+                  <Text style={styles.detailText}>
+                    {formatChange(history.change, unit)} since {formatShortDate(points[0].date)}
+                    {history.weeklyRate !== null ? ` (${formatChange(history.weeklyRate, unit)}/week)` : ''}
+                  </Text>
+                )}
+              </Card>
+
+              <Card elevation="sm" padding="medium" radius="md" style={styles.card}>
+                <LineChart
+                  x={toDayOffsets(points)}
+                  series={[
+                    { data: points.map((point) => point.weight), color: colors.neutral[300], strokeWidth: 1, showDots: true },
+                    { data: points.map((point) => point.trend), color: colors.secondary, strokeWidth: 3 },
+                  ]}
+                  xLabels={[formatShortDate(points[0].date), formatShortDate(latest.date)]}
+                />
+                <View style={styles.legendRow}>
+                  <View style={[styles.legendSwatch, { backgroundColor: colors.neutral[300] }]} />
+                  <Text style={styles.legendText}>Weigh-ins</Text>
+                  <View style={[styles.legendSwatch, { backgroundColor: colors.secondary }]} />
+                  <Text style={styles.legendText}>Trend</Text>
+                </View>
+              </Card>
+            </>
+          ) : (
+            <EmptyState
+              icon="⚖️"
+              title="No weigh-ins yet"
+              description="Log your weight here or tell Ava. Weigh in most mornings and your trend will show up here."
+            />
+          )}
+
+          {/* Weekly body measurements - logged through chat */}
+          <Text style={styles.sectionTitle}>📏 Body measurements</Text>
+          {measurements?.reminder.due && (
+            <Text style={styles.reminderText}>
+              {measurements.reminder.daysSince !== null
+                ? `It's been ${measurements.reminder.daysSince} days - time to measure! `
+                : 'Measure once a week to track muscle growth. '}
+              Tell Ava your numbers, e.g. "arms 15.5, waist 33".
+            </Text>
+          )}
+
+          {measuredSites.map((site) => (
+            <Card key={site.site} elevation="sm" padding="medium" radius="md" style={styles.card}>
+              <View style={styles.siteHeader}>
+                <Text style={styles.siteLabel}>{SITE_LABELS[site.site] || site.site}</Text>
+                <Text style={styles.siteValue}>{site.latest.value} {measurementUnit}</Text>
+              </View>
+              {site.change !== null && (
+                <Text style={styles.detailText}>
+                  {formatChange(site.change, measurementUnit)} vs. {site.weeksApart === 1 ? 'last week' : `${site.weeksApart} weeks ago`}
+                </Text>
+              )}
+              {site.weekly.length > 1 && (
+                <LineChart
+                  x={toDayOffsets(site.weekly)}
+                  series={[{ data: site.weekly.map((week) => week.value), color: colors.secondary, strokeWidth: 2, showDots: true }]}
+                  height={100}
+                  xLabels={[formatShortDate(site.weekly[0].date), formatShortDate(site.latest.date)]}
+                  style={styles.siteChart}
+                />
+              )}
+            </Card>
+          ))}
+
+          {tableRows.length > 0 && (
+            <Card elevation="sm" padding="medium" radius="md" style={styles.card}>
+              <View style={styles.tableRow}>
+                <Text style={[styles.tableCell, styles.tableDateCell, styles.tableHeader]}>Date</Text>
+                {measuredSites.map((site) => (
+                  <Text key={site.site} style={[styles.tableCell, styles.tableHeader]}>
+                    {SITE_LABELS[site.site] || site.site}
+                  </Text>
+                ))}
+              </View>
+              {tableRows.map((row) => (
+                <View key={row.date} style={styles.tableRow}>
+                  <Text style={[styles.tableCell, styles.tableDateCell]}>{formatShortDate(row.date)}</Text>
+                  {measuredSites.map((site) => (
+                    <Text key={site.site} style={styles.tableCell}>
+                      {row.values[site.site] ?? '–'}
+                    </Text>
+                  ))}
+                </View>
+              ))}
+            </Card>
+          )}
+
+          {measurements && measuredSites.length === 0 && (
+            <EmptyState
+              icon="📏"
+              title="No measurements yet"
+              description="Tell Ava your arm, chest, waist, hips and thigh measurements each week."
+            />
+          )}
+        </ScrollView>
+      )}
+    </SafeAreaView>
   );
 }
 
 const styles = StyleSheet.create({
   container: {
+    flex: 1,
+    backgroundColor: colors.background,
+  },
+  header: {
+    paddingHorizontal: spacing[6],
+    paddingVertical: spacing[4],
+  },
+  title: {
+    ...typography.h2,
+    color: colors.primary,
+  },
+  loading: {
     flex: 1,
     justifyContent: 'center',
     alignItems: 'center',
-    backgroundColor: colors.background,
-    padding: spacing.lg,
   },
-  text: {
+  content: {
+    paddingHorizontal: spacing[6],
+    paddingBottom: spacing[8],
+    flexGrow: 1,
+  },
+  logRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginBottom: spacing[6],
+  },
+  input: {
+    flex: 1,
+    backgroundColor: colors.neutral[50],
+    borderRadius: borderRadius.md,
+    paddingHorizontal: spacing[4],
+    paddingVertical: spacing[3],
+    fontSize: 16,
+    color: colors.primary,
+    marginRight: spacing[3],
+    borderWidth: 1,
+    borderColor: colors.neutral[200],
+  },
+  card: {
+    marginBottom: spacing[6],
+  },
+  trendLabel: {
+    ...typography.bodySmall,
+    color: colors.neutral[500],
+  },
+  trendValue: {
     ...typography.h2,
-    color: colors.text,
+    color: colors.primary,
+    marginBottom: spacing[2],
+  },
+  detailText: {
+    ...typography.bodySmall,
+    color: colors.neutral[500],
+    marginTop: spacing[1],
+  },
+  sectionTitle: {
+    ...typography.h3,
+    color: colors.primary,
+    marginBottom: spacing[3],
+  },
+  reminderText: {
+    ...typography.bodySmall,
+    color: colors.neutral[600],
+    marginBottom: spacing[4],
+  },
+  siteHeader: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'baseline',
+  },
+  siteLabel: {
+    ...typography.body,
+    fontWeight: '500',
+    color: colors.primary,
+  },
+  siteValue: {
+    ...typography.h3,
+    color: colors.primary,
+  },
+  siteChart: {
+    marginTop: spacing[3],
+  },
+  tableRow: {
+    flexDirection: 'row',
+    paddingVertical: spacing[2],
+    borderBottomWidth: 1,
+    borderBottomColor: colors.neutral[100],
+  },
+  tableCell: {
+    ...typography.bodySmall,
+    flex: 1,
+    textAlign: 'right',
+    color: colors.primary,
+  },
+  tableDateCell: {
+    flex: 1.3,
+    textAlign: 'left',
+  },
+  tableHeader: {
+    fontWeight: '600',
+    color: colors.neutral[500],
+  },
+  legendRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginTop: spacing[3],
+  },
+  legendSwatch: {
+    width: 12,
+    height: 3,
+    borderRadius: 2,
+    marginRight: spacing[1],
+  },
+  legendText: {
+    ...typography.caption,
+    color: colors.neutral[500],
+    marginRight: spacing[4],
   },
-});
\ No newline at end of file
+});
@@ -1,25 +1,434 @@
-import React from 'react';
-import { View, Text, StyleSheet } from 'react-native';
-import { colors, spacing, typography } from '../../constants/theme';
+import React, { useState, useCallback, useEffect } from 'react';
+import { View, Text, StyleSheet, FlatList, TouchableOpacity, Image, RefreshControl, ActivityIndicator, Alert, StyleProp, ImageStyle } from 'react-native';
+import { SafeAreaView } from 'react-native-safe-area-context';
+import { useFocusEffect } from '@react-navigation/native';
+import * as ImagePicker from 'expo-image-picker';
+import { colors, spacing, typography, borderRadius } from '../../constants/theme';
+import { useAuth } from '../../contexts/AuthContext';
+import {
+  PHOTO_POSES,
+  getProgressPhotos,
+  getProgressPhotoUrl,
+  uploadProgressPhoto,
+  deleteProgressPhoto,
+} from '../../services/progressPhotoService';
+import { toDateString } from '../../utils';
+import { Card, EmptyState } from '../../components';
+
+type Pose = 'front' | 'side' | 'back';
+
+// From progressPhotoService.getProgressPhotos
+interface ProgressPhoto {
+  id: string;
+  pose: Pose;
+  date: string;
+  storagePath: string;
+  thumbnailPath: string;
+}
+
+interface PhotoSet {
+  date: string;
+  photos: Partial<Record<Pose, ProgressPhoto>>;
+}
+
+const POSE_LABELS: Record<Pose, string> = {
+  front: 'Front',
+  side: 'Side',
+  back: 'Back',
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// "2025-11-05" → "Nov 5, 2025" (dates are already the user's local days)
+const formatSetDate = (date: string) =>
+  new Date(`${date}T12:00:00`).toLocaleDateString('en-US', { month: 'short', day: 'numeric', year: 'numeric' });
+
+const daysSince = (date: string) =>
+  Math.round((Date.parse(toDateString(new Date())) - Date.parse(date)) / DAY_MS);
+
+// A stored photo - its download URL is fetched when it's first rendered
+// (blank until then), so only the rows on screen load anything
+function StoragePhoto({ path, style }: { path: string; style: StyleProp<ImageStyle> }) {
+  const [uri, setUri] = useState<string | null>(null);
+
+  useEffect(() => {
+    let isCurrent = true;
+    setUri(null);
+    getProgressPhotoUrl(path)
+      .then((url: string) => isCurrent && setUri(url))
+      .catch((error: unknown) => console.error('❌ Error loading progress photo:', error));
+    return () => {
+      isCurrent = false;
+    };
+  }, [path]);
+
+  return <Image source={uri ? { uri } : undefined} style={style} />;
+}
 
 export default function PhotosScreen() {
+  const { user } = useAuth() as { user: { uid: string } | null };
+  const [sets, setSets] = useState<PhotoSet[]>([]);
+  const [isLoading, setIsLoading] = useState(true);
+  const [isRefreshing, setIsRefreshing] = useState(false);
+  const [uploadingPose, setUploadingPose] = useState<Pose | null>(null);
+  // The two dates being compared (earlier one shown on the left)
+  const [compareDates, setCompareDates] = useState<string[]>([]);
+  const [comparePose, setComparePose] = useState<Pose>('front');
+
+  const today = toDateString(new Date());
+  const todaySet = sets.find((set) => set.date === today);
+
+  const loadPhotos = useCallback(async () => {
+    if (!user) return;
+    try {
+      const result = (await getProgressPhotos(user.uid)) as PhotoSet[];
+      setSets(result);
+      // Default comparison: day 1 vs. the latest set
+      setCompareDates((current) => {
+        const stillThere = current.filter((date) => result.some((set) => set.date === date));
+        if (stillThere.length === 2) return stillThere;
+        return result.length >= 2 ? [result[result.length - 1].date, result[0].date] : [];
+      });
+    } catch (error) {
+      console.error('❌ Error loading progress photos:', error);
+    } finally {
+      setIsLoading(false);
+      setIsRefreshing(false);
+    }
+  }, [user]);
+
+  // Reload whenever the tab comes into focus
+  useFocusEffect(
+    useCallback(() => {
+      loadPhotos();
+    }, [loadPhotos])
+  );
+
+  const handleRefresh = () => {
+    setIsRefreshing(true);
+    loadPhotos();
+  };
+
+  // Take or pick a photo for one pose of today's set
+  const addPhoto = async (pose: Pose, source: 'camera' | 'library') => {
+    if (!user) return;
+
+    const permission = source === 'camera'
+      ? await ImagePicker.requestCameraPermissionsAsync()
+      : await ImagePicker.requestMediaLibraryPermissionsAsync();
+    if (permission.status !== 'granted') {
+      Alert.alert('Permission required', `Please allow ${source === 'camera' ? 'camera' : 'photo library'} access to add a photo`);
+      return;
+    }
+
+    const options: ImagePicker.ImagePickerOptions = { mediaTypes: ['images'], allowsEditing: true, aspect: [3, 4], quality: 1 };
+    const result = source === 'camera'
+      ? await ImagePicker.launchCameraAsync(options)
+      : await ImagePicker.launchImageLibraryAsync(options);
+    if (result.canceled || !result.assets[0]) return;
+
+    setUploadingPose(pose);
+    try {
+      await uploadProgressPhoto(user.uid, result.assets[0].uri, pose);
+      await loadPhotos();
+    } catch (error) {
+      Alert.alert('Error', 'Could not upload the photo. Please try again.');
+    } finally {
+      setUploadingPose(null);
+    }
+  };
+
+  const handlePosePress = (pose: Pose) => {
+    Alert.alert(`${POSE_LABELS[pose]} photo`, 'Same spot, light and time of day each month makes changes easier to see.', [
+      { text: 'Take photo', onPress: () => addPhoto(pose, 'camera') },
+      { text: 'Choose from library', onPress: () => addPhoto(pose, 'library') },
+      { text: 'Cancel', style: 'cancel' },
+    ]);
+  };
+
+  // Tapping a set swaps it into the comparison (replacing the older pick)
+  const handleSetPress = (date: string) => {
+    if (compareDates.includes(date)) return;
+    setCompareDates((current) => [current[current.length - 1], date].filter(Boolean));
+  };
+
+  const handlePhotoLongPress = (photo: ProgressPhoto) => {
+    if (!user) return;
+
+    Alert.alert('Delete photo?', `${POSE_LABELS[photo.pose]} photo from ${formatSetDate(photo.date)}`, [
+      { text: 'Cancel', style: 'cancel' },
+      {
+        text: 'Delete',
+        style: 'destructive',
+        onPress: async () => {
+          try {
+            await deleteProgressPhoto(user.uid, photo);
+            await loadPhotos();
+          } catch (error) {
+            Alert.alert('Error', 'Could not delete the photo. Please try again.');
+          }
+        },
+      },
+    ]);
+  };
+
+  const comparedSets = [...compareDates]
+    .sort()
+    .map((date) => sets.find((set) => set.date === date))
+    .filter((set): set is PhotoSet => !!set);
+
+  const lastSetDate = sets[0]?.date;
+
+  // Every set, newest first - rows (and their thumbnails) load as they scroll in
+  const renderSet = ({ item: set }: { item: PhotoSet }) => (
+    <TouchableOpacity
+      style={[styles.setRow, compareDates.includes(set.date) && styles.setRowSelected]}
+      onPress={() => handleSetPress(set.date)}
+    >
+      <Text style={styles.setDate}>{formatSetDate(set.date)}</Text>
+      <View style={styles.thumbnailsRow}>
+        {(PHOTO_POSES as Pose[]).map((pose) => {
+          const photo = set.photos[pose];
+          return photo ? (
+            <TouchableOpacity key={pose} onLongPress={() => handlePhotoLongPress(photo)} onPress={() => handleSetPress(set.date)}>
+              <StoragePhoto path={photo.thumbnailPath} style={styles.thumbnail} />
+            </TouchableOpacity>
+          ) : (
+            <View key={pose} style={[styles.thumbnail, styles.missingPhoto]}>
+              <Text style={styles.missingText}>{POSE_LABELS[pose]}</Text>
+            </View>
+          );
+        })}
+      </View>
+    </TouchableOpacity>
+  );
+
   return (
-    <View style={styles.container}>
-      <Text style={styles.text}>Photos Screen</Text>
-    </View>
+    <SafeAreaView style={styles.container} edges={['top']}>
+      <View style={styles.header}>
+        <Text style={styles.title}>Progress Photos</Text>
+        <Text style={styles.subtitle}>
+          {lastSetDate
+            ? `Last photos ${daysSince(lastSetDate) === 0 ? 'today' : `${daysSince(lastSetDate)} days ago`} · new set monthly`
+            : 'Take your day 1 photos'}
+        </Text>
+      </View>
+
+      {isLoading ? (
+        <View style={styles.loading}>
+          <ActivityIndicator color={colors.primary} />
+        </View>
+      ) : (
+        <FlatList
+          data={sets}
+          keyExtractor={(set) => set.date}
+          renderItem={renderSet}
+          extraData={compareDates}
+          contentContainerStyle={styles.content}
+          refreshControl={<RefreshControl refreshing={isRefreshing} onRefresh={handleRefresh} />}
+          ListHeaderComponent={
+            <>
+              {/* Today's set - one button per pose */}
+              <View style={styles.poseRow}>
+                {(PHOTO_POSES as Pose[]).map((pose) => (
+                  <TouchableOpacity
+                    key={pose}
+                    style={[styles.poseButton, todaySet?.photos[pose] && styles.poseButtonDone]}
+                    onPress={() => handlePosePress(pose)}
+                    disabled={!!uploadingPose}
+                  >
+                    <Text style={styles.poseButtonText}>
+                      {uploadingPose === pose ? 'Uploading…' : `${todaySet?.photos[pose] ? '✓ ' : '📷 '}${POSE_LABELS[pose]}`}
+                    </Text>
+                  </TouchableOpacity>
+                ))}
+              </View>
+
+              {/* Side-by-side comparison of two dates */}
+              {comparedSets.length === 2 && (
+                <Card elevation="sm" padding="medium" radius="md" style={styles.card}>
+                  <Text style={styles.sectionTitle}>Compare</Text>
+                  <View style={styles.tabsRow}>
+                    {(PHOTO_POSES as Pose[]).map((pose) => (
+                      <TouchableOpacity
+                        key={pose}
+                        style={[styles.tab, comparePose === pose && styles.tabActive]}
+                        onPress={() => setComparePose(pose)}
+                      >
+                        <Text style={[styles.tabText, comparePose === pose && styles.tabTextActive]}>{POSE_LABELS[pose]}</Text>
+                      </TouchableOpacity>
+                    ))}
+                  </View>
+                  <View style={styles.compareRow}>
+                    {comparedSets.map((set) => {
+                      const photo = set.photos[comparePose];
+                      return (
+                        <View key={set.date} style={styles.compareColumn}>
+                          {photo ? (
+                            <StoragePhoto path={photo.storagePath} style={styles.compareImage} />
+                          ) : (
+                            <View style={[styles.compareImage, styles.missingPhoto]}>
+                              <Text style={styles.missingText}>No {POSE_LABELS[comparePose].toLowerCase()} photo</Text>
+                            </View>
+                          )}
+                          <Text style={styles.compareDate}>{formatSetDate(set.date)}</Text>
+                        </View>
+                      );
+                    })}
+                  </View>
+                  <Text style={styles.hintText}>Tap a date below to compare it</Text>
+                </Card>
+              )}
+            </>
+          }
+          ListEmptyComponent={
+            <EmptyState
+              icon="📷"
+              title="No progress photos yet"
+              description="Take front, side and back photos today - next month you'll see them side by side."
+            />
+          }
+        />
+      )}
+    </SafeAreaView>
   );
 }
 
 const styles = StyleSheet.create({
   container: {
     flex: 1,
-    justifyContent: 'center',
-    alignItems: 'center',
     backgroundColor: colors.background,
-    padding: spacing.lg,
   },
-  text: {
+  header: {
+    paddingHorizontal: spacing[6],
+    paddingVertical: spacing[4],
+  },
+  title: {
     ...typography.h2,
-    color: colors.text,
+    color: colors.primary,
+  },
+  subtitle: {
+    ...typography.bodySmall,
+    color: colors.neutral[500],
+    marginTop: spacing[1],
+  },
+  loading: {
+    flex: 1,
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  content: {
+    paddingHorizontal: spacing[6],
+    paddingBottom: spacing[8],
+    flexGrow: 1,
+  },
+  poseRow: {
+    flexDirection: 'row',
+    marginBottom: spacing[6],
+  },
+  poseButton: {
+    flex: 1,
+    alignItems: 'center',
+    paddingVertical: spacing[3],
+    marginRight: spacing[2],
+    borderRadius: borderRadius.md,
+    backgroundColor: colors.neutral[100],
+  },
+  poseButtonDone: {
+    backgroundColor: colors.accent.orangeLight,
+  },
+  poseButtonText: {
+    ...typography.bodySmall,
+    fontWeight: '500',
+    color: colors.primary,
+  },
+  card: {
+    marginBottom: spacing[6],
+  },
+  sectionTitle: {
+    ...typography.h3,
+    color: colors.primary,
+    marginBottom: spacing[3],
+  },
+  tabsRow: {
+    flexDirection: 'row',
+    marginBottom: spacing[3],
+  },
+  tab: {
+    paddingVertical: spacing[1],
+    paddingHorizontal: spacing[3],
+    marginRight: spacing[2],
+    borderRadius: borderRadius.md,
+    backgroundColor: colors.neutral[100],
+  },
+  tabActive: {
+    backgroundColor: colors.primary,
+  },
+  tabText: {
+    ...typography.bodySmall,
+    color: colors.primary,
+  },
+  tabTextActive: {
+    color: colors.background,
+  },
+  compareRow: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+  },
+  compareColumn: {
+    width: '49%',
+  },
+  compareImage: {
+    width: '100%',
+    aspectRatio: 3 / 4,
+    borderRadius: borderRadius.md,
+    backgroundColor: colors.neutral[100],
+  },
+  compareDate: {
+    ...typography.caption,
+    color: colors.neutral[500],
+    textAlign: 'center',
+    marginTop: spacing[1],
+  },
+  hintText: {
+    ...typography.caption,
+    color: colors.neutral[400],
+    marginTop: spacing[3],
+  },
+  setRow: {
+    paddingVertical: spacing[3],
+    paddingHorizontal: spacing[3],
+    marginBottom: spacing[2],
+    borderRadius: borderRadius.md,
+    borderWidth: 1,
+    borderColor: colors.neutral[200],
+  },
+  setRowSelected: {
+    borderColor: colors.secondary,
+  },
+  setDate: {
+    ...typography.body,
+    fontWeight: '500',
+    color: colors.primary,
+    marginBottom: spacing[2],
+  },
+  thumbnailsRow: {
+    flexDirection: 'row',
+  },
+  thumbnail: {
+    width: 72,
+    height: 96,
+    marginRight: spacing[2],
+    borderRadius: borderRadius.sm,
+    backgroundColor: colors.neutral[100],
+  },
+  missingPhoto: {
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  missingText: {
+    ...typography.caption,
+    color: colors.neutral[400],
+    textAlign: 'center',
   },
-});
\ No newline at end of file
+});
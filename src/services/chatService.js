@@ -7,12 +7,14 @@ import {
   getDocs,
   Timestamp
 } from 'firebase/firestore';
-import { db } from '../config/firebase';
+import { ref, uploadBytes, getDownloadURL } from 'firebase/storage';
+import { db, storage } from '../config/firebase';
+import { resizeImage, THUMBNAIL_WIDTH } from './mealPhotoService';
 
 /**
  * Save a message to Firestore
  * @param {string} userId - The user's ID
- * @param {Object} message - The message object with role, content, timestamp
+ * @param {Object} message - The message object with role, content, timestamp (and imageUrl for photos)
  * @returns {Promise<string>} The saved message ID
  */
 export const saveMessage = async (userId, message) => {
@@ -24,6 +26,7 @@ export const saveMessage = async (userId, message) => {
       content: message.content,
       timestamp: Timestamp.fromDate(message.timestamp || new Date()),
       createdAt: Timestamp.fromDate(new Date()),
+      ...(message.imageUrl && { imageUrl: message.imageUrl }),
     };
 
     const docRef = await addDoc(messagesRef, messageData);
@@ -35,6 +38,39 @@ export const saveMessage = async (userId, message) => {
   }
 };
 
+/**
+ * Upload a photo from the chat to Firebase Storage so Ava can see it
+ * Path: users/{userId}/chat/{timestamp}.jpg (the server only accepts photos under users/{userId}/)
+ * A thumbnail goes next to it as {timestamp}_thumb.jpg - the server finds it
+ * when the photo is logged as a meal (server/helpers/mealPhotos.js)
+ * @param {string} userId - The user's ID
+ * @param {string} uri - Local file URI from the image picker or camera
+ * @returns {Promise<string>} The photo's download URL
+ */
+export const uploadChatImage = async (userId, uri) => {
+  try {
+    const photoPath = `users/${userId}/chat/${Date.now()}`;
+    const thumbnailUri = await resizeImage(uri, THUMBNAIL_WIDTH, 0.6);
+
+    const [blob, thumbnailBlob] = await Promise.all(
+      [uri, thumbnailUri].map(async (fileUri) => (await fetch(fileUri)).blob())
+    );
+
+    const imageRef = ref(storage, `${photoPath}.jpg`);
+    await Promise.all([
+      uploadBytes(imageRef, blob, { contentType: 'image/jpeg' }),
+      uploadBytes(ref(storage, `${photoPath}_thumb.jpg`), thumbnailBlob, { contentType: 'image/jpeg' }),
+    ]);
+
+    const downloadUrl = await getDownloadURL(imageRef);
+    console.log('✅ Chat image uploaded:', imageRef.fullPath);
+    return downloadUrl;
+  } catch (error) {
+    console.error('❌ Error uploading chat image:', error);
+    throw error;
+  }
+};
+
 /**
  * Load chat history from Firestore
  * @param {string} userId - The user's ID
@@ -55,6 +91,7 @@ export const loadChatHistory = async (userId) => {
         role: data.role,
         content: data.content,
         timestamp: data.timestamp?.toDate() || new Date(),
+        imageUrl: data.imageUrl,
       });
     });
 
@@ -86,6 +123,7 @@ export const subscribeToChatUpdates = (userId, callback) => {
           role: data.role,
           content: data.content,
           timestamp: data.timestamp?.toDate() || new Date(),
+          imageUrl: data.imageUrl,
         });
       });
 
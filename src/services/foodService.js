@@ -0,0 +1,109 @@
+import { generateAPIUrl } from '../utils';
+
+/**
+ * Search the server's nutrition database (same data Ava uses to log meals)
+ * @param {Object} user - The signed-in Firebase user
+ * @param {string} query - Food to search for (e.g. "banana")
+ * @param {number} limit - Maximum number of results
+ * @returns {Promise<Array>} Foods with per100g values and servings
+ */
+export const searchFoods = async (user, query, limit = 10) => {
+  try {
+    console.log('🔎 Searching foods:', query);
+
+    const idToken = await user.getIdToken();
+    const url = generateAPIUrl(
+      `/api/foods/search?q=${encodeURIComponent(query)}&limit=${limit}`
+    );
+    const response = await fetch(url, {
+      headers: {
+        'Authorization': `Bearer ${idToken}`,
+      },
+    });
+
+    if (!response.ok) {
+      const errorText = await response.text();
+      throw new Error(`Food search error: ${response.status} - ${errorText}`);
+    }
+
+    const { foods } = await response.json();
+    console.log(`✅ Found ${foods.length} foods`);
+    return foods;
+  } catch (error) {
+    console.error('❌ Error searching foods:', error);
+    throw error;
+  }
+};
+
+/**
+ * Check a meal's foods with the server's macro check (the same one Ava's
+ * logMeal uses - server/helpers/macroValidation.js)
+ * @param {Object} user - The signed-in Firebase user
+ * @param {Array} foods - Food items with calories/protein/carbs/fats/fiber
+ * @returns {Promise<Object>} { valid, errors, warnings }
+ */
+export const validateFoods = async (user, foods) => {
+  try {
+    const idToken = await user.getIdToken();
+    const response = await fetch(generateAPIUrl('/api/foods/validate'), {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'Authorization': `Bearer ${idToken}`,
+      },
+      body: JSON.stringify({ foods }),
+    });
+
+    if (!response.ok) {
+      const errorText = await response.text();
+      throw new Error(`Food validation error: ${response.status} - ${errorText}`);
+    }
+
+    return await response.json();
+  } catch (error) {
+    console.error('❌ Error validating foods:', error);
+    throw error;
+  }
+};
+
+/**
+ * Look up a scanned packaged product by barcode
+ * @param {Object} user - The signed-in Firebase user
+ * @param {string} barcode - UPC/EAN digits from the scanner
+ * @returns {Promise<Object|null>} The product with label values, or null if it's not in the table
+ * @throws {Error} with code 'PRODUCT_DATABASE_EMPTY' if the server's product table hasn't been imported
+ */
+export const lookupBarcode = async (user, barcode) => {
+  try {
+    console.log('🔎 Looking up barcode:', barcode);
+
+    const idToken = await user.getIdToken();
+    const response = await fetch(generateAPIUrl(`/api/foods/barcode/${encodeURIComponent(barcode)}`), {
+      headers: {
+        'Authorization': `Bearer ${idToken}`,
+      },
+    });
+
+    if (response.status === 404) {
+      const { code } = await response.json().catch(() => ({}));
+      if (code === 'PRODUCT_DATABASE_EMPTY') {
+        const error = new Error('The product database has not been imported on the server');
+        error.code = code;
+        throw error;
+      }
+      console.log('⚠️ Barcode not found:', barcode);
+      return null;
+    }
+    if (!response.ok) {
+      const errorText = await response.text();
+      throw new Error(`Barcode lookup error: ${response.status} - ${errorText}`);
+    }
+
+    const { product } = await response.json();
+    console.log('✅ Product found:', product.name);
+    return product;
+  } catch (error) {
+    console.error('❌ Error looking up barcode:', error);
+    throw error;
+  }
+};
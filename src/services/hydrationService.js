@@ -0,0 +1,69 @@
+import { generateAPIUrl, getDeviceTimeZone, toDateString } from '../utils';
+
+/**
+ * Get a day's water vs. the hydration target (target = body weight + that day's activity minutes,
+ * computed on the server - see server/helpers/hydration.js)
+ * @param {Object} user - The signed-in Firebase user
+ * @param {Date} date - The day to get (device-local calendar day)
+ * @param {string} timezone - IANA timezone the day is measured in (defaults to the device's)
+ * @returns {Promise<Object>} { date, totalMl, targetMl, remainingMl, progress, entriesCount, summary }
+ */
+export const getHydration = async (user, date, timezone = getDeviceTimeZone()) => {
+  try {
+    const idToken = await user.getIdToken();
+    const url = generateAPIUrl(
+      `/api/hydration?date=${toDateString(date)}&timezone=${encodeURIComponent(timezone)}`
+    );
+    const response = await fetch(url, {
+      headers: {
+        'Authorization': `Bearer ${idToken}`,
+      },
+    });
+
+    if (!response.ok) {
+      const errorText = await response.text();
+      throw new Error(`Hydration error: ${response.status} - ${errorText}`);
+    }
+
+    const { hydration } = await response.json();
+    return hydration;
+  } catch (error) {
+    console.error('❌ Error getting hydration:', error);
+    throw error;
+  }
+};
+
+/**
+ * Log water drunk just now (quick taps on the nutrition tab)
+ * @param {Object} user - The signed-in Firebase user
+ * @param {number} amount - How much
+ * @param {string} unit - 'ml' | 'l' | 'oz' | 'cup'
+ * @returns {Promise<Object>} Today's updated hydration (same shape as getHydration)
+ */
+export const logWater = async (user, amount, unit) => {
+  try {
+    console.log('💧 Logging water:', amount, unit);
+
+    const idToken = await user.getIdToken();
+    const response = await fetch(generateAPIUrl('/api/hydration'), {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'Authorization': `Bearer ${idToken}`,
+      },
+      body: JSON.stringify({ amount, unit, timezone: getDeviceTimeZone() }),
+    });
+
+    if (!response.ok) {
+      const errorText = await response.text();
+      throw new Error(`Hydration error: ${response.status} - ${errorText}`);
+    }
+
+    const { hydration } = await response.json();
+    console.log('✅ Water logged:', hydration.summary);
+    return hydration;
+  } catch (error) {
+    console.error('❌ Error logging water:', error);
+    throw error;
+  }
+};
@@ -0,0 +1,88 @@
+import { doc, updateDoc, arrayUnion } from 'firebase/firestore';
+import { ref, uploadBytes, getDownloadURL } from 'firebase/storage';
+import { ImageManipulator, SaveFormat } from 'expo-image-manipulator';
+import { db, storage } from '../config/firebase';
+
+// Full photos are shrunk to this width before upload, thumbnails to THUMBNAIL_WIDTH
+const FULL_WIDTH = 1600;
+export const THUMBNAIL_WIDTH = 240;
+
+/**
+ * Storage folder for a meal's photos: users/{uid}/meals/{mealId}/
+ * @param {string} userId - The user's ID
+ * @param {string} mealId - The meal document ID
+ * @returns {string} Folder path (no trailing slash)
+ */
+export const getMealPhotoFolder = (userId, mealId) => `users/${userId}/meals/${mealId}`;
+
+/**
+ * Resize a local image and save it as a JPEG
+ * @param {string} uri - Local file URI
+ * @param {number} width - Target width (height keeps the aspect ratio)
+ * @param {number} compress - JPEG quality, 0-1
+ * @returns {Promise<string>} URI of the resized file
+ */
+export const resizeImage = async (uri, width, compress) => {
+  const image = await ImageManipulator.manipulate(uri).resize({ width }).renderAsync();
+  const result = await image.saveAsync({ compress, format: SaveFormat.JPEG });
+  return result.uri;
+};
+
+/**
+ * Upload a local file to Storage and return its download URL
+ * @param {string} path - Storage path
+ * @param {string} uri - Local file URI
+ * @returns {Promise<string>} Download URL
+ */
+const uploadFile = async (path, uri) => {
+  const response = await fetch(uri);
+  const blob = await response.blob();
+
+  const fileRef = ref(storage, path);
+  await uploadBytes(fileRef, blob, { contentType: 'image/jpeg' });
+  return getDownloadURL(fileRef);
+};
+
+/**
+ * Upload a meal photo plus a thumbnail and link both to the meal
+ * Files: users/{uid}/meals/{mealId}/{photoId}.jpg and {photoId}_thumb.jpg
+ * The first photo becomes the meal's cover (photoUrl / thumbnailUrl).
+ * @param {string} userId - The user's ID
+ * @param {string} mealId - The meal document ID
+ * @param {string} uri - Local file URI from the image picker or camera
+ * @param {Object} meal - The meal as loaded (to know if it already has a cover photo)
+ * @returns {Promise<Object>} { photoUrl, thumbnailUrl }
+ */
+export const uploadMealPhoto = async (userId, mealId, uri, meal = {}) => {
+  try {
+    console.log('📸 Uploading meal photo for meal:', mealId);
+
+    const folder = getMealPhotoFolder(userId, mealId);
+    const photoId = `${Date.now()}`;
+
+    const [fullUri, thumbnailUri] = await Promise.all([
+      resizeImage(uri, FULL_WIDTH, 0.8),
+      resizeImage(uri, THUMBNAIL_WIDTH, 0.6),
+    ]);
+
+    const [photoUrl, thumbnailUrl] = await Promise.all([
+      uploadFile(`${folder}/${photoId}.jpg`, fullUri),
+      uploadFile(`${folder}/${photoId}_thumb.jpg`, thumbnailUri),
+    ]);
+
+    const mealRef = doc(db, 'nutrition', userId, 'meals', mealId);
+    await updateDoc(mealRef, {
+      photoUrls: arrayUnion(photoUrl),
+      thumbnailUrls: arrayUnion(thumbnailUrl),
+      // Keep an existing cover photo
+      ...(!meal.photoUrl && { photoUrl }),
+      ...(!meal.thumbnailUrl && { thumbnailUrl }),
+    });
+
+    console.log('✅ Meal photo uploaded:', `${folder}/${photoId}.jpg`);
+    return { photoUrl, thumbnailUrl };
+  } catch (error) {
+    console.error('❌ Error uploading meal photo:', error);
+    throw error;
+  }
+};
@@ -0,0 +1,32 @@
+import { generateAPIUrl, getDeviceTimeZone } from '../utils';
+
+/**
+ * Get body measurements with week-over-week changes per site
+ * (computed on the server - see server/helpers/measurements.js)
+ * @param {Object} user - The signed-in Firebase user
+ * @param {number} weeks - How many weeks back, ending this week (default 12)
+ * @returns {Promise<Object>} { unit, weeks, sites: [{ site, latest, change, weeksApart, weekly }], entries, reminder }
+ */
+export const getMeasurements = async (user, weeks = 12) => {
+  try {
+    const idToken = await user.getIdToken();
+    const url = generateAPIUrl(
+      `/api/measurements?weeks=${weeks}&timezone=${encodeURIComponent(getDeviceTimeZone())}`
+    );
+    const response = await fetch(url, {
+      headers: {
+        'Authorization': `Bearer ${idToken}`,
+      },
+    });
+
+    if (!response.ok) {
+      const errorText = await response.text();
+      throw new Error(`Measurements error: ${response.status} - ${errorText}`);
+    }
+
+    return await response.json();
+  } catch (error) {
+    console.error('❌ Error getting measurements:', error);
+    throw error;
+  }
+};
@@ -11,18 +11,33 @@ import {
   limit as firestoreLimit
 } from 'firebase/firestore';
 import { db } from '../config/firebase';
+import { getDeviceTimeZone, getDayRangeInTimeZone, toDateString } from '../utils';
+import { validateFoods } from './foodService';
 
 /**
  * Log a new meal to Firestore
- * @param {string} userId - The user's ID
+ *
+ * Foods go through the server's macro check (foodService.validateFoods).
+ * Invalid numbers always throw; warnings (calories that don't match the
+ * macros, huge portions) throw unless mealData.acceptWarnings is set. The
+ * thrown error has the result on error.validation.
+ * @param {Object} user - The signed-in Firebase user
  * @param {Object} mealData - The meal object
  * @returns {Promise<string>} The saved meal ID
  */
-export const logMeal = async (userId, mealData) => {
+export const logMeal = async (user, mealData) => {
   try {
+    const userId = user.uid;
     console.log('🍽️ Logging meal for user:', userId);
     console.log('   Meal data:', JSON.stringify(mealData, null, 2));
 
+    const validation = await validateFoods(user, mealData.foods);
+    if (validation.errors.length > 0 || (validation.warnings.length > 0 && !mealData.acceptWarnings)) {
+      const error = new Error(`Meal not logged - check the numbers: ${[...validation.errors, ...validation.warnings].join('; ')}`);
+      error.validation = validation;
+      throw error;
+    }
+
     const mealsRef = collection(db, 'nutrition', userId, 'meals');
 
     // Calculate totals from foods array
@@ -45,8 +60,11 @@ export const logMeal = async (userId, mealData) => {
       totalFiber: totals.fiber,
       photoUrl: mealData.photoUrl || null,
       photoUrls: mealData.photoUrls || [],
+      thumbnailUrl: mealData.thumbnailUrl || null,
+      thumbnailUrls: mealData.thumbnailUrls || [],
       notes: mealData.notes || '',
       loggedVia: mealData.loggedVia || 'chat',
+      ...(mealData.savedMealId && { savedMealId: mealData.savedMealId }),
       createdAt: Timestamp.fromDate(new Date()),
     };
 
@@ -106,17 +124,14 @@ export const updateMeal = async (userId, mealId, updates) => {
  * Get meals for a specific date
  * @param {string} userId - The user's ID
  * @param {Date} date - The date to get meals for
+ * @param {string} timezone - IANA timezone the day is measured in (defaults to the device's)
  * @returns {Promise<Array>} Array of meals
  */
-export const getMeals = async (userId, date) => {
+export const getMeals = async (userId, date, timezone = getDeviceTimeZone()) => {
   try {
-    console.log('📅 Getting meals for date:', date.toDateString());
-
-    const startOfDay = new Date(date);
-    startOfDay.setHours(0, 0, 0, 0);
+    console.log('📅 Getting meals for date:', date.toDateString(), `(${timezone})`);
 
-    const endOfDay = new Date(date);
-    endOfDay.setHours(23, 59, 59, 999);
+    const { start: startOfDay, end: endOfDay } = getDayRangeInTimeZone(date, timezone);
 
     const mealsRef = collection(db, 'nutrition', userId, 'meals');
     const q = query(
@@ -131,6 +146,10 @@ export const getMeals = async (userId, date) => {
 
     querySnapshot.forEach((doc) => {
       const data = doc.data();
+
+      // Skip meals deleted through Ava (soft delete keeps the document)
+      if (data.deleted) return;
+
       meals.push({
         id: doc.id,
         mealType: data.mealType,
@@ -143,6 +162,8 @@ export const getMeals = async (userId, date) => {
         totalFiber: data.totalFiber || 0,
         photoUrl: data.photoUrl,
         photoUrls: data.photoUrls || [],
+        thumbnailUrl: data.thumbnailUrl || null,
+        thumbnailUrls: data.thumbnailUrls || [],
         notes: data.notes || '',
         loggedVia: data.loggedVia || 'chat',
         createdAt: data.createdAt?.toDate(),
@@ -160,7 +181,8 @@ export const getMeals = async (userId, date) => {
 /**
  * Find recent meals (for AI context when editing)
  * @param {string} userId - The user's ID
- * @param {Object} filters - Optional filters
+ * @param {Object} filters - Optional filters ({ limit, mealType, date, containsFood, timezone }),
+ *   date as "YYYY-MM-DD"
  * @returns {Promise<Array>} Array of recent meals
  */
 export const findRecentMeals = async (userId, filters = {}) => {
@@ -181,11 +203,13 @@ export const findRecentMeals = async (userId, filters = {}) => {
     }
 
     if (filters.date) {
-      const targetDate = new Date(filters.date);
-      const startOfDay = new Date(targetDate);
-      startOfDay.setHours(0, 0, 0, 0);
-      const endOfDay = new Date(targetDate);
-      endOfDay.setHours(23, 59, 59, 999);
+      // new Date("YYYY-MM-DD") is UTC midnight - the previous day west of UTC -
+      // so build the date from its parts
+      const [year, month, day] = filters.date.split('-').map(Number);
+      const { start: startOfDay, end: endOfDay } = getDayRangeInTimeZone(
+        new Date(year, month - 1, day),
+        filters.timezone || getDeviceTimeZone()
+      );
 
       q = query(
         mealsRef,
@@ -201,6 +225,9 @@ export const findRecentMeals = async (userId, filters = {}) => {
     querySnapshot.forEach((doc) => {
       const data = doc.data();
 
+      // Skip meals deleted through Ava (soft delete keeps the document)
+      if (data.deleted) return;
+
       // If containsFood filter, check if any food matches
       if (filters.containsFood) {
         const containsFood = data.foods?.some(food =>
@@ -237,13 +264,14 @@ export const findRecentMeals = async (userId, filters = {}) => {
  * @param {string} userId - The user's ID
  * @param {Date} date - The date to get summary for
  * @param {number} calorieTarget - User's daily calorie target
+ * @param {string} timezone - IANA timezone the day is measured in (defaults to the device's)
  * @returns {Promise<Object>} Daily summary with totals and meals
  */
-export const getDailySummary = async (userId, date, calorieTarget = 2400) => {
+export const getDailySummary = async (userId, date, calorieTarget = 2400, timezone = getDeviceTimeZone()) => {
   try {
     console.log('📊 Getting daily summary for:', date.toDateString());
 
-    const meals = await getMeals(userId, date);
+    const meals = await getMeals(userId, date, timezone);
 
     const totals = meals.reduce((acc, meal) => ({
       calories: acc.calories + meal.totalCalories,
@@ -254,7 +282,7 @@ export const getDailySummary = async (userId, date, calorieTarget = 2400) => {
     }), { calories: 0, protein: 0, carbs: 0, fats: 0, fiber: 0 });
 
     const summary = {
-      date: date.toISOString().split('T')[0], // "2025-11-05"
+      date: toDateString(date), // "2025-11-05" (toISOString would give the UTC day)
       totalCalories: totals.calories,
       totalProtein: totals.protein,
       totalCarbs: totals.carbs,
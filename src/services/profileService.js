@@ -0,0 +1,55 @@
+import { generateAPIUrl } from '../utils';
+
+// Profile fields the calorie/macro targets are calculated from
+// (see server/helpers/nutritionTargets.js)
+export const TARGET_INPUT_FIELDS = [
+  'weight',
+  'weightUnit',
+  'height',
+  'heightUnit',
+  'age',
+  'gender',
+  'activityLevel',
+  'bodyFatPercentage',
+  'goalType',
+];
+
+/**
+ * Does this profile have enough body stats to calculate targets from?
+ * @param {Object} profile - The user's profile (users/{uid})
+ * @returns {boolean}
+ */
+export const canCalculateTargets = (profile) =>
+  Boolean(profile?.weight && profile?.height);
+
+/**
+ * Ask the server to calculate calorie and macro targets (BMR → TDEE → goal)
+ * from the saved profile and store them on it.
+ * @param {Object} user - The signed-in Firebase user
+ * @returns {Promise<Object>} { goal, bmr, bmrFormula, tdee, calorieTarget, proteinTarget, carbsTarget, fatsTarget, fiberTarget }
+ */
+export const recalculateNutritionTargets = async (user) => {
+  try {
+    console.log('🎯 Recalculating nutrition targets...');
+
+    const idToken = await user.getIdToken();
+    const response = await fetch(generateAPIUrl('/api/profile/targets'), {
+      method: 'POST',
+      headers: {
+        'Authorization': `Bearer ${idToken}`,
+      },
+    });
+
+    if (!response.ok) {
+      const errorText = await response.text();
+      throw new Error(`Targets API error: ${response.status} - ${errorText}`);
+    }
+
+    const { targets } = await response.json();
+    console.log('✅ New targets:', targets.calorieTarget, 'cal');
+    return targets;
+  } catch (error) {
+    console.error('❌ Error recalculating nutrition targets:', error);
+    throw error;
+  }
+};
@@ -0,0 +1,175 @@
+import { collection, doc, setDoc, deleteDoc, getDocs, Timestamp } from 'firebase/firestore';
+import { ref, uploadBytes, getDownloadURL, deleteObject } from 'firebase/storage';
+import { ImageManipulator, SaveFormat } from 'expo-image-manipulator';
+import { db, storage } from '../config/firebase';
+import { toDateString } from '../utils';
+
+// Poses taken in each set (same as server/helpers/progressPhotos.js)
+export const PHOTO_POSES = ['front', 'side', 'back'];
+
+// Full photos are shrunk to this width before upload, thumbnails to THUMBNAIL_WIDTH
+const FULL_WIDTH = 1600;
+const THUMBNAIL_WIDTH = 320;
+
+/**
+ * Storage folder for a user's progress photos: users/{uid}/progressPhotos/
+ * storage.rules keep the folder owner-only. A download URL carries its own
+ * token and opens the file for anyone who has it, so only paths are saved in
+ * Firestore and URLs are fetched when a photo is shown.
+ * @param {string} userId - The user's ID
+ * @returns {string} Folder path (no trailing slash)
+ */
+export const getProgressPhotoFolder = (userId) => `users/${userId}/progressPhotos`;
+
+/**
+ * Resize a local image and save it as a JPEG
+ * @param {string} uri - Local file URI
+ * @param {number} width - Target width (height keeps the aspect ratio)
+ * @param {number} compress - JPEG quality, 0-1
+ * @returns {Promise<string>} URI of the resized file
+ */
+const resizeImage = async (uri, width, compress) => {
+  const image = await ImageManipulator.manipulate(uri).resize({ width }).renderAsync();
+  const result = await image.saveAsync({ compress, format: SaveFormat.JPEG });
+  return result.uri;
+};
+
+/**
+ * Upload a local file to Storage
+ * @param {string} path - Storage path
+ * @param {string} uri - Local file URI
+ * @returns {Promise<void>}
+ */
+const uploadFile = async (path, uri) => {
+  const response = await fetch(uri);
+  const blob = await response.blob();
+  await uploadBytes(ref(storage, path), blob, { contentType: 'image/jpeg' });
+};
+
+// Storage path → download URL promise, for this app session only
+const photoUrls = new Map();
+
+/**
+ * Download URL for a stored photo, fetched the first time it's asked for.
+ * Fetching one needs the signed-in owner (storage.rules), but the URL itself
+ * works for anyone who has it - keep it in memory, never save or share it.
+ * @param {string} path - Storage path from the photo document
+ * @returns {Promise<string>} Download URL
+ */
+export const getProgressPhotoUrl = (path) => {
+  if (!photoUrls.has(path)) {
+    const url = getDownloadURL(ref(storage, path)).catch((error) => {
+      photoUrls.delete(path);
+      throw error;
+    });
+    photoUrls.set(path, url);
+  }
+  return photoUrls.get(path);
+};
+
+/**
+ * Upload a progress photo plus a thumbnail and save it with its pose and date
+ * Files: users/{uid}/progressPhotos/{photoId}.jpg and {photoId}_thumb.jpg
+ * Document: progress/{uid}/photos/{photoId}
+ * @param {string} userId - The user's ID
+ * @param {string} uri - Local file URI from the image picker or camera
+ * @param {string} pose - 'front' | 'side' | 'back'
+ * @returns {Promise<Object>} The saved photo { id, pose, date, timestamp, storagePath, thumbnailPath }
+ */
+export const uploadProgressPhoto = async (userId, uri, pose) => {
+  try {
+    console.log('📷 Uploading progress photo:', pose);
+
+    const photoRef = doc(collection(db, 'progress', userId, 'photos'));
+    const folder = getProgressPhotoFolder(userId);
+    const storagePath = `${folder}/${photoRef.id}.jpg`;
+    const thumbnailPath = `${folder}/${photoRef.id}_thumb.jpg`;
+
+    const [fullUri, thumbnailUri] = await Promise.all([
+      resizeImage(uri, FULL_WIDTH, 0.85),
+      resizeImage(uri, THUMBNAIL_WIDTH, 0.6),
+    ]);
+
+    await Promise.all([
+      uploadFile(storagePath, fullUri),
+      uploadFile(thumbnailPath, thumbnailUri),
+    ]);
+
+    const now = new Date();
+    const photo = {
+      pose,
+      // Photos taken the same (local) day form one set
+      date: toDateString(now),
+      timestamp: Timestamp.fromDate(now),
+      storagePath,
+      thumbnailPath,
+      createdAt: Timestamp.fromDate(now),
+    };
+    await setDoc(photoRef, photo);
+
+    console.log('✅ Progress photo uploaded:', storagePath);
+    return { id: photoRef.id, ...photo, timestamp: now };
+  } catch (error) {
+    console.error('❌ Error uploading progress photo:', error);
+    throw error;
+  }
+};
+
+/**
+ * Get every progress photo, grouped into sets by date (newest first).
+ * No URLs are fetched here - use getProgressPhotoUrl for the photos on screen.
+ * @param {string} userId - The user's ID
+ * @returns {Promise<Array>} [{ date, photos: { front?, side?, back? } }] - each photo
+ *   is { id, pose, date, timestamp, storagePath, thumbnailPath }
+ */
+export const getProgressPhotos = async (userId) => {
+  try {
+    const querySnapshot = await getDocs(collection(db, 'progress', userId, 'photos'));
+
+    const photos = querySnapshot.docs
+      .map((photoDoc) => ({ id: photoDoc.id, ...photoDoc.data() }))
+      .filter((photo) => !photo.deleted && photo.date)
+      .map((photo) => ({
+        ...photo,
+        timestamp: photo.timestamp?.toDate ? photo.timestamp.toDate() : new Date(photo.timestamp),
+      }));
+
+    // Oldest first, so a retake later the same day replaces the earlier photo
+    photos.sort((a, b) => a.timestamp - b.timestamp);
+
+    const sets = new Map();
+    photos.forEach((photo) => {
+      const set = sets.get(photo.date) || { date: photo.date, photos: {} };
+      set.photos[photo.pose] = photo;
+      sets.set(photo.date, set);
+    });
+
+    return [...sets.values()].sort((a, b) => b.date.localeCompare(a.date));
+  } catch (error) {
+    console.error('❌ Error getting progress photos:', error);
+    throw error;
+  }
+};
+
+/**
+ * Delete a progress photo: both files and its document
+ * @param {string} userId - The user's ID
+ * @param {Object} photo - The photo as loaded by getProgressPhotos
+ * @returns {Promise<void>}
+ */
+export const deleteProgressPhoto = async (userId, photo) => {
+  try {
+    await Promise.all([
+      deleteObject(ref(storage, photo.storagePath)),
+      deleteObject(ref(storage, photo.thumbnailPath)),
+    ]);
+    await deleteDoc(doc(db, 'progress', userId, 'photos', photo.id));
+    photoUrls.delete(photo.storagePath);
+    photoUrls.delete(photo.thumbnailPath);
+
+    console.log('🗑️ Deleted progress photo:', photo.id);
+  } catch (error) {
+    console.error('❌ Error deleting progress photo:', error);
+    throw error;
+  }
+};
@@ -0,0 +1,116 @@
+import {
+  collection,
+  doc,
+  getDocs,
+  updateDoc,
+  increment,
+  Timestamp
+} from 'firebase/firestore';
+import { db } from '../config/firebase';
+import { logMeal } from './nutritionService';
+import { getDefaultMealType } from '../utils';
+
+const round = (value) => Math.round(value * 10) / 10;
+
+/**
+ * Get the user's saved favorite meals (saved through Ava), most used first
+ * Path: nutrition/{userId}/savedMeals
+ * @param {string} userId - The user's ID
+ * @returns {Promise<Array>} Saved meals with foods and totals
+ */
+export const getSavedMeals = async (userId) => {
+  try {
+    const querySnapshot = await getDocs(collection(db, 'nutrition', userId, 'savedMeals'));
+    const savedMeals = [];
+
+    querySnapshot.forEach((doc) => {
+      const data = doc.data();
+      savedMeals.push({
+        id: doc.id,
+        name: data.name,
+        mealType: data.mealType || null,
+        foods: data.foods || [],
+        totalCalories: data.totalCalories || 0,
+        totalProtein: data.totalProtein || 0,
+        totalCarbs: data.totalCarbs || 0,
+        totalFats: data.totalFats || 0,
+        useCount: data.useCount || 0,
+      });
+    });
+
+    savedMeals.sort((a, b) => b.useCount - a.useCount || a.name.localeCompare(b.name));
+    console.log(`✅ Found ${savedMeals.length} saved meals`);
+    return savedMeals;
+  } catch (error) {
+    console.error('❌ Error getting saved meals:', error);
+    throw error;
+  }
+};
+
+// The "× 1.5" suffix a scaled quantity ends with
+const SCALE_SUFFIX = /\s*×\s*(\d*\.?\d+)$/;
+
+// "2 eggs" × 0.5 → "2 eggs × 0.5", and "2 eggs × 0.5" × 0.5 → "2 eggs × 0.25"
+// (not "× 0.5 × 0.5", which the server would read as a single × 0.5)
+const scaleQuantity = (quantity, scale) => {
+  const text = String(quantity || '');
+  const suffix = text.match(SCALE_SUFFIX);
+  const base = suffix ? text.slice(0, suffix.index) : text;
+  const totalScale = Math.round((suffix ? Number(suffix[1]) : 1) * scale * 100) / 100;
+  return totalScale === 1 ? base : `${base} × ${totalScale}`;
+};
+
+/**
+ * Multiply every food's macros, amount and grams by `scale`
+ * (same math as server/helpers/quantityParser.js scaleFood; the quantity
+ * text gets a "× scale" suffix here, merged with any suffix it already has)
+ * @param {Array} foods - The saved meal's foods
+ * @param {number} scale - Portion multiplier (1 = as saved)
+ * @returns {Array} Scaled foods
+ */
+export const scaleFoods = (foods, scale = 1) => {
+  if (scale === 1) return foods;
+
+  return foods.map((food) => ({
+    ...food,
+    quantity: scaleQuantity(food.quantity, scale),
+    calories: Math.round(food.calories * scale),
+    protein: round(food.protein * scale),
+    carbs: round(food.carbs * scale),
+    fats: round(food.fats * scale),
+    fiber: round(food.fiber * scale),
+    ...(typeof food.amount === 'number' && { amount: Math.round(food.amount * scale * 100) / 100 }),
+    ...(typeof food.grams === 'number' && { grams: round(food.grams * scale) }),
+  }));
+};
+
+/**
+ * Log a saved meal right now (one-tap logging from the food feed)
+ * @param {Object} user - The signed-in Firebase user
+ * @param {Object} savedMeal - A saved meal from getSavedMeals
+ * @param {number} scale - Portion multiplier (1 = as saved)
+ * @returns {Promise<string>} The new meal's ID
+ */
+export const logSavedMeal = async (user, savedMeal, scale = 1) => {
+  try {
+    const mealId = await logMeal(user, {
+      mealType: savedMeal.mealType || getDefaultMealType(),
+      foods: scaleFoods(savedMeal.foods, scale),
+      loggedVia: 'savedMeal',
+      savedMealId: savedMeal.id,
+      // Already checked when the favorite was saved
+      acceptWarnings: true,
+    });
+
+    await updateDoc(doc(db, 'nutrition', user.uid, 'savedMeals', savedMeal.id), {
+      useCount: increment(1),
+      lastUsedAt: Timestamp.fromDate(new Date()),
+    });
+
+    console.log('⭐ Logged saved meal:', savedMeal.name);
+    return mealId;
+  } catch (error) {
+    console.error('❌ Error logging saved meal:', error);
+    throw error;
+  }
+};
@@ -0,0 +1,68 @@
+import { generateAPIUrl, getDeviceTimeZone } from '../utils';
+
+/**
+ * Get weigh-ins with their smoothed trend (exponentially weighted moving average,
+ * computed on the server - see server/helpers/weighIns.js)
+ * @param {Object} user - The signed-in Firebase user
+ * @param {number} days - How many days back, ending today (default 90)
+ * @returns {Promise<Object>} { unit, days, points: [{ date, weight, trend }], latest, change, weeklyRate }
+ */
+export const getWeightHistory = async (user, days = 90) => {
+  try {
+    const idToken = await user.getIdToken();
+    const url = generateAPIUrl(
+      `/api/weigh-ins?days=${days}&timezone=${encodeURIComponent(getDeviceTimeZone())}`
+    );
+    const response = await fetch(url, {
+      headers: {
+        'Authorization': `Bearer ${idToken}`,
+      },
+    });
+
+    if (!response.ok) {
+      const errorText = await response.text();
+      throw new Error(`Weigh-ins error: ${response.status} - ${errorText}`);
+    }
+
+    return await response.json();
+  } catch (error) {
+    console.error('❌ Error getting weight history:', error);
+    throw error;
+  }
+};
+
+/**
+ * Log a weigh-in for now. The server also updates the profile weight
+ * (and saved calorie targets), so refresh the profile afterwards.
+ * @param {Object} user - The signed-in Firebase user
+ * @param {number} weight - Body weight
+ * @param {string} unit - 'lbs' | 'kg'
+ * @returns {Promise<Object>} The updated 90-day history (same shape as getWeightHistory)
+ */
+export const logWeighIn = async (user, weight, unit) => {
+  try {
+    console.log('⚖️ Logging weigh-in:', weight, unit);
+
+    const idToken = await user.getIdToken();
+    const response = await fetch(generateAPIUrl('/api/weigh-ins'), {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'Authorization': `Bearer ${idToken}`,
+      },
+      body: JSON.stringify({ weight, unit, timezone: getDeviceTimeZone() }),
+    });
+
+    if (!response.ok) {
+      const errorText = await response.text();
+      throw new Error(`Weigh-ins error: ${response.status} - ${errorText}`);
+    }
+
+    const { history } = await response.json();
+    console.log('✅ Weigh-in logged, trend:', history.latest?.trend, history.unit);
+    return history;
+  } catch (error) {
+    console.error('❌ Error logging weigh-in:', error);
+    throw error;
+  }
+};
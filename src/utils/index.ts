@@ -19,4 +19,116 @@ export const generateAPIUrl = (relativePath: string) => {
   throw new Error(
     'EXPO_PUBLIC_API_BASE_URL environment variable is required for production',
   );
-};
\ No newline at end of file
+};
+
+// A single Server-Sent Event (e.g. from /api/chat in streaming mode)
+export interface SSEEvent {
+  event: string;
+  data: any;
+}
+
+/**
+ * Parse Server-Sent Events out of a text buffer.
+ * Returns the complete events plus any trailing partial event, which should be
+ * prepended to the next chunk read from the stream.
+ */
+export const parseSSEEvents = (buffer: string): { events: SSEEvent[]; rest: string } => {
+  const blocks = buffer.split('\n\n');
+  const rest = blocks.pop() ?? '';
+  const events: SSEEvent[] = [];
+
+  for (const block of blocks) {
+    let event = 'message';
+    const dataLines: string[] = [];
+
+    for (const line of block.split('\n')) {
+      if (line.startsWith('event:')) {
+        event = line.slice(6).trim();
+      } else if (line.startsWith('data:')) {
+        dataLines.push(line.slice(5).trim());
+      }
+    }
+
+    if (dataLines.length === 0) continue;
+
+    try {
+      events.push({ event, data: JSON.parse(dataLines.join('\n')) });
+    } catch (error) {
+      console.warn('⚠️ Skipping malformed SSE event:', event);
+    }
+  }
+
+  return { events, rest };
+};
+
+/**
+ * The device's IANA timezone (e.g. "America/Los_Angeles"), sent to the server
+ * so day boundaries and meal times are worked out in the user's local time.
+ */
+export const getDeviceTimeZone = (): string => {
+  try {
+    return Intl.DateTimeFormat().resolvedOptions().timeZone || 'UTC';
+  } catch (error) {
+    return 'UTC';
+  }
+};
+
+// How far `timeZone` is ahead of UTC at that instant, in milliseconds
+const getTimeZoneOffsetMs = (date: Date, timeZone: string): number => {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    hourCycle: 'h23',
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+    second: '2-digit',
+  }).formatToParts(date);
+  const get = (type: string) => Number(parts.find((part) => part.type === type)?.value);
+
+  const asUtc = Date.UTC(get('year'), get('month') - 1, get('day'), get('hour'), get('minute'), get('second'));
+  return asUtc - (date.getTime() - date.getMilliseconds());
+};
+
+// Midnight at the start of year-month-day in `timeZone` (same logic as server/helpers/timezone.js)
+const startOfZonedDay = (year: number, month: number, day: number, timeZone: string): Date => {
+  const wallClockAsUtc = Date.UTC(year, month, day);
+  const guess = wallClockAsUtc - getTimeZoneOffsetMs(new Date(wallClockAsUtc), timeZone);
+  return new Date(wallClockAsUtc - getTimeZoneOffsetMs(new Date(guess), timeZone));
+};
+
+/**
+ * Start and end (inclusive) of the calendar day shown by `date`, in `timeZone`.
+ * Matches the ranges the server uses, even if the device is set to a
+ * different timezone than the profile.
+ */
+export const getDayRangeInTimeZone = (date: Date, timeZone: string = getDeviceTimeZone()) => {
+  const year = date.getFullYear();
+  const month = date.getMonth();
+  const day = date.getDate();
+
+  const start = startOfZonedDay(year, month, day, timeZone);
+  const end = new Date(startOfZonedDay(year, month, day + 1, timeZone).getTime() - 1);
+
+  return { start, end };
+};
+
+/**
+ * "YYYY-MM-DD" of the calendar day shown by `date` (device-local components).
+ */
+export const toDateString = (date: Date): string =>
+  `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
+
+/**
+ * The meal type that fits the time of day on the device
+ * (same windows as server/helpers/timezone.js getDefaultMealType).
+ */
+export const getDefaultMealType = (date: Date = new Date()): 'breakfast' | 'lunch' | 'dinner' | 'snack' => {
+  const hour = date.getHours();
+  if (hour >= 5 && hour < 11) return 'breakfast';
+  if (hour >= 11 && hour < 15) return 'lunch';
+  if (hour >= 17 && hour < 22) return 'dinner';
+  return 'snack';
+};
+